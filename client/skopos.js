@@ -0,0 +1,280 @@
+/**
+ * Skopos browser tracking script.
+ * Sends `ApiEventPayload` objects to a Skopos collector endpoint.
+ *
+ * Configuration is read from the script tag's data attributes:
+ * - `data-endpoint`: the collector URL (default `/api/event`).
+ * - `data-auto-pageviews="false"`: disables automatic page views (including SPA navigations).
+ * - `data-errors="false"`: disables `error` / `unhandledrejection` capture.
+ * - `data-engagement="false"`: disables `heartbeat` / `engagement` events, which report how long
+ *   each page was visible and how far it was scrolled.
+ * - `data-anonymous-id="true"`: sends a random ID kept in `localStorage` as `anonymousId`
+ *   (for the SDK's `client` identity strategy).
+ * - `data-consent="granted" | "denied"`: the initial consent state sent as `consent`;
+ *   change it later with `skopos.setConsent(state)`.
+ *
+ * @example
+ * <script defer src="/skopos.js" data-endpoint="/api/event"></script>
+ * <script>window.skopos && skopos.track("signup", { plan: "pro" });</script>
+ * <script>window.skopos && skopos.revenue({ orderId: "A-1001", amount: 49.9, currency: "EUR" });</script>
+ */
+(function () {
+  "use strict";
+
+  if (typeof window === "undefined" || window.skopos) {
+    return;
+  }
+
+  var MAX_ERRORS_PER_PAGE = 10;
+  var FLUSH_DELAY_MS = 1000;
+  var HEARTBEAT_INTERVAL_MS = 15000;
+  var ANONYMOUS_ID_KEY = "skopos_aid";
+
+  var script = document.currentScript;
+  var dataset = (script && script.dataset) || {};
+  var endpoint = dataset.endpoint || "/api/event";
+  var autoPageViews = dataset.autoPageviews !== "false";
+  var captureErrors = dataset.errors !== "false";
+  var trackEngagement = dataset.engagement !== "false";
+  var anonymousId = dataset.anonymousId === "true" ? getAnonymousId() : null;
+  var consent = isConsentState(dataset.consent) ? dataset.consent : null;
+
+  var queue = [];
+  var flushTimer = null;
+  var lastUrl = null;
+  var lastReferrer = document.referrer || "";
+  var errorCount = 0;
+  var visibleTime = 0;
+  var visibleSince = null;
+  var maxScroll = 0;
+
+  function getAnonymousId() {
+    try {
+      var id = window.localStorage.getItem(ANONYMOUS_ID_KEY);
+      if (!id) {
+        id = window.crypto && window.crypto.randomUUID ? window.crypto.randomUUID() : Date.now().toString(36) + Math.random().toString(36).substring(2);
+        window.localStorage.setItem(ANONYMOUS_ID_KEY, id);
+      }
+      return id;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function isConsentState(state) {
+    return state === "granted" || state === "denied";
+  }
+
+  function setConsent(state) {
+    consent = isConsentState(state) ? state : null;
+  }
+
+  function basePayload(type) {
+    var payload = {
+      type: type,
+      url: window.location.href,
+      referrer: lastReferrer,
+      screenWidth: window.screen ? window.screen.width : undefined,
+      screenHeight: window.screen ? window.screen.height : undefined,
+      language: navigator.language,
+    };
+    if (anonymousId) {
+      payload.anonymousId = anonymousId;
+    }
+    if (consent) {
+      payload.consent = consent;
+    }
+    return payload;
+  }
+
+  function sendNow(payload, useBeacon) {
+    var body = JSON.stringify(payload);
+    if (useBeacon && navigator.sendBeacon && navigator.sendBeacon(endpoint, body)) {
+      return;
+    }
+    if (typeof fetch === "function") {
+      fetch(endpoint, {
+        method: "POST",
+        body: body,
+        headers: { "Content-Type": "text/plain;charset=UTF-8" },
+        keepalive: true,
+        credentials: "same-origin",
+      }).catch(function () {});
+    } else if (navigator.sendBeacon) {
+      navigator.sendBeacon(endpoint, body);
+    }
+  }
+
+  function flush(useBeacon) {
+    if (flushTimer) {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+    }
+    var pending = queue;
+    queue = [];
+    for (var i = 0; i < pending.length; i++) {
+      sendNow(pending[i], useBeacon);
+    }
+  }
+
+  function enqueue(payload) {
+    queue.push(payload);
+    if (!flushTimer) {
+      flushTimer = setTimeout(function () {
+        flush(false);
+      }, FLUSH_DELAY_MS);
+    }
+  }
+
+  function updateScroll() {
+    var doc = document.documentElement;
+    var scrollable = doc.scrollHeight - window.innerHeight;
+    var percent = scrollable > 0 ? Math.round(((window.scrollY || doc.scrollTop) / scrollable) * 100) : 100;
+    if (percent > maxScroll) {
+      maxScroll = Math.min(percent, 100);
+    }
+  }
+
+  function reportEngagement(type) {
+    if (lastUrl === null) {
+      return;
+    }
+    var payload = basePayload(type);
+    payload.url = lastUrl;
+    payload.visibleTime = visibleTime + (visibleSince !== null ? Date.now() - visibleSince : 0);
+    payload.maxScroll = maxScroll;
+    enqueue(payload);
+  }
+
+  function resetEngagement() {
+    visibleTime = 0;
+    visibleSince = document.visibilityState === "visible" ? Date.now() : null;
+    maxScroll = 0;
+    updateScroll();
+  }
+
+  function pageView() {
+    var url = window.location.href;
+    if (url === lastUrl) {
+      return;
+    }
+    if (lastUrl !== null) {
+      if (trackEngagement) {
+        reportEngagement("engagement");
+      }
+      lastReferrer = lastUrl;
+    }
+    lastUrl = url;
+    enqueue(basePayload("pageView"));
+    if (trackEngagement) {
+      resetEngagement();
+    }
+  }
+
+  function track(name, data) {
+    if (typeof name !== "string" || name.length === 0) {
+      return;
+    }
+    var payload = basePayload("custom");
+    payload.name = name;
+    if (data && typeof data === "object") {
+      payload.customData = data;
+    }
+    enqueue(payload);
+  }
+
+  function revenue(order, name) {
+    if (!order || typeof order !== "object") {
+      return;
+    }
+    var payload = basePayload("revenue");
+    payload.revenue = order;
+    if (typeof name === "string" && name.length > 0) {
+      payload.name = name;
+    }
+    enqueue(payload);
+  }
+
+  function trackError(message, stack) {
+    if (errorCount >= MAX_ERRORS_PER_PAGE || !message) {
+      return;
+    }
+    errorCount++;
+    var payload = basePayload("jsError");
+    payload.errorMessage = String(message).substring(0, 1024);
+    if (stack) {
+      payload.stackTrace = String(stack).substring(0, 16384);
+    }
+    enqueue(payload);
+  }
+
+  function wrapHistory(method) {
+    var original = history[method];
+    if (typeof original !== "function") {
+      return;
+    }
+    history[method] = function () {
+      var result = original.apply(this, arguments);
+      setTimeout(pageView, 0);
+      return result;
+    };
+  }
+
+  if (captureErrors) {
+    window.addEventListener("error", function (event) {
+      var error = event.error;
+      trackError(event.message || (error && error.message), error && error.stack);
+    });
+    window.addEventListener("unhandledrejection", function (event) {
+      var reason = event.reason;
+      var message = reason && reason.message ? reason.message : String(reason);
+      trackError("Unhandled rejection: " + message, reason && reason.stack);
+    });
+  }
+
+  if (autoPageViews) {
+    wrapHistory("pushState");
+    wrapHistory("replaceState");
+    window.addEventListener("popstate", pageView);
+    if (document.readyState === "loading") {
+      document.addEventListener("DOMContentLoaded", pageView);
+    } else {
+      pageView();
+    }
+  }
+
+  if (trackEngagement) {
+    window.addEventListener("scroll", updateScroll, { passive: true });
+    setInterval(function () {
+      if (document.visibilityState === "visible") {
+        reportEngagement("heartbeat");
+      }
+    }, HEARTBEAT_INTERVAL_MS);
+  }
+
+  window.addEventListener("pagehide", function () {
+    flush(true);
+  });
+  document.addEventListener("visibilitychange", function () {
+    if (document.visibilityState === "hidden") {
+      if (trackEngagement && visibleSince !== null) {
+        visibleTime += Date.now() - visibleSince;
+        visibleSince = null;
+        reportEngagement("engagement");
+      }
+      flush(true);
+    } else if (visibleSince === null) {
+      visibleSince = Date.now();
+    }
+  });
+
+  window.skopos = {
+    track: track,
+    revenue: revenue,
+    pageView: pageView,
+    setConsent: setConsent,
+    flush: function () {
+      flush(false);
+    },
+  };
+})();
@@ -1,76 +1,1059 @@
-import type { IncomingMessage } from "node:http";
+import type { IncomingMessage, ServerResponse } from "node:http";
 
 /**
  * Configuration options for initializing the Skopos SDK.
  */
 export interface SkoposSDKOptions {
   /**
-   * The full URL to your PocketBase instance.
+   * The full URL to your PocketBase instance. Required unless `storage` selects another adapter.
    * @example "https://pocketbase.example.com"
    */
-  pocketbaseUrl: string;
+  pocketbaseUrl?: string;
 
   /**
    * The ID of the website you are tracking, as defined in your Skopos dashboard.
    */
   siteId: string;
 
+  /**
+   * Additional website tracking IDs to load and track with this instance.
+   * Each site keeps its own settings, live configuration subscription and session/visitor caches.
+   * Browser events are routed to the site whose domain matches the event URL.
+   * @example ["marketing-site-a", "marketing-site-b"]
+   */
+  siteIds?: string[];
+
   /**
    * The email address for a PocketBase admin or superuser account.
    * Required for the SDK to write data, bypassing collection rules.
    */
-  adminEmail?: string;
+  adminEmail?: string;
+
+  /**
+   * The password for the PocketBase admin or superuser account.
+   */
+  adminPassword?: string;
+
+  /**
+   * Where visitors, sessions, events, JS errors and website configuration are stored.
+   * Defaults to PocketBase at `pocketbaseUrl`. Pass `{ adapter: "memory" }` to keep everything in memory,
+   * `{ adapter: "jsonl", dir }` to append records to newline-delimited JSON files, or your own adapter.
+   * @example { adapter: "memory", websites: [{ trackingId: "abc", domain: "example.com" }] }
+   */
+  storage?: StorageAdapter | MemoryStorageOptions | JsonlStorageOptions | { adapter: "pocketbase" };
+
+  /**
+   * API key for Chapybara IP geolocation service.
+   * When provided, the SDK will use Chapybara to determine visitor country and state.
+   * Get your API key from the Chapybara dashboard.
+   * Note: The key must be set manually here since dashboard keys are encrypted.
+   * @example "ck_your_api_key_here"
+   */
+  chapybaraApiKey?: string;
+
+  /**
+   * The geolocation provider: local MaxMind DB files, Chapybara, or a custom provider.
+   * Takes precedence over `chapybaraApiKey`.
+   * @example { provider: "mmdb", path: "/var/lib/GeoIP/GeoLite2-City.mmdb" }
+   */
+  geo?: MmdbGeoOptions | ChapybaraGeoOptions | GeoProvider;
+
+  /**
+   * Set to `true` to enable event batching for better performance.
+   * @default false
+   */
+  batch?: boolean;
+
+  /**
+   * The interval in milliseconds at which to send batched events.
+   * @default 10000 (10 seconds)
+   */
+  batchInterval?: number;
+
+  /**
+   * The maximum number of events to hold in the queue before flushing.
+   * @default 100
+   */
+  maxBatchSize?: number;
+
+  /**
+   * The duration in milliseconds before a visitor's session is considered expired.
+   * @default 1800000 (30 minutes)
+   */
+  sessionTimeoutMs?: number;
+
+  /**
+   * The interval in milliseconds at which to send batched JavaScript error reports, and bot hits with `botHits`.
+   * @default 300000 (5 minutes)
+   */
+  jsErrorBatchInterval?: number;
+
+  /**
+   * Directory for an append-only on-disk spool of queued events and JS errors.
+   * Entries are written before they are sent and acknowledged once PocketBase accepts them;
+   * anything left unacknowledged after a crash or outage is replayed by `init()`.
+   * Each running process needs its own directory.
+   * @example "/var/lib/skopos/spool"
+   */
+  spoolDir?: string;
+
+  /**
+   * Retry policy for PocketBase writes. Network failures, 429 and 5xx responses
+   * are retried with jittered exponential backoff.
+   */
+  retry?: RetryOptions;
+
+  /**
+   * Circuit breaker that pauses PocketBase writes after repeated failures.
+   * While open, incoming events are buffered and replayed once a probe succeeds.
+   */
+  circuitBreaker?: CircuitBreakerOptions;
+
+  /**
+   * The maximum number of failed payloads kept in the dead-letter list.
+   * @default 100
+   */
+  deadLetterMaxSize?: number;
+
+  /**
+   * Set to `false` to always write events and JS errors one record at a time.
+   * When enabled, flushes use PocketBase's transactional batch API (`/api/batch`) if it is
+   * enabled in the server settings, sized to its `maxRequests` limit.
+   * @default true
+   */
+  useBatchApi?: boolean;
+
+  /**
+   * Proxies whose forwarding headers (see `trustedHeaders`) are trusted when resolving the client IP.
+   * Accepts IP addresses, CIDR ranges and the presets `"loopback"`, `"private"` and `"linklocal"`.
+   * `true` trusts every hop, `false` ignores forwarding headers.
+   * @default ["loopback", "private"]
+   * @example ["loopback", "10.0.0.0/8", "2400:cb00::/32"]
+   */
+  trustedProxies?: string[] | boolean;
+
+  /**
+   * Forwarding headers honored from trusted proxies, in order of precedence; the first one present wins.
+   * `forwarded` and `x-forwarded-for` are walked as proxy chains, any other header (e.g. `cf-connecting-ip`,
+   * `true-client-ip`, `x-real-ip`) holds the client address. Only list headers your proxies overwrite.
+   * @default ["x-forwarded-for"]
+   * @example ["cf-connecting-ip", "x-forwarded-for"]
+   */
+  trustedHeaders?: string[];
+
+  /**
+   * IP addresses and CIDR ranges (IPv4 or IPv6) to ignore on every site, in addition to each
+   * website's own `ipBlacklist`. Useful for ranges you don't want to store in PocketBase.
+   * @example ["35.191.0.0/16", "130.211.0.0/22", "2001:db8:1234::/48"]
+   */
+  ipBlacklist?: string[];
+
+  /**
+   * Salts visitor IDs with a secret that rotates every period, so they cannot be reversed or linked across periods.
+   * Salts are persisted through the storage adapter so restarts and other processes agree on them.
+   * `true` uses the defaults (daily rotation, `visitor_salts` collection).
+   * @default false
+   */
+  rotatingSalt?: boolean | RotatingSaltOptions;
+
+  /**
+   * How visitors are identified. By default, visitor IDs are a hash of the site ID, IP address and user agent.
+   */
+  identity?: IdentityOptions;
+
+  /**
+   * How events are tracked when the visitor has not consented: honoring `DNT` / `Sec-GPC`, requiring an explicit
+   * consent state, and whether such events are dropped or tracked without visitor data.
+   */
+  consent?: ConsentOptions;
+
+  /**
+   * Redacts personal data (emails, phone numbers, JWTs, card numbers, IP addresses, secrets in query strings or
+   * `customData`) from event paths, referrers, `customData`, and JS error messages and stack traces before they are written.
+   * `true` enables every built-in detector with the default lists.
+   * @default false
+   */
+  redaction?: boolean | RedactionOptions;
+
+  /**
+   * Normalizes paths before they are stored (trailing slashes, case, index files) and groups them into routes
+   * such as `/orders/:id`. Routes are written to events as `route` and to sessions as `entryRoute` / `exitRoute`.
+   */
+  paths?: PathOptions;
+
+  /**
+   * Overrides the referrer domains used to classify a session's `channel`.
+   */
+  attribution?: AttributionOptions;
+
+  /**
+   * Checks custom event names and their `customData` against a registry of allowed events.
+   */
+  eventSchemas?: EventSchemaOptions;
+
+  /**
+   * Keeps only a deterministic share of visitors' events, per event type or custom event name.
+   * Sessions record the rate of the event that started them as `sampleRate`; events sampled below 1 record their own.
+   */
+  sampling?: SamplingOptions;
+
+  /**
+   * Token-bucket rate limits per IP address, visitor, and visitor and event name. `true` uses the default limits.
+   * @default false
+   */
+  rateLimit?: boolean | RateLimitOptions;
+
+  /**
+   * Bot detection threshold, rule weights, allowlist and custom rules.
+   */
+  botDetection?: BotDetectionOptions;
+
+  /**
+   * Counts requests classified as bots in the `bot_hits` collection, per bot family, path, score bucket
+   * and time window, instead of only dropping them. `true` uses hourly windows.
+   * @default false
+   */
+  botHits?: boolean | BotHitOptions;
+
+  /**
+   * Set to `true` to enable verbose logging for debugging.
+   * Error logs are always enabled.
+   * @default false
+   */
+  debug?: boolean;
+}
+
+/**
+ * Passed to `StorageAdapter.connect` by `SkoposSDK.init`.
+ */
+export interface StorageContext {
+  /**
+   * Runs a backend request through the SDK's retry policy and circuit breaker.
+   * Errors with no `status`, a 429 or a 5xx status are retried and count against the breaker.
+   */
+  call<T>(operation: () => Promise<T>): Promise<T>;
+
+  /**
+   * The SDK logger.
+   */
+  log(level: "error" | "warn" | "info" | "debug", ...args: any[]): void;
+}
+
+/**
+ * A JS error aggregated since the last flush.
+ */
+export interface JsErrorWrite {
+  errorHash: string;
+  /** The session record ID of the first occurrence. */
+  session: string;
+  errorMessage: string;
+  stackTrace?: string;
+  url: string;
+  /** How many times the error occurred since the last flush; added to an existing record's count. */
+  count: number;
+  /** ISO timestamp of the flush. */
+  lastSeen: string;
+}
+
+/**
+ * Bot hits of one bot family, path, score bucket and time window, added up since the last flush.
+ */
+export interface BotHitWrite {
+  /** Identifies the family, path, score bucket and window within a website. */
+  hitHash: string;
+  /** The bot family parsed from the user agent, e.g. `"Googlebot"`, `"GPTBot"` or `"curl"`. */
+  family: string;
+  /** The requested path, without the query string. */
+  path: string;
+  /** The bot score rounded down to a multiple of 10. */
+  scoreBucket: number;
+  /** ISO timestamp of the start of the time window. */
+  windowStart: string;
+  /** How many hits occurred since the last flush; added to an existing record's count. */
+  count: number;
+  /** ISO timestamp of the flush. */
+  lastSeen: string;
+}
+
+/**
+ * Persists everything the SDK writes. Methods reject with an error carrying an HTTP-like `status`:
+ * 404 for missing records, 400 for invalid data (with `field` naming the offending field, e.g. a
+ * duplicate `visitorId` or a session's unknown `visitor`). Errors without a status are treated as transient.
+ */
+export interface StorageAdapter {
+  /**
+   * Called once by `init` before any other method, e.g. to authenticate.
+   */
+  connect?(context: StorageContext): Promise<void>;
+
+  /**
+   * Returns the website with a tracking ID, or null.
+   */
+  getWebsite(trackingId: string): Promise<Record<string, any> | null>;
+  updateWebsite(id: string, changes: Record<string, any>): Promise<void>;
+
+  /**
+   * Calls `onUpdate` with the website record whenever it changes.
+   */
+  subscribeWebsite?(id: string, onUpdate: (record: Record<string, any>) => void): Promise<void>;
+
+  /**
+   * Returns the visitor with a hashed visitor ID, or null.
+   */
+  findVisitor(visitorId: string): Promise<Record<string, any> | null>;
+  createVisitor(data: Record<string, any>): Promise<{ id: string; [key: string]: any }>;
+  updateVisitor(id: string, changes: Record<string, any>): Promise<void>;
+  createSession(data: Record<string, any>): Promise<{ id: string; [key: string]: any }>;
+  updateSession(id: string, changes: Record<string, any>): Promise<void>;
+
+  /**
+   * Updates several sessions, e.g. with the summaries of ended sessions. Resolves with one entry per update:
+   * `null` on success, otherwise the error. Without it, the SDK calls `updateSession` for each update.
+   */
+  updateSessions?(updates: Array<{ id: string; changes: Record<string, any> }>): Promise<Array<any>>;
+
+  /**
+   * Creates event records. Resolves with one entry per event: `null` on success, otherwise the error.
+   * Page view events come with an `id`, which the record must keep for `updateEvents`.
+   */
+  createEvents(events: Array<Record<string, any>>): Promise<Array<any>>;
+
+  /**
+   * Updates several events, e.g. page views with their `visibleTime` and `maxScroll`. Resolves with one entry
+   * per update: `null` on success, otherwise the error. Without it, page view engagement is not stored.
+   */
+  updateEvents?(updates: Array<{ id: string; changes: Record<string, any> }>): Promise<Array<any>>;
+
+  /**
+   * Returns whether an event of the website (`events.website`) with this revenue order ID exists. Without it,
+   * duplicate orders are only caught within the process (and by a unique index on `events (website, orderId)`, if there is one).
+   */
+  hasOrder?(website: string, orderId: string): Promise<boolean>;
+
+  /**
+   * Adds JS errors to the website's existing error records with the same `errorHash`, or creates them.
+   * Resolves with one entry per error: `null` on success, otherwise the error.
+   */
+  saveJsErrors(website: string, errors: JsErrorWrite[]): Promise<Array<any>>;
+
+  /**
+   * Adds bot hits to the website's existing records with the same `hitHash`, or creates them. Required with `botHits`.
+   * Resolves with one entry per hit: `null` on success, otherwise the error.
+   */
+  saveBotHits?(website: string, hits: BotHitWrite[]): Promise<Array<any>>;
+
+  /**
+   * Rotating salt storage, required with `rotatingSalt`. `createSalt` resolves with the salt stored
+   * for the period, which may have been created by another process first.
+   */
+  getSalt(period: number): Promise<string | null>;
+  createSalt(period: number, salt: string): Promise<string>;
+  pruneSalts(beforePeriod: number): Promise<void>;
+
+  /**
+   * Probed while the circuit breaker is open; resolves once the backend is reachable again.
+   */
+  healthCheck(): Promise<void>;
+
+  /**
+   * Called by `shutdown` after the queues are flushed.
+   */
+  close?(): Promise<void>;
+}
+
+/**
+ * A website record for the memory and JSONL adapters.
+ */
+export interface WebsiteConfig {
+  trackingId: string;
+  /** The record ID; defaults to the tracking ID. */
+  id?: string;
+  domain?: string;
+  disableLocalhostTracking?: boolean;
+  isArchived?: boolean;
+  ipBlacklist?: string[];
+  storeRawIp?: boolean;
+}
+
+/**
+ * Keeps every record in memory, e.g. to run the ingestion pipeline in tests without PocketBase.
+ */
+export interface MemoryStorageOptions {
+  adapter: "memory";
+
+  /**
+   * The websites the SDK can be initialized with.
+   */
+  websites?: WebsiteConfig[];
+}
+
+/**
+ * Appends every change to one newline-delimited JSON file per collection, e.g. to archive raw events for replay.
+ */
+export interface JsonlStorageOptions {
+  adapter: "jsonl";
+
+  /**
+   * The directory holding the files. Created if missing.
+   */
+  dir: string;
+
+  /**
+   * The websites the SDK can be initialized with. They are not written to disk.
+   */
+  websites?: WebsiteConfig[];
+}
+
+/**
+ * Geolocation data resolved for an IP address.
+ */
+export interface GeoLocation {
+  /** The country name, or "Unknown". */
+  country: string;
+  /** The region/subdivision name, or "Unknown". */
+  state: string;
+  /** The city name. */
+  city?: string;
+  /** The IANA time zone, e.g. "Europe/Berlin". */
+  timezone?: string;
+  /** The autonomous system number. */
+  asn?: number;
+  /** The autonomous system organization. */
+  asOrganization?: string;
+}
+
+/**
+ * A geolocation provider.
+ */
+export interface GeoProvider {
+  /**
+   * Resolves an IP address. Return `null` when the address is unknown.
+   */
+  lookup(ip: string): GeoLocation | null | Promise<GeoLocation | null>;
+
+  /**
+   * Releases resources; called by `shutdown()`.
+   */
+  close?(): void;
+}
+
+/**
+ * Offline geolocation from local MaxMind DB (`.mmdb`) files.
+ */
+export interface MmdbGeoOptions {
+  provider: "mmdb";
+
+  /**
+   * Path to a GeoLite2/GeoIP2 City or Country database, or a DB-IP Lite database.
+   */
+  path: string;
+
+  /**
+   * Path to an optional ASN database (e.g. GeoLite2-ASN).
+   */
+  asnPath?: string;
+
+  /**
+   * Reload the databases when the files change on disk.
+   * @default true
+   */
+  watch?: boolean;
+
+  /**
+   * How often in milliseconds the files are checked for changes.
+   * @default 60000
+   */
+  watchIntervalMs?: number;
+}
+
+/**
+ * Geolocation through the Chapybara API.
+ */
+export interface ChapybaraGeoOptions {
+  provider: "chapybara";
+
+  /**
+   * The Chapybara API key.
+   */
+  apiKey: string;
+}
+
+/**
+ * Visitor identity settings.
+ */
+export interface IdentityOptions {
+  /**
+   * Identity strategies in order of preference. The first one with a key for the request wins:
+   * - `"client"`: the `anonymousId` sent in the event payload.
+   * - `"cookie"`: a signed first-party cookie issued by the SDK (see `issueIdentityCookie`).
+   * - `"hash"`: a hash of the IP address and user agent. Always used as the last resort.
+   * @default ["hash"]
+   */
+  strategies?: Array<"client" | "cookie" | "hash">;
+
+  /**
+   * The identity cookie name.
+   * @default "skopos_vid"
+   */
+  cookieName?: string;
+
+  /**
+   * The secret used to sign the identity cookie (at least 16 characters). Required for the `"cookie"` strategy.
+   */
+  cookieSecret?: string;
+
+  /**
+   * The identity cookie lifetime in seconds.
+   * @default 31536000 (365 days)
+   */
+  cookieMaxAge?: number;
+
+  /**
+   * The identity cookie `Domain` attribute, e.g. to share it across subdomains.
+   */
+  cookieDomain?: string;
+
+  /**
+   * Whether the identity cookie has the `Secure` attribute.
+   * @default true
+   */
+  cookieSecure?: boolean;
+}
+
+/**
+ * Consent policy settings.
+ */
+export interface ConsentOptions {
+  /**
+   * Treat requests with a `DNT: 1` header as not consented.
+   * @default false
+   */
+  honorDoNotTrack?: boolean;
+
+  /**
+   * Treat requests with a `Sec-GPC: 1` header (Global Privacy Control) as not consented.
+   * @default false
+   */
+  honorGlobalPrivacyControl?: boolean;
+
+  /**
+   * Treat every event without an explicit `"granted"` consent state as not consented (opt-in).
+   * @default false
+   */
+  requireConsent?: boolean;
+
+  /**
+   * What happens to events without consent:
+   * - `"ignore"`: they are dropped.
+   * - `"aggregate"`: they are tracked without a visitor record, IP address, or geolocation.
+   * @default "ignore"
+   */
+  mode?: "ignore" | "aggregate";
+}
+
+/**
+ * Path normalization and route templating settings.
+ */
+export interface PathOptions {
+  /**
+   * How trailing slashes are handled: `"strip"` removes them (except for `/`), `"add"` appends one.
+   * @default "keep"
+   */
+  trailingSlash?: "keep" | "strip" | "add";
+
+  /**
+   * Lower-case paths.
+   * @default false
+   */
+  lowercase?: boolean;
+
+  /**
+   * File names removed from the end of paths, e.g. `/docs/index.html` becomes `/docs/`. `true` removes
+   * `index.html`, `index.htm`, and `index.php`.
+   * @default false
+   */
+  stripIndexFiles?: boolean | string[];
+
+  /**
+   * Route templates, tried in order. `:name` matches one segment and a trailing `*` matches any remaining segments.
+   * @example ["/orders/:id", "/users/:userId/posts/:postId", "/docs/*"]
+   */
+  routes?: string[];
+
+  /**
+   * For paths no template matches, replace numeric and UUID segments with `:id` in the route.
+   * @default false
+   */
+  collapseIds?: boolean;
+}
+
+/**
+ * Sampling settings. Rates are numbers from 0 (drop every event) to 1 (keep every event). A visitor is either
+ * kept or dropped at a given rate for all their events, so sampled sessions stay complete.
+ */
+export interface SamplingOptions {
+  /**
+   * The rate of events without a more specific rate.
+   * @default 1
+   */
+  rate?: number;
+
+  /**
+   * Rates per event type. Revenue events are never sampled.
+   * @example { pageView: 0.1 }
+   */
+  types?: Partial<Record<"pageView" | "custom" | "jsError", number>>;
+
+  /**
+   * Rates per custom event name, taking precedence over `types.custom`.
+   * @example { "scroll-depth": 0.01 }
+   */
+  events?: Record<string, number>;
+
+  /**
+   * Keep every JS error regardless of the rates.
+   * @default true
+   */
+  bypassJsErrors?: boolean;
+}
+
+/**
+ * Event schema registry settings.
+ */
+export interface EventSchemaOptions {
+  /**
+   * The registry, or the path of a JSON file containing it (resolved against the working directory).
+   */
+  registry: EventRegistry | string;
+
+  /**
+   * What happens to custom events that are not registered or whose `customData` does not match:
+   * `"reject"` drops them, `"warn"` logs a warning and tracks them, `"passthrough"` only logs in debug mode.
+   * @default "reject"
+   */
+  mode?: "reject" | "warn" | "passthrough";
+}
+
+/**
+ * The allowed custom events, each with the schema of its `customData`.
+ * @example { events: { signup: { type: "object", properties: { plan: { enum: ["free", "pro"] } }, required: ["plan"] } } }
+ */
+export interface EventRegistry {
+  events: Record<string, EventSchema | true>;
+}
+
+/**
+ * The supported subset of JSON Schema. `true` accepts any value.
+ */
+export interface EventSchema {
+  type?: EventSchemaType | EventSchemaType[];
+  properties?: Record<string, EventSchema | true>;
+  required?: string[];
+  /** @default true */
+  additionalProperties?: boolean;
+  items?: EventSchema | true;
+  enum?: Array<string | number | boolean | null>;
+  minimum?: number;
+  maximum?: number;
+  minLength?: number;
+  maxLength?: number;
+  pattern?: string;
+  minItems?: number;
+  maxItems?: number;
+  title?: string;
+  description?: string;
+}
+
+export type EventSchemaType = "string" | "number" | "integer" | "boolean" | "object" | "array" | "null";
+
+/**
+ * Session attribution settings.
+ */
+export interface AttributionOptions {
+  /**
+   * Referrer domains per channel, replacing the bundled lists (see `DEFAULT_CHANNEL_DOMAINS`). A domain matches its
+   * subdomains too; a trailing `.*` matches any top-level domain (e.g. `"google.*"`).
+   * @example { social: [...DEFAULT_CHANNEL_DOMAINS.social, "social.example.org"] }
+   */
+  channelDomains?: Partial<Record<"paid" | "email" | "social" | "search", string[]>>;
+}
+
+/**
+ * How a session arrived, as written to the session's `channel` field.
+ */
+export type Channel = "paid" | "email" | "social" | "search" | "internal" | "referral" | "direct";
+
+/**
+ * PII redaction settings.
+ */
+export interface RedactionOptions {
+  /**
+   * Built-in detectors to run.
+   * @default ["jwt", "email", "card", "ip", "phone"]
+   */
+  detectors?: Array<"jwt" | "email" | "card" | "ip" | "phone">;
+
+  /**
+   * Query parameters to keep (case-insensitive). When set, every other parameter is removed.
+   */
+  allowQueryParams?: string[];
+
+  /**
+   * Query parameters whose values are replaced (case-insensitive).
+   * @default ["token", "access_token", "id_token", "refresh_token", "auth", "password", "secret", "api_key", "apikey", "key", "code", "signature", "sig", "session", "sessionid"]
+   */
+  denyQueryParams?: string[];
+
+  /**
+   * `customData` keys whose values are replaced at any depth. Case, `-`, `_` and spaces are ignored when matching.
+   * @default ["password", "passwd", "secret", "token", "apiKey", "accessToken", "refreshToken", "authorization", "cookie", "cardNumber", "cvv", "ssn"]
+   */
+  maskKeys?: string[];
+
+  /**
+   * Custom rules, run after the built-in detectors.
+   */
+  rules?: RedactionRule[];
+
+  /**
+   * The text that replaces redacted values.
+   * @default "[REDACTED]"
+   */
+  replacement?: string;
+}
+
+/**
+ * A custom redaction rule.
+ */
+export interface RedactionRule {
+  /**
+   * The name redactions are counted under in debug logs.
+   * @default "custom"
+   */
+  name?: string;
+
+  /**
+   * The pattern to redact. Every match is replaced.
+   */
+  pattern: RegExp | string;
+
+  /**
+   * Overrides the default replacement for this rule.
+   */
+  replacement?: string;
+}
+
+/**
+ * A visitor's explicit consent state. It takes precedence over the `DNT` and `Sec-GPC` headers.
+ */
+export type ConsentState = "granted" | "denied";
+
+/**
+ * Counts of events affected by the consent policy since the SDK started.
+ */
+export interface ConsentStats {
+  /**
+   * Events dropped in `"ignore"` mode.
+   */
+  suppressed: number;
+
+  /**
+   * Events tracked without visitor data in `"aggregate"` mode.
+   */
+  aggregated: number;
+}
+
+/**
+ * A token bucket: a key may send `capacity` events at once, and `refillPerSecond` events per second after that.
+ */
+export interface RateLimit {
+  capacity?: number;
+  refillPerSecond?: number;
+}
+
+/**
+ * Rate limit settings. Each limit can be adjusted, or disabled with `false`.
+ */
+export interface RateLimitOptions {
+  /**
+   * Per client IP address.
+   * @default { capacity: 120, refillPerSecond: 2 }
+   */
+  ip?: RateLimit | boolean;
 
   /**
-   * The password for the PocketBase admin or superuser account.
+   * Per visitor.
+   * @default { capacity: 60, refillPerSecond: 1 }
    */
-  adminPassword?: string;
+  visitor?: RateLimit | boolean;
 
   /**
-   * API key for Chapybara IP geolocation service.
-   * When provided, the SDK will use Chapybara to determine visitor country and state.
-   * Get your API key from the Chapybara dashboard.
-   * Note: The key must be set manually here since dashboard keys are encrypted.
-   * @example "ck_your_api_key_here"
+   * Per visitor and event name (the event type for page views).
+   * @default { capacity: 20, refillPerSecond: 0.5 }
    */
-  chapybaraApiKey?: string;
+  event?: RateLimit | boolean;
 
   /**
-   * Set to `true` to enable event batching for better performance.
-   * @default false
+   * What happens to events over a limit: `"drop"` drops them, `"sample"` keeps a random `sampleRate` share of them.
+   * @default "drop"
    */
-  batch?: boolean;
+  action?: "drop" | "sample";
 
   /**
-   * The interval in milliseconds at which to send batched events.
-   * @default 10000 (10 seconds)
+   * The share of events over a limit kept with `action: "sample"`.
+   * @default 0.1
    */
-  batchInterval?: number;
+  sampleRate?: number;
 
   /**
-   * The maximum number of events to hold in the queue before flushing.
-   * @default 100
+   * The maximum number of buckets kept per limit; the least recently used are evicted first.
+   * @default 10000
    */
-  maxBatchSize?: number;
+  maxBuckets?: number;
+}
+
+/**
+ * Rate limit counts of a site, returned by `getRateLimitStats`.
+ */
+export interface RateLimitStats {
+  /** Events dropped by the per-IP limit. */
+  ip: number;
+  /** Events dropped by the per-visitor limit. */
+  visitor: number;
+  /** Events dropped by the per-event limit. */
+  event: number;
+  /** Events over a limit that were kept by `action: "sample"`. */
+  sampled: number;
+}
+
+/**
+ * The built-in bot detection rules.
+ */
+export type BotRuleName = "knownBot" | "missingUserAgent" | "longUserAgent" | "botPattern" | "unparsedUserAgent" | "botDevice" | "unknownBrowser" | "outdatedBrowser" | "missingBrowserHeaders" | "missingAcceptLanguage" | "unusualAccept" | "wildcardAccept" | "automationHeader" | "headlessPlatform" | "missingFetchMetadata" | "connectionClose" | "botReferer";
+
+/**
+ * Conditions on a request; all of them must hold. Strings match case-insensitively as substrings.
+ */
+export interface BotMatcher {
+  /** Matches the user agent. */
+  userAgent?: string | RegExp;
+  /** Matches headers by lowercase name: `true` requires the header, `false` requires its absence. */
+  headers?: Record<string, string | RegExp | boolean>;
+}
+
+/**
+ * A user-defined rule that adds `weight` to the score of matching requests.
+ */
+export interface BotCustomRule extends BotMatcher {
+  /** The rule name, reported in `BotClassification.rules`. Must not be a built-in rule name. */
+  name: string;
+  /** The score added; may be negative. */
+  weight: number;
+}
+
+/**
+ * Requests that are never treated as bots, such as your own uptime monitors.
+ */
+export interface BotAllowlistEntry extends BotMatcher {
+  /** The name reported as `allowlistedBy`. */
+  name?: string;
+}
 
+/**
+ * Bot detection settings.
+ */
+export interface BotDetectionOptions {
   /**
-   * The duration in milliseconds before a visitor's session is considered expired.
-   * @default 1800000 (30 minutes)
+   * The score from which a request is treated as a bot.
+   * @default 70
    */
-  sessionTimeoutMs?: number;
+  threshold?: number;
 
   /**
-   * The interval in milliseconds at which to send batched JavaScript error reports.
-   * @default 300000 (5 minutes)
+   * Overrides the weights of built-in rules. A weight of `0` disables a rule.
    */
-  jsErrorBatchInterval?: number;
+  weights?: Partial<Record<BotRuleName, number>>;
 
   /**
-   * Set to `true` to enable verbose logging for debugging.
-   * Error logs are always enabled.
-   * @default false
+   * Requests that are never treated as bots. Checked before any rule.
    */
-  debug?: boolean;
+  allowlist?: BotAllowlistEntry[];
+
+  /**
+   * Extra rules, scored together with the built-in ones.
+   */
+  rules?: BotCustomRule[];
+}
+
+/**
+ * Bot hit settings.
+ */
+export interface BotHitOptions {
+  /**
+   * The length in milliseconds of the time windows hits are counted in; at least one minute.
+   * @default 3600000 (1 hour)
+   */
+  windowMs?: number;
+}
+
+/**
+ * The result of bot detection for a request, returned by `classifyRequest`.
+ */
+export interface BotClassification {
+  /** The sum of the scores of the rules that fired, from 0 to 100. */
+  score: number;
+  /** The score from which a request is treated as a bot. */
+  threshold: number;
+  /** Whether events of the request are ignored. */
+  isBot: boolean;
+  verdict: "bot" | "human" | "allowlisted";
+  /** The rules that fired and the score each added. Empty for allowlisted requests. */
+  rules: Array<{ name: BotRuleName | string; score: number }>;
+  /** The name of the allowlist entry that matched. */
+  allowlistedBy?: string;
+}
+
+/**
+ * Rotating salt settings for visitor IDs.
+ */
+export interface RotatingSaltOptions {
+  /**
+   * How long a salt is used, in milliseconds. Periods are aligned to the Unix epoch (UTC midnight for daily salts).
+   * @default 86400000
+   */
+  periodMs?: number;
+
+  /**
+   * The PocketBase collection storing the salts. It needs a number field `period` with a unique index and a text field `salt`.
+   * @default "visitor_salts"
+   */
+  collection?: string;
+}
+
+/**
+ * Retry policy for PocketBase writes.
+ */
+export interface RetryOptions {
+  /**
+   * How many times a retryable failure is retried before giving up.
+   * Set to `0` to disable retries.
+   * @default 3
+   */
+  maxRetries?: number;
+
+  /**
+   * The base delay in milliseconds for the exponential backoff.
+   * @default 200
+   */
+  baseDelayMs?: number;
+
+  /**
+   * The upper bound in milliseconds for a single backoff delay.
+   * @default 5000
+   */
+  maxDelayMs?: number;
+}
+
+/**
+ * Circuit breaker thresholds for PocketBase writes.
+ */
+export interface CircuitBreakerOptions {
+  /**
+   * Consecutive failed calls (after retries) before the circuit opens.
+   * @default 5
+   */
+  failureThreshold?: number;
+
+  /**
+   * How long in milliseconds the circuit stays open before probing PocketBase again.
+   * @default 30000 (30 seconds)
+   */
+  resetTimeoutMs?: number;
+}
+
+/**
+ * A payload that could not be written to PocketBase.
+ */
+export interface DeadLetter {
+  /**
+   * What kind of payload failed.
+   */
+  kind: "event" | "jsError" | "botHit" | "sessionEnd" | "pageEngagement";
+
+  /**
+   * The payload that failed.
+   */
+  payload: Record<string, any>;
+
+  /**
+   * The error message of the last failure.
+   */
+  error: string;
+
+  /**
+   * The HTTP status of the last failure, if any. `0` means a network failure.
+   */
+  status?: number;
+
+  /**
+   * When the payload was moved to the dead-letter list (ISO 8601).
+   */
+  failedAt: string;
+}
+
+/**
+ * Options for the collector request handlers.
+ */
+export interface CollectorOptions {
+  /**
+   * Only handle requests to this path; others are passed to `next` (or answered with 404 on plain `node:http`).
+   * The Fastify plugin registers its route here and defaults to `/api/event`.
+   * @example "/api/event"
+   */
+  path?: string;
+
+  /**
+   * The maximum accepted request body size in bytes.
+   * @default 32768 (32 KB)
+   */
+  maxBodyBytes?: number;
+
+  /**
+   * Origins allowed to send events cross-origin. Use `"*"` to allow any origin.
+   * By default, only origins on the website's `domain` (and its subdomains) are allowed.
+   * @example ["https://www.example.com", "https://app.example.com"]
+   */
+  allowedOrigins?: string[];
+
+  /**
+   * How long in seconds browsers may cache the CORS preflight response.
+   * @default 86400 (24 hours)
+   */
+  corsMaxAge?: number;
+}
+
+/**
+ * Options for the browser script handler.
+ */
+export interface ClientScriptOptions {
+  /**
+   * Only serve the script on this path; other requests are passed to `next` (or answered with 404).
+   * @example "/skopos.js"
+   */
+  path?: string;
+
+  /**
+   * The `Cache-Control` max-age in seconds.
+   * @default 3600 (1 hour)
+   */
+  maxAge?: number;
+
+  /**
+   * The collector URL the served script sends events to when its tag has no `data-endpoint` attribute.
+   * @default "/api/event"
+   * @example "https://collect.example.com/api/event"
+   */
+  endpoint?: string;
 }
 
 /**
@@ -79,12 +1062,14 @@ export interface SkoposSDKOptions {
  */
 export interface ApiEventPayload {
   /**
-   * The type of event. 'pageView', 'custom', or 'jsError'.
+   * The type of event. 'pageView', 'custom', 'jsError', or 'revenue'. 'heartbeat' (sent while the page
+   * is visible) and 'engagement' (sent when the page is hidden or left) report `visibleTime` and `maxScroll`
+   * for the visitor's current page view; they extend the session but are not stored as events.
    */
-  type: "pageView" | "custom" | "jsError";
+  type: "pageView" | "custom" | "jsError" | "revenue" | "heartbeat" | "engagement";
 
   /**
-   * The name of the event. Required for 'custom' events.
+   * The name of the event. Required for 'custom' events; defaults to "purchase" for 'revenue' events.
    * @example "add-to-cart"
    */
   name: string;
@@ -129,6 +1114,88 @@ export interface ApiEventPayload {
    * The error stack trace, for 'jsError' events.
    */
   stackTrace?: string;
+
+  /**
+   * A random, client-generated visitor ID (8-128 characters of `A-Z a-z 0-9 _ -`), used by the `"client"` identity strategy.
+   */
+  anonymousId?: string;
+
+  /**
+   * The visitor's consent state, e.g. from your consent banner.
+   */
+  consent?: ConsentState;
+
+  /**
+   * The order, required for 'revenue' events.
+   */
+  revenue?: RevenueData;
+
+  /**
+   * How long the page has been visible in total, in milliseconds, for 'heartbeat' and 'engagement' events.
+   * Clamped to 24 hours. At least 10 seconds makes the session engaged.
+   */
+  visibleTime?: number;
+
+  /**
+   * The deepest scroll position reached on the page, in percent (0-100), for 'heartbeat' and 'engagement' events.
+   */
+  maxScroll?: number;
+}
+
+/**
+ * An order reported with a revenue event. Invalid data rejects the whole event.
+ */
+export interface RevenueData {
+  /**
+   * Your order ID (up to 128 characters). An order ID is only recorded once.
+   */
+  orderId: string;
+
+  /**
+   * The order total, a finite number from 0 to 1e12, in the major unit of `currency`.
+   * @example 49.9
+   */
+  amount: number;
+
+  /**
+   * An ISO 4217 currency code, e.g. "EUR". Lower case is accepted.
+   */
+  currency: string;
+
+  /**
+   * Up to 100 line items.
+   */
+  items?: RevenueItem[];
+}
+
+/**
+ * A line item of a revenue event.
+ */
+export interface RevenueItem {
+  /** Your product or SKU ID (up to 128 characters). */
+  id: string;
+  /** The unit price, in the order's currency. */
+  price: number;
+  /** An integer from 1 to 1,000,000. */
+  quantity: number;
+  name?: string;
+  category?: string;
+}
+
+/**
+ * Options of `trackServerEvent`.
+ */
+export interface ServerEventOptions {
+  /**
+   * Records the event as a revenue event for this order.
+   */
+  revenue?: RevenueData;
+
+  /**
+   * A reference from `getVisitorRef`. The event is attributed to that visitor's session instead of
+   * the request's sender, whose IP address and user agent are then not used.
+   */
+  visitorRef?: string;
 }
 
 /**
@@ -160,6 +1227,17 @@ export interface IdentifyData {
    * @example { accountTier: "premium", signupSource: "google" }
    */
   metadata?: Record<string, any>;
+
+  /**
+   * The visitor's consent state. The visitor is not identified without consent.
+   */
+  consent?: ConsentState;
+
+  /**
+   * The `anonymousId` the browser sends with its events, so the `"client"` identity strategy
+   * identifies the same visitor.
+   */
+  anonymousId?: string;
 }
 
 /**
@@ -186,18 +1264,42 @@ declare class SkoposSDK {
    * The payload will be validated and sanitized; invalid or untrusted data will be rejected at runtime.
    * @param {IncomingMessage} req - The incoming HTTP request object from your server.
    * @param {ApiEventPayload} payload - The event data, typically from `req.body`.
+   * @param {string} [siteId] - Optional tracking ID of a configured site. When omitted, the site is chosen from the payload URL's hostname.
    */
-  trackApiEvent(req: IncomingMessage, payload: ApiEventPayload): void;
+  trackApiEvent(req: IncomingMessage, payload: ApiEventPayload, siteId?: string): void;
 
   /**
    * Tracks an event that occurs exclusively on the server (e.g., webhook, cron job).
    * It uses the request object to create a session for the user if one doesn't exist.
    * @param {IncomingMessage} req - The incoming HTTP request object.
    * @param {string} eventName - A descriptive name for the server-side event.
+   * @param {string} [siteId] - Optional tracking ID of a configured site to override the one set during initialization.
    * @param {Record<string, any>} [customData] - Optional custom data for the event.
-   * @param {string} [siteId] - Optional site ID to override the one set during initialization.
+   * @param {ServerEventOptions} [options] - Optional revenue data and visitor reference.
+   * @example
+   * skopos.trackServerEvent(req, 'purchase', undefined, {}, {
+   *   revenue: { orderId: order.id, amount: 49.9, currency: 'EUR' },
+   *   visitorRef: order.metadata.visitorRef,
+   * });
+   */
+  trackServerEvent(req: IncomingMessage, eventName: string, siteId?: string, customData?: Record<string, any>, options?: ServerEventOptions): void;
+
+  /**
+   * Returns a reference to the visitor of a request, to pass as `visitorRef` to `trackServerEvent`
+   * when a later request on their behalf, such as a payment webhook, is tracked.
+   * @param {IncomingMessage} req - The incoming HTTP request object.
+   * @param {string} [siteId] - Optional tracking ID of a configured site; defaults to the primary site.
+   * @param {string} [anonymousId] - The visitor's `anonymousId`, for the `"client"` identity strategy.
+   * @returns {Promise<string | null>} The reference, or null if the site is not configured, the `anonymousId` is invalid, or the visitor has not consented to tracking.
+   */
+  getVisitorRef(req: IncomingMessage, siteId?: string, anonymousId?: string): Promise<string | null>;
+
+  /**
+   * Scores a request with the bot detection rules, exactly as tracked events are scored.
+   * @param {IncomingMessage} req - The incoming HTTP request object.
+   * @returns {BotClassification} The score, the verdict, and the rules that fired.
    */
-  trackServerEvent(req: IncomingMessage, eventName: string, customData?: Record<string, any>, siteId?: string): void;
+  classifyRequest(req: IncomingMessage): BotClassification;
 
   /**
    * Associates an anonymous visitor with user identification data.
@@ -205,20 +1307,59 @@ declare class SkoposSDK {
    * This enables tracking user journeys across multiple sessions and devices.
    * @param {IncomingMessage} req - The incoming HTTP request object.
    * @param {string} userId - Your internal user ID (e.g., from your database).
-   * @param {IdentifyData} [userData] - Optional user data (name, email, phone, metadata).
+   * @param {IdentifyData} [userData] - Optional user data (name, email, phone, metadata), the consent state and the `anonymousId`.
    * @returns {Promise<void>}
    * @example
    * await skopos.identify(req, 'user_123', { name: 'John Doe', email: 'john@example.com' });
    */
-  identify(req: IncomingMessage, userId: string, userData?: IdentifyData): Promise<void>;
+  identify(req: IncomingMessage, userId: string, userData?: IdentifyData, siteId?: string): Promise<void>;
 
   /**
    * Manually sends all events currently in the queue.
    * This is called automatically by the batch interval and max batch size.
+   * Uses PocketBase's batch API when it is enabled on the server.
    * @returns {Promise<void>}
    */
   flush(): Promise<void>;
 
+  /**
+   * Returns the payloads that failed to reach storage after all retries, oldest first.
+   * @returns {DeadLetter[]} A copy of the dead-letter list.
+   */
+  getDeadLetters(): DeadLetter[];
+
+  /**
+   * Empties the dead-letter list.
+   * @returns {DeadLetter[]} The entries that were removed.
+   */
+  clearDeadLetters(): DeadLetter[];
+
+  /**
+   * Returns how many events of a site were dropped or tracked without visitor data because of the consent policy.
+   * The counts are kept in memory and start at zero with every process.
+   * @param {string} [siteId] - Optional tracking ID of a configured site; defaults to the primary site.
+   * @returns {ConsentStats | null} A copy of the counts, or null if the site is not configured.
+   */
+  getConsentStats(siteId?: string): ConsentStats | null;
+
+  /**
+   * Returns how many events of a site were dropped by each rate limit, and how many over a limit were kept by sampling.
+   * The counts are kept in memory and start at zero with every process.
+   * @param {string} [siteId] - Optional tracking ID of a configured site; defaults to the primary site.
+   * @returns {RateLimitStats | null} A copy of the counts, or null if the site is not configured.
+   */
+  getRateLimitStats(siteId?: string): RateLimitStats | null;
+
+  /**
+   * Makes sure the visitor has a signed identity cookie when the `"cookie"` identity strategy is enabled.
+   * If the request has no valid cookie, a new one is created, used for events tracked with this request,
+   * and set on `res` when given. The collector handlers call this automatically.
+   * @param {IncomingMessage} req - The incoming HTTP request object.
+   * @param {ServerResponse} [res] - The response to set the cookie on.
+   * @returns {string | null} The `Set-Cookie` header value for a new cookie, or null if none is needed.
+   */
+  issueIdentityCookie(req: IncomingMessage, res?: ServerResponse): string | null;
+
   /**
    * Gracefully shuts down the SDK by clearing the batching timer and flushing any remaining events.
    * Call this before your application exits.
@@ -227,4 +1368,140 @@ declare class SkoposSDK {
   shutdown(): Promise<void>;
 }
 
+/**
+ * The default storage adapter, backed by PocketBase.
+ */
+export declare class PocketBaseStorage implements StorageAdapter {
+  constructor(options: { url: string; adminEmail?: string; adminPassword?: string; useBatchApi?: boolean; saltCollection?: string });
+  connect(context: StorageContext): Promise<void>;
+  getWebsite(trackingId: string): Promise<Record<string, any> | null>;
+  updateWebsite(id: string, changes: Record<string, any>): Promise<void>;
+  subscribeWebsite(id: string, onUpdate: (record: Record<string, any>) => void): Promise<void>;
+  findVisitor(visitorId: string): Promise<Record<string, any> | null>;
+  createVisitor(data: Record<string, any>): Promise<{ id: string; [key: string]: any }>;
+  updateVisitor(id: string, changes: Record<string, any>): Promise<void>;
+  createSession(data: Record<string, any>): Promise<{ id: string; [key: string]: any }>;
+  updateSession(id: string, changes: Record<string, any>): Promise<void>;
+  updateSessions(updates: Array<{ id: string; changes: Record<string, any> }>): Promise<Array<any>>;
+  createEvents(events: Array<Record<string, any>>): Promise<Array<any>>;
+  updateEvents(updates: Array<{ id: string; changes: Record<string, any> }>): Promise<Array<any>>;
+  hasOrder(website: string, orderId: string): Promise<boolean>;
+  saveJsErrors(website: string, errors: JsErrorWrite[]): Promise<Array<any>>;
+  saveBotHits(website: string, hits: BotHitWrite[]): Promise<Array<any>>;
+  getSalt(period: number): Promise<string | null>;
+  createSalt(period: number, salt: string): Promise<string>;
+  pruneSalts(beforePeriod: number): Promise<void>;
+  healthCheck(): Promise<void>;
+  close(): Promise<void>;
+}
+
+/**
+ * A storage adapter that keeps every record in memory.
+ */
+export declare class MemoryStorage implements StorageAdapter {
+  constructor(options?: { websites?: WebsiteConfig[] });
+
+  /**
+   * Returns copies of the records of a collection (`websites`, `visitors`, `sessions`, `events`, `js_errors`, `bot_hits`, `visitor_salts`), oldest first.
+   */
+  list(collection: string): Array<Record<string, any>>;
+
+  connect(context: StorageContext): Promise<void>;
+  getWebsite(trackingId: string): Promise<Record<string, any> | null>;
+  updateWebsite(id: string, changes: Record<string, any>): Promise<void>;
+  subscribeWebsite(id: string, onUpdate: (record: Record<string, any>) => void): Promise<void>;
+  findVisitor(visitorId: string): Promise<Record<string, any> | null>;
+  createVisitor(data: Record<string, any>): Promise<{ id: string; [key: string]: any }>;
+  updateVisitor(id: string, changes: Record<string, any>): Promise<void>;
+  createSession(data: Record<string, any>): Promise<{ id: string; [key: string]: any }>;
+  updateSession(id: string, changes: Record<string, any>): Promise<void>;
+  updateSessions(updates: Array<{ id: string; changes: Record<string, any> }>): Promise<Array<any>>;
+  createEvents(events: Array<Record<string, any>>): Promise<Array<any>>;
+  updateEvents(updates: Array<{ id: string; changes: Record<string, any> }>): Promise<Array<any>>;
+  hasOrder(website: string, orderId: string): Promise<boolean>;
+  saveJsErrors(website: string, errors: JsErrorWrite[]): Promise<Array<any>>;
+  saveBotHits(website: string, hits: BotHitWrite[]): Promise<Array<any>>;
+  getSalt(period: number): Promise<string | null>;
+  createSalt(period: number, salt: string): Promise<string>;
+  pruneSalts(beforePeriod: number): Promise<void>;
+  healthCheck(): Promise<void>;
+  close(): Promise<void>;
+}
+
+/**
+ * A storage adapter that appends every change to newline-delimited JSON files and rebuilds
+ * visitors, sessions, JS errors and salts from them on connect. Events are written but not kept in memory.
+ */
+export declare class JsonlStorage extends MemoryStorage {
+  constructor(options: { dir: string; websites?: WebsiteConfig[] });
+}
+
+/**
+ * A rejected storage operation, thrown by the memory and JSONL adapters.
+ */
+export declare class StorageError extends Error {
+  constructor(status: number, message: string, field?: string);
+  status: number;
+  field?: string;
+}
+
+/**
+ * Creates a request handler that receives browser events and passes them to `trackApiEvent`.
+ * Works with `node:http` and as Connect/Express middleware. Accepts JSON sent as
+ * `application/json` or `text/plain` (sendBeacon), answers CORS preflights for the website's
+ * domain, and responds with 204 on success or 400/403/405/413/415 for rejected requests.
+ * @param {SkoposSDK} sdk - The initialized SDK instance.
+ * @param {CollectorOptions} [options] - Collector options.
+ * @example
+ * http.createServer(createCollectorHandler(skopos, { path: "/api/event" })).listen(3000);
+ */
+export function createCollectorHandler(sdk: SkoposSDK, options?: CollectorOptions): (req: IncomingMessage, res: ServerResponse, next?: (err?: any) => void) => Promise<void>;
+
+/**
+ * Creates Express middleware for the collector. Reuses bodies parsed by `express.json()` or `express.text()`.
+ * @param {SkoposSDK} sdk - The initialized SDK instance.
+ * @param {CollectorOptions} [options] - Collector options.
+ * @example
+ * app.use(createExpressCollector(skopos, { path: "/api/event" }));
+ */
+export function createExpressCollector(sdk: SkoposSDK, options?: CollectorOptions): (req: any, res: any, next: (err?: any) => void) => Promise<void>;
+
+/**
+ * Creates a Fastify plugin that registers the collector route and a `text/plain` body parser.
+ * @param {SkoposSDK} sdk - The initialized SDK instance.
+ * @param {CollectorOptions} [options] - Collector options. `path` defaults to `/api/event`.
+ * @example
+ * await fastify.register(createFastifyCollector(skopos));
+ */
+export function createFastifyCollector(sdk: SkoposSDK, options?: CollectorOptions): (fastify: any) => Promise<void>;
+
+/**
+ * Creates Koa middleware for the collector. Reuses bodies parsed by `koa-bodyparser` when present.
+ * @param {SkoposSDK} sdk - The initialized SDK instance.
+ * @param {CollectorOptions} [options] - Collector options.
+ * @example
+ * app.use(createKoaCollector(skopos, { path: "/api/event" }));
+ */
+export function createKoaCollector(sdk: SkoposSDK, options?: CollectorOptions): (ctx: any, next: () => Promise<any>) => Promise<void>;
+
+/**
+ * The bundled referrer domains per channel, used to classify sessions unless overridden with `attribution.channelDomains`.
+ */
+export const DEFAULT_CHANNEL_DOMAINS: Readonly<Record<"paid" | "email" | "social" | "search", readonly string[]>>;
+
+/**
+ * Returns the source of the bundled browser tracking script, e.g. for inlining or custom bundling.
+ * @returns {string} The script source.
+ */
+export function getClientScript(): string;
+
+/**
+ * Creates a request handler that serves the bundled browser tracking script with caching headers.
+ * Works with `node:http` and as Connect/Express middleware.
+ * @param {ClientScriptOptions} [options] - Handler options.
+ * @example
+ * app.use(createClientScriptHandler({ path: "/skopos.js" }));
+ */
+export function createClientScriptHandler(options?: ClientScriptOptions): (req: IncomingMessage, res: ServerResponse, next?: (err?: any) => void) => void;
+
 export default SkoposSDK;
@@ -1,19 +1,30 @@
 const { EventSource } = require("eventsource");
 global.EventSource = EventSource;
 
-const PocketBase = require("pocketbase/cjs");
-const { ChapybaraClient } = require("chapybara");
 const ipaddr = require("ipaddr.js");
 const { createHash } = require("node:crypto");
-const { detectBot, parseUserAgent, extractRequestData, generateVisitorId, validateAndSanitizeApiPayload, getSanitizedDomain, clearBotCache } = require("./modules/utils");
+const { parseUserAgent, extractRequestData, generateVisitorId, isAnonymousId, validateAndSanitizeApiPayload, validateAndSanitizeRevenue } = require("./modules/utils");
+const { resolveBotDetectionOptions, BotClassifier, resolveBotHitOptions, createBotHit } = require("./modules/bots");
+const { EventSpool } = require("./modules/spool");
+const { CircuitBreaker, CircuitOpenError, isRetryableError, resolveRetryOptions, withRetry } = require("./modules/retry");
+const { createCollectorHandler, createExpressCollector, createFastifyCollector, createKoaCollector } = require("./modules/collector");
+const { getClientScript, createClientScriptHandler } = require("./modules/client");
+const { resolveTrustedProxies, resolveTrustedHeaders, resolveClientIp, compileIpMatcher, matchesIp } = require("./modules/ip");
+const { RotatingSalt, resolveSaltOptions } = require("./modules/salt");
+const { resolveIdentityOptions, readIdentityCookie, createIdentityCookie, hashVisitorKey, formatVisitorRef, parseVisitorRef } = require("./modules/identity");
+const { resolveGeoProvider } = require("./modules/geo");
+const { CONSENT_HEADERS, resolveConsentOptions, isConsentState, resolveConsentDecision } = require("./modules/consent");
+const { resolveRedactionOptions, redactQueryParam, redactEventData } = require("./modules/redaction");
+const { resolvePathOptions, normalizePath } = require("./modules/paths");
+const { resolveEventSchemaOptions, validateCustomEvent } = require("./modules/schemas");
+const { resolveSamplingOptions, getSampleRate, isSampledIn } = require("./modules/sampling");
+const { resolveRateLimitOptions, RateLimiter } = require("./modules/ratelimit");
+const { isEngagementEvent, createPageViewEngagement, foldEngagement, isEngagedPageView } = require("./modules/engagement");
+const { DEFAULT_CHANNEL_DOMAINS, resolveAttributionOptions, extractCampaign, resolveSessionAttribution } = require("./modules/attribution");
+const { createSiteState, applyWebsiteRecord, matchesSiteDomain } = require("./modules/sites");
+const { resolveStorage, createRecordId, PocketBaseStorage, MemoryStorage, JsonlStorage, StorageError } = require("./modules/storage");
 const packageInfo = require("./package.json");
 
-const VISITORS_COLLECTION = "visitors";
-const SESSIONS_COLLECTION = "sessions";
-const EVENTS_COLLECTION = "events";
-const ERRORS_COLLECTION = "js_errors";
-
-const WWW_PREFIX_PATTERN = /^www\./;
 const CONTROL_CHARS_PATTERN = /[\x00-\x1F\x7F-\x9F]/g;
 const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 
@@ -22,13 +33,26 @@ const DEFAULT_MAX_BATCH_SIZE = 100;
 const DEFAULT_SESSION_TIMEOUT_MS = 1000 * 60 * 30;
 const DEFAULT_ERROR_BATCH_INTERVAL_MS = 1000 * 60 * 5;
 const SESSION_CACHE_CLEANUP_INTERVAL_MS = 1000 * 60 * 5;
-const AUTH_CHECK_INTERVAL_MS = 1000 * 60 * 10;
 const VISITOR_CACHE_TTL_MS = 1000 * 60 * 15;
 const VISITOR_CACHE_MAX_SIZE = 2000;
 const VISITOR_CACHE_CLEANUP_THRESHOLD = 200;
 const SESSION_CACHE_MAX_SIZE = 5000;
 const JS_ERROR_QUEUE_MAX_SIZE = 100;
+const BOT_HIT_QUEUE_MAX_SIZE = 500;
 const EVENT_QUEUE_MAX_SIZE = 500;
+const CIRCUIT_BUFFER_MAX_SIZE = 1000;
+const DEFAULT_DEAD_LETTER_MAX_SIZE = 100;
+const GEO_CACHE_MAX_SIZE = 5000;
+const GEO_CACHE_TTL_MS = 1000 * 60 * 60;
+const RECENT_ORDER_IDS_MAX_SIZE = 10000;
+const UNKNOWN_LOCATION = Object.freeze({ country: "Unknown", state: "Unknown" });
+
+/**
+ * @typedef {object} VisitorIdentity
+ * @property {string} visitorId The hashed visitor ID.
+ * @property {string | null} previousVisitorId The ID under the previous rotating salt, if any.
+ * @property {'client' | 'cookie' | 'hash'} source The identity strategy that produced the ID.
+ */
 
 /**
  * The main Skopos SDK class for server-side event tracking.
@@ -42,50 +66,70 @@ class SkoposSDK {
    */
   constructor(options) {
     this.startTime = Date.now();
-    if (!options.pocketbaseUrl) {
-      console.error("SkoposSDK: 'pocketbaseUrl' is a required option.");
-      throw new Error("SkoposSDK: 'pocketbaseUrl' is required.");
-    }
+    this.storage = resolveStorage(options);
 
     this.debug = options.debug ?? false;
     this._log("info", "Instance created. Debug mode enabled.");
 
-    this.pb = new PocketBase(options.pocketbaseUrl);
     this.siteId = options.siteId;
-    this.adminEmail = options.adminEmail;
-    this.adminPassword = options.adminPassword;
-    this.websiteRecordId = null;
-    this.domain = null;
-    this.disableLocalhostTracking = false;
-    this.isArchived = false;
-    this.ipBlacklist = [];
-    this.ipBlacklistSet = new Set();
-    this.storeRawIp = false;
+    this.sites = new Map();
+    for (const siteId of [options.siteId, ...(options.siteIds || [])]) {
+      if (siteId && !this.sites.has(siteId)) {
+        this.sites.set(siteId, createSiteState(siteId));
+      }
+    }
+    this.trustedProxies = resolveTrustedProxies(options.trustedProxies);
+    this.trustedHeaders = resolveTrustedHeaders(options.trustedHeaders);
+    this.ipBlacklistMatcher = compileIpMatcher(options.ipBlacklist || [], (entry) => {
+      throw new Error(`SkoposSDK: Invalid ipBlacklist entry "${entry}".`);
+    });
+    const saltSettings = resolveSaltOptions(options.rotatingSalt);
+    this.rotatingSalt = saltSettings ? new RotatingSalt(saltSettings, this._createSaltStore()) : null;
+    this.identity = resolveIdentityOptions(options.identity);
+    this.consent = resolveConsentOptions(options.consent);
+    this.redaction = resolveRedactionOptions(options.redaction);
+    this.pathSettings = resolvePathOptions(options.paths);
+    this.eventSchemas = resolveEventSchemaOptions(options.eventSchemas);
+    this.sampling = resolveSamplingOptions(options.sampling);
+    const rateLimitSettings = resolveRateLimitOptions(options.rateLimit);
+    this.rateLimiter = rateLimitSettings ? new RateLimiter(rateLimitSettings) : null;
+    this.attribution = resolveAttributionOptions(options.attribution);
+    this.botClassifier = new BotClassifier(resolveBotDetectionOptions(options.botDetection));
+    this.botHits = resolveBotHitOptions(options.botHits);
+    if (this.botHits && typeof this.storage.saveBotHits !== "function") {
+      throw new Error("SkoposSDK: 'botHits' needs a storage adapter that implements saveBotHits.");
+    }
+    this.issuedIdentityCookies = new WeakMap();
     this.sessionTimeout = options.sessionTimeoutMs ?? DEFAULT_SESSION_TIMEOUT_MS;
-    this.sessionCache = new Map();
     this.visitorCreationLocks = new Map();
-    this.visitorCache = new Map();
+    this.recentOrderIds = new Set();
     this.eventQueue = [];
     this.jsErrorQueue = new Map();
+    this.botHitQueue = new Map();
+    this.endedSessionQueue = [];
+    this.pageEngagementQueue = [];
+    this.sessionUpdateFlush = Promise.resolve();
     this.eventTimer = null;
     this.cacheTimer = null;
     this.visitorCacheTimer = null;
     this.jsErrorTimer = null;
-    this.authCheckTimer = null;
-    this.lastAuthCheck = 0;
-
-    this.chapybara = null;
-    if (options.chapybaraApiKey) {
-      this.chapybara = new ChapybaraClient({
-        apiKey: options.chapybaraApiKey,
-        cacheOptions: {
-          max: 1000,
-          ttl: 1000 * 60 * 5,
-        },
-      });
-      this._log("info", "Chapybara client initialized for IP geolocation.");
+    this.botHitTimer = null;
+    this.spool = options.spoolDir ? new EventSpool(options.spoolDir, (error) => this._log("error", "Failed to sync the spool to disk.", error)) : null;
+    this.eventSpoolIds = new WeakMap();
+    this.retryOptions = resolveRetryOptions(options.retry);
+    this.circuitBreaker = new CircuitBreaker(options.circuitBreaker, (state) => this._onCircuitStateChange(state));
+    this.circuitProbeTimer = null;
+    this.circuitBuffer = [];
+    this.isDrainingCircuitBuffer = false;
+    this.deadLetters = [];
+    this.deadLetterMaxSize = options.deadLetterMaxSize ?? DEFAULT_DEAD_LETTER_MAX_SIZE;
+
+    this.geoProvider = resolveGeoProvider(options, (level, ...args) => this._log(level, ...args));
+    this.geoCache = new Map();
+    if (this.geoProvider) {
+      this._log("info", "Geolocation provider initialized.");
     } else {
-      this._log("warn", "No Chapybara API key provided. Country and state will be 'Unknown'.");
+      this._log("warn", "No geolocation provider configured. Country and state will be 'Unknown'.");
     }
 
     this.batchingEnabled = options.batch ?? false;
@@ -96,15 +140,16 @@ class SkoposSDK {
 
     if (this.batchingEnabled) {
       this._log("info", `Batching enabled. Interval: ${this.batchInterval}ms, Max size: ${this.maxBatchSize}.`);
-      this.eventTimer = setInterval(() => this.flushEvents(), this.batchInterval);
+      this.eventTimer = setInterval(() => this.flushEvents().catch((error) => this._log("error", "Failed to flush events.", error)), this.batchInterval);
     } else {
       this._log("info", "Batching disabled. Events will be sent immediately.");
     }
     this.cacheTimer = setInterval(() => this._cleanSessionCache(), SESSION_CACHE_CLEANUP_INTERVAL_MS);
     this.visitorCacheTimer = setInterval(() => this._cleanVisitorCache(), SESSION_CACHE_CLEANUP_INTERVAL_MS);
     this.jsErrorTimer = setInterval(() => this._flushJsErrors(), jsErrorBatchInterval);
-
-    this.authCheckTimer = setInterval(() => this._proactiveAuthRefresh(), AUTH_CHECK_INTERVAL_MS);
+    if (this.botHits) {
+      this.botHitTimer = setInterval(() => this._flushBotHits(), jsErrorBatchInterval);
+    }
   }
 
   /**
@@ -156,78 +201,136 @@ class SkoposSDK {
     const sdk = new SkoposSDK(options);
     sdk._log("info", "Initializing...");
 
-    if (options.adminEmail && options.adminPassword) {
-      try {
-        sdk._log("debug", "Attempting admin authentication...");
-        await sdk.pb.collection("_superusers").authWithPassword(options.adminEmail, options.adminPassword);
-        sdk.pb.autoCancellation(false);
-        sdk._log("info", "Admin authentication successful.");
-      } catch (error) {
-        sdk._log("error", "Admin authentication failed.", error);
-        throw new Error("SkoposSDK: Could not authenticate with PocketBase.");
+    try {
+      await sdk.storage.connect?.({
+        call: (operation) => sdk._callStorage(operation),
+        log: (level, ...args) => sdk._log(level, ...args),
+      });
+
+      for (const site of sdk.sites.values()) {
+        await sdk._loadSite(site);
+      }
+
+      if (sdk.rotatingSalt) {
+        try {
+          await sdk._refreshSalt();
+        } catch (error) {
+          sdk._log("error", "Failed to load the visitor ID salt.", error);
+          throw new Error("SkoposSDK: Could not load the visitor ID salt.");
+        }
       }
+
+      await sdk._replaySpool();
+    } catch (error) {
+      // Stop the timers started by the constructor so a failed init does not keep the process alive.
+      await sdk.shutdown().catch(() => {});
+      throw error;
     }
 
-    try {
-      sdk._log("debug", `Fetching website configuration for siteId: ${options.siteId}`);
-      await sdk._ensureAdminAuth();
-      const websiteRecord = await sdk.pb.collection("websites").getFirstListItem(`trackingId="${options.siteId}"`);
-      sdk.websiteRecordId = websiteRecord.id;
-      sdk.domain = getSanitizedDomain(websiteRecord.domain);
-      sdk.disableLocalhostTracking = websiteRecord.disableLocalhostTracking;
-      sdk.isArchived = websiteRecord.isArchived || false;
-      sdk.ipBlacklist = websiteRecord.ipBlacklist || [];
-      sdk.ipBlacklistSet = new Set(sdk.ipBlacklist);
-      sdk.storeRawIp = websiteRecord.storeRawIp || false;
-      sdk._log("info", `Successfully loaded configuration for website: ${sdk.domain || sdk.websiteRecordId}`);
+    sdk._log("info", "Initialization complete.");
+    return sdk;
+  }
 
-      try {
-        await sdk.pb.collection("websites").update(sdk.websiteRecordId, {
-          sdkVersion: packageInfo.version,
-        });
-        sdk._log("info", `Updated SDK version to ${packageInfo.version}`);
-      } catch (versionError) {
-        sdk._log("warn", "Failed to update SDK version in database", versionError);
-      }
+  /**
+   * Loads a website's configuration, records the SDK version on it and subscribes to its changes.
+   * @private
+   * @param {import('./modules/sites').SiteState} site The site to load.
+   * @returns {Promise<void>}
+   * @throws {Error} If the website cannot be found or loaded.
+   */
+  async _loadSite(site) {
+    let websiteRecord;
+    try {
+      this._log("debug", `Fetching website configuration for siteId: ${site.siteId}`);
+      websiteRecord = await this.storage.getWebsite(site.siteId);
     } catch (error) {
-      if (error.status === 404) {
-        throw new Error(`SkoposSDK: Website with trackingId "${options.siteId}" not found.`);
-      }
-      sdk._log("error", "Failed to fetch website by trackingId.", error);
+      this._log("error", "Failed to fetch website by trackingId.", error);
       throw new Error("SkoposSDK: Could not initialize with provided siteId.");
     }
+    if (!websiteRecord) {
+      throw new Error(`SkoposSDK: Website with trackingId "${site.siteId}" not found.`);
+    }
+    this._applyWebsiteRecord(site, websiteRecord);
+    this._log("info", `Successfully loaded configuration for website: ${site.domain || site.websiteRecordId}`);
 
     try {
-      sdk._log("debug", `Subscribing to configuration changes for website: ${sdk.websiteRecordId}`);
-      await sdk._ensureAdminAuth();
-      await sdk.pb.collection("websites").subscribe(sdk.websiteRecordId, (e) => {
-        if (e.action === "update") {
-          sdk._log("info", "Received real-time update for website configuration.");
-          sdk.domain = getSanitizedDomain(e.record.domain);
-          sdk.disableLocalhostTracking = e.record.disableLocalhostTracking;
-          sdk.ipBlacklist = e.record.ipBlacklist || [];
-          sdk.ipBlacklistSet = new Set(sdk.ipBlacklist);
-          sdk.isArchived = e.record.isArchived || false;
-          sdk.storeRawIp = e.record.storeRawIp || false;
-        }
+      await this.storage.updateWebsite(site.websiteRecordId, {
+        sdkVersion: packageInfo.version,
+      });
+      this._log("info", `Updated SDK version to ${packageInfo.version}`);
+    } catch (versionError) {
+      this._log("warn", "Failed to update SDK version in database", versionError);
+    }
+
+    if (!this.storage.subscribeWebsite) {
+      return;
+    }
+    try {
+      this._log("debug", `Subscribing to configuration changes for website: ${site.websiteRecordId}`);
+      await this.storage.subscribeWebsite(site.websiteRecordId, (record) => {
+        this._log("info", `Received real-time update for website configuration: ${site.siteId}`);
+        this._applyWebsiteRecord(site, record);
       });
-      sdk._log("info", "Successfully subscribed to configuration changes.");
+      this._log("info", "Successfully subscribed to configuration changes.");
     } catch (err) {
-      sdk._log("error", "Failed to subscribe to website configuration changes.", err);
+      this._log("error", "Failed to subscribe to website configuration changes.", err);
     }
+  }
 
-    sdk._log("info", "Initialization complete.");
-    return sdk;
+  /**
+   * Applies a `websites` record to a site, warning about blacklist entries that cannot be parsed.
+   * @private
+   * @param {import('./modules/sites').SiteState} site The site to update.
+   * @param {object} record The `websites` record.
+   */
+  _applyWebsiteRecord(site, record) {
+    const invalidEntries = applyWebsiteRecord(site, record);
+    if (invalidEntries.length > 0) {
+      this._log("warn", `Ignoring invalid ipBlacklist entries for site "${site.siteId}":`, invalidEntries);
+    }
+  }
+
+  /**
+   * Returns the state of a configured site.
+   * @private
+   * @param {string} [siteId] The tracking ID; defaults to the primary `siteId`.
+   * @returns {import('./modules/sites').SiteState | undefined}
+   */
+  _getSite(siteId) {
+    return this.sites.get(siteId || this.siteId);
+  }
+
+  /**
+   * Finds the configured site an event URL belongs to. Sites whose domain matches the hostname
+   * win over sites without a domain; among those, the primary site is preferred.
+   * @private
+   * @param {string} hostname The hostname of the event URL.
+   * @returns {import('./modules/sites').SiteState | null}
+   */
+  _resolveSiteForHostname(hostname) {
+    let fallback = null;
+    for (const site of this.sites.values()) {
+      if (!matchesSiteDomain(site, hostname)) continue;
+      if (site.domain) {
+        return site;
+      }
+      if (!fallback || site.siteId === this.siteId) {
+        fallback = site;
+      }
+    }
+    return fallback;
   }
 
   /**
    * Tracks an event using the rich data payload from the client-side script.
    * Intended for API routes that collect browser event data.
+   * The website is chosen from the payload URL's hostname unless `siteId` is given.
    * @param {import('http').IncomingMessage} req The incoming HTTP request object.
    * @param {import('./index').ApiEventPayload} payload The event data, e.g. URL, type, etc.
+   * @param {string} [siteId] Optional tracking ID of a configured site to record the event for.
    * @returns {Promise<void>|void}
    */
-  trackApiEvent(req, payload) {
+  trackApiEvent(req, payload, siteId) {
     this._log("debug", "trackApiEvent called.");
     const sanitizedPayload = validateAndSanitizeApiPayload(payload);
 
@@ -235,23 +338,37 @@ class SkoposSDK {
       this._log("warn", "trackApiEvent rejected due to invalid or unsanitized payload.", { payload });
       return;
     }
+    if (sanitizedPayload.type === "custom" && !this._checkEventSchema(sanitizedPayload.name, sanitizedPayload.customData)) {
+      return;
+    }
 
-    if (this.domain) {
-      try {
-        const payloadHostname = new URL(sanitizedPayload.url).hostname;
-        const siteDomain = this.domain.replace(WWW_PREFIX_PATTERN, "");
+    let site;
+    try {
+      const payloadHostname = new URL(sanitizedPayload.url).hostname;
 
-        if (payloadHostname !== siteDomain && !payloadHostname.endsWith(`.${siteDomain}`)) {
-          this._log("warn", `trackApiEvent rejected. Payload URL hostname "${payloadHostname}" does not match site domain "${this.domain}".`);
+      if (siteId) {
+        site = this._getSite(siteId);
+        if (!site) {
+          this._log("error", `trackApiEvent rejected. Site "${siteId}" is not configured.`);
+          return;
+        }
+        if (!matchesSiteDomain(site, payloadHostname)) {
+          this._log("warn", `trackApiEvent rejected. Payload URL hostname "${payloadHostname}" does not match site domain "${site.domain}".`);
+          return;
+        }
+      } else {
+        site = this._resolveSiteForHostname(payloadHostname);
+        if (!site) {
+          this._log("warn", `trackApiEvent rejected. Payload URL hostname "${payloadHostname}" does not match any configured site domain.`);
           return;
         }
-      } catch (e) {
-        this._log("warn", `trackApiEvent rejected due to invalid payload URL: ${sanitizedPayload.url}`);
-        return;
       }
+    } catch (e) {
+      this._log("warn", `trackApiEvent rejected due to invalid payload URL: ${sanitizedPayload.url}`);
+      return;
     }
 
-    const ip = (req.headers["x-forwarded-for"] || req.socket.remoteAddress)?.split(",")[0].trim();
+    const ip = resolveClientIp(req, this.trustedProxies, this.trustedHeaders);
     const userAgent = req.headers["user-agent"];
 
     let path = "";
@@ -263,17 +380,12 @@ class SkoposSDK {
       }
     }
 
-    this._log("debug", "Processing API event with data:", {
-      path,
-      type: sanitizedPayload.type,
-      name: sanitizedPayload.name,
-    });
-
-    this._processAndQueueEvent({
-      siteId: this.siteId,
+    const eventData = this._prepareEventData({
+      siteId: site.siteId,
       ip,
       userAgent,
       headers: req.headers,
+      url: sanitizedPayload.url,
       path,
       type: sanitizedPayload.type,
       name: sanitizedPayload.name,
@@ -284,44 +396,149 @@ class SkoposSDK {
       customData: sanitizedPayload.customData,
       errorMessage: sanitizedPayload.errorMessage,
       stackTrace: sanitizedPayload.stackTrace,
+      anonymousId: sanitizedPayload.anonymousId,
+      consent: sanitizedPayload.consent,
+      revenue: sanitizedPayload.revenue,
+      visibleTime: sanitizedPayload.visibleTime,
+      maxScroll: sanitizedPayload.maxScroll,
+      cookieId: this._getIdentityCookieId(req),
+    });
+
+    this._log("debug", "Processing API event with data:", {
+      path: eventData.path,
+      type: eventData.type,
+      name: eventData.name,
     });
+
+    this._processAndQueueEvent(eventData);
   }
 
   /**
    * Tracks a server-side event (for example, an API or backend event).
+   * With `options.revenue`, the event is recorded as a revenue event; an order ID that was
+   * already tracked is ignored. With `options.visitorRef` (from `getVisitorRef`), the event is
+   * attributed to that visitor's session instead of the request's sender, e.g. for payment webhooks.
    * @param {import('http').IncomingMessage} req The incoming HTTP request object.
    * @param {string} eventName A descriptive name for the server-side event (e.g., "user_signup").
-   * @param {string} [siteId] Optional site ID; overrides the default if provided.
+   * @param {string} [siteId] Optional tracking ID of a configured site; overrides the default if provided.
    * @param {Record<string, any>} [customData={}] Optional additional custom event data.
+   * @param {import('./index').ServerEventOptions} [options={}] Optional revenue data and visitor reference.
    * @returns {Promise<void>|void}
+   * @example
+   * skopos.trackServerEvent(req, 'purchase', undefined, {}, {
+   *   revenue: { orderId: order.id, amount: 49.9, currency: 'EUR' },
+   *   visitorRef: order.metadata.visitorRef,
+   * });
    */
-  trackServerEvent(req, eventName, siteId, customData = {}) {
+  trackServerEvent(req, eventName, siteId, customData = {}, options = {}) {
     this._log("debug", `trackServerEvent called for event: "${eventName}"`);
     const siteToTrack = siteId || this.siteId;
     if (!siteToTrack) {
       this._log("error", "Cannot track server event. No siteId provided.");
       return;
     }
+    if (!this._getSite(siteToTrack)) {
+      this._log("error", `Cannot track server event. Site "${siteToTrack}" is not configured.`);
+      return;
+    }
 
-    const { ip, userAgent, path, referrer, headers } = extractRequestData(req);
+    let revenue;
+    if (options.revenue !== undefined) {
+      revenue = validateAndSanitizeRevenue(options.revenue);
+      if (!revenue) {
+        this._log("error", `Cannot track server event "${eventName}". Invalid revenue data.`, { revenue: options.revenue });
+        return;
+      }
+    }
+    if (options.visitorRef !== undefined && !parseVisitorRef(options.visitorRef)) {
+      this._log("error", `Cannot track server event "${eventName}". Invalid visitorRef.`);
+      return;
+    }
+    if (!revenue && !this._checkEventSchema(eventName, customData)) {
+      return;
+    }
 
-    this._log("debug", "Processing server event with data:", {
-      eventName,
-      path,
-      siteToTrack,
-    });
+    const { ip, userAgent, path, referrer, headers } = extractRequestData(req, this.trustedProxies, this.trustedHeaders);
 
-    this._processAndQueueEvent({
+    const eventData = this._prepareEventData({
       siteId: siteToTrack,
       ip,
       userAgent,
       headers,
       path,
-      type: "custom",
+      type: revenue ? "revenue" : "custom",
       name: eventName,
       referrer,
       customData,
+      revenue,
+      visitorRef: options.visitorRef,
+      cookieId: this._getIdentityCookieId(req),
+    });
+
+    this._log("debug", "Processing server event with data:", {
+      eventName,
+      path: eventData.path,
+      siteToTrack,
     });
+
+    this._processAndQueueEvent(eventData);
+  }
+
+  /**
+   * Checks a custom event against the event schema registry, if one is configured, and logs any
+   * violations. Whether an unknown or invalid event is still tracked depends on the registry's mode.
+   * @private
+   * @param {string} name The event name.
+   * @param {Record<string, any> | undefined} customData The event's custom data.
+   * @returns {boolean} True if the event should be tracked.
+   */
+  _checkEventSchema(name, customData) {
+    if (!this.eventSchemas) {
+      return true;
+    }
+    const errors = validateCustomEvent(this.eventSchemas, name, customData);
+    if (errors.length === 0) {
+      return true;
+    }
+    switch (this.eventSchemas.mode) {
+      case "reject":
+        this._log("warn", `Event "${name}" rejected, it does not match the event registry.`, errors);
+        return false;
+      case "warn":
+        this._log("warn", `Event "${name}" does not match the event registry.`, errors);
+        return true;
+      default:
+        this._log("debug", `Event "${name}" does not match the event registry.`, errors);
+        return true;
+    }
+  }
+
+  /**
+   * Extracts the campaign parameters of the event URL, normalizes the event path and computes its
+   * route, then runs the event data through the redaction stage, logging how many values were
+   * redacted. The campaign is extracted first so `allowQueryParams` cannot strip it, and its values
+   * are redacted on their own. Path normalization and redaction only run when configured.
+   * @private
+   * @param {object} data The event data to pass to `_processAndQueueEvent`.
+   * @returns {object} The prepared event data.
+   */
+  _prepareEventData(data) {
+    const counts = {};
+    const redactParam = this.redaction ? (name, value) => redactQueryParam(this.redaction, name, value, counts) : undefined;
+    data = { ...data, campaign: extractCampaign(data.url ?? data.path, redactParam) };
+    if (this.pathSettings && typeof data.path === "string") {
+      const { path, route } = normalizePath(this.pathSettings, data.path);
+      data = { ...data, path, route };
+    }
+    if (!this.redaction) {
+      return data;
+    }
+    const { data: redacted } = redactEventData(this.redaction, data, counts);
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    if (total > 0) {
+      this._log("debug", `Redacted ${total} values from event data.`, counts);
+    }
+    return redacted;
   }
 
   /**
@@ -330,14 +547,22 @@ class SkoposSDK {
    * This enables tracking user journeys across multiple sessions and devices.
    * @param {import('http').IncomingMessage} req The incoming HTTP request object.
    * @param {string} userId Your internal user ID (e.g., from your database).
-   * @param {import('./index').IdentifyData} [userData={}] Optional user data (name, email, phone, metadata).
+   * @param {import('./index').IdentifyData} [userData={}] Optional user data (name, email, phone, metadata), the
+   * consent state, and the `anonymousId` for the `client` identity strategy.
+   * @param {string} [siteId] Optional tracking ID of a configured site; defaults to the primary site.
    * @returns {Promise<void>}
    * @example
    * await skopos.identify(req, 'user_123', { name: 'John Doe', email: 'john@example.com' });
    */
-  async identify(req, userId, userData = {}) {
+  async identify(req, userId, userData = {}, siteId) {
     this._log("debug", `identify called for userId: ${userId}`);
 
+    const site = this._getSite(siteId);
+    if (!site) {
+      this._log("error", `identify failed. Site "${siteId}" is not configured.`);
+      return;
+    }
+
     if (!userId || typeof userId !== "string") {
       this._log("error", "identify requires a valid userId string.");
       return;
@@ -355,11 +580,17 @@ class SkoposSDK {
       return;
     }
 
-    const { ip, userAgent } = extractRequestData(req);
-    const visitorId = generateVisitorId(this.siteId, ip, userAgent);
+    const { ip, userAgent, headers } = extractRequestData(req, this.trustedProxies, this.trustedHeaders);
+
+    if (resolveConsentDecision(this.consent, headers, sanitizedData.consent) !== "track") {
+      this._log("info", `identify skipped for userId ${sanitizedUserId}, the visitor has not consented to tracking.`);
+      return;
+    }
 
     try {
-      const { visitor } = await this._getOrCreateVisitor(visitorId);
+      const identity = await this._resolveVisitorIds(site, { ip, userAgent, cookieId: this._getIdentityCookieId(req), anonymousId: sanitizedData.anonymousId });
+      const { visitorId } = identity;
+      const { visitor } = await this._getOrCreateVisitor(site, identity);
 
       const updateData = {
         userId: sanitizedUserId,
@@ -372,13 +603,56 @@ class SkoposSDK {
         updateData.metadata = sanitizedData.metadata;
       }
 
-      await this.pb.collection(VISITORS_COLLECTION).update(visitor.id, updateData);
+      await this.storage.updateVisitor(visitor.id, updateData);
       this._log("info", `Successfully identified visitor ${visitorId} as user ${sanitizedUserId}`);
     } catch (error) {
       this._log("error", "Failed to identify visitor.", error);
     }
   }
 
+  /**
+   * Returns a reference to the visitor of a request, to be passed as `visitorRef` to
+   * `trackServerEvent` when a later request on their behalf (e.g. a payment webhook) is tracked.
+   * Store it with the order when checkout starts.
+   * @param {import('http').IncomingMessage} req The incoming HTTP request object.
+   * @param {string} [siteId] Optional tracking ID of a configured site; defaults to the primary site.
+   * @param {string} [anonymousId] The visitor's `anonymousId`, for the `client` identity strategy.
+   * @returns {Promise<string | null>} The reference, or null if the site is not configured, the `anonymousId` is invalid, or the visitor has not consented to tracking.
+   * @throws {Error} If no visitor ID salt could be loaded.
+   * @example
+   * const visitorRef = await skopos.getVisitorRef(req);
+   * await stripe.checkout.sessions.create({ ..., metadata: { visitorRef } });
+   */
+  async getVisitorRef(req, siteId, anonymousId) {
+    const site = this._getSite(siteId);
+    if (!site) {
+      this._log("error", `getVisitorRef failed. Site "${siteId}" is not configured.`);
+      return null;
+    }
+    if (anonymousId !== undefined && !isAnonymousId(anonymousId)) {
+      this._log("error", "getVisitorRef failed. anonymousId is invalid.");
+      return null;
+    }
+    const { ip, userAgent, headers } = extractRequestData(req, this.trustedProxies, this.trustedHeaders);
+    if (resolveConsentDecision(this.consent, headers) !== "track") {
+      return null;
+    }
+    return formatVisitorRef(await this._resolveVisitorIds(site, { ip, userAgent, cookieId: this._getIdentityCookieId(req), anonymousId }));
+  }
+
+  /**
+   * Scores a request with the bot detection rules, exactly as tracked events are scored.
+   * Useful to see why a request is (or is not) treated as a bot, or to tune `botDetection`.
+   * @param {import('http').IncomingMessage} req The incoming HTTP request object.
+   * @returns {import('./index').BotClassification} The score, the verdict, and the rules that fired.
+   * @example
+   * const { isBot, score, rules } = skopos.classifyRequest(req);
+   */
+  classifyRequest(req) {
+    const { userAgent, headers } = extractRequestData(req, this.trustedProxies, this.trustedHeaders);
+    return this.botClassifier.classify(userAgent, headers);
+  }
+
   /**
    * Validates and sanitizes user identification data.
    * @private
@@ -411,6 +685,16 @@ class SkoposSDK {
       sanitized.phone = data.phone.replace(CONTROL_CHARS_PATTERN, "").trim().substring(0, 50);
     }
 
+    if (data.consent !== undefined) {
+      if (!isConsentState(data.consent)) return null;
+      sanitized.consent = data.consent;
+    }
+
+    if (data.anonymousId !== undefined) {
+      if (!isAnonymousId(data.anonymousId)) return null;
+      sanitized.anonymousId = data.anonymousId;
+    }
+
     if (data.metadata !== undefined) {
       if (typeof data.metadata !== "object" || data.metadata === null || Array.isArray(data.metadata)) {
         return null;
@@ -429,17 +713,148 @@ class SkoposSDK {
     return sanitized;
   }
 
+  /**
+   * Checks whether a visitor record exists for a visitor ID.
+   * @private
+   * @param {string} visitorId The hashed visitor ID.
+   * @returns {Promise<boolean>}
+   */
+  async _visitorExists(visitorId) {
+    return (await this.storage.findVisitor(visitorId)) !== null;
+  }
+
+  /**
+   * Computes the visitor ID of a request with the first identity strategy that has a key for it:
+   * a client-supplied anonymous ID, the signed identity cookie, or the IP + user agent hash.
+   * With a rotating salt, the hash strategy also returns the ID under the previous period's salt
+   * so sessions can continue across a rotation. A `hashedVisitorId` from a replayed event stands in for the hash.
+   * @private
+   * @param {import('./modules/sites').SiteState} site The site the visitor belongs to.
+   * @param {{ip?: string, userAgent?: string, cookieId?: string | null, anonymousId?: string, hashedVisitorId?: string}} keys The request's identity keys.
+   * @returns {Promise<VisitorIdentity>}
+   * @throws {Error} If no salt could be loaded for the current period and none was loaded before.
+   */
+  async _resolveVisitorIds(site, keys) {
+    const { ip, userAgent, cookieId, anonymousId, hashedVisitorId } = keys;
+    for (const strategy of this.identity.strategies) {
+      if (strategy === "client" && anonymousId) {
+        return { visitorId: hashVisitorKey(site.siteId, "client", anonymousId), previousVisitorId: null, source: "client" };
+      }
+      if (strategy === "cookie" && cookieId) {
+        return { visitorId: hashVisitorKey(site.siteId, "cookie", cookieId), previousVisitorId: null, source: "cookie" };
+      }
+    }
+
+    if (hashedVisitorId) {
+      return { visitorId: hashedVisitorId, previousVisitorId: null, source: "hash" };
+    }
+
+    if (!this.rotatingSalt) {
+      return { visitorId: generateVisitorId(site.siteId, ip, userAgent), previousVisitorId: null, source: "hash" };
+    }
+
+    if (this.rotatingSalt.needsRefresh()) {
+      try {
+        await this._refreshSalt();
+      } catch (error) {
+        if (!this.rotatingSalt.current) {
+          throw error;
+        }
+        this._log("warn", "Failed to rotate the visitor ID salt, keeping the current one.", error.message);
+      }
+    }
+
+    const { current, previous } = this.rotatingSalt;
+    return {
+      visitorId: generateVisitorId(site.siteId, ip, userAgent, current),
+      previousVisitorId: previous ? generateVisitorId(site.siteId, ip, userAgent, previous) : null,
+      source: "hash",
+    };
+  }
+
+  /**
+   * Returns the identity cookie ID of a request: the one issued by `issueIdentityCookie` for it,
+   * or the request's own signed cookie.
+   * @private
+   * @param {import('http').IncomingMessage} req The incoming request.
+   * @returns {string | null}
+   */
+  _getIdentityCookieId(req) {
+    if (!this.identity.strategies.includes("cookie")) {
+      return null;
+    }
+    return this.issuedIdentityCookies.get(req) ?? readIdentityCookie(this.identity, req);
+  }
+
+  /**
+   * Makes sure the visitor has a signed first-party identity cookie when the `cookie` identity
+   * strategy is enabled. If the request carries no valid cookie, a new one is created, remembered
+   * for events tracked with this request, and set on `res` when given.
+   * The collector handlers call this automatically.
+   * @param {import('http').IncomingMessage} req The incoming request.
+   * @param {import('http').ServerResponse} [res] The response to set the cookie on.
+   * @returns {string | null} The `Set-Cookie` header value for a new cookie, or null if none is needed.
+   * @example
+   * skopos.issueIdentityCookie(req, res);
+   * skopos.trackApiEvent(req, req.body);
+   */
+  issueIdentityCookie(req, res) {
+    if (!this.identity.strategies.includes("cookie") || this._getIdentityCookieId(req)) {
+      return null;
+    }
+
+    const { id, header } = createIdentityCookie(this.identity);
+    this.issuedIdentityCookies.set(req, id);
+    if (res && !res.headersSent) {
+      const existing = res.getHeader("Set-Cookie");
+      res.setHeader("Set-Cookie", existing ? [].concat(existing, header) : header);
+    }
+    this._log("debug", "Issued a new identity cookie.");
+    return header;
+  }
+
+  /**
+   * Loads the salts of the current and previous period and deletes older ones.
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _refreshSalt() {
+    await this.rotatingSalt.refresh();
+    this._log("info", `Loaded visitor ID salt for period ${this.rotatingSalt.period}.`);
+    try {
+      await this.rotatingSalt.prune();
+    } catch (error) {
+      this._log("warn", "Failed to delete expired visitor ID salts.", error.message);
+    }
+  }
+
+  /**
+   * Creates the store that persists rotating salts through the storage adapter.
+   * @private
+   * @returns {import('./modules/salt').SaltStore}
+   */
+  _createSaltStore() {
+    return {
+      get: (period) => this.storage.getSalt(period),
+      create: (period, salt) => this.storage.createSalt(period, salt),
+      prune: (beforePeriod) => this.storage.pruneSalts(beforePeriod),
+    };
+  }
+
   /**
    * Gets or creates a visitor with proper locking to prevent race conditions.
    * Uses an in-memory cache to reduce database lookups for repeat visitors.
    * @private
-   * @param {string} visitorId The hashed visitor ID.
+   * @param {import('./modules/sites').SiteState} site The site the visitor belongs to.
+   * @param {VisitorIdentity} identity The visitor's identity. A visitor that existed under the previous
+   * rotating salt's ID is created anew but not counted as new.
    * @param {boolean} [skipCache=false] If true, bypasses the cache and fetches directly from the database.
    * @returns {Promise<{visitor: object, isNewVisitor: boolean}>}
    */
-  async _getOrCreateVisitor(visitorId, skipCache = false) {
+  async _getOrCreateVisitor(site, identity, skipCache = false) {
+    const { visitorId, previousVisitorId, source } = identity;
     if (!skipCache) {
-      const cached = this.visitorCache.get(visitorId);
+      const cached = site.visitorCache.get(visitorId);
       if (cached && Date.now() - cached.cachedAt < VISITOR_CACHE_TTL_MS) {
         this._log("debug", `Found cached visitor ${visitorId}`);
         return { visitor: { id: cached.id }, isNewVisitor: false };
@@ -453,35 +868,32 @@ class SkoposSDK {
 
     const creationPromise = (async () => {
       try {
-        await this._ensureAdminAuth();
+        const existing = await this.storage.findVisitor(visitorId);
+        if (existing) {
+          this._log("debug", `Found existing visitor ${visitorId}`);
+          this._setVisitorCache(site, visitorId, existing);
+          return { visitor: existing, isNewVisitor: false };
+        }
 
+        const seenWithPreviousSalt = previousVisitorId ? await this._visitorExists(previousVisitorId) : false;
+        this._log("info", `Creating new visitor: ${visitorId}`);
         try {
-          const visitor = await this.pb.collection(VISITORS_COLLECTION).getFirstListItem(`visitorId="${visitorId}"`);
-          this._log("debug", `Found existing visitor ${visitorId}`);
-          this._setVisitorCache(visitorId, visitor);
-          return { visitor, isNewVisitor: false };
-        } catch (error) {
-          if (error.status === 404) {
-            this._log("info", `Creating new visitor: ${visitorId}`);
-            try {
-              const visitor = await this.pb.collection(VISITORS_COLLECTION).create({
-                website: this.websiteRecordId,
-                visitorId,
-              });
-              this._log("debug", `Created new visitor: ${visitor.id}`);
-              this._setVisitorCache(visitorId, visitor);
-              return { visitor, isNewVisitor: true };
-            } catch (createError) {
-              if (createError.status === 400 || createError.data?.data?.visitorId) {
-                this._log("warn", "Race condition detected on visitor creation, re-fetching.");
-                const visitor = await this.pb.collection(VISITORS_COLLECTION).getFirstListItem(`visitorId="${visitorId}"`);
-                this._setVisitorCache(visitorId, visitor);
-                return { visitor, isNewVisitor: false };
-              }
-              throw createError;
-            }
+          const visitor = await this.storage.createVisitor({
+            website: site.websiteRecordId,
+            visitorId,
+            identitySource: source,
+          });
+          this._log("debug", `Created new visitor: ${visitor.id}`);
+          this._setVisitorCache(site, visitorId, visitor);
+          return { visitor, isNewVisitor: !seenWithPreviousSalt };
+        } catch (createError) {
+          const visitor = createError.status === 400 ? await this.storage.findVisitor(visitorId) : null;
+          if (visitor) {
+            this._log("warn", "Race condition detected on visitor creation, re-fetching.");
+            this._setVisitorCache(site, visitorId, visitor);
+            return { visitor, isNewVisitor: false };
           }
-          throw error;
+          throw createError;
         }
       } finally {
         const cleanup = () => this.visitorCreationLocks.delete(visitorId);
@@ -523,33 +935,55 @@ class SkoposSDK {
       clearInterval(this.jsErrorTimer);
       this.jsErrorTimer = null;
     }
-    if (this.authCheckTimer) {
-      clearInterval(this.authCheckTimer);
-      this.authCheckTimer = null;
+    if (this.botHitTimer) {
+      clearInterval(this.botHitTimer);
+      this.botHitTimer = null;
+    }
+    if (this.circuitProbeTimer) {
+      clearTimeout(this.circuitProbeTimer);
+      this.circuitProbeTimer = null;
     }
     this._log("debug", "All timers cleared.");
 
-    this.sessionCache.clear();
-    this.visitorCache.clear();
+    for (const site of this.sites.values()) {
+      for (const sessionData of site.sessionCache.values()) {
+        this._endSession(sessionData);
+      }
+      site.sessionCache.clear();
+      site.visitorCache.clear();
+    }
     this.visitorCreationLocks.clear();
 
-    await this.pb.realtime.unsubscribe();
-    this._log("debug", "Unsubscribed from real-time updates.");
     await this.flushEvents();
     await this._flushJsErrors();
+    await this._flushBotHits();
+    await this._flushSessionUpdates();
+    await this.storage.close?.();
+    if (this.circuitBuffer.length > 0) {
+      this._log("warn", `${this.circuitBuffer.length} events were still buffered while storage was unreachable.${this.spool ? " They will be replayed from the spool on the next start." : ""}`);
+      this.circuitBuffer.length = 0;
+    }
+    this.spool?.close();
 
     this.eventQueue.length = 0;
     this.jsErrorQueue.clear();
-    this.ipBlacklistSet.clear();
-    clearBotCache();
+    this.botHitQueue.clear();
+    this.endedSessionQueue.length = 0;
+    this.pageEngagementQueue.length = 0;
+    for (const site of this.sites.values()) {
+      site.ipBlacklistMatcher = compileIpMatcher([]);
+    }
+    this.geoCache.clear();
+    this.geoProvider?.close?.();
+    this.botClassifier.clearCache();
 
     this._log("info", "All queues have been flushed.");
     this._log("info", "Shutdown complete.");
   }
 
   /**
-   * Immediately flushes any queued events to the PocketBase events collection.
-   * Uses parallel writes for better throughput.
+   * Immediately flushes any queued events to the storage adapter's events collection.
+   * With PocketBase, the batch API is used when available, falling back to parallel per-record writes.
    * @returns {Promise<void>}
    */
   async flushEvents() {
@@ -557,217 +991,866 @@ class SkoposSDK {
       return;
     }
 
+    if (this.circuitBreaker.isOpen()) {
+      this._log("warn", `Storage circuit is open, postponing flush of ${this.eventQueue.length} events.`);
+      return;
+    }
+
     const eventsToSend = this.eventQueue.splice(0, this.eventQueue.length);
     this._log("info", `Flushing ${eventsToSend.length} events.`);
 
-    await this._ensureAdminAuth();
-
-    const BATCH_SIZE = 10;
-    for (let i = 0; i < eventsToSend.length; i += BATCH_SIZE) {
-      const batch = eventsToSend.slice(i, i + BATCH_SIZE);
-      const promises = batch.map((event) => this._sendEvent(event));
-      await Promise.allSettled(promises);
+    let errors;
+    try {
+      errors = await this.storage.createEvents(eventsToSend);
+    } catch (error) {
+      // The whole write failed (e.g. authentication); settle every event with that error.
+      errors = eventsToSend.map(() => error);
+    }
+    let failedCount = 0;
+    for (let i = 0; i < eventsToSend.length; i++) {
+      if (errors[i]) failedCount++;
+      this._settleEvent(eventsToSend[i], errors[i]);
     }
+    if (failedCount > 0) {
+      this._log("warn", `${failedCount} of ${eventsToSend.length} events could not be written.`);
+    }
+
+    this.spool?.compact();
   }
 
   /**
+   * Opens the on-disk spool and re-queues every entry that was never acknowledged,
+   * then flushes them. Does nothing when no `spoolDir` is configured.
    * @private
+   * @returns {Promise<void>}
+   * @throws {Error} If the spool directory cannot be opened.
    */
-  async _ensureAdminAuth() {
-    if (this.pb.authStore.isValid || !this.adminEmail) {
-      if (!this.adminEmail) {
-        this._log("debug", "_ensureAdminAuth skipped: no admin credentials provided.");
-      } else {
-        this._log("debug", "_ensureAdminAuth skipped: token is still valid.");
-      }
+  async _replaySpool() {
+    if (!this.spool) {
       return;
     }
+
+    let entries;
     try {
-      this._log("info", "Admin token expired or invalid. Re-authenticating...");
-      await this.pb.collection("_superusers").authWithPassword(this.adminEmail, this.adminPassword);
-      this.lastAuthCheck = Date.now();
-      this._log("info", "Re-authentication successful.");
+      entries = this.spool.open();
     } catch (error) {
-      this._log("error", "Failed to re-authenticate admin.", error);
+      this._log("error", `Failed to open spool directory: ${this.spool.dir}`, error);
+      throw new Error("SkoposSDK: Could not open spool directory.");
     }
-  }
-
-  /**
-   * Proactively refresh auth before it expires to avoid delays during event processing.
-   * @private
-   */
-  async _proactiveAuthRefresh() {
-    if (!this.adminEmail) return;
 
-    if (Date.now() - this.lastAuthCheck < AUTH_CHECK_INTERVAL_MS / 2) return;
+    if (entries.length === 0) {
+      this._log("debug", "Spool is empty, nothing to replay.");
+      return;
+    }
 
-    try {
-      const token = this.pb.authStore.token;
-      if (token) {
-        try {
-          const payload = JSON.parse(atob(token.split(".")[1]));
-          const expiresIn = payload.exp * 1000 - Date.now();
-          if (expiresIn > 15 * 60 * 1000) {
-            this._log("debug", "Token still valid for more than 15 minutes, skipping proactive refresh.");
-            return;
-          }
-        } catch (e) {}
+    this._log("info", `Replaying ${entries.length} unsent entries from spool.`);
+    for (const entry of entries) {
+      if (entry.kind === "event") {
+        this.eventQueue.push(entry.payload);
+        this.eventSpoolIds.set(entry.payload, entry.id);
+      } else if (entry.kind === "jsError") {
+        this._enqueueJsError({ website: this._getSite().websiteRecordId, ...entry.payload }, entry.id);
+      } else if (entry.kind === "buffered") {
+        this.circuitBuffer.push({ data: entry.payload, spoolId: entry.id });
       }
-
-      this._log("info", "Proactively refreshing admin token...");
-      await this.pb.collection("_superusers").authWithPassword(this.adminEmail, this.adminPassword);
-      this.lastAuthCheck = Date.now();
-      this._log("info", "Proactive token refresh successful.");
-    } catch (error) {
-      this._log("warn", "Proactive auth refresh failed, will retry on next event.", error);
     }
+
+    await this.flushEvents();
+    await this._flushJsErrors();
+    await this._drainCircuitBuffer();
   }
 
   /**
-   * Gets geolocation data (country and state) for an IP address using Chapybara.
-   * Falls back to "Unknown" if Chapybara is not configured or if the lookup fails.
+   * Runs a storage backend request through the retry policy and circuit breaker.
+   * Retryable failures are retried with jittered exponential backoff and counted against the breaker.
+   * Storage adapters receive this as `context.call`.
    * @private
-   * @param {string | undefined} ip The IP address to look up.
-   * @returns {Promise<{country: string, state: string}>}
+   * @template T
+   * @param {() => Promise<T>} operation The backend request.
+   * @returns {Promise<T>} The request's result.
+   * @throws {CircuitOpenError} If the circuit is open.
    */
-  async _getGeoLocation(ip) {
-    if (!ip || !this.chapybara) {
-      return { country: "Unknown", state: "Unknown" };
+  async _callStorage(operation) {
+    if (!this.circuitBreaker.canRequest()) {
+      throw new CircuitOpenError();
     }
 
     try {
-      this._log("debug", `Fetching geolocation for IP: ${ip}`);
-      const data = await this.chapybara.ip.getIntelligence(ip);
-      const country = data.location?.country?.name || "Unknown";
-      const state = data.location?.region?.name || "Unknown";
-      this._log("debug", `Geolocation result: ${country}, ${state}`);
-      return { country, state };
+      const result = await withRetry(operation, this.retryOptions);
+      this.circuitBreaker.recordSuccess();
+      if (this.circuitBuffer.length > 0) {
+        this._drainCircuitBuffer().catch((error) => this._log("error", "Failed to replay buffered events.", error));
+      }
+      return result;
     } catch (error) {
-      this._log("warn", `Failed to get geolocation for IP ${ip}:`, error.message);
-      return { country: "Unknown", state: "Unknown" };
+      if (isRetryableError(error)) {
+        this.circuitBreaker.recordFailure();
+      } else if (error?.status) {
+        this.circuitBreaker.recordSuccess();
+      } else {
+        this.circuitBreaker.releaseProbe();
+      }
+      throw error;
     }
   }
 
   /**
-   * Flushes the in-memory JS error queue to the PocketBase js_errors collection.
-   * Merges with existing records or creates new ones as needed.
+   * Reacts to circuit breaker transitions: schedules a recovery probe when it opens
+   * and replays buffered events once it closes.
    * @private
-   * @returns {Promise<void>}
+   * @param {'closed' | 'open' | 'half-open'} state The new circuit state.
    */
-  async _flushJsErrors() {
+  _onCircuitStateChange(state) {
+    if (state === "open") {
+      this._log("error", `Storage circuit opened after repeated failures. Probing again in ${this.circuitBreaker.resetTimeoutMs}ms.`);
+      this._scheduleCircuitProbe();
+    } else if (state === "half-open") {
+      this._log("info", "Storage circuit half-open, probing for recovery.");
+    } else {
+      this._log("info", "Storage circuit closed, resuming writes.");
+      this._drainCircuitBuffer().catch((error) => this._log("error", "Failed to replay buffered events.", error));
+    }
+  }
+
+  /**
+   * Schedules a health check against the storage backend once the circuit's reset timeout elapses.
+   * @private
+   */
+  _scheduleCircuitProbe() {
+    if (this.circuitProbeTimer) {
+      clearTimeout(this.circuitProbeTimer);
+    }
+    this.circuitProbeTimer = setTimeout(() => this._probeCircuit(), this.circuitBreaker.resetTimeoutMs);
+    this.circuitProbeTimer.unref?.();
+  }
+
+  /**
+   * Checks storage health while the circuit is open so buffered events drain
+   * even when no new traffic arrives.
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _probeCircuit() {
+    this.circuitProbeTimer = null;
+    if (this.circuitBreaker.state === "closed" || !this.circuitBreaker.canRequest()) {
+      return;
+    }
+
+    try {
+      await this.storage.healthCheck();
+      this.circuitBreaker.recordSuccess();
+    } catch (error) {
+      this._log("warn", "Storage recovery probe failed.", error.message);
+      this.circuitBreaker.recordFailure();
+    }
+  }
+
+  /**
+   * Holds raw event data while storage is unreachable so it can be processed later.
+   * Data beyond the buffer limit is moved to the dead-letter list. Heartbeat and engagement
+   * events are dropped instead: replaying them later would extend sessions past the outage,
+   * and the client's next report carries the same running totals.
+   * The spool and the dead-letter list only get the data from `_toReplayData`.
+   * @private
+   * @param {object} data The event data passed to `_processAndQueueEvent`.
+   */
+  _bufferEvent(data) {
+    if (isEngagementEvent(data.type)) {
+      this._log("debug", `Storage unavailable, dropping ${data.type} event.`);
+      return;
+    }
+    if (this.circuitBuffer.length >= CIRCUIT_BUFFER_MAX_SIZE) {
+      this._log("error", "Circuit buffer is full, moving event to the dead-letter list.");
+      this._addDeadLetter("event", this._toReplayData(data), new Error("Circuit buffer is full."));
+      return;
+    }
+    const spoolId = this.spool?.add("buffered", this._toReplayData(data));
+    this.circuitBuffer.push({ data, spoolId });
+    this._log("debug", `Event buffered until storage recovers. Buffer size: ${this.circuitBuffer.length}`);
+  }
+
+  /**
+   * Strips buffered event data down to what a replay needs before it leaves the process
+   * memory: of the request headers, only those read by bot detection and the consent policy
+   * are kept, and the IP address only when the site stores raw IP addresses anyway. Otherwise
+   * the IP + user agent visitor ID is kept in its place, so replayed events stay with their visitor.
+   * @private
+   * @param {object} data The event data passed to `_processAndQueueEvent`.
+   * @returns {object} The data to write to the spool or the dead-letter list.
+   */
+  _toReplayData(data) {
+    const headers = {};
+    for (const name of [...this.botClassifier.settings.headerNames, ...CONSENT_HEADERS]) {
+      if (data.headers?.[name] !== undefined) {
+        headers[name] = data.headers[name];
+      }
+    }
+    const { ip, ...replayData } = data;
+    const site = this._getSite(data.siteId);
+    if (ip && site?.storeRawIp) {
+      replayData.ip = ip;
+    } else if (ip && site) {
+      const salt = this.rotatingSalt?.current;
+      if (!this.rotatingSalt || salt) {
+        replayData.hashedVisitorId = generateVisitorId(site.siteId, ip, data.userAgent, salt);
+      }
+    }
+    return { ...replayData, headers };
+  }
+
+  /**
+   * Re-processes buffered events while the circuit stays closed, then flushes the queues.
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _drainCircuitBuffer() {
+    if (this.isDrainingCircuitBuffer || this.circuitBuffer.length === 0) {
+      return;
+    }
+
+    this.isDrainingCircuitBuffer = true;
+    this._log("info", `Replaying ${this.circuitBuffer.length} buffered events.`);
+    try {
+      while (this.circuitBuffer.length > 0 && this.circuitBreaker.state === "closed") {
+        const { data, spoolId } = this.circuitBuffer.shift();
+        await this._processAndQueueEvent(data, true);
+        this.spool?.ack(spoolId);
+      }
+    } finally {
+      this.isDrainingCircuitBuffer = false;
+    }
+
+    await this.flushEvents();
+    await this._flushJsErrors();
+    await this._flushBotHits();
+    await this._flushSessionUpdates();
+  }
+
+  /**
+   * Records a payload that could not be written to storage.
+   * The list is bounded; the oldest entries are dropped first.
+   * @private
+   * @param {'event' | 'jsError' | 'botHit' | 'sessionEnd' | 'pageEngagement'} kind The kind of payload.
+   * @param {object} payload The payload that failed.
+   * @param {any} error The error that caused the failure.
+   */
+  _addDeadLetter(kind, payload, error) {
+    this.deadLetters.push({
+      kind,
+      payload,
+      error: error?.message || String(error),
+      status: error?.status,
+      failedAt: new Date().toISOString(),
+    });
+    if (this.deadLetters.length > this.deadLetterMaxSize) {
+      this.deadLetters.splice(0, this.deadLetters.length - this.deadLetterMaxSize);
+    }
+  }
+
+  /**
+   * Returns the payloads that failed to reach storage after all retries, oldest first.
+   * @returns {Array<import('./index').DeadLetter>} A copy of the dead-letter list.
+   */
+  getDeadLetters() {
+    return [...this.deadLetters];
+  }
+
+  /**
+   * Empties the dead-letter list.
+   * @returns {Array<import('./index').DeadLetter>} The entries that were removed.
+   */
+  clearDeadLetters() {
+    return this.deadLetters.splice(0, this.deadLetters.length);
+  }
+
+  /**
+   * Returns how many events of a site were affected by the consent policy since the SDK started:
+   * `suppressed` events were dropped, `aggregated` events were tracked without visitor data.
+   * @param {string} [siteId] Optional tracking ID of a configured site; defaults to the primary site.
+   * @returns {import('./index').ConsentStats | null} A copy of the counts, or null if the site is not configured.
+   */
+  getConsentStats(siteId) {
+    const site = this._getSite(siteId);
+    return site ? { ...site.consentStats } : null;
+  }
+
+  /**
+   * Returns how many events of a site were dropped by each rate limit since the SDK started, and
+   * how many events over a limit were kept by the `sample` action.
+   * @param {string} [siteId] Optional tracking ID of a configured site; defaults to the primary site.
+   * @returns {import('./index').RateLimitStats | null} A copy of the counts, or null if the site is not configured.
+   */
+  getRateLimitStats(siteId) {
+    const site = this._getSite(siteId);
+    return site ? { ...site.rateLimitStats } : null;
+  }
+
+  /**
+   * Gets geolocation data for an IP address from the configured provider.
+   * Results are cached per IP; falls back to "Unknown" if no provider is configured or if the lookup fails.
+   * @private
+   * @param {string | undefined} ip The IP address to look up.
+   * @returns {Promise<import('./modules/geo').GeoLocation>}
+   */
+  async _getGeoLocation(ip) {
+    if (!ip || !this.geoProvider) {
+      return UNKNOWN_LOCATION;
+    }
+
+    const cached = this.geoCache.get(ip);
+    if (cached && Date.now() - cached.cachedAt < GEO_CACHE_TTL_MS) {
+      return cached.location;
+    }
+
+    try {
+      this._log("debug", `Fetching geolocation for IP: ${ip}`);
+      const location = (await this.geoProvider.lookup(ip)) || UNKNOWN_LOCATION;
+      this._log("debug", `Geolocation result: ${location.country}, ${location.state}`);
+
+      this.geoCache.delete(ip);
+      if (this.geoCache.size >= GEO_CACHE_MAX_SIZE) {
+        this.geoCache.delete(this.geoCache.keys().next().value);
+      }
+      this.geoCache.set(ip, { location, cachedAt: Date.now() });
+      return location;
+    } catch (error) {
+      this._log("warn", `Failed to get geolocation for IP ${ip}:`, error.message);
+      return UNKNOWN_LOCATION;
+    }
+  }
+
+  /**
+   * Flushes the in-memory JS error queue to the storage adapter's js_errors collection.
+   * Merges with existing records or creates new ones as needed.
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _flushJsErrors() {
     if (this.jsErrorQueue.size === 0) {
       return;
     }
 
+    if (this.circuitBreaker.isOpen()) {
+      this._log("warn", `Storage circuit is open, postponing flush of ${this.jsErrorQueue.size} JS errors.`);
+      return;
+    }
+
     this._log("info", `Flushing ${this.jsErrorQueue.size} unique JS errors.`);
-    await this._ensureAdminAuth();
     const errorsToFlush = new Map(this.jsErrorQueue);
     this.jsErrorQueue.clear();
 
-    const errorEntries = [...errorsToFlush.entries()];
-    const BATCH_SIZE = 5;
+    const entriesByWebsite = new Map();
+    for (const entry of errorsToFlush.entries()) {
+      const website = entry[1].website;
+      if (!entriesByWebsite.has(website)) entriesByWebsite.set(website, []);
+      entriesByWebsite.get(website).push(entry);
+    }
 
-    for (let i = 0; i < errorEntries.length; i += BATCH_SIZE) {
-      const batch = errorEntries.slice(i, i + BATCH_SIZE);
-      const promises = batch.map(async ([hash, errorData]) => {
-        const filter = `errorHash="${hash}" && website="${this.websiteRecordId}"`;
-        try {
-          const existingError = await this.pb.collection(ERRORS_COLLECTION).getFirstListItem(filter);
-          await this.pb.collection(ERRORS_COLLECTION).update(existingError.id, {
-            "count+": errorData.count,
-            lastSeen: new Date().toISOString(),
-          });
-          this._log("debug", `Updated JS error: ${hash} for website ${this.websiteRecordId}`);
-        } catch (error) {
-          if (error.status === 404) {
-            try {
-              this._log("debug", `Creating new JS error: ${hash} for website ${this.websiteRecordId}`);
-              await this.pb.collection(ERRORS_COLLECTION).create({
-                website: this.websiteRecordId,
-                session: errorData.sessionId,
-                errorHash: hash,
-                errorMessage: errorData.errorMessage,
-                stackTrace: errorData.stackTrace,
-                url: errorData.url,
-                count: errorData.count,
-                lastSeen: new Date().toISOString(),
-              });
-            } catch (createError) {
-              this._log("error", "Failed to create new JS error record.", createError);
-            }
-          } else {
-            this._log("error", "Failed to find or update JS error record.", error);
-          }
-        }
-      });
-      await Promise.allSettled(promises);
+    for (const [website, errorEntries] of entriesByWebsite) {
+      await this._writeJsErrors(website, errorEntries);
+    }
+
+    this.spool?.compact();
+  }
+
+  /**
+   * Hands queued JS errors of one website to the storage adapter, which merges them into
+   * their existing records or creates new ones.
+   * @private
+   * @param {string} website The `websites` record ID the errors belong to.
+   * @param {Array<[string, object]>} entries Queue keys with their aggregated error data.
+   * @returns {Promise<void>}
+   */
+  async _writeJsErrors(website, entries) {
+    const lastSeen = new Date().toISOString();
+    const writes = entries.map(([, errorData]) => ({
+      errorHash: errorData.errorHash,
+      session: errorData.sessionId,
+      errorMessage: errorData.errorMessage,
+      stackTrace: errorData.stackTrace,
+      url: errorData.url,
+      count: errorData.count,
+      lastSeen,
+    }));
+
+    let errors;
+    try {
+      errors = await this.storage.saveJsErrors(website, writes);
+    } catch (error) {
+      errors = writes.map(() => error);
+    }
+    entries.forEach(([key, errorData], i) => this._settleJsError(key, errorData, errors[i]));
+  }
+
+  /**
+   * Acknowledges a written JS error, or re-queues / dead-letters it if the write failed.
+   * @private
+   * @param {string} key The error's queue key.
+   * @param {object} errorData The aggregated error data.
+   * @param {any} error The write error, or null on success.
+   */
+  _settleJsError(key, errorData, error) {
+    if (!error) {
+      this.spool?.ack(...errorData.spoolIds);
+      return;
+    }
+    if (error instanceof CircuitOpenError) {
+      this._requeueJsError(key, errorData);
+      return;
+    }
+    this._log("error", "Failed to write JS error record.", error);
+    this._addDeadLetter("jsError", errorData, error);
+  }
+
+  /**
+   * Puts an unsent JS error back into the queue, merging counts with any newer occurrences.
+   * @private
+   * @param {string} key The error's queue key.
+   * @param {object} errorData The aggregated error data.
+   */
+  _requeueJsError(key, errorData) {
+    const existingError = this.jsErrorQueue.get(key);
+    if (existingError) {
+      existingError.count += errorData.count;
+      existingError.spoolIds.push(...errorData.spoolIds);
+      return;
+    }
+    this.jsErrorQueue.set(key, errorData);
+  }
+
+  /**
+   * Adds a JS error occurrence to the in-memory queue, merging it with any queued error
+   * of the same hash on the same website.
+   * @private
+   * @param {{website: string, errorHash: string, sessionId: string, errorMessage: string, stackTrace: string | undefined, url: string}} errorData The error details.
+   * @param {string} [spoolId] The spool ID recorded for this occurrence, if spooling is enabled.
+   */
+  _enqueueJsError(errorData, spoolId) {
+    const key = `${errorData.website}:${errorData.errorHash}`;
+    const existingError = this.jsErrorQueue.get(key);
+    if (existingError) {
+      existingError.count++;
+      if (spoolId) existingError.spoolIds.push(spoolId);
+      return;
+    }
+
+    this.jsErrorQueue.set(key, {
+      ...errorData,
+      count: 1,
+      spoolIds: spoolId ? [spoolId] : [],
+    });
+  }
+
+  /**
+   * Counts a request classified as a bot in the in-memory bot hit queue, aggregated by website,
+   * bot family, path, score bucket and time window. Flushes first when the queue is full.
+   * @private
+   * @param {import('./modules/sites').SiteState} site The site the request was sent to.
+   * @param {string | undefined} userAgent The user agent.
+   * @param {string | undefined} path The requested path.
+   * @param {number} score The bot score.
+   * @returns {Promise<void>}
+   */
+  async _recordBotHit(site, userAgent, path, score) {
+    const hit = { website: site.websiteRecordId, ...createBotHit(this.botHits, { userAgent, path, score }), count: 1 };
+    const key = `${hit.website}:${hit.hitHash}`;
+    const existingHit = this.botHitQueue.get(key);
+    if (existingHit) {
+      existingHit.count++;
+      return;
+    }
+    if (this.botHitQueue.size >= BOT_HIT_QUEUE_MAX_SIZE) {
+      this._log("warn", "Bot hit queue full, flushing before adding new hit.");
+      await this._flushBotHits();
+    }
+    this._requeueBotHit(key, hit);
+  }
+
+  /**
+   * Flushes the in-memory bot hit queue to the storage adapter's bot_hits collection.
+   * Adds to existing records or creates new ones as needed.
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _flushBotHits() {
+    if (this.botHitQueue.size === 0) {
+      return;
+    }
+
+    if (this.circuitBreaker.isOpen()) {
+      this._log("warn", `Storage circuit is open, postponing flush of ${this.botHitQueue.size} bot hits.`);
+      return;
+    }
+
+    this._log("info", `Flushing ${this.botHitQueue.size} aggregated bot hits.`);
+    const hitsToFlush = [...this.botHitQueue.entries()];
+    this.botHitQueue.clear();
+
+    const entriesByWebsite = new Map();
+    for (const entry of hitsToFlush) {
+      const website = entry[1].website;
+      if (!entriesByWebsite.has(website)) entriesByWebsite.set(website, []);
+      entriesByWebsite.get(website).push(entry);
+    }
+
+    const lastSeen = new Date().toISOString();
+    for (const [website, entries] of entriesByWebsite) {
+      const writes = entries.map(([, { website: _, ...hit }]) => ({ ...hit, lastSeen }));
+      let errors;
+      try {
+        errors = await this.storage.saveBotHits(website, writes);
+      } catch (error) {
+        errors = writes.map(() => error);
+      }
+      entries.forEach(([key, hit], i) => this._settleBotHit(key, hit, errors[i]));
     }
   }
 
   /**
-   * Cleans up expired sessions from the session cache.
+   * Re-queues a bot hit whose write was postponed by the circuit breaker, or dead-letters it.
+   * @private
+   * @param {string} key The hit's queue key.
+   * @param {object} hit The aggregated hit.
+   * @param {any} error The write error, or null on success.
+   */
+  _settleBotHit(key, hit, error) {
+    if (!error) {
+      return;
+    }
+    if (error instanceof CircuitOpenError) {
+      this._requeueBotHit(key, hit);
+      return;
+    }
+    this._log("error", "Failed to write bot hit record.", error);
+    this._addDeadLetter("botHit", hit, error);
+  }
+
+  /**
+   * Puts a bot hit into the queue, merging its count with any queued hit of the same key.
+   * @private
+   * @param {string} key The hit's queue key.
+   * @param {object} hit The aggregated hit.
+   */
+  _requeueBotHit(key, hit) {
+    const existingHit = this.botHitQueue.get(key);
+    if (existingHit) {
+      existingHit.count += hit.count;
+      return;
+    }
+    this.botHitQueue.set(key, hit);
+  }
+
+  /**
+   * Cleans up expired sessions from every site's session cache, ending them and the sessions
+   * evicted to keep the cache within its maximum size, then writes the ended sessions.
    * @private
    */
   _cleanSessionCache() {
     this._log("debug", "Running session cache cleanup...");
     const now = Date.now();
     let cleanedCount = 0;
-    for (const [visitorId, sessionData] of this.sessionCache.entries()) {
-      if (now - sessionData.lastActivity > this.sessionTimeout) {
-        this._log("debug", `Expiring session for visitorId: ${visitorId}`);
-        this.sessionCache.delete(visitorId);
-        cleanedCount++;
+    for (const { sessionCache } of this.sites.values()) {
+      for (const [visitorId, sessionData] of sessionCache.entries()) {
+        if (now - sessionData.lastActivity > this.sessionTimeout) {
+          this._log("debug", `Expiring session for visitorId: ${visitorId}`);
+          this._endSession(sessionData);
+          sessionCache.delete(visitorId);
+          cleanedCount++;
+        }
       }
-    }
 
-    if (this.sessionCache.size > SESSION_CACHE_MAX_SIZE) {
-      const toDelete = this.sessionCache.size - SESSION_CACHE_MAX_SIZE + 100;
-      let deleted = 0;
-      for (const key of this.sessionCache.keys()) {
-        if (deleted >= toDelete) break;
-        this.sessionCache.delete(key);
-        deleted++;
-        cleanedCount++;
+      if (sessionCache.size > SESSION_CACHE_MAX_SIZE) {
+        const toDelete = sessionCache.size - SESSION_CACHE_MAX_SIZE + 100;
+        let deleted = 0;
+        for (const [key, sessionData] of sessionCache.entries()) {
+          if (deleted >= toDelete) break;
+          this._endSession(sessionData);
+          sessionCache.delete(key);
+          deleted++;
+          cleanedCount++;
+        }
       }
     }
+    this._flushSessionUpdates();
 
     if (cleanedCount > 0) {
       this._log("info", `Cleaned ${cleanedCount} expired sessions from cache.`);
     }
   }
 
+  /**
+   * Caches a new session of a visitor. A session the visitor had in the cache before, which
+   * has expired without being cleaned up yet, is ended.
+   * @private
+   * @param {import('./modules/sites').SiteState} site The site the session belongs to.
+   * @param {string} visitorId The visitor ID.
+   * @param {string} sessionId The session record ID.
+   * @param {number} now The time of the session's first event in ms.
+   * @param {string} type The type of the session's first event.
+   * @param {boolean} [isEngaged=false] Whether the first event already makes the session engaged.
+   */
+  _cacheSession(site, visitorId, sessionId, now, type, isEngaged = false) {
+    const previousSession = site.sessionCache.get(visitorId);
+    if (previousSession && previousSession.sessionId !== sessionId) {
+      this._endSession(previousSession);
+    }
+    site.sessionCache.set(visitorId, {
+      sessionId,
+      startedAt: now,
+      lastActivity: now,
+      eventCount: 1,
+      pageViewCount: type === "pageView" ? 1 : 0,
+      isEngaged,
+      pageView: null,
+    });
+  }
+
+  /**
+   * Queues the final summary of a cached session: when it ended (its last activity), its duration
+   * in seconds, its event and page view counts, and whether it bounced or was engaged.
+   * The engagement of its last page view is written too. Writes the queue once it reaches the maximum batch size.
+   * @private
+   * @param {{sessionId: string, startedAt: number, lastActivity: number, eventCount: number, pageViewCount: number, isEngaged: boolean, pageView: import('./modules/engagement').PageViewEngagement | null}} sessionData The cached session.
+   */
+  _endSession(sessionData) {
+    this._writePageEngagement(sessionData.pageView);
+    const { sessionId, startedAt, lastActivity, eventCount, pageViewCount, isEngaged } = sessionData;
+    this.endedSessionQueue.push({
+      id: sessionId,
+      changes: {
+        endedAt: new Date(lastActivity).toISOString(),
+        duration: Math.round((lastActivity - startedAt) / 1000),
+        eventCount,
+        pageViewCount,
+        isBounce: pageViewCount <= 1 && !isEngaged,
+        isEngaged,
+      },
+    });
+    if (this.endedSessionQueue.length >= this.maxBatchSize) {
+      this._flushSessionUpdates();
+    }
+  }
+
+  /**
+   * Makes a page view event the current page of its session, writing the engagement of the page it replaces.
+   * @private
+   * @param {{pageView: import('./modules/engagement').PageViewEngagement | null}} sessionData The cached session.
+   * @param {object} eventPayload The queued page view event payload.
+   */
+  _startPageView(sessionData, eventPayload) {
+    this._writePageEngagement(sessionData.pageView);
+    sessionData.pageView = createPageViewEngagement(eventPayload);
+  }
+
+  /**
+   * Folds a heartbeat or engagement event into the visitor's active session: it extends the
+   * session's last activity and, when it reports on the current page, that page view's visible
+   * time and scroll depth. A page visible for long enough makes the session engaged.
+   * No event record is created.
+   * @private
+   * @param {object | null} sessionData The visitor's active cached session, if any.
+   * @param {object} data The event data passed to `_processAndQueueEvent`.
+   * @param {number} now The event time in ms.
+   */
+  _recordEngagement(sessionData, data, now) {
+    if (!sessionData) {
+      this._log("debug", `${data.type} event ignored, the visitor has no active session.`);
+      return;
+    }
+    sessionData.lastActivity = now;
+    const { pageView } = sessionData;
+    if (!pageView || pageView.path !== data.path) {
+      this._log("debug", `${data.type} event for ${data.path} does not match the current page view.`);
+      return;
+    }
+    foldEngagement(pageView, data);
+    if (!sessionData.isEngaged && isEngagedPageView(pageView)) {
+      sessionData.isEngaged = true;
+    }
+  }
+
+  /**
+   * Writes the visible time and scroll depth of a page view, if they changed. A page view that
+   * is still queued gets them before it is written; others are updated through the page engagement queue.
+   * @private
+   * @param {import('./modules/engagement').PageViewEngagement | null} pageView The page view.
+   */
+  _writePageEngagement(pageView) {
+    if (!pageView?.changed) {
+      return;
+    }
+    pageView.changed = false;
+    const changes = { visibleTime: pageView.visibleTime, maxScroll: pageView.maxScroll };
+    if (this.eventQueue.includes(pageView.payload)) {
+      Object.assign(pageView.payload, changes);
+      return;
+    }
+    this.pageEngagementQueue.push({ id: pageView.eventId, changes });
+    if (this.pageEngagementQueue.length >= this.maxBatchSize) {
+      this._flushSessionUpdates();
+    }
+  }
+
+  /**
+   * Writes the queued page engagement and session summaries after any write already in progress,
+   * so awaiting it (as `shutdown` does) also waits for flushes started by the cleanup timer.
+   * @private
+   * @returns {Promise<void>}
+   */
+  _flushSessionUpdates() {
+    this.sessionUpdateFlush = this.sessionUpdateFlush.then(() => this._writeQueuedPageEngagement()).then(() => this._writeEndedSessions());
+    return this.sessionUpdateFlush;
+  }
+
+  /**
+   * Writes the queued page engagement to its page view event records. Skipped, with the queue
+   * cleared, when the storage adapter does not implement `updateEvents`.
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _writeQueuedPageEngagement() {
+    if (this.pageEngagementQueue.length === 0) {
+      return;
+    }
+
+    if (typeof this.storage.updateEvents !== "function") {
+      this._log("debug", `Storage adapter cannot update events, dropping engagement of ${this.pageEngagementQueue.length} page views.`);
+      this.pageEngagementQueue.length = 0;
+      return;
+    }
+
+    if (this.circuitBreaker.isOpen()) {
+      this._log("warn", `Storage circuit is open, postponing flush of engagement for ${this.pageEngagementQueue.length} page views.`);
+      return;
+    }
+
+    const updates = this.pageEngagementQueue.splice(0, this.pageEngagementQueue.length);
+    this._log("info", `Flushing engagement for ${updates.length} page views.`);
+
+    let errors;
+    try {
+      errors = await this.storage.updateEvents(updates);
+    } catch (error) {
+      errors = updates.map(() => error);
+    }
+    updates.forEach((update, i) => this._settlePageEngagement(update, errors[i]));
+  }
+
+  /**
+   * Re-queues page engagement whose write was postponed by the circuit breaker, or dead-letters it.
+   * Engagement of page views that were never written is dropped.
+   * @private
+   * @param {{id: string, changes: object}} update The page engagement.
+   * @param {any} error The write error, or null on success.
+   */
+  _settlePageEngagement(update, error) {
+    if (!error) {
+      return;
+    }
+    if (error instanceof CircuitOpenError) {
+      this.pageEngagementQueue.push(update);
+      return;
+    }
+    if (error.status === 404) {
+      this._log("debug", `Page view event ${update.id} does not exist.`);
+      return;
+    }
+    this._log("error", `Failed to write the engagement of page view event ${update.id}.`, error);
+    this._addDeadLetter("pageEngagement", update, error);
+  }
+
+  /**
+   * Writes the queued session summaries to their session records, in batches when the storage
+   * adapter implements `updateSessions`.
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _writeEndedSessions() {
+    if (this.endedSessionQueue.length === 0) {
+      return;
+    }
+
+    if (this.circuitBreaker.isOpen()) {
+      this._log("warn", `Storage circuit is open, postponing flush of ${this.endedSessionQueue.length} ended sessions.`);
+      return;
+    }
+
+    const updates = this.endedSessionQueue.splice(0, this.endedSessionQueue.length);
+    this._log("info", `Flushing ${updates.length} ended sessions.`);
+
+    let errors;
+    try {
+      if (typeof this.storage.updateSessions === "function") {
+        errors = await this.storage.updateSessions(updates);
+      } else {
+        const results = await Promise.allSettled(updates.map(({ id, changes }) => this.storage.updateSession(id, changes)));
+        errors = results.map((result) => (result.status === "rejected" ? result.reason : null));
+      }
+    } catch (error) {
+      errors = updates.map(() => error);
+    }
+    updates.forEach((update, i) => this._settleEndedSession(update, errors[i]));
+  }
+
+  /**
+   * Re-queues a session summary whose write was postponed by the circuit breaker, or dead-letters it.
+   * Summaries of sessions that no longer exist are dropped.
+   * @private
+   * @param {{id: string, changes: object}} update The session summary.
+   * @param {any} error The write error, or null on success.
+   */
+  _settleEndedSession(update, error) {
+    if (!error) {
+      return;
+    }
+    if (error instanceof CircuitOpenError) {
+      this.endedSessionQueue.push(update);
+      return;
+    }
+    if (error.status === 404) {
+      this._log("debug", `Ended session ${update.id} no longer exists.`);
+      return;
+    }
+    this._log("error", `Failed to write the summary of session ${update.id}.`, error);
+    this._addDeadLetter("sessionEnd", update, error);
+  }
+
   /**
    * Sets a visitor in the cache with a timestamp, enforcing max size.
    * Stores only essential data (record ID) instead of full visitor object to reduce memory.
    * @private
+   * @param {import('./modules/sites').SiteState} site The site the visitor belongs to.
    * @param {string} visitorId The visitor ID.
    * @param {object} visitor The visitor record.
    */
-  _setVisitorCache(visitorId, visitor) {
-    if (this.visitorCache.size >= VISITOR_CACHE_MAX_SIZE + VISITOR_CACHE_CLEANUP_THRESHOLD) {
-      const toDelete = this.visitorCache.size - VISITOR_CACHE_MAX_SIZE + 50;
+  _setVisitorCache(site, visitorId, visitor) {
+    const { visitorCache } = site;
+    if (visitorCache.size >= VISITOR_CACHE_MAX_SIZE + VISITOR_CACHE_CLEANUP_THRESHOLD) {
+      const toDelete = visitorCache.size - VISITOR_CACHE_MAX_SIZE + 50;
       let deleted = 0;
-      for (const key of this.visitorCache.keys()) {
+      for (const key of visitorCache.keys()) {
         if (deleted >= toDelete) break;
-        this.visitorCache.delete(key);
+        visitorCache.delete(key);
         deleted++;
       }
     }
-    this.visitorCache.set(visitorId, { id: visitor.id, cachedAt: Date.now() });
+    visitorCache.set(visitorId, { id: visitor.id, cachedAt: Date.now() });
   }
 
   /**
-   * Cleans up expired visitors from the visitor cache.
+   * Cleans up expired visitors from every site's visitor cache.
    * @private
    */
   _cleanVisitorCache() {
     this._log("debug", "Running visitor cache cleanup...");
     const now = Date.now();
     let cleanedCount = 0;
-    for (const [visitorId, cached] of this.visitorCache.entries()) {
-      if (now - cached.cachedAt > VISITOR_CACHE_TTL_MS) {
-        this.visitorCache.delete(visitorId);
-        cleanedCount++;
+    for (const { visitorCache } of this.sites.values()) {
+      for (const [visitorId, cached] of visitorCache.entries()) {
+        if (now - cached.cachedAt > VISITOR_CACHE_TTL_MS) {
+          visitorCache.delete(visitorId);
+          cleanedCount++;
+        }
       }
     }
     if (cleanedCount > 0) {
@@ -784,8 +1867,11 @@ class SkoposSDK {
    * @param {string | undefined} data.ip The IP address of the request.
    * @param {string | undefined} data.userAgent The User-Agent string.
    * @param {object | undefined} data.headers All request headers.
+   * @param {string | undefined} data.url The full event URL (API events only).
+   * @param {Record<string, string> | undefined} data.campaign The redacted campaign fields of the URL, from `_prepareEventData`.
    * @param {string | undefined} data.path The URL path.
-   * @param {'pageView' | 'custom' | 'jsError'} data.type The event type.
+   * @param {string | undefined} data.route The path's route template, if route templating is configured.
+   * @param {'pageView' | 'custom' | 'jsError' | 'revenue' | 'heartbeat' | 'engagement'} data.type The event type.
    * @param {string | undefined} data.name The event name (for custom events).
    * @param {string | undefined} data.referrer The referrer URL.
    * @param {number | undefined} data.screenWidth The screen width.
@@ -794,27 +1880,52 @@ class SkoposSDK {
    * @param {Record<string, any> | undefined} data.customData Custom event data.
    * @param {string | undefined} data.errorMessage Error message for JS errors.
    * @param {string | undefined} data.stackTrace Stack trace for JS errors.
+   * @param {string | undefined} data.anonymousId Client-supplied anonymous visitor ID.
+   * @param {'granted' | 'denied' | undefined} data.consent The explicit consent state.
+   * @param {import('./index').RevenueData | undefined} data.revenue The sanitized order for revenue events.
+   * @param {number | undefined} data.visibleTime The page's visible time in ms, for heartbeat and engagement events.
+   * @param {number | undefined} data.maxScroll The page's deepest scroll position in percent, for heartbeat and engagement events.
+   * @param {string | undefined} data.visitorRef The visitor the event is tracked for, instead of the request's sender.
+   * @param {string | null | undefined} data.cookieId The verified identity cookie ID.
+   * @param {string | undefined} data.hashedVisitorId The IP + user agent visitor ID, kept by `_toReplayData` in place of the IP address.
+   * @param {boolean} [isReplay=false] Whether the event is replayed from the circuit buffer, which skips rate limits it already passed.
    * @returns {Promise<void>}
    */
-  async _processAndQueueEvent(data) {
-    const { siteId, ip, userAgent, headers, path, type, name, referrer, screenWidth, screenHeight, language, customData, errorMessage, stackTrace } = data;
+  async _processAndQueueEvent(data, isReplay = false) {
+    const { siteId, ip, userAgent, headers, path, route, referrer, screenWidth, screenHeight, language, customData, anonymousId, consent, cookieId, hashedVisitorId } = data;
 
     this._log("debug", "Processing event", {
       type: data.type,
       path: data.path,
     });
 
-    if (this.isArchived) {
+    const site = this._getSite(siteId);
+    if (!site) {
+      this._log("error", `Event ignored, site "${siteId}" is not configured.`);
+      return;
+    }
+
+    if (site.isArchived) {
       this._log("warn", "Event ignored, website is archived.");
       return;
     }
 
-    if (ip && this.ipBlacklistSet.has(ip)) {
+    if (data.type === "revenue" && (await this._isDuplicateOrder(site.websiteRecordId, data.revenue.orderId))) {
+      this._log("warn", `Revenue event ignored, order ${data.revenue.orderId} was already tracked.`);
+      return;
+    }
+
+    if (data.visitorRef) {
+      await this._processReferencedEvent(site, data);
+      return;
+    }
+
+    if (matchesIp(site.ipBlacklistMatcher, ip) || matchesIp(this.ipBlacklistMatcher, ip)) {
       this._log("warn", `Event ignored, IP ${ip} is in blacklist.`);
       return;
     }
 
-    if (this.disableLocalhostTracking && ip) {
+    if (site.disableLocalhostTracking && ip) {
       try {
         let addr = ipaddr.parse(ip);
         if (addr.isIPv4MappedAddress()) {
@@ -829,35 +1940,102 @@ class SkoposSDK {
       }
     }
 
-    if (detectBot(userAgent, headers)) {
-      this._log("warn", "Event ignored, bot detected.", { userAgent });
+    const botClassification = this.botClassifier.classify(userAgent, headers);
+    if (botClassification.isBot) {
+      this._log("warn", "Event ignored, bot detected.", { userAgent, score: botClassification.score, rules: botClassification.rules.map((rule) => rule.name) });
+      if (this.botHits) {
+        await this._recordBotHit(site, userAgent, path, botClassification.score);
+      }
+      return;
+    }
+
+    const consentDecision = resolveConsentDecision(this.consent, headers, consent);
+    if (consentDecision === "ignore") {
+      site.consentStats.suppressed++;
+      this._log("debug", "Event ignored, the visitor has not consented to tracking.");
+      return;
+    }
+
+    if (this.rateLimiter && !isReplay && this._isRateLimited(site, this.rateLimiter.checkIp(ip), data)) {
       return;
     }
 
-    await this._ensureAdminAuth();
+    if (this.circuitBreaker.isOpen()) {
+      this._log("warn", "Storage circuit is open, buffering event.");
+      this._bufferEvent(data);
+      return;
+    }
 
-    const { country, state } = await this._getGeoLocation(ip);
+    if (consentDecision === "aggregate") {
+      if (isEngagementEvent(data.type)) {
+        this._log("debug", `${data.type} event ignored, aggregate sessions do not track engagement.`);
+        return;
+      }
+      if (this._isSampledOut(data, null)) {
+        return;
+      }
+      const aggregateSessionId = await this._getAggregateSession(site, data);
+      if (aggregateSessionId) {
+        site.consentStats.aggregated++;
+        await this._queueEvent(site, data, aggregateSessionId);
+      }
+      return;
+    }
 
-    const visitorId = generateVisitorId(siteId, ip, userAgent);
+    let identity;
+    try {
+      identity = await this._resolveVisitorIds(site, { ip, userAgent, cookieId, anonymousId, hashedVisitorId });
+    } catch (saltError) {
+      if (saltError instanceof CircuitOpenError || isRetryableError(saltError)) {
+        this._log("warn", "Storage unavailable while loading the visitor ID salt, buffering event.");
+        this._bufferEvent(data);
+        return;
+      }
+      this._log("error", "Failed to load the visitor ID salt.", saltError);
+      return;
+    }
+
+    const { visitorId, previousVisitorId } = identity;
     const now = Date.now();
     let sessionId;
-    const cachedSession = this.sessionCache.get(visitorId);
+    let cachedSession = site.sessionCache.get(visitorId);
+    if (!cachedSession && previousVisitorId && site.sessionCache.has(previousVisitorId)) {
+      cachedSession = site.sessionCache.get(previousVisitorId);
+      site.sessionCache.delete(previousVisitorId);
+      site.sessionCache.set(visitorId, cachedSession);
+      cachedSession.sampleKey ??= previousVisitorId;
+      this._log("debug", `Carried session ${cachedSession.sessionId} over to the rotated visitor ID.`);
+    }
+    const sessionIsActive = cachedSession && now - cachedSession.lastActivity < this.sessionTimeout;
+    if (this._isSampledOut(data, (sessionIsActive && cachedSession.sampleKey) || visitorId)) {
+      return;
+    }
+    if (this.rateLimiter && !isReplay && this._isRateLimited(site, this.rateLimiter.checkVisitor(visitorId, data.name || data.type), data)) {
+      return;
+    }
+    if (isEngagementEvent(data.type)) {
+      this._recordEngagement(sessionIsActive ? cachedSession : null, data, now);
+      return;
+    }
     let activeSession = null;
     let isNewSession = false;
     let isNewVisitor = false;
-    let isEngaged = false;
 
-    if (cachedSession && now - cachedSession.lastActivity < this.sessionTimeout) {
+    if (sessionIsActive) {
       let sessionStillValid = true;
 
       try {
-        await this.pb.collection(SESSIONS_COLLECTION).update(cachedSession.sessionId, {
-          exitPath: path,
-        });
+        const sessionChanges = { exitPath: path };
+        if (route !== undefined) sessionChanges.exitRoute = route;
+        await this.storage.updateSession(cachedSession.sessionId, sessionChanges);
       } catch (err) {
-        if (err.status === 404) {
+        if (err instanceof CircuitOpenError || isRetryableError(err)) {
+          this._log("warn", `Storage unavailable while updating session ${cachedSession.sessionId}, buffering event.`);
+          this._bufferEvent(data);
+          return;
+        } else if (err.status === 404) {
           this._log("warn", `Session ${cachedSession.sessionId} not found in DB, removing from cache and will create a new one.`);
-          this.sessionCache.delete(visitorId);
+          site.sessionCache.delete(visitorId);
           sessionStillValid = false;
         } else {
           this._log("error", `Failed to update session for ${cachedSession.sessionId}.`, err.message);
@@ -869,10 +2047,10 @@ class SkoposSDK {
         sessionId = cachedSession.sessionId;
         cachedSession.lastActivity = now;
         cachedSession.eventCount++;
+        if (data.type === "pageView") cachedSession.pageViewCount++;
 
         if (!cachedSession.isEngaged && (cachedSession.eventCount >= 2 || (customData?.duration && customData.duration > 10))) {
           cachedSession.isEngaged = true;
-          isEngaged = true;
         }
 
         activeSession = cachedSession;
@@ -887,10 +2065,15 @@ class SkoposSDK {
       let visitor;
       let visitorResult;
       try {
-        visitorResult = await this._getOrCreateVisitor(visitorId);
+        visitorResult = await this._getOrCreateVisitor(site, identity);
         visitor = visitorResult.visitor;
         isNewVisitor = visitorResult.isNewVisitor;
       } catch (visitorError) {
+        if (visitorError instanceof CircuitOpenError || isRetryableError(visitorError)) {
+          this._log("warn", "Storage unavailable while resolving visitor, buffering event.");
+          this._bufferEvent(data);
+          return;
+        }
         this._log("error", "Failed to get or create visitor.", visitorError);
         return;
       }
@@ -902,9 +2085,10 @@ class SkoposSDK {
 
       this._log("info", `Visitor is a ${isNewVisitor ? "new visitor" : "returning visitor"}.`);
 
+      const { country, state, city, timezone, asn, asOrganization } = await this._getGeoLocation(ip);
       const uaDetails = parseUserAgent(userAgent);
       const sessionData = {
-        website: this.websiteRecordId,
+        website: site.websiteRecordId,
         visitor: visitor.id,
         browser: uaDetails.browser,
         os: uaDetails.os,
@@ -918,36 +2102,42 @@ class SkoposSDK {
         country,
         state,
         isNewVisitor,
+        ...resolveSessionAttribution(this.attribution, { url: data.url ?? path, campaign: data.campaign, referrer, siteDomain: site.domain }),
       };
+      if (route !== undefined) {
+        sessionData.entryRoute = route;
+        sessionData.exitRoute = route;
+      }
+      if (city) sessionData.city = city;
+      if (timezone) sessionData.timezone = timezone;
+      if (asn) sessionData.asn = asn;
+      if (asOrganization) sessionData.asOrganization = asOrganization;
 
-      if (this.storeRawIp && ip) {
+      if (site.storeRawIp && ip) {
         sessionData.ipAddress = ip;
       }
+      if (this.sampling) {
+        sessionData.sampleRate = getSampleRate(this.sampling, data.type, data.name);
+      }
 
       let sessionIsEngaged = false;
       if (customData?.duration && customData.duration > 10) {
-        isEngaged = true;
         sessionIsEngaged = true;
       }
 
       try {
-        const newSession = await this.pb.collection(SESSIONS_COLLECTION).create(sessionData);
+        const newSession = await this.storage.createSession(sessionData);
         sessionId = newSession.id;
         this._log("info", `New session created: ${sessionId} for visitor ${visitor.id}`);
 
-        this.sessionCache.set(visitorId, {
-          sessionId,
-          lastActivity: now,
-          eventCount: 1,
-          isEngaged: sessionIsEngaged,
-        });
+        this._cacheSession(site, visitorId, sessionId, now, data.type, sessionIsEngaged);
       } catch (e) {
-        if (e.status === 400 && e.data?.data?.visitor) {
+        if (e.status === 400 && e.field === "visitor") {
           this._log("warn", "Session creation failed due to invalid visitor reference. Clearing cache and retrying...");
-          this.visitorCache.delete(visitorId);
+          site.visitorCache.delete(visitorId);
 
           try {
-            const retryResult = await this._getOrCreateVisitor(visitorId, true);
+            const retryResult = await this._getOrCreateVisitor(site, identity, true);
             const retryVisitor = retryResult.visitor;
             isNewVisitor = retryResult.isNewVisitor;
 
@@ -959,20 +2149,19 @@ class SkoposSDK {
             sessionData.visitor = retryVisitor.id;
             sessionData.isNewVisitor = isNewVisitor;
 
-            const newSession = await this.pb.collection(SESSIONS_COLLECTION).create(sessionData);
+            const newSession = await this.storage.createSession(sessionData);
             sessionId = newSession.id;
             this._log("info", `Session created on retry: ${sessionId} for visitor ${retryVisitor.id}`);
 
-            this.sessionCache.set(visitorId, {
-              sessionId,
-              lastActivity: now,
-              eventCount: 1,
-              isEngaged: sessionIsEngaged,
-            });
+            this._cacheSession(site, visitorId, sessionId, now, data.type, sessionIsEngaged);
           } catch (retryError) {
             this._log("error", "Error creating session on retry.", retryError);
             return;
           }
+        } else if (e instanceof CircuitOpenError || isRetryableError(e)) {
+          this._log("warn", "Storage unavailable while creating session, buffering event.");
+          this._bufferEvent(data);
+          return;
         } else {
           this._log("error", "Error creating session.", e);
           return;
@@ -980,6 +2169,246 @@ class SkoposSDK {
       }
     }
 
+    const eventPayload = await this._queueEvent(site, data, sessionId);
+    const sessionData = site.sessionCache.get(visitorId);
+    if (eventPayload?.type === "pageView" && sessionData?.sessionId === sessionId) {
+      this._startPageView(sessionData, eventPayload);
+    }
+  }
+
+  /**
+   * Tracks an event on behalf of the visitor in `data.visitorRef`. The request came from another
+   * server, so its IP address, user agent and consent headers are not checked or recorded. The
+   * event joins the visitor's active session, or gets a new session without location or device details.
+   * @private
+   * @param {import('./modules/sites').SiteState} site The site the event belongs to.
+   * @param {object} data The event data passed to `_processAndQueueEvent`.
+   * @returns {Promise<void>}
+   */
+  async _processReferencedEvent(site, data) {
+    if (this.circuitBreaker.isOpen()) {
+      this._log("warn", "Storage circuit is open, buffering event.");
+      this._bufferEvent(data);
+      return;
+    }
+
+    const identity = parseVisitorRef(data.visitorRef);
+    const now = Date.now();
+    const cachedSession = site.sessionCache.get(identity.visitorId);
+    const sessionIsActive = cachedSession && now - cachedSession.lastActivity < this.sessionTimeout;
+    if (this._isSampledOut(data, (sessionIsActive && cachedSession.sampleKey) || identity.visitorId)) {
+      return;
+    }
+    if (sessionIsActive) {
+      cachedSession.lastActivity = now;
+      cachedSession.eventCount++;
+      if (data.type === "pageView") cachedSession.pageViewCount++;
+      this._log("debug", `Referenced visitor ${identity.visitorId} has an active session: ${cachedSession.sessionId}`);
+      await this._queueEvent(site, data, cachedSession.sessionId);
+      return;
+    }
+
+    let sessionId;
+    try {
+      const { visitor, isNewVisitor } = await this._getOrCreateVisitor(site, identity);
+      const sessionData = {
+        website: site.websiteRecordId,
+        visitor: visitor.id,
+        entryPath: data.path,
+        exitPath: data.path,
+        country: UNKNOWN_LOCATION.country,
+        state: UNKNOWN_LOCATION.state,
+        isNewVisitor,
+      };
+      if (data.route !== undefined) {
+        sessionData.entryRoute = data.route;
+        sessionData.exitRoute = data.route;
+      }
+      if (this.sampling) {
+        sessionData.sampleRate = getSampleRate(this.sampling, data.type, data.name);
+      }
+      const session = await this.storage.createSession(sessionData);
+      sessionId = session.id;
+      this._cacheSession(site, identity.visitorId, sessionId, now, data.type);
+      this._log("info", `New session created: ${sessionId} for referenced visitor ${visitor.id}`);
+    } catch (error) {
+      if (error instanceof CircuitOpenError || isRetryableError(error)) {
+        this._log("warn", "Storage unavailable while creating session for referenced visitor, buffering event.");
+        this._bufferEvent(data);
+      } else {
+        this._log("error", "Error creating session for referenced visitor.", error);
+      }
+      return;
+    }
+
+    await this._queueEvent(site, data, sessionId);
+  }
+
+  /**
+   * Checks whether an event is dropped by sampling.
+   * @private
+   * @param {object} data The event data passed to `_processAndQueueEvent`.
+   * @param {string | null} sampleKey The visitor ID the decision is keyed on, or null to sample at random.
+   * @returns {boolean} True if the event is dropped.
+   */
+  _isSampledOut(data, sampleKey) {
+    if (!this.sampling || isSampledIn(getSampleRate(this.sampling, data.type, data.name), sampleKey)) {
+      return false;
+    }
+    this._log("debug", `Event "${data.name || data.type}" dropped by sampling.`);
+    return true;
+  }
+
+  /**
+   * Counts and logs an event that exceeded a rate limit, unless the `sample` action keeps it.
+   * @private
+   * @param {import('./modules/sites').SiteState} site The site the event belongs to.
+   * @param {'ip' | 'visitor' | 'event' | null} limit The exceeded limit, or null if none was.
+   * @param {object} data The event data passed to `_processAndQueueEvent`.
+   * @returns {boolean} True if the event is dropped.
+   */
+  _isRateLimited(site, limit, data) {
+    if (!limit) {
+      return false;
+    }
+    if (this.rateLimiter.keepsOverLimit()) {
+      site.rateLimitStats.sampled++;
+      return false;
+    }
+    site.rateLimitStats[limit]++;
+    this._log("debug", `Event "${data.name || data.type}" dropped, the ${limit} rate limit was exceeded.`);
+    return true;
+  }
+
+  /**
+   * Checks whether a revenue order was already tracked for a website, in this process or (when
+   * the storage adapter implements `hasOrder`) in storage. Runs before any visitor or session
+   * work, so a retried webhook does not touch the session. Order IDs are scoped by website, so
+   * sites with their own order numbering do not collide. A failed lookup is logged and the order
+   * is treated as new.
+   * @private
+   * @param {string} website The `websites` record ID.
+   * @param {string} orderId The order ID.
+   * @returns {Promise<boolean>} True if the order is a duplicate.
+   */
+  async _isDuplicateOrder(website, orderId) {
+    if (this.recentOrderIds.has(`${website}:${orderId}`)) {
+      return true;
+    }
+    if (typeof this.storage.hasOrder !== "function") {
+      return false;
+    }
+    try {
+      return await this.storage.hasOrder(website, orderId);
+    } catch (error) {
+      this._log("warn", `Could not check whether order ${orderId} was already tracked.`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Marks a revenue order as tracked when its event is queued. Fails for an order that was
+   * claimed in the meantime, e.g. by a concurrent duplicate that passed `_isDuplicateOrder` too.
+   * @private
+   * @param {string} website The `websites` record ID.
+   * @param {string} orderId The order ID.
+   * @returns {boolean} True if the order was not claimed before.
+   */
+  _claimOrder(website, orderId) {
+    const key = `${website}:${orderId}`;
+    if (this.recentOrderIds.has(key)) {
+      return false;
+    }
+    this.recentOrderIds.add(key);
+    if (this.recentOrderIds.size > RECENT_ORDER_IDS_MAX_SIZE) {
+      this.recentOrderIds.delete(this.recentOrderIds.values().next().value);
+    }
+    return true;
+  }
+
+  /**
+   * Returns the session of an event tracked without consent. Such events share one session per
+   * site, which is replaced `sessionTimeout` after it started; concurrent events wait for the
+   * session being created instead of creating their own.
+   * @private
+   * @param {import('./modules/sites').SiteState} site The site the event belongs to.
+   * @param {object} data The event data passed to `_processAndQueueEvent`.
+   * @returns {Promise<string | null>} The session ID, or null if the event was buffered or dropped.
+   */
+  async _getAggregateSession(site, data) {
+    const now = Date.now();
+    let aggregateSession = site.aggregateSession;
+    if (!aggregateSession || now - aggregateSession.startedAt >= this.sessionTimeout) {
+      aggregateSession = { sessionId: this._createAggregateSession(site, data), startedAt: now };
+      site.aggregateSession = aggregateSession;
+    }
+    try {
+      return await aggregateSession.sessionId;
+    } catch (error) {
+      if (site.aggregateSession === aggregateSession) {
+        site.aggregateSession = null;
+      }
+      if (error instanceof CircuitOpenError || isRetryableError(error)) {
+        this._log("warn", "Storage unavailable while creating aggregate session, buffering event.");
+        this._bufferEvent(data);
+      } else {
+        this._log("error", "Error creating aggregate session.", error);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Creates a session for events tracked without consent. It has no visitor, IP address,
+   * or geolocation; its entry path and attribution are those of the event that started it.
+   * @private
+   * @param {import('./modules/sites').SiteState} site The site the event belongs to.
+   * @param {object} data The event data passed to `_processAndQueueEvent`.
+   * @returns {Promise<string>} The session ID.
+   * @throws {Error} If the session cannot be created.
+   */
+  async _createAggregateSession(site, data) {
+    const uaDetails = parseUserAgent(data.userAgent);
+    const sessionData = {
+      website: site.websiteRecordId,
+      browser: uaDetails.browser,
+      os: uaDetails.os,
+      device: uaDetails.device,
+      entryPath: data.path,
+      exitPath: data.path,
+      referrer: data.referrer,
+      screenWidth: data.screenWidth,
+      screenHeight: data.screenHeight,
+      language: data.language,
+      country: UNKNOWN_LOCATION.country,
+      state: UNKNOWN_LOCATION.state,
+      isAggregate: true,
+      ...resolveSessionAttribution(this.attribution, { url: data.url ?? data.path, campaign: data.campaign, referrer: data.referrer, siteDomain: site.domain }, { includeClickIds: false }),
+    };
+    if (data.route !== undefined) {
+      sessionData.entryRoute = data.route;
+      sessionData.exitRoute = data.route;
+    }
+    if (this.sampling) {
+      sessionData.sampleRate = getSampleRate(this.sampling, data.type, data.name);
+    }
+    const session = await this.storage.createSession(sessionData);
+    this._log("debug", `Aggregate session created: ${session.id}`);
+    return session.id;
+  }
+
+  /**
+   * Queues a JS error, or builds the event record and queues or sends it. Page views get their
+   * record ID up front, so their engagement can be written to them later.
+   * @private
+   * @param {import('./modules/sites').SiteState} site The site the event belongs to.
+   * @param {object} data The event data passed to `_processAndQueueEvent`.
+   * @param {string} sessionId The session the event belongs to.
+   * @returns {Promise<object | undefined>} The event payload, or undefined for JS errors and duplicate orders.
+   */
+  async _queueEvent(site, data, sessionId) {
+    const { path, route, type, name, customData, errorMessage, stackTrace, revenue } = data;
+
     if (type === "jsError") {
       let safeUrl = "";
       if (typeof data.url === "string" && data.url) {
@@ -991,23 +2420,21 @@ class SkoposSDK {
       }
       const errorIdentifier = `${errorMessage}\n${(stackTrace || "").split("\n")[1]}`;
       const errorHash = createHash("sha256").update(errorIdentifier).digest("hex");
-      const existingError = this.jsErrorQueue.get(errorHash);
-
-      if (existingError) {
-        existingError.count++;
-      } else {
-        if (this.jsErrorQueue.size >= JS_ERROR_QUEUE_MAX_SIZE) {
-          this._log("warn", "JS error queue full, flushing before adding new error.");
-          await this._flushJsErrors();
-        }
-        this.jsErrorQueue.set(errorHash, {
-          sessionId: sessionId,
-          errorMessage,
-          stackTrace: stackTrace ? stackTrace.substring(0, 2048) : undefined,
-          url: safeUrl,
-          count: 1,
-        });
+      if (!this.jsErrorQueue.has(`${site.websiteRecordId}:${errorHash}`) && this.jsErrorQueue.size >= JS_ERROR_QUEUE_MAX_SIZE) {
+        this._log("warn", "JS error queue full, flushing before adding new error.");
+        await this._flushJsErrors();
       }
+
+      const errorData = {
+        website: site.websiteRecordId,
+        errorHash,
+        sessionId: sessionId,
+        errorMessage,
+        stackTrace: stackTrace ? stackTrace.substring(0, 2048) : undefined,
+        url: safeUrl,
+      };
+      const spoolId = this.spool?.add("jsError", errorData);
+      this._enqueueJsError(errorData, spoolId);
       this._log("debug", "Queued JS error report.");
       return;
     }
@@ -1017,9 +2444,32 @@ class SkoposSDK {
       type: type,
       path: path,
     };
+    if (type === "pageView") {
+      eventPayload.id = createRecordId();
+    }
+    if (route !== undefined) {
+      eventPayload.route = route;
+    }
+    const sampleRate = this.sampling ? getSampleRate(this.sampling, type, name) : 1;
+    if (sampleRate < 1) {
+      eventPayload.sampleRate = sampleRate;
+    }
     if (type !== "pageView" && name) {
       eventPayload.eventName = name;
     }
+    if (type === "revenue") {
+      if (!this._claimOrder(site.websiteRecordId, revenue.orderId)) {
+        this._log("warn", `Revenue event ignored, order ${revenue.orderId} was already tracked.`);
+        return;
+      }
+      eventPayload.website = site.websiteRecordId;
+      eventPayload.orderId = revenue.orderId;
+      eventPayload.amount = revenue.amount;
+      eventPayload.currency = revenue.currency;
+      if (revenue.items) {
+        eventPayload.items = revenue.items;
+      }
+    }
     if (customData) {
       for (const _ in customData) {
         eventPayload.eventData = customData;
@@ -1027,6 +2477,10 @@ class SkoposSDK {
       }
     }
 
+    if (this.spool) {
+      this.eventSpoolIds.set(eventPayload, this.spool.add("event", eventPayload));
+    }
+
     if (this.batchingEnabled) {
       this.eventQueue.push(eventPayload);
       this._log("debug", `Event pushed to queue. Queue size: ${this.eventQueue.length}`);
@@ -1041,24 +2495,70 @@ class SkoposSDK {
       this._log("debug", "Sending event immediately (batching disabled).");
       this._sendEvent(eventPayload);
     }
+    return eventPayload;
   }
 
   /**
-   * Sends a single event payload to the PocketBase events collection.
-   * Handles PocketBase API errors.
+   * Sends a single event payload to the storage adapter's events collection.
+   * Retries transient failures, keeps the event queued while the circuit is open,
+   * and moves it to the dead-letter list once retries are exhausted.
    * @private
    * @param {object} eventPayload The event data to send; at minimum must include session, type, path.
-   * @returns {Promise<void>}
+   * @returns {Promise<boolean>} True if the event was persisted.
    */
   async _sendEvent(eventPayload) {
     try {
-      this._log("debug", "Sending event to PocketBase:", eventPayload);
-      await this._ensureAdminAuth();
-      await this.pb.collection(EVENTS_COLLECTION).create(eventPayload);
+      this._log("debug", "Sending event to storage:", eventPayload);
+      const [error] = await this.storage.createEvents([eventPayload]);
+      this._settleEvent(eventPayload, error);
+      return !error;
     } catch (error) {
-      this._log("error", "Failed to send event.", error.originalError?.data || error.message);
+      this._settleEvent(eventPayload, error);
+      return false;
+    }
+  }
+
+  /**
+   * Acknowledges a written event, or re-queues / dead-letters it if the write failed.
+   * @private
+   * @param {object} eventPayload The event payload.
+   * @param {any} error The write error, or null on success.
+   */
+  _settleEvent(eventPayload, error) {
+    if (!error) {
+      this.spool?.ack(this.eventSpoolIds.get(eventPayload));
+      return;
+    }
+    if (error instanceof CircuitOpenError) {
+      this._log("warn", "Storage circuit is open, keeping event queued.");
+      this.eventQueue.push(eventPayload);
+      return;
+    }
+    if (error.status === 400 && error.field === "orderId") {
+      this._log("warn", `Revenue event ignored, order ${eventPayload.orderId} already exists in storage.`);
+      this.spool?.ack(this.eventSpoolIds.get(eventPayload));
+      return;
+    }
+    if (eventPayload.orderId) {
+      this.recentOrderIds.delete(`${eventPayload.website}:${eventPayload.orderId}`);
+    }
+    this._log("error", "Failed to send event.", error.originalError?.data || error.message);
+    this._addDeadLetter("event", eventPayload, error);
+    if (!isRetryableError(error)) {
+      this.spool?.ack(this.eventSpoolIds.get(eventPayload));
     }
   }
 }
 
 module.exports = SkoposSDK;
+module.exports.createCollectorHandler = createCollectorHandler;
+module.exports.createExpressCollector = createExpressCollector;
+module.exports.createFastifyCollector = createFastifyCollector;
+module.exports.createKoaCollector = createKoaCollector;
+module.exports.getClientScript = getClientScript;
+module.exports.createClientScriptHandler = createClientScriptHandler;
+module.exports.PocketBaseStorage = PocketBaseStorage;
+module.exports.MemoryStorage = MemoryStorage;
+module.exports.JsonlStorage = JsonlStorage;
+module.exports.StorageError = StorageError;
+module.exports.DEFAULT_CHANNEL_DOMAINS = DEFAULT_CHANNEL_DOMAINS;
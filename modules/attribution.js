@@ -0,0 +1,176 @@
+const CONTROL_CHARS_PATTERN = /[\x00-\x1F\x7F-\x9F]/g;
+const MAX_CAMPAIGN_VALUE_LENGTH = 255;
+
+const CAMPAIGN_PARAMS = {
+  utm_source: "utmSource",
+  utm_medium: "utmMedium",
+  utm_campaign: "utmCampaign",
+  utm_term: "utmTerm",
+  utm_content: "utmContent",
+  gclid: "gclid",
+  fbclid: "fbclid",
+  msclkid: "msclkid",
+};
+const CLICK_ID_FIELDS = ["gclid", "fbclid", "msclkid"];
+
+const PAID_MEDIUM_PATTERN = /^(cpc|ppc|cpm|cpv|cpa|paid|paid[-_ ]?(search|social|media)|display|banner|retargeting)$/i;
+const EMAIL_MEDIUM_PATTERN = /^(e[-_ ]?mail|newsletter)$/i;
+const SOCIAL_MEDIUM_PATTERN = /^(social|social[-_ ]?(network|media)|sm)$/i;
+const SEARCH_MEDIUM_PATTERN = /^(organic|search|seo)$/i;
+
+/**
+ * Referrer domains per channel. An entry matches the domain and its subdomains; a trailing `.*`
+ * matches any top-level domain (e.g. `google.*` matches `google.de` and `google.co.uk`).
+ * Channels are checked in this order, so `mail.google.com` is email rather than search.
+ */
+const DEFAULT_CHANNEL_DOMAINS = Object.freeze({
+  paid: Object.freeze(["googleadservices.com", "doubleclick.net", "googlesyndication.com"]),
+  email: Object.freeze(["mail.google.com", "outlook.live.com", "outlook.office.com", "outlook.office365.com", "mail.yahoo.com", "mail.proton.me", "mail.aol.com", "mail.zoho.com", "fastmail.com"]),
+  social: Object.freeze(["facebook.com", "instagram.com", "t.co", "twitter.com", "x.com", "linkedin.com", "lnkd.in", "reddit.com", "pinterest.*", "youtube.com", "tiktok.com", "threads.net", "bsky.app", "mastodon.social", "news.ycombinator.com", "quora.com", "tumblr.com", "vk.com", "t.me", "discord.com", "snapchat.com"]),
+  search: Object.freeze(["google.*", "bing.com", "duckduckgo.com", "search.yahoo.com", "yandex.*", "baidu.com", "ecosia.org", "startpage.com", "search.brave.com", "qwant.com", "naver.com", "seznam.cz", "ask.com"]),
+});
+const CHANNELS_BY_DOMAIN = ["paid", "email", "social", "search"];
+
+/**
+ * @typedef {'paid' | 'email' | 'social' | 'search' | 'internal' | 'referral' | 'direct'} Channel
+ */
+
+/**
+ * @typedef {object} AttributionSettings
+ * @property {Record<string, RegExp>} channelMatchers Hostname matchers for the `paid`, `email`, `social` and `search` channels.
+ */
+
+/**
+ * Compiles a list of channel domains into one hostname matcher.
+ * @param {string[]} domains The domains.
+ * @returns {RegExp}
+ */
+function compileDomainMatcher(domains) {
+  if (domains.length === 0) {
+    return /$^/;
+  }
+  const alternatives = domains.map((domain) => {
+    const anyTld = domain.endsWith(".*");
+    const escaped = (anyTld ? domain.slice(0, -2) : domain).toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    return anyTld ? `${escaped}\\.[a-z]{2,}(?:\\.[a-z]{2,})?` : escaped;
+  });
+  return new RegExp(`(?:^|\\.)(?:${alternatives.join("|")})$`);
+}
+
+/**
+ * Normalizes the `attribution` option.
+ * @param {import('../index').AttributionOptions | undefined} options The raw option.
+ * @returns {AttributionSettings}
+ * @throws {Error} If a channel domain list is not an array.
+ */
+function resolveAttributionOptions(options = {}) {
+  const channelMatchers = {};
+  for (const channel of CHANNELS_BY_DOMAIN) {
+    const domains = options.channelDomains?.[channel] ?? DEFAULT_CHANNEL_DOMAINS[channel];
+    if (!Array.isArray(domains)) {
+      throw new Error(`SkoposSDK: 'attribution.channelDomains.${channel}' must be an array of domains.`);
+    }
+    channelMatchers[channel] = compileDomainMatcher(domains);
+  }
+  return { channelMatchers };
+}
+
+/**
+ * Reads the UTM parameters and ad click IDs of a landing URL.
+ * @param {string | undefined} url The landing URL, or a path with a query string.
+ * @param {(param: string, value: string) => string | null} [redactParam] Redacts a parameter value; returning null drops the parameter.
+ * @returns {Record<string, string>} The campaign fields that are present, keyed by session field name.
+ */
+function extractCampaign(url, redactParam) {
+  const campaign = {};
+  if (typeof url !== "string" || !url.includes("?")) {
+    return campaign;
+  }
+  let params;
+  try {
+    params = new URL(url, "http://localhost").searchParams;
+  } catch {
+    return campaign;
+  }
+  for (const [param, field] of Object.entries(CAMPAIGN_PARAMS)) {
+    let value = params.get(param)?.replace(CONTROL_CHARS_PATTERN, "").trim();
+    if (value && redactParam) {
+      value = redactParam(param, value);
+    }
+    if (value) {
+      campaign[field] = value.substring(0, MAX_CAMPAIGN_VALUE_LENGTH);
+    }
+  }
+  return campaign;
+}
+
+/**
+ * Returns the lower-cased hostname of a referrer.
+ * @param {string | undefined} referrer The referrer URL.
+ * @returns {string | null} The hostname, or null if the referrer is empty or not a URL.
+ */
+function getReferrerHostname(referrer) {
+  if (!referrer) {
+    return null;
+  }
+  try {
+    return new URL(referrer).hostname.toLowerCase() || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Classifies how a session arrived. Campaign parameters win over the referrer: paid media and
+ * click IDs first, then the UTM medium, then the referrer's domain. Referrers from the site's own
+ * domain (or its subdomains) are internal.
+ * @param {AttributionSettings} settings The attribution settings.
+ * @param {{referrer?: string, campaign: Record<string, string>, siteDomain?: string | null}} source The session's referrer, campaign and site domain.
+ * @returns {Channel}
+ */
+function classifyChannel(settings, { referrer, campaign, siteDomain }) {
+  const medium = campaign.utmMedium || "";
+  if (campaign.gclid || campaign.msclkid || PAID_MEDIUM_PATTERN.test(medium)) return "paid";
+  if (EMAIL_MEDIUM_PATTERN.test(medium)) return "email";
+  if (SOCIAL_MEDIUM_PATTERN.test(medium)) return "social";
+  if (SEARCH_MEDIUM_PATTERN.test(medium)) return "search";
+  if (campaign.fbclid) return "social";
+
+  const hostname = getReferrerHostname(referrer);
+  if (hostname) {
+    const ownDomain = siteDomain?.replace(/^www\./, "").toLowerCase();
+    if (ownDomain && (hostname === ownDomain || hostname.endsWith(`.${ownDomain}`))) {
+      return "internal";
+    }
+    for (const channel of CHANNELS_BY_DOMAIN) {
+      if (settings.channelMatchers[channel].test(hostname)) return channel;
+    }
+    return "referral";
+  }
+  return campaign.utmSource ? "referral" : "direct";
+}
+
+/**
+ * Computes the attribution fields of a new session: its channel plus the campaign parameters
+ * of the landing URL.
+ * @param {AttributionSettings} settings The attribution settings.
+ * @param {{url?: string, campaign?: Record<string, string>, referrer?: string, siteDomain?: string | null}} source The landing URL (or its
+ * campaign fields, when they were extracted before redaction), referrer and site domain.
+ * @param {{includeClickIds?: boolean}} [options] Set `includeClickIds: false` to leave out ad click IDs.
+ * @returns {Record<string, string>} The session fields.
+ */
+function resolveSessionAttribution(settings, { url, campaign = extractCampaign(url), referrer, siteDomain }, { includeClickIds = true } = {}) {
+  const fields = { channel: classifyChannel(settings, { referrer, campaign, siteDomain }), ...campaign };
+  if (!includeClickIds) {
+    for (const field of CLICK_ID_FIELDS) delete fields[field];
+  }
+  return fields;
+}
+
+module.exports = {
+  DEFAULT_CHANNEL_DOMAINS,
+  resolveAttributionOptions,
+  extractCampaign,
+  classifyChannel,
+  resolveSessionAttribution,
+};
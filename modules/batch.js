@@ -0,0 +1,61 @@
+/**
+ * Helpers for interpreting responses from PocketBase's transactional batch endpoint (`/api/batch`).
+ * A batch either commits entirely or is rolled back; on failure PocketBase reports the
+ * first request that failed under `data.requests[<index>]`.
+ */
+
+/**
+ * Whether the batch API is disabled in the PocketBase settings.
+ * @param {any} error The error thrown by `batch.send()`.
+ * @returns {boolean}
+ */
+function isBatchDisabledError(error) {
+  return error?.status === 403;
+}
+
+/**
+ * Whether the batch was rejected for exceeding the server's `maxRequests` limit.
+ * @param {any} error The error thrown by `batch.send()`.
+ * @returns {boolean}
+ */
+function isBatchLimitError(error) {
+  const requests = error?.response?.data?.requests;
+  return error?.status === 400 && typeof requests?.code === "string";
+}
+
+/**
+ * Extracts the request that caused a batch transaction to roll back.
+ * @param {any} error The error thrown by `batch.send()`.
+ * @returns {{ index: number, error: Error & { status: number, response: object, field?: string } } | null}
+ * The failing request's index within the batch and an error describing it (with the first
+ * invalid field on `field`, like single-record writes), or null if the
+ * error does not describe a single failed request.
+ */
+function getFailedBatchRequest(error) {
+  const requests = error?.response?.data?.requests;
+  if (error?.status !== 400 || !requests || typeof requests !== "object" || isBatchLimitError(error)) {
+    return null;
+  }
+
+  for (const [key, value] of Object.entries(requests)) {
+    const index = Number.parseInt(key, 10);
+    if (!Number.isInteger(index) || index < 0) continue;
+
+    const response = value?.response || {};
+    const itemError = new Error(response.message || value?.message || "Batch request failed.");
+    itemError.status = response.status ?? 400;
+    itemError.response = response;
+    if (itemError.status === 400 && response.data && typeof response.data === "object") {
+      itemError.field = Object.keys(response.data)[0];
+    }
+    return { index, error: itemError };
+  }
+
+  return null;
+}
+
+module.exports = {
+  isBatchDisabledError,
+  isBatchLimitError,
+  getFailedBatchRequest,
+};
@@ -0,0 +1,411 @@
+const { isbot } = require("isbot");
+const UAParser = require("ua-parser-js");
+const { createHash } = require("node:crypto");
+
+const BOT_CACHE_MAX_SIZE = 300;
+const BOT_CACHE_TTL_MS = 1000 * 60 * 15;
+const BOT_CACHE_CLEANUP_INTERVAL_MS = 1000 * 60 * 5;
+const DEFAULT_BOT_SCORE_THRESHOLD = 70;
+const DEFAULT_BOT_HIT_WINDOW_MS = 1000 * 60 * 60;
+const MIN_BOT_HIT_WINDOW_MS = 1000 * 60;
+const MAX_BOT_FAMILY_LENGTH = 64;
+const MAX_BOT_HIT_PATH_LENGTH = 512;
+
+const uaParser = new UAParser();
+
+const BOT_PATTERNS = /HeadlessChrome|Puppeteer|PhantomJS|Selenium|Playwright|Crawl(er|bot)|Spider|Scraper|Monitor(ing)?|Archiver|Screenshot|Validator|Lighthouse|AhrefsBot|SemrushBot|MJ12bot|PetalBot|YandexBot|Bingbot|Googlebot|Baiduspider|DotBot|Applebot|facebookexternalhit|Slackbot|Discordbot|Twitterbot|LinkedInBot|WhatsApp|TelegramBot|^curl\/|^wget\/|^python-requests\/|^Go-http-client\/|^Java\/|^okhttp\/|^Apache-HttpClient\/|^Axios\/|^node-fetch\/|^got\/|^Postman|sqlmap|nikto|nmap|masscan|nessus|burpsuite|metasploit|nuclei|acunetix|w3af|zaproxy/i;
+const CHROME_EDGE_PATTERN = /Chrome|Edge/i;
+const BOT_REFERER_PATTERN = /bot|crawl|spider|scrape/i;
+const ACCEPT_HEADER_PATTERN = /html|xml|xhtml|json|\*\//i;
+const REQUIRED_HEADERS = ["accept", "accept-language", "accept-encoding"];
+const AUTOMATION_HEADERS = ["x-selenium", "x-puppeteer", "x-playwright", "x-automated", "x-webdriver"];
+const NAMED_BOT_PATTERN = /\b(facebookexternalhit|meta-externalagent|ChatGPT-User|Claude-User|Claude-Web|Perplexity-User|Google-Extended|Google-InspectionTool|GoogleOther|HeadlessChrome|PhantomJS|Lighthouse|Puppeteer|Playwright|Selenium|WhatsApp|sqlmap|nikto|Nmap|masscan|nuclei|zgrab|Nessus|Acunetix|w3af)\b/i;
+const BOT_TOKEN_PATTERN = /\b([A-Za-z][\w.-]*?(?:bot|crawler|spider|scraper))\b/i;
+const PRODUCT_TOKEN_PATTERN = /^([A-Za-z][\w.-]*)\/\d/;
+const BROWSER_PRODUCT_TOKENS = new Set(["mozilla", "opera"]);
+
+/**
+ * @typedef {object} BotRuleInput
+ * @property {string | undefined} userAgent The user agent.
+ * @property {object} headers The request headers (empty when none were given).
+ * @property {() => object} uaInfo Parses the user agent with ua-parser-js, once.
+ */
+
+/**
+ * A scoring rule. `test` returns whether the rule fired, or how many times (the weight is added per hit).
+ * @typedef {object} BotRule
+ * @property {string} name The rule name.
+ * @property {number} weight The score added when the rule fires.
+ * @property {(input: BotRuleInput) => boolean | number} test The check.
+ */
+
+/**
+ * Rules that only look at the user agent. Their hits are cached per user agent and header signals.
+ * @type {BotRule[]}
+ */
+const USER_AGENT_RULES = [
+  { name: "knownBot", weight: 100, test: ({ userAgent }) => Boolean(userAgent) && isbot(userAgent) },
+  { name: "missingUserAgent", weight: 80, test: ({ userAgent }) => !userAgent || userAgent.length < 10 },
+  { name: "longUserAgent", weight: 40, test: ({ userAgent }) => Boolean(userAgent) && userAgent.length > 512 },
+  { name: "botPattern", weight: 90, test: ({ userAgent }) => Boolean(userAgent) && BOT_PATTERNS.test(userAgent) },
+  { name: "unparsedUserAgent", weight: 40, test: ({ userAgent, uaInfo }) => Boolean(userAgent) && userAgent.length > 20 && !uaInfo().browser.name && !uaInfo().os.name },
+  { name: "botDevice", weight: 50, test: ({ userAgent, uaInfo }) => Boolean(userAgent) && (uaInfo().device.type === "spider" || uaInfo().device.type === "bot") },
+  { name: "unknownBrowser", weight: 30, test: ({ userAgent, uaInfo }) => Boolean(userAgent) && uaInfo().browser.name === "Other" && !uaInfo().os.name && !uaInfo().device.type },
+  {
+    name: "outdatedBrowser",
+    weight: 25,
+    test: ({ userAgent, uaInfo }) => {
+      const { name, version } = uaInfo().browser;
+      if (!userAgent || !name || !version) return false;
+      const majorVersion = Number.parseInt(version.split(".")[0], 10);
+      return (name === "Chrome" && majorVersion < 80) || (name === "Firefox" && majorVersion < 70) || (name === "Safari" && majorVersion < 12) || (name === "Edge" && majorVersion < 80);
+    },
+  },
+];
+
+/**
+ * Rules that look at the request headers. They only run when headers are given, and together
+ * with the custom rules they run for every request; their hits are part of the cache key.
+ * @type {BotRule[]}
+ */
+const HEADER_RULES = [
+  { name: "missingBrowserHeaders", weight: 15, test: ({ headers }) => REQUIRED_HEADERS.filter((header) => !headers[header]).length },
+  { name: "missingAcceptLanguage", weight: 20, test: ({ headers }) => !headers["accept-language"] },
+  { name: "unusualAccept", weight: 10, test: ({ headers }) => Boolean(headers.accept) && headers.accept !== "*/*" && !ACCEPT_HEADER_PATTERN.test(headers.accept) },
+  { name: "wildcardAccept", weight: 25, test: ({ headers }) => headers.accept === "*/*" && !headers["accept-language"] },
+  { name: "automationHeader", weight: 100, test: ({ headers }) => AUTOMATION_HEADERS.some((header) => headers[header]) },
+  { name: "headlessPlatform", weight: 100, test: ({ headers }) => Boolean(headers["sec-ch-ua-platform"]?.includes("Headless")) },
+  { name: "missingFetchMetadata", weight: 15, test: ({ userAgent, headers }) => Boolean(userAgent) && CHROME_EDGE_PATTERN.test(userAgent) && !headers["sec-fetch-site"] },
+  { name: "connectionClose", weight: 10, test: ({ headers }) => headers.connection?.toLowerCase() === "close" && Boolean(headers["accept-encoding"]) },
+  {
+    name: "botReferer",
+    weight: 30,
+    test: ({ headers }) => {
+      const referer = headers.referer || headers.referrer;
+      return Boolean(referer) && (BOT_REFERER_PATTERN.test(referer) || referer.length > 512);
+    },
+  },
+];
+
+const BUILT_IN_RULE_NAMES = new Set([...USER_AGENT_RULES, ...HEADER_RULES].map((rule) => rule.name));
+const HEADER_RULE_HEADERS = [...REQUIRED_HEADERS, ...AUTOMATION_HEADERS, "sec-ch-ua-platform", "sec-fetch-site", "connection", "referer", "referrer"];
+
+/**
+ * @typedef {object} BotDetectionSettings
+ * @property {number} threshold The score from which a request is a bot.
+ * @property {BotRule[]} userAgentRules The user agent rules, with configured weights.
+ * @property {BotRule[]} headerRules The header rules, with configured weights.
+ * @property {BotRule[]} customRules The user-defined rules.
+ * @property {Array<{name: string, matches: (input: BotRuleInput) => boolean}>} allowlist Requests that are never bots.
+ * @property {Set<string>} headerNames The lower-case names of every header the rules and allowlist read.
+ */
+
+/**
+ * @typedef {object} BotClassification
+ * @property {number} score The bot score from 0 to 100.
+ * @property {number} threshold The score from which a request is a bot.
+ * @property {boolean} isBot Whether the request is treated as a bot.
+ * @property {'bot' | 'human' | 'allowlisted'} verdict The verdict.
+ * @property {Array<{name: string, score: number}>} rules The rules that fired and the score each added.
+ * @property {string} [allowlistedBy] The allowlist entry that matched.
+ */
+
+/**
+ * Compiles a string or RegExp into a case-insensitive test.
+ * @param {string | RegExp} pattern The pattern; strings match as substrings.
+ * @param {string} at Where the pattern is, for error messages.
+ * @returns {(value: string) => boolean}
+ * @throws {Error} If the pattern is neither a string nor a RegExp.
+ */
+function compilePattern(pattern, at) {
+  if (pattern instanceof RegExp) {
+    return (value) => {
+      pattern.lastIndex = 0;
+      return pattern.test(value);
+    };
+  }
+  if (typeof pattern === "string") {
+    const needle = pattern.toLowerCase();
+    return (value) => value.toLowerCase().includes(needle);
+  }
+  throw new Error(`SkoposSDK: '${at}' must be a string or RegExp.`);
+}
+
+/**
+ * Compiles the conditions of a custom rule or allowlist entry. All conditions must hold.
+ * A header condition of `true` requires the header, `false` requires its absence, and a
+ * pattern must match its value.
+ * @param {import('../index').BotMatcher} matcher The conditions.
+ * @param {string} at Where the matcher is, for error messages.
+ * @returns {(input: BotRuleInput) => boolean}
+ * @throws {Error} If the matcher has no condition or an invalid one.
+ */
+function compileMatcher(matcher, at) {
+  const conditions = [];
+  if (matcher.userAgent !== undefined) {
+    const test = compilePattern(matcher.userAgent, `${at}.userAgent`);
+    conditions.push(({ userAgent }) => Boolean(userAgent) && test(userAgent));
+  }
+  for (const [name, expected] of Object.entries(matcher.headers || {})) {
+    const header = name.toLowerCase();
+    if (typeof expected === "boolean") {
+      conditions.push(({ headers }) => Boolean(headers[header]) === expected);
+    } else {
+      const test = compilePattern(expected, `${at}.headers.${name}`);
+      conditions.push(({ headers }) => headers[header] !== undefined && test(String(headers[header])));
+    }
+  }
+  if (conditions.length === 0) {
+    throw new Error(`SkoposSDK: '${at}' needs a userAgent or headers condition.`);
+  }
+  return (input) => conditions.every((condition) => condition(input));
+}
+
+/**
+ * Normalizes the `botDetection` option.
+ * @param {import('../index').BotDetectionOptions} [options] The raw option.
+ * @returns {BotDetectionSettings}
+ * @throws {Error} If the threshold, a weight, a custom rule, or an allowlist entry is invalid.
+ */
+function resolveBotDetectionOptions(options = {}) {
+  const threshold = options.threshold ?? DEFAULT_BOT_SCORE_THRESHOLD;
+  if (typeof threshold !== "number" || !Number.isFinite(threshold)) {
+    throw new Error("SkoposSDK: 'botDetection.threshold' must be a number.");
+  }
+  const weights = options.weights || {};
+  for (const [name, weight] of Object.entries(weights)) {
+    if (!BUILT_IN_RULE_NAMES.has(name)) {
+      throw new Error(`SkoposSDK: Unknown bot detection rule "${name}".`);
+    }
+    if (typeof weight !== "number" || !Number.isFinite(weight)) {
+      throw new Error(`SkoposSDK: The weight of bot detection rule "${name}" must be a number.`);
+    }
+  }
+  const withWeight = (rule) => ({ ...rule, weight: weights[rule.name] ?? rule.weight });
+
+  const customRules = (options.rules || []).map((rule, i) => {
+    const at = `botDetection.rules[${i}]`;
+    if (typeof rule?.name !== "string" || !rule.name || BUILT_IN_RULE_NAMES.has(rule.name)) {
+      throw new Error(`SkoposSDK: '${at}' needs a unique name.`);
+    }
+    if (typeof rule.weight !== "number" || !Number.isFinite(rule.weight)) {
+      throw new Error(`SkoposSDK: '${at}.weight' must be a number.`);
+    }
+    return { name: rule.name, weight: rule.weight, test: compileMatcher(rule, at) };
+  });
+  const allowlist = (options.allowlist || []).map((entry, i) => ({
+    name: entry?.name || `allowlist[${i}]`,
+    matches: compileMatcher(entry || {}, `botDetection.allowlist[${i}]`),
+  }));
+
+  const headerNames = new Set(HEADER_RULE_HEADERS);
+  for (const matcher of [...(options.rules || []), ...(options.allowlist || [])]) {
+    for (const name of Object.keys(matcher?.headers || {})) {
+      headerNames.add(name.toLowerCase());
+    }
+  }
+
+  return {
+    threshold,
+    userAgentRules: USER_AGENT_RULES.map(withWeight).filter((rule) => rule.weight !== 0),
+    headerRules: HEADER_RULES.map(withWeight).filter((rule) => rule.weight !== 0),
+    customRules,
+    allowlist,
+    headerNames,
+  };
+}
+
+/**
+ * Runs rules and collects the hits of those that fired.
+ * @param {BotRule[]} rules The rules.
+ * @param {BotRuleInput} input The request.
+ * @returns {Array<[BotRule, number]>} The rules that fired with their hit counts.
+ */
+function runRules(rules, input) {
+  const hits = [];
+  for (const rule of rules) {
+    const result = Number(rule.test(input));
+    if (result > 0) {
+      hits.push([rule, result]);
+    }
+  }
+  return hits;
+}
+
+/**
+ * Scores requests with weighted rules on the user agent and headers. The score is the sum of the
+ * weights of the rules that fired, capped to 0-100; requests scoring at least the threshold are bots.
+ * Classifications are cached by user agent plus the header rules that fired, so a cached answer
+ * always matches the request's headers.
+ */
+class BotClassifier {
+  /**
+   * @param {BotDetectionSettings} settings The bot detection settings.
+   */
+  constructor(settings) {
+    this.settings = settings;
+    this.cache = new Map();
+    this.lastCacheCleanup = 0;
+  }
+
+  /**
+   * Classifies a request.
+   * @param {string | undefined} userAgent The user agent.
+   * @param {object | undefined} headers The request headers.
+   * @returns {BotClassification} The classification. It may be shared with other requests; do not modify it.
+   */
+  classify(userAgent, headers) {
+    let parsed;
+    const input = {
+      userAgent,
+      headers: headers || {},
+      uaInfo: () => {
+        if (!parsed) {
+          uaParser.setUA(userAgent || "");
+          parsed = uaParser.getResult();
+        }
+        return parsed;
+      },
+    };
+    const { threshold, userAgentRules, headerRules, customRules, allowlist } = this.settings;
+
+    const allowed = allowlist.find((entry) => entry.matches(input));
+    if (allowed) {
+      return Object.freeze({ score: 0, threshold, isBot: false, verdict: "allowlisted", rules: Object.freeze([]), allowlistedBy: allowed.name });
+    }
+
+    const requestHits = runRules(headers ? [...headerRules, ...customRules] : customRules, input);
+    const cacheKey = `${userAgent ?? ""}\n${requestHits.map(([rule, count]) => `${rule.name}:${count}`).join(",")}`;
+    const cached = this.cache.get(cacheKey);
+    if (cached && Date.now() - cached.cachedAt < BOT_CACHE_TTL_MS) {
+      return cached.classification;
+    }
+
+    const rules = [...runRules(userAgentRules, input), ...requestHits].map(([rule, count]) => Object.freeze({ name: rule.name, score: rule.weight * count }));
+    const score = Math.max(
+      0,
+      Math.min(
+        100,
+        rules.reduce((sum, rule) => sum + rule.score, 0),
+      ),
+    );
+    const isBot = score >= threshold;
+    const classification = Object.freeze({ score, threshold, isBot, verdict: isBot ? "bot" : "human", rules: Object.freeze(rules) });
+
+    this._cleanCache();
+    this.cache.set(cacheKey, { classification, cachedAt: Date.now() });
+    return classification;
+  }
+
+  /**
+   * Empties the classification cache.
+   */
+  clearCache() {
+    this.cache.clear();
+  }
+
+  /**
+   * Removes expired entries and trims the cache to its maximum size.
+   * Throttled to run at most once every 5 minutes, unless the cache is full.
+   * @private
+   */
+  _cleanCache() {
+    const now = Date.now();
+    if (now - this.lastCacheCleanup < BOT_CACHE_CLEANUP_INTERVAL_MS && this.cache.size < BOT_CACHE_MAX_SIZE) {
+      return;
+    }
+    this.lastCacheCleanup = now;
+
+    for (const [key, value] of this.cache.entries()) {
+      if (now - value.cachedAt > BOT_CACHE_TTL_MS) {
+        this.cache.delete(key);
+      }
+    }
+    if (this.cache.size >= BOT_CACHE_MAX_SIZE) {
+      let toDelete = this.cache.size - BOT_CACHE_MAX_SIZE + 100;
+      for (const key of this.cache.keys()) {
+        if (toDelete-- <= 0) break;
+        this.cache.delete(key);
+      }
+    }
+  }
+}
+
+const defaultClassifier = new BotClassifier(resolveBotDetectionOptions());
+
+/**
+ * Assigns a score based on various indicators to determine if a request
+ * is likely from a bot, with the default rule weights. A higher score means a higher probability of being a bot.
+ * @param {string | undefined} userAgent The user agent string from the request headers.
+ * @param {object | undefined} headers All request headers as an object.
+ * @returns {number} The bot score.
+ */
+function calculateBotScore(userAgent, headers) {
+  return defaultClassifier.classify(userAgent, headers).score;
+}
+
+/**
+ * @typedef {object} BotHitSettings
+ * @property {number} windowMs The length of the time windows bot hits are counted in.
+ */
+
+/**
+ * Normalizes the `botHits` option.
+ * @param {boolean | import('../index').BotHitOptions | undefined} options The raw option.
+ * @returns {BotHitSettings | null} The settings, or null when bot hits are not recorded.
+ * @throws {Error} If the window is shorter than a minute.
+ */
+function resolveBotHitOptions(options) {
+  if (!options) {
+    return null;
+  }
+  const windowMs = (options === true ? undefined : options.windowMs) ?? DEFAULT_BOT_HIT_WINDOW_MS;
+  if (!Number.isInteger(windowMs) || windowMs < MIN_BOT_HIT_WINDOW_MS) {
+    throw new Error(`SkoposSDK: 'botHits.windowMs' must be an integer of at least ${MIN_BOT_HIT_WINDOW_MS}.`);
+  }
+  return { windowMs };
+}
+
+/**
+ * Names the bot behind a user agent: a well-known crawler, AI agent, headless browser or scanner,
+ * else the first token ending in bot, crawler, spider or scraper, else the leading product token
+ * of HTTP libraries like `curl/8.4.0`.
+ * @param {string | undefined} userAgent The user agent.
+ * @returns {string} The bot family, or "Unknown".
+ * @example
+ * parseBotFamily("Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)"); // "Googlebot"
+ */
+function parseBotFamily(userAgent) {
+  if (!userAgent) {
+    return "Unknown";
+  }
+  const product = PRODUCT_TOKEN_PATTERN.exec(userAgent)?.[1];
+  const family = NAMED_BOT_PATTERN.exec(userAgent)?.[1] || BOT_TOKEN_PATTERN.exec(userAgent)?.[1] || (product && !BROWSER_PRODUCT_TOKENS.has(product.toLowerCase()) ? product : null);
+  return family ? family.slice(0, MAX_BOT_FAMILY_LENGTH) : "Unknown";
+}
+
+/**
+ * Describes a bot request as the aggregate it is counted in. Hits of the same bot family on the
+ * same path, in the same score bucket and time window share a `hitHash`.
+ * @param {BotHitSettings} settings The bot hit settings.
+ * @param {{userAgent: string | undefined, path: string | undefined, score: number}} hit The request.
+ * @param {number} [now=Date.now()] The current time in ms.
+ * @returns {{hitHash: string, family: string, path: string, scoreBucket: number, windowStart: string}}
+ */
+function createBotHit(settings, { userAgent, path, score }, now = Date.now()) {
+  const family = parseBotFamily(userAgent);
+  const hitPath = (typeof path === "string" ? path.split("?")[0] : "").slice(0, MAX_BOT_HIT_PATH_LENGTH) || "/";
+  const scoreBucket = Math.min(100, Math.floor(score / 10) * 10);
+  const windowStart = new Date(Math.floor(now / settings.windowMs) * settings.windowMs).toISOString();
+  const hitHash = createHash("sha256").update(`${family}\n${hitPath}\n${scoreBucket}\n${windowStart}`).digest("hex");
+  return { hitHash, family, path: hitPath, scoreBucket, windowStart };
+}
+
+module.exports = {
+  resolveBotDetectionOptions,
+  BotClassifier,
+  calculateBotScore,
+  resolveBotHitOptions,
+  parseBotFamily,
+  createBotHit,
+};
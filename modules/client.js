@@ -0,0 +1,101 @@
+const fs = require("node:fs");
+const path = require("node:path");
+const { createHash } = require("node:crypto");
+
+const CLIENT_SCRIPT_PATH = path.join(__dirname, "..", "client", "skopos.js");
+const DEFAULT_CACHE_MAX_AGE_SECONDS = 60 * 60;
+const DEFAULT_ENDPOINT_EXPRESSION = 'dataset.endpoint || "/api/event"';
+
+let cachedScript = null;
+
+/**
+ * Loads the bundled browser tracking script, caching it after the first read.
+ * @returns {{source: string, etag: string}}
+ */
+function loadClientScript() {
+  if (!cachedScript) {
+    const source = fs.readFileSync(CLIENT_SCRIPT_PATH, "utf8");
+    cachedScript = { source, etag: computeEtag(source) };
+  }
+  return cachedScript;
+}
+
+/**
+ * Computes the `ETag` of a script source.
+ * @param {string} source The script source.
+ * @returns {string}
+ */
+function computeEtag(source) {
+  return `"${createHash("sha256").update(source).digest("hex").substring(0, 32)}"`;
+}
+
+/**
+ * Returns the bundled script with another default collector URL, used when the script tag has no `data-endpoint`.
+ * @param {string} endpoint The collector URL.
+ * @returns {{source: string, etag: string}}
+ */
+function loadClientScriptWithEndpoint(endpoint) {
+  const source = loadClientScript().source.replace(DEFAULT_ENDPOINT_EXPRESSION, `dataset.endpoint || ${JSON.stringify(endpoint)}`);
+  return { source, etag: computeEtag(source) };
+}
+
+/**
+ * Returns the source of the bundled browser tracking script, e.g. for inlining or custom bundling.
+ * @returns {string} The script source.
+ */
+function getClientScript() {
+  return loadClientScript().source;
+}
+
+/**
+ * Creates a request handler that serves the bundled browser tracking script.
+ * Works with `node:http` and as Connect/Express middleware; supports conditional requests via `ETag`.
+ * @param {import('../index').ClientScriptOptions} [options] Handler options.
+ * @returns {(req: import('http').IncomingMessage, res: import('http').ServerResponse, next?: (err?: any) => void) => void}
+ * @throws {Error} If `endpoint` is not a non-empty string.
+ * @example
+ * app.use(createClientScriptHandler({ path: "/skopos.js" }));
+ */
+function createClientScriptHandler(options = {}) {
+  const maxAge = options.maxAge ?? DEFAULT_CACHE_MAX_AGE_SECONDS;
+  if (options.endpoint !== undefined && (typeof options.endpoint !== "string" || options.endpoint.length === 0)) {
+    throw new Error("SkoposSDK: 'endpoint' must be a non-empty string.");
+  }
+  let script = null;
+
+  return (req, res, next) => {
+    const pathname = (req.originalUrl || req.url || "").split("?")[0];
+    if ((options.path && pathname !== options.path) || (req.method !== "GET" && req.method !== "HEAD")) {
+      if (next) {
+        next();
+      } else {
+        res.writeHead(404);
+        res.end();
+      }
+      return;
+    }
+
+    script ??= options.endpoint ? loadClientScriptWithEndpoint(options.endpoint) : loadClientScript();
+    const { source, etag } = script;
+    const headers = {
+      "Content-Type": "application/javascript; charset=utf-8",
+      "Cache-Control": `public, max-age=${maxAge}`,
+      ETag: etag,
+    };
+
+    if (req.headers["if-none-match"] === etag) {
+      res.writeHead(304, headers);
+      res.end();
+      return;
+    }
+
+    headers["Content-Length"] = Buffer.byteLength(source);
+    res.writeHead(200, headers);
+    res.end(req.method === "HEAD" ? undefined : source);
+  };
+}
+
+module.exports = {
+  getClientScript,
+  createClientScriptHandler,
+};
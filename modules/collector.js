@@ -0,0 +1,332 @@
+const { validateAndSanitizeApiPayload } = require("./utils");
+
+const DEFAULT_MAX_BODY_BYTES = 1024 * 32;
+const DEFAULT_CORS_MAX_AGE_SECONDS = 60 * 60 * 24;
+const ALLOWED_METHODS = "POST, OPTIONS";
+const JSON_CONTENT_TYPE_PATTERN = /^application\/(?:[\w.+-]+\+)?json\b/i;
+const TEXT_CONTENT_TYPE_PATTERN = /^text\/plain\b/i;
+
+/**
+ * Error raised while reading or parsing a collector request body.
+ */
+class CollectorBodyError extends Error {
+  /**
+   * @param {number} status The HTTP status to respond with.
+   * @param {string} message A short description for the response body.
+   */
+  constructor(status, message) {
+    super(message);
+    this.name = "CollectorBodyError";
+    this.status = status;
+  }
+}
+
+/**
+ * Normalizes collector options.
+ * @param {import('../index').CollectorOptions | undefined} options The raw options.
+ * @returns {{path: string | undefined, maxBodyBytes: number, allowedOrigins: string[] | undefined, corsMaxAge: number}}
+ */
+function resolveCollectorOptions(options = {}) {
+  return {
+    path: options.path,
+    maxBodyBytes: options.maxBodyBytes ?? DEFAULT_MAX_BODY_BYTES,
+    allowedOrigins: options.allowedOrigins,
+    corsMaxAge: options.corsMaxAge ?? DEFAULT_CORS_MAX_AGE_SECONDS,
+  };
+}
+
+/**
+ * Checks a request's `Origin` against the configured allowlist, or the domains of the
+ * configured websites (including subdomains) when no allowlist is configured.
+ * @param {import('../index').default} sdk The SDK instance.
+ * @param {ReturnType<typeof resolveCollectorOptions>} settings The collector settings.
+ * @param {string} origin The `Origin` header value.
+ * @returns {boolean}
+ */
+function isOriginAllowed(sdk, settings, origin) {
+  if (settings.allowedOrigins) {
+    return settings.allowedOrigins.includes("*") || settings.allowedOrigins.includes(origin);
+  }
+
+  try {
+    return sdk._resolveSiteForHostname(new URL(origin).hostname) !== null;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Reads the raw request body, enforcing a size cap.
+ * @param {import('http').IncomingMessage} req The Node.js request.
+ * @param {number} maxBytes The maximum body size in bytes.
+ * @returns {Promise<string>}
+ */
+function readRawBody(req, maxBytes) {
+  const declaredLength = Number.parseInt(req.headers["content-length"], 10);
+  if (declaredLength > maxBytes) {
+    req.resume();
+    return Promise.reject(new CollectorBodyError(413, "Payload too large."));
+  }
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    const onData = (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        req.off("data", onData);
+        req.resume();
+        reject(new CollectorBodyError(413, "Payload too large."));
+        return;
+      }
+      chunks.push(chunk);
+    };
+
+    req.on("data", onData);
+    req.once("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.once("error", reject);
+  });
+}
+
+/**
+ * Resolves the event payload, either from a body already parsed by a framework
+ * or by reading the request stream. Accepts JSON sent as `application/json`
+ * or as `text/plain` (the content type `navigator.sendBeacon` uses for strings).
+ * @param {import('http').IncomingMessage} req The Node.js request.
+ * @param {any} parsedBody A body parsed by framework middleware, if any.
+ * @param {number} maxBytes The maximum body size in bytes.
+ * @returns {Promise<any>} The decoded payload.
+ */
+async function readPayload(req, parsedBody, maxBytes) {
+  const contentType = req.headers["content-type"] || "";
+  if (!JSON_CONTENT_TYPE_PATTERN.test(contentType) && !TEXT_CONTENT_TYPE_PATTERN.test(contentType)) {
+    throw new CollectorBodyError(415, "Unsupported content type.");
+  }
+
+  let body = parsedBody;
+  if (!req.readableEnded) {
+    body = await readRawBody(req, maxBytes);
+  } else if (Buffer.isBuffer(body)) {
+    body = body.toString("utf8");
+  }
+
+  if (typeof body !== "string") {
+    return body;
+  }
+  if (Buffer.byteLength(body) > maxBytes) {
+    throw new CollectorBodyError(413, "Payload too large.");
+  }
+
+  try {
+    return JSON.parse(body);
+  } catch (e) {
+    throw new CollectorBodyError(400, "Invalid JSON.");
+  }
+}
+
+/**
+ * Builds a JSON error response.
+ * @param {number} status The HTTP status.
+ * @param {string} message The error message.
+ * @param {Record<string, string>} headers Headers to include.
+ * @returns {{status: number, headers: Record<string, string>, body: string}}
+ */
+function errorResponse(status, message, headers) {
+  return {
+    status,
+    headers: { ...headers, "Content-Type": "application/json; charset=utf-8" },
+    body: JSON.stringify({ error: message }),
+  };
+}
+
+/**
+ * Framework-independent collector logic: CORS, body parsing, validation and tracking.
+ * @param {import('../index').default} sdk The SDK instance.
+ * @param {ReturnType<typeof resolveCollectorOptions>} settings The collector settings.
+ * @param {import('http').IncomingMessage} req The Node.js request.
+ * @param {any} [parsedBody] A body parsed by framework middleware, if any.
+ * @returns {Promise<{status: number, headers: Record<string, string>, body?: string}>} The response to send.
+ */
+async function processCollectorRequest(sdk, settings, req, parsedBody) {
+  const headers = { Vary: "Origin" };
+  const origin = req.headers.origin;
+
+  if (origin) {
+    if (!isOriginAllowed(sdk, settings, origin)) {
+      sdk._log("warn", `Collector rejected request from disallowed origin "${origin}".`);
+      return errorResponse(403, "Origin not allowed.", headers);
+    }
+    headers["Access-Control-Allow-Origin"] = origin;
+  }
+
+  if (req.method === "OPTIONS") {
+    headers["Access-Control-Allow-Methods"] = ALLOWED_METHODS;
+    headers["Access-Control-Allow-Headers"] = "Content-Type";
+    headers["Access-Control-Max-Age"] = String(settings.corsMaxAge);
+    return { status: 204, headers };
+  }
+
+  if (req.method !== "POST") {
+    return errorResponse(405, "Method not allowed.", { ...headers, Allow: ALLOWED_METHODS });
+  }
+
+  let payload;
+  try {
+    payload = await readPayload(req, parsedBody, settings.maxBodyBytes);
+  } catch (error) {
+    if (error instanceof CollectorBodyError) {
+      return errorResponse(error.status, error.message, headers);
+    }
+    throw error;
+  }
+
+  const sanitizedPayload = validateAndSanitizeApiPayload(payload);
+  if (!sanitizedPayload) {
+    return errorResponse(400, "Invalid event payload.", headers);
+  }
+  if (sdk._resolveSiteForHostname(new URL(sanitizedPayload.url).hostname) === null) {
+    return errorResponse(403, "Event URL does not match any site domain.", headers);
+  }
+
+  const identityCookie = sdk.issueIdentityCookie(req);
+  if (identityCookie) {
+    headers["Set-Cookie"] = identityCookie;
+  }
+
+  sdk.trackApiEvent(req, payload);
+  return { status: 204, headers };
+}
+
+/**
+ * Writes a collector result to a Node.js response.
+ * @param {import('http').ServerResponse} res The response.
+ * @param {{status: number, headers: Record<string, string>, body?: string}} result The collector result.
+ */
+function sendNodeResponse(res, result) {
+  res.writeHead(result.status, result.headers);
+  res.end(result.body);
+}
+
+/**
+ * Whether a request targets the collector's configured path.
+ * @param {ReturnType<typeof resolveCollectorOptions>} settings The collector settings.
+ * @param {string | undefined} url The request URL.
+ * @returns {boolean}
+ */
+function matchesPath(settings, url) {
+  if (!settings.path) {
+    return true;
+  }
+  const pathname = (url || "").split("?")[0];
+  return pathname === settings.path;
+}
+
+/**
+ * Creates a request handler that receives events from the browser and passes them to `trackApiEvent`.
+ * Works with `node:http` (`http.createServer(handler)`) and as Connect/Express middleware.
+ * Responds with 204 for accepted events, 400/403/405/413/415 for rejected requests,
+ * and answers CORS preflights for the website's domain.
+ * @param {import('../index').default} sdk The initialized SDK instance.
+ * @param {import('../index').CollectorOptions} [options] Collector options.
+ * @returns {(req: import('http').IncomingMessage, res: import('http').ServerResponse, next?: (err?: any) => void) => Promise<void>}
+ * @example
+ * http.createServer(createCollectorHandler(sdk, { path: "/api/event" })).listen(3000);
+ */
+function createCollectorHandler(sdk, options) {
+  const settings = resolveCollectorOptions(options);
+
+  return async (req, res, next) => {
+    if (!matchesPath(settings, req.originalUrl || req.url)) {
+      if (next) {
+        next();
+      } else {
+        sendNodeResponse(res, errorResponse(404, "Not found.", {}));
+      }
+      return;
+    }
+
+    try {
+      sendNodeResponse(res, await processCollectorRequest(sdk, settings, req, req.body));
+    } catch (error) {
+      sdk._log("error", "Collector failed to handle request.", error);
+      if (next) {
+        next(error);
+      } else if (!res.headersSent) {
+        sendNodeResponse(res, errorResponse(500, "Internal error.", {}));
+      }
+    }
+  };
+}
+
+/**
+ * Creates Express middleware for the collector. Reuses bodies parsed by `express.json()` or `express.text()`.
+ * @param {import('../index').default} sdk The initialized SDK instance.
+ * @param {import('../index').CollectorOptions} [options] Collector options.
+ * @returns {(req: any, res: any, next: (err?: any) => void) => Promise<void>}
+ * @example
+ * app.use(createExpressCollector(sdk, { path: "/api/event" }));
+ */
+function createExpressCollector(sdk, options) {
+  return createCollectorHandler(sdk, options);
+}
+
+/**
+ * Creates a Fastify plugin that registers the collector route (POST and OPTIONS)
+ * and a `text/plain` body parser for `sendBeacon` requests.
+ * @param {import('../index').default} sdk The initialized SDK instance.
+ * @param {import('../index').CollectorOptions} [options] Collector options. `path` defaults to `/api/event`.
+ * @returns {(fastify: any) => Promise<void>}
+ * @example
+ * await fastify.register(createFastifyCollector(sdk));
+ */
+function createFastifyCollector(sdk, options) {
+  const settings = resolveCollectorOptions(options);
+
+  return async (fastify) => {
+    fastify.addContentTypeParser("text/plain", { parseAs: "string", bodyLimit: settings.maxBodyBytes }, (request, body, done) => done(null, body));
+    fastify.route({
+      method: ["POST", "OPTIONS"],
+      url: settings.path || "/api/event",
+      bodyLimit: settings.maxBodyBytes,
+      handler: async (request, reply) => {
+        const result = await processCollectorRequest(sdk, settings, request.raw, request.body);
+        reply.code(result.status).headers(result.headers);
+        return reply.send(result.body);
+      },
+    });
+  };
+}
+
+/**
+ * Creates Koa middleware for the collector. Reuses bodies parsed by `koa-bodyparser` when present.
+ * @param {import('../index').default} sdk The initialized SDK instance.
+ * @param {import('../index').CollectorOptions} [options] Collector options.
+ * @returns {(ctx: any, next: () => Promise<any>) => Promise<void>}
+ * @example
+ * app.use(createKoaCollector(sdk, { path: "/api/event" }));
+ */
+function createKoaCollector(sdk, options) {
+  const settings = resolveCollectorOptions(options);
+
+  return async (ctx, next) => {
+    if (!matchesPath(settings, ctx.path)) {
+      await next();
+      return;
+    }
+
+    const result = await processCollectorRequest(sdk, settings, ctx.req, ctx.request.body);
+    ctx.status = result.status;
+    ctx.set(result.headers);
+    if (result.body !== undefined) {
+      ctx.body = result.body;
+    }
+  };
+}
+
+module.exports = {
+  createCollectorHandler,
+  createExpressCollector,
+  createFastifyCollector,
+  createKoaCollector,
+};
@@ -0,0 +1,62 @@
+const CONSENT_MODES = new Set(["ignore", "aggregate"]);
+const CONSENT_STATES = new Set(["granted", "denied"]);
+const CONSENT_HEADERS = ["dnt", "sec-gpc"];
+
+/**
+ * @typedef {object} ConsentSettings
+ * @property {boolean} honorDoNotTrack Whether `DNT: 1` counts as denied consent.
+ * @property {boolean} honorGlobalPrivacyControl Whether `Sec-GPC: 1` counts as denied consent.
+ * @property {boolean} requireConsent Whether events without an explicit `granted` state count as denied.
+ * @property {'ignore' | 'aggregate'} mode What happens to events without consent.
+ */
+
+/**
+ * Normalizes the `consent` option.
+ * @param {import('../index').ConsentOptions | undefined} options The raw option.
+ * @returns {ConsentSettings}
+ * @throws {Error} If the mode is unknown.
+ */
+function resolveConsentOptions(options = {}) {
+  const mode = options.mode ?? "ignore";
+  if (!CONSENT_MODES.has(mode)) {
+    throw new Error(`SkoposSDK: Unknown consent mode "${mode}".`);
+  }
+  return {
+    honorDoNotTrack: options.honorDoNotTrack ?? false,
+    honorGlobalPrivacyControl: options.honorGlobalPrivacyControl ?? false,
+    requireConsent: options.requireConsent ?? false,
+    mode,
+  };
+}
+
+/**
+ * Checks whether a value is a valid consent state.
+ * @param {unknown} state The value to check.
+ * @returns {boolean}
+ */
+function isConsentState(state) {
+  return CONSENT_STATES.has(state);
+}
+
+/**
+ * Decides how an event is tracked under the consent policy. An explicit consent state wins
+ * over the `DNT` and `Sec-GPC` headers; without one, the headers and `requireConsent` apply.
+ * @param {ConsentSettings} settings The consent settings.
+ * @param {object | undefined} headers The request headers.
+ * @param {'granted' | 'denied' | undefined} state The explicit consent state, if any.
+ * @returns {'track' | 'ignore' | 'aggregate'} `track` for full tracking, otherwise the configured mode.
+ */
+function resolveConsentDecision(settings, headers, state) {
+  if (state === "granted") {
+    return "track";
+  }
+  const denied = state === "denied" || settings.requireConsent || (settings.honorDoNotTrack && headers?.dnt === "1") || (settings.honorGlobalPrivacyControl && headers?.["sec-gpc"] === "1");
+  return denied ? settings.mode : "track";
+}
+
+module.exports = {
+  CONSENT_HEADERS,
+  resolveConsentOptions,
+  isConsentState,
+  resolveConsentDecision,
+};
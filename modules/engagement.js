@@ -0,0 +1,96 @@
+const ENGAGEMENT_EVENT_TYPES = new Set(["heartbeat", "engagement"]);
+const MAX_VISIBLE_TIME_MS = 1000 * 60 * 60 * 24;
+const ENGAGED_VISIBLE_TIME_MS = 10000;
+
+/**
+ * @typedef {object} PageViewEngagement
+ * @property {string} eventId The record ID of the page view event.
+ * @property {string | undefined} path The page view's path.
+ * @property {object} payload The page view event payload, updated in place while it is still queued.
+ * @property {number} visibleTime The longest visible time reported for the page, in ms.
+ * @property {number} maxScroll The deepest scroll position reported for the page, in percent.
+ * @property {boolean} changed Whether the metrics changed since the page view was written.
+ */
+
+/**
+ * Checks whether an event type reports engagement with the current page view instead of being stored as an event.
+ * @param {string} type The event type.
+ * @returns {boolean}
+ */
+function isEngagementEvent(type) {
+  return ENGAGEMENT_EVENT_TYPES.has(type);
+}
+
+/**
+ * Validates and clamps the metrics of a heartbeat or engagement payload. At least one metric is required.
+ * @param {unknown} visibleTime The time the page was visible, in ms.
+ * @param {unknown} maxScroll The deepest scroll position, in percent of the page.
+ * @returns {{visibleTime?: number, maxScroll?: number} | null} The metrics, or null if they are missing or invalid.
+ */
+function sanitizeEngagementMetrics(visibleTime, maxScroll) {
+  if (visibleTime === undefined && maxScroll === undefined) {
+    return null;
+  }
+  const metrics = {};
+  if (visibleTime !== undefined) {
+    if (typeof visibleTime !== "number" || !Number.isFinite(visibleTime)) {
+      return null;
+    }
+    metrics.visibleTime = Math.max(0, Math.min(Math.round(visibleTime), MAX_VISIBLE_TIME_MS));
+  }
+  if (maxScroll !== undefined) {
+    if (typeof maxScroll !== "number" || !Number.isFinite(maxScroll)) {
+      return null;
+    }
+    metrics.maxScroll = Math.max(0, Math.min(Math.round(maxScroll), 100));
+  }
+  return metrics;
+}
+
+/**
+ * Starts tracking the engagement of a page view.
+ * @param {object} payload The page view event payload; its `id` is the record ID engagement is written to.
+ * @returns {PageViewEngagement}
+ */
+function createPageViewEngagement(payload) {
+  return { eventId: payload.id, path: payload.path, payload, visibleTime: 0, maxScroll: 0, changed: false };
+}
+
+/**
+ * Folds reported metrics into a page view. Clients report running totals, so each metric keeps its
+ * maximum and repeated or out-of-order heartbeats do not inflate it.
+ * @param {PageViewEngagement} pageView The page view.
+ * @param {{visibleTime?: number, maxScroll?: number}} metrics The reported metrics.
+ * @returns {boolean} True if a metric grew.
+ */
+function foldEngagement(pageView, metrics) {
+  let grew = false;
+  if (metrics.visibleTime > pageView.visibleTime) {
+    pageView.visibleTime = metrics.visibleTime;
+    grew = true;
+  }
+  if (metrics.maxScroll > pageView.maxScroll) {
+    pageView.maxScroll = metrics.maxScroll;
+    grew = true;
+  }
+  pageView.changed ||= grew;
+  return grew;
+}
+
+/**
+ * Checks whether a page view was visible long enough to make its session engaged.
+ * @param {PageViewEngagement} pageView The page view.
+ * @returns {boolean}
+ */
+function isEngagedPageView(pageView) {
+  return pageView.visibleTime >= ENGAGED_VISIBLE_TIME_MS;
+}
+
+module.exports = {
+  ENGAGED_VISIBLE_TIME_MS,
+  isEngagementEvent,
+  sanitizeEngagementMetrics,
+  createPageViewEngagement,
+  foldEngagement,
+  isEngagedPageView,
+};
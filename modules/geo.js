@@ -0,0 +1,196 @@
+const fs = require("node:fs");
+const { Reader } = require("mmdb-lib");
+const { ChapybaraClient } = require("chapybara");
+
+const UNKNOWN = "Unknown";
+const DEFAULT_WATCH_INTERVAL_MS = 1000 * 60;
+
+/**
+ * @typedef {object} GeoLocation
+ * @property {string} country The country name, or "Unknown".
+ * @property {string} state The region/subdivision name, or "Unknown".
+ * @property {string} [city] The city name.
+ * @property {string} [timezone] The IANA time zone, e.g. "Europe/Berlin".
+ * @property {number} [asn] The autonomous system number.
+ * @property {string} [asOrganization] The autonomous system organization.
+ */
+
+/**
+ * @typedef {object} GeoProvider
+ * @property {(ip: string) => GeoLocation | null | Promise<GeoLocation | null>} lookup Resolves an IP address.
+ * @property {() => void} [close] Releases resources (timers, file watchers).
+ */
+
+/**
+ * A MaxMind DB file kept in memory and reloaded when it changes on disk.
+ */
+class MmdbFile {
+  /**
+   * @param {string} filePath The `.mmdb` file path.
+   * @param {{watch: boolean, watchIntervalMs: number}} settings Reload settings.
+   * @param {(level: string, ...args: any[]) => void} log The SDK logger.
+   * @throws {Error} If the file cannot be read or is not a valid database.
+   */
+  constructor(filePath, settings, log) {
+    this.filePath = filePath;
+    this.log = log;
+    this.reader = new Reader(fs.readFileSync(filePath));
+    this.onChange = null;
+
+    if (settings.watch) {
+      this.onChange = (current, previous) => {
+        if (current.mtimeMs !== previous.mtimeMs && current.size > 0) {
+          this.reload();
+        }
+      };
+      fs.watchFile(filePath, { interval: settings.watchIntervalMs, persistent: false }, this.onChange);
+    }
+  }
+
+  /**
+   * Re-reads the file, keeping the previous database if the new one cannot be loaded.
+   */
+  reload() {
+    try {
+      this.reader = new Reader(fs.readFileSync(this.filePath));
+      this.log("info", `Reloaded geolocation database ${this.filePath}.`);
+    } catch (error) {
+      this.log("warn", `Failed to reload geolocation database ${this.filePath}, keeping the previous one.`, error.message);
+    }
+  }
+
+  /**
+   * @param {string} ip The IP address.
+   * @returns {object | null} The database record for the address.
+   */
+  get(ip) {
+    return this.reader.get(ip);
+  }
+
+  /**
+   * Stops watching the file.
+   */
+  close() {
+    if (this.onChange) {
+      fs.unwatchFile(this.filePath, this.onChange);
+      this.onChange = null;
+    }
+  }
+}
+
+/**
+ * Offline geolocation from local MaxMind DB files (GeoLite2/GeoIP2 City or Country, DB-IP Lite),
+ * with an optional separate ASN database.
+ */
+class MmdbGeoProvider {
+  /**
+   * @param {import('../index').MmdbGeoOptions} options The provider options.
+   * @param {(level: string, ...args: any[]) => void} log The SDK logger.
+   */
+  constructor(options, log) {
+    const settings = { watch: options.watch ?? true, watchIntervalMs: options.watchIntervalMs ?? DEFAULT_WATCH_INTERVAL_MS };
+    this.location = new MmdbFile(options.path, settings, log);
+    this.asn = options.asnPath ? new MmdbFile(options.asnPath, settings, log) : null;
+  }
+
+  /**
+   * @param {string} ip The IP address.
+   * @returns {GeoLocation | null}
+   */
+  lookup(ip) {
+    const record = this.location.get(ip);
+    const asnRecord = this.asn ? this.asn.get(ip) : record;
+    if (!record && !asnRecord) {
+      return null;
+    }
+
+    const result = {
+      country: record?.country?.names?.en || UNKNOWN,
+      state: record?.subdivisions?.[0]?.names?.en || UNKNOWN,
+    };
+    if (record?.city?.names?.en) result.city = record.city.names.en;
+    if (record?.location?.time_zone) result.timezone = record.location.time_zone;
+    if (asnRecord?.autonomous_system_number) result.asn = asnRecord.autonomous_system_number;
+    if (asnRecord?.autonomous_system_organization) result.asOrganization = asnRecord.autonomous_system_organization;
+    return result;
+  }
+
+  /**
+   * Stops watching the database files.
+   */
+  close() {
+    this.location.close();
+    this.asn?.close();
+  }
+}
+
+/**
+ * Geolocation through the Chapybara IP intelligence API.
+ */
+class ChapybaraGeoProvider {
+  /**
+   * @param {string} apiKey The Chapybara API key.
+   */
+  constructor(apiKey) {
+    this.client = new ChapybaraClient({
+      apiKey,
+      cacheOptions: {
+        max: 1000,
+        ttl: 1000 * 60 * 5,
+      },
+    });
+  }
+
+  /**
+   * @param {string} ip The IP address.
+   * @returns {Promise<GeoLocation>}
+   */
+  async lookup(ip) {
+    const data = await this.client.ip.getIntelligence(ip);
+    return {
+      country: data.location?.country?.name || UNKNOWN,
+      state: data.location?.region?.name || UNKNOWN,
+    };
+  }
+}
+
+/**
+ * Creates the geolocation provider configured by the SDK options.
+ * @param {import('../index').SkoposSDKOptions} options The SDK options.
+ * @param {(level: string, ...args: any[]) => void} log The SDK logger.
+ * @returns {GeoProvider | null} The provider, or null when geolocation is disabled.
+ * @throws {Error} If the `geo` option is invalid or a database file cannot be loaded.
+ */
+function resolveGeoProvider(options, log) {
+  const geo = options.geo;
+  if (geo && typeof geo.lookup === "function") {
+    return geo;
+  }
+  if (geo?.provider === "mmdb") {
+    if (!geo.path) {
+      throw new Error("SkoposSDK: 'geo.path' is required for the mmdb geolocation provider.");
+    }
+    try {
+      return new MmdbGeoProvider(geo, log);
+    } catch (error) {
+      throw new Error(`SkoposSDK: Could not load geolocation database: ${error.message}`);
+    }
+  }
+  if (geo?.provider === "chapybara" || (!geo && options.chapybaraApiKey)) {
+    const apiKey = geo?.apiKey || options.chapybaraApiKey;
+    if (!apiKey) {
+      throw new Error("SkoposSDK: An API key is required for the chapybara geolocation provider.");
+    }
+    return new ChapybaraGeoProvider(apiKey);
+  }
+  if (geo) {
+    throw new Error(`SkoposSDK: Unknown geolocation provider "${geo.provider}".`);
+  }
+  return null;
+}
+
+module.exports = {
+  MmdbGeoProvider,
+  ChapybaraGeoProvider,
+  resolveGeoProvider,
+};
@@ -0,0 +1,145 @@
+const { createHash, createHmac, randomBytes, timingSafeEqual } = require("node:crypto");
+
+const IDENTITY_STRATEGIES = new Set(["client", "cookie", "hash"]);
+const DEFAULT_COOKIE_NAME = "skopos_vid";
+const DEFAULT_COOKIE_MAX_AGE_SECONDS = 60 * 60 * 24 * 365;
+const MIN_COOKIE_SECRET_LENGTH = 16;
+const COOKIE_VALUE_PATTERN = /^([A-Za-z0-9_-]{22})\.([A-Za-z0-9_-]{43})$/;
+const VISITOR_REF_PATTERN = /^(client|cookie|hash)\.([0-9a-f]{64})$/;
+
+/**
+ * @typedef {object} IdentitySettings
+ * @property {Array<'client' | 'cookie' | 'hash'>} strategies Strategies in order of preference; `hash` is always last.
+ * @property {string} cookieName The identity cookie name.
+ * @property {string | undefined} cookieSecret The secret used to sign the identity cookie.
+ * @property {number} cookieMaxAge The cookie lifetime in seconds.
+ * @property {string | undefined} cookieDomain The cookie `Domain` attribute.
+ * @property {boolean} cookieSecure Whether the cookie carries the `Secure` attribute.
+ */
+
+/**
+ * Normalizes the `identity` option.
+ * @param {import('../index').IdentityOptions | undefined} options The raw option.
+ * @returns {IdentitySettings}
+ * @throws {Error} If a strategy is unknown or the cookie strategy has no usable secret.
+ */
+function resolveIdentityOptions(options = {}) {
+  const strategies = [...new Set(options.strategies || ["hash"])];
+  for (const strategy of strategies) {
+    if (!IDENTITY_STRATEGIES.has(strategy)) {
+      throw new Error(`SkoposSDK: Unknown identity strategy "${strategy}".`);
+    }
+  }
+  if (!strategies.includes("hash")) {
+    strategies.push("hash");
+  } else if (strategies[strategies.length - 1] !== "hash") {
+    throw new Error("SkoposSDK: The 'hash' identity strategy must come last.");
+  }
+
+  if (strategies.includes("cookie") && (typeof options.cookieSecret !== "string" || options.cookieSecret.length < MIN_COOKIE_SECRET_LENGTH)) {
+    throw new Error(`SkoposSDK: 'identity.cookieSecret' must be at least ${MIN_COOKIE_SECRET_LENGTH} characters for the cookie strategy.`);
+  }
+
+  return {
+    strategies,
+    cookieName: options.cookieName || DEFAULT_COOKIE_NAME,
+    cookieSecret: options.cookieSecret,
+    cookieMaxAge: options.cookieMaxAge ?? DEFAULT_COOKIE_MAX_AGE_SECONDS,
+    cookieDomain: options.cookieDomain,
+    cookieSecure: options.cookieSecure ?? true,
+  };
+}
+
+/**
+ * Signs a cookie ID with the configured secret.
+ * @param {IdentitySettings} settings The identity settings.
+ * @param {string} id The cookie ID.
+ * @returns {string} The base64url HMAC-SHA256 signature.
+ */
+function signCookieId(settings, id) {
+  return createHmac("sha256", settings.cookieSecret).update(id).digest("base64url");
+}
+
+/**
+ * Reads and verifies the signed identity cookie of a request.
+ * @param {IdentitySettings} settings The identity settings.
+ * @param {import('http').IncomingMessage} req The incoming request.
+ * @returns {string | null} The cookie ID, or null if the cookie is missing or its signature is invalid.
+ */
+function readIdentityCookie(settings, req) {
+  const header = req.headers?.cookie;
+  if (typeof header !== "string" || !settings.cookieSecret) {
+    return null;
+  }
+
+  for (const part of header.split(";")) {
+    const separator = part.indexOf("=");
+    if (separator === -1 || part.slice(0, separator).trim() !== settings.cookieName) continue;
+
+    const match = COOKIE_VALUE_PATTERN.exec(part.slice(separator + 1).trim());
+    if (!match) {
+      return null;
+    }
+    const expected = Buffer.from(signCookieId(settings, match[1]));
+    const actual = Buffer.from(match[2]);
+    return expected.length === actual.length && timingSafeEqual(expected, actual) ? match[1] : null;
+  }
+  return null;
+}
+
+/**
+ * Creates a new random identity cookie.
+ * @param {IdentitySettings} settings The identity settings.
+ * @returns {{id: string, header: string}} The cookie ID and the `Set-Cookie` header value.
+ */
+function createIdentityCookie(settings) {
+  const id = randomBytes(16).toString("base64url");
+  const attributes = [`${settings.cookieName}=${id}.${signCookieId(settings, id)}`, "Path=/", `Max-Age=${settings.cookieMaxAge}`, "HttpOnly", "SameSite=Lax"];
+  if (settings.cookieDomain) {
+    attributes.push(`Domain=${settings.cookieDomain}`);
+  }
+  if (settings.cookieSecure) {
+    attributes.push("Secure");
+  }
+  return { id, header: attributes.join("; ") };
+}
+
+/**
+ * Hashes a persistent visitor key (cookie or client-supplied ID) into a visitor ID.
+ * @param {string} siteId The website ID.
+ * @param {'client' | 'cookie'} source The strategy the key came from.
+ * @param {string} key The visitor key.
+ * @returns {string} The hashed visitor ID.
+ */
+function hashVisitorKey(siteId, source, key) {
+  return createHash("sha256").update(`${siteId}-${source}:${key}`).digest("hex");
+}
+
+/**
+ * Formats a visitor identity as an opaque reference that can be stored with an order and passed
+ * back to `trackServerEvent` later.
+ * @param {{visitorId: string, source: 'client' | 'cookie' | 'hash'}} identity The visitor identity.
+ * @returns {string}
+ */
+function formatVisitorRef({ visitorId, source }) {
+  return `${source}.${visitorId}`;
+}
+
+/**
+ * Parses a reference created by `formatVisitorRef`.
+ * @param {unknown} ref The reference.
+ * @returns {{visitorId: string, previousVisitorId: null, source: 'client' | 'cookie' | 'hash'} | null} The identity, or null if the reference is malformed.
+ */
+function parseVisitorRef(ref) {
+  const match = typeof ref === "string" ? VISITOR_REF_PATTERN.exec(ref) : null;
+  return match ? { visitorId: match[2], previousVisitorId: null, source: match[1] } : null;
+}
+
+module.exports = {
+  resolveIdentityOptions,
+  readIdentityCookie,
+  createIdentityCookie,
+  hashVisitorKey,
+  formatVisitorRef,
+  parseVisitorRef,
+};
@@ -0,0 +1,266 @@
+const ipaddr = require("ipaddr.js");
+
+const DEFAULT_TRUSTED_PROXIES = ["loopback", "private"];
+const RANGE_PRESETS = {
+  loopback: ["loopback"],
+  private: ["private", "uniqueLocal"],
+  linklocal: ["linkLocal"],
+};
+const DEFAULT_TRUSTED_HEADERS = ["x-forwarded-for"];
+const CHAIN_HEADERS = new Set(["forwarded", "x-forwarded-for"]);
+const IPV4_WITH_PORT_PATTERN = /^(\d{1,3}(?:\.\d{1,3}){3}):\d+$/;
+const BRACKETED_IPV6_PATTERN = /^\[([^\]]+)\](?::\d+)?$/;
+
+/**
+ * @typedef {{kind: 'preset', ranges: string[]} | {kind: 'cidr', range: [import('ipaddr.js').IPv4 | import('ipaddr.js').IPv6, number]}} IpRange
+ */
+
+/**
+ * @typedef {{addresses: Set<string>, ranges: IpRange[]}} IpMatcher
+ */
+
+/**
+ * Parses an address as sent in proxy headers (optionally quoted, bracketed or with a port)
+ * and normalizes it: IPv4-mapped IPv6 addresses become IPv4 and IPv6 is compacted.
+ * @param {string | undefined} value The raw address.
+ * @returns {import('ipaddr.js').IPv4 | import('ipaddr.js').IPv6 | null} The parsed address, or null if invalid.
+ */
+function parseIp(value) {
+  if (typeof value !== "string") {
+    return null;
+  }
+
+  let ip = value.trim().replace(/^"|"$/g, "");
+  const bracketed = BRACKETED_IPV6_PATTERN.exec(ip);
+  if (bracketed) {
+    ip = bracketed[1];
+  } else {
+    const withPort = IPV4_WITH_PORT_PATTERN.exec(ip);
+    if (withPort) {
+      ip = withPort[1];
+    }
+  }
+
+  if (!ipaddr.IPv4.isValidFourPartDecimal(ip) && !ipaddr.IPv6.isValid(ip)) {
+    return null;
+  }
+  return ipaddr.process(ip);
+}
+
+/**
+ * Normalizes an IP address string. See `parseIp`.
+ * @param {string | undefined} value The raw address.
+ * @returns {string | undefined} The normalized address, or undefined if invalid.
+ */
+function normalizeIp(value) {
+  return parseIp(value)?.toString();
+}
+
+/**
+ * Parses an IP address, CIDR range (IPv4, IPv6 or IPv4-mapped IPv6) or preset (`loopback`, `private`, `linklocal`).
+ * @param {string} entry The entry to parse.
+ * @returns {IpRange | null} The parsed range, or null if the entry is invalid.
+ */
+function parseIpRange(entry) {
+  const value = String(entry).trim();
+  const preset = RANGE_PRESETS[value.toLowerCase()];
+  if (preset) {
+    return { kind: "preset", ranges: preset };
+  }
+
+  if (value.includes("/")) {
+    try {
+      const [address, prefixLength] = ipaddr.parseCIDR(value);
+      if (address.kind() === "ipv6" && address.isIPv4MappedAddress()) {
+        return { kind: "cidr", range: [address.toIPv4Address(), Math.max(prefixLength - 96, 0)] };
+      }
+      return { kind: "cidr", range: [address, prefixLength] };
+    } catch (e) {
+      return null;
+    }
+  }
+
+  const address = parseIp(value);
+  return address ? { kind: "cidr", range: [address, address.kind() === "ipv4" ? 32 : 128] } : null;
+}
+
+/**
+ * Parses a list of IP addresses, CIDR ranges and presets. See `parseIpRange`.
+ * @param {string[]} entries The entries to parse.
+ * @param {string} optionName The option name, used in error messages.
+ * @returns {IpRange[]}
+ * @throws {Error} If an entry is not a valid address, range or preset.
+ */
+function parseIpRanges(entries, optionName) {
+  return entries.map((entry) => {
+    const range = parseIpRange(entry);
+    if (!range) {
+      throw new Error(`SkoposSDK: Invalid ${optionName} entry "${String(entry).trim()}".`);
+    }
+    return range;
+  });
+}
+
+/**
+ * Precompiles IP addresses, CIDR ranges and presets for fast lookups: single addresses go into
+ * a set of normalized strings, everything else into a list of ranges.
+ * @param {string[]} entries The entries to compile.
+ * @param {(entry: string) => void} [onInvalid] Called for each invalid entry, which is then skipped.
+ * @returns {IpMatcher}
+ */
+function compileIpMatcher(entries, onInvalid) {
+  const matcher = { addresses: new Set(), ranges: [] };
+  for (const entry of entries) {
+    const range = parseIpRange(entry);
+    if (!range) {
+      onInvalid?.(entry);
+    } else if (range.kind === "cidr" && range.range[1] === (range.range[0].kind() === "ipv4" ? 32 : 128)) {
+      matcher.addresses.add(range.range[0].toString());
+    } else {
+      matcher.ranges.push(range);
+    }
+  }
+  return matcher;
+}
+
+/**
+ * Checks whether an address is matched by a compiled matcher.
+ * @param {IpMatcher} matcher The compiled matcher.
+ * @param {string | undefined} ip The normalized IP address.
+ * @returns {boolean}
+ */
+function matchesIp(matcher, ip) {
+  if (!ip) {
+    return false;
+  }
+  if (matcher.addresses.has(ip)) {
+    return true;
+  }
+  return matcher.ranges.length > 0 && isIpInRanges(matcher.ranges, parseIp(ip));
+}
+
+/**
+ * Checks whether an address falls within any of the given ranges.
+ * @param {IpRange[]} ranges The parsed ranges.
+ * @param {import('ipaddr.js').IPv4 | import('ipaddr.js').IPv6 | null} address The parsed address.
+ * @returns {boolean}
+ */
+function isIpInRanges(ranges, address) {
+  if (!address) {
+    return false;
+  }
+  return ranges.some((entry) => {
+    if (entry.kind === "preset") {
+      return entry.ranges.includes(address.range());
+    }
+    return entry.range[0].kind() === address.kind() && address.match(entry.range);
+  });
+}
+
+/**
+ * Resolves the trusted proxy ranges from the `trustedProxies` option.
+ * @param {string[] | boolean | undefined} option The option value; `true` trusts every hop, `false` none.
+ * @returns {IpRange[] | true} The parsed ranges, or `true` to trust every hop.
+ */
+function resolveTrustedProxies(option) {
+  if (option === true) {
+    return true;
+  }
+  if (option === false) {
+    return [];
+  }
+  return parseIpRanges(option ?? DEFAULT_TRUSTED_PROXIES, "trustedProxies");
+}
+
+/**
+ * Resolves the forwarding headers to honor from the `trustedHeaders` option.
+ * @param {string[] | undefined} option The header names, in order of precedence.
+ * @returns {string[]} The lower-cased header names.
+ * @throws {Error} If the option is not an array of header names.
+ */
+function resolveTrustedHeaders(option) {
+  if (option === undefined) {
+    return DEFAULT_TRUSTED_HEADERS;
+  }
+  if (!Array.isArray(option) || !option.every((name) => typeof name === "string" && name.trim())) {
+    throw new Error("SkoposSDK: 'trustedHeaders' must be an array of header names.");
+  }
+  return option.map((name) => name.trim().toLowerCase());
+}
+
+/**
+ * Extracts the `for=` addresses of an RFC 7239 `Forwarded` header, in order.
+ * @param {string} header The header value.
+ * @returns {string[]} The raw node identifiers; obfuscated or `unknown` nodes are kept so they stop the walk.
+ */
+function parseForwardedHeader(header) {
+  const nodes = [];
+  for (const element of header.split(",")) {
+    for (const pair of element.split(";")) {
+      const separator = pair.indexOf("=");
+      if (separator === -1) continue;
+      if (pair.slice(0, separator).trim().toLowerCase() === "for") {
+        nodes.push(pair.slice(separator + 1).trim());
+      }
+    }
+  }
+  return nodes;
+}
+
+/**
+ * Resolves the client IP address of a request. Forwarding headers are only honored when the
+ * connecting peer is a trusted proxy, and only the trusted headers, in order: the first one
+ * present wins. `Forwarded` and `X-Forwarded-For` chains are walked right to left until the
+ * first untrusted hop; any other header (e.g. `CF-Connecting-IP`) holds the client address.
+ * @param {import('http').IncomingMessage} req The incoming request.
+ * @param {IpRange[] | true} trustedProxies The trusted proxy ranges, or `true` to trust every hop.
+ * @param {string[]} [trustedHeaders] The lower-cased forwarding headers to honor, `X-Forwarded-For` by default.
+ * @returns {string | undefined} The normalized client IP address.
+ */
+function resolveClientIp(req, trustedProxies, trustedHeaders = DEFAULT_TRUSTED_HEADERS) {
+  const headers = req.headers || {};
+  const isTrusted = (address) => trustedProxies === true || isIpInRanges(trustedProxies, address);
+
+  let current = parseIp(req.socket?.remoteAddress);
+  if (!current) {
+    return undefined;
+  }
+  if (!isTrusted(current)) {
+    return current.toString();
+  }
+
+  for (const name of trustedHeaders) {
+    const value = headers[name];
+    if (typeof value !== "string" || !value) continue;
+
+    if (!CHAIN_HEADERS.has(name)) {
+      const clientIp = parseIp(value);
+      if (clientIp) {
+        return clientIp.toString();
+      }
+      continue;
+    }
+
+    const chain = name === "forwarded" ? parseForwardedHeader(value) : value.split(",");
+    for (let i = chain.length - 1; i >= 0 && isTrusted(current); i--) {
+      const hop = parseIp(chain[i]);
+      if (!hop) break;
+      current = hop;
+    }
+    return current.toString();
+  }
+
+  return current.toString();
+}
+
+module.exports = {
+  normalizeIp,
+  parseIp,
+  parseIpRanges,
+  isIpInRanges,
+  compileIpMatcher,
+  matchesIp,
+  resolveTrustedProxies,
+  resolveTrustedHeaders,
+  resolveClientIp,
+};
@@ -0,0 +1,137 @@
+const TRAILING_SLASH_MODES = new Set(["keep", "strip", "add"]);
+const DEFAULT_INDEX_FILES = ["index.html", "index.htm", "index.php"];
+const NUMERIC_SEGMENT_PATTERN = /^\d+$/;
+const UUID_SEGMENT_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const ROUTE_PARAM_PATTERN = /^:[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * @typedef {object} CompiledRoute
+ * @property {string} template The route template, e.g. `/orders/:id`.
+ * @property {Array<string | null>} segments Literal segments, or null for parameters.
+ * @property {boolean} wildcard Whether the template ends with `*` and matches any remaining segments.
+ */
+
+/**
+ * @typedef {object} PathSettings
+ * @property {'keep' | 'strip' | 'add'} trailingSlash How trailing slashes are handled.
+ * @property {boolean} lowercase Whether paths are lower-cased.
+ * @property {Set<string>} indexFiles Lower-cased file names removed from the end of paths.
+ * @property {CompiledRoute[]} routes Route templates, in the order they are tried.
+ * @property {boolean} collapseIds Whether numeric and UUID segments of unmatched paths become `:id`.
+ * @property {boolean} templating Whether a route is computed at all.
+ */
+
+/**
+ * Compiles a route template.
+ * @param {string} template The template, e.g. `/orders/:id` or `/docs/*`.
+ * @param {boolean} lowercase Whether literal segments are compared lower-cased.
+ * @returns {CompiledRoute}
+ * @throws {Error} If the template does not start with `/` or has an invalid parameter.
+ */
+function compileRoute(template, lowercase) {
+  if (typeof template !== "string" || !template.startsWith("/")) {
+    throw new Error(`SkoposSDK: Route template "${template}" must start with "/".`);
+  }
+  const parts = template.split("/").slice(1);
+  const wildcard = parts[parts.length - 1] === "*";
+  if (wildcard) parts.pop();
+
+  const segments = parts.map((part) => {
+    if (part.startsWith(":")) {
+      if (!ROUTE_PARAM_PATTERN.test(part)) {
+        throw new Error(`SkoposSDK: Invalid parameter "${part}" in route template "${template}".`);
+      }
+      return null;
+    }
+    return lowercase ? part.toLowerCase() : part;
+  });
+  return { template, segments, wildcard };
+}
+
+/**
+ * Normalizes the `paths` option.
+ * @param {import('../index').PathOptions | undefined} options The raw option.
+ * @returns {PathSettings | null} The settings, or null when paths are stored as-is.
+ * @throws {Error} If the trailing slash mode or a route template is invalid.
+ */
+function resolvePathOptions(options) {
+  if (!options) {
+    return null;
+  }
+  const trailingSlash = options.trailingSlash ?? "keep";
+  if (!TRAILING_SLASH_MODES.has(trailingSlash)) {
+    throw new Error(`SkoposSDK: Unknown trailingSlash mode "${trailingSlash}".`);
+  }
+  const lowercase = options.lowercase ?? false;
+  const indexFiles = options.stripIndexFiles === true ? DEFAULT_INDEX_FILES : options.stripIndexFiles || [];
+  const routes = (options.routes || []).map((template) => compileRoute(template, lowercase));
+  const collapseIds = options.collapseIds ?? false;
+
+  return {
+    trailingSlash,
+    lowercase,
+    indexFiles: new Set(indexFiles.map((file) => file.toLowerCase())),
+    routes,
+    collapseIds,
+    templating: routes.length > 0 || collapseIds,
+  };
+}
+
+/**
+ * Finds the first route template a path matches.
+ * @param {CompiledRoute[]} routes The compiled routes.
+ * @param {string[]} segments The path's segments, without the leading empty one.
+ * @returns {string | null} The matching template, or null.
+ */
+function matchRoute(routes, segments) {
+  for (const route of routes) {
+    if (route.wildcard ? segments.length < route.segments.length : segments.length !== route.segments.length) continue;
+    if (route.segments.every((literal, i) => literal === null || literal === segments[i])) {
+      return route.template;
+    }
+  }
+  return null;
+}
+
+/**
+ * Normalizes the pathname of a path (any query string or fragment is kept unchanged) and
+ * computes its route: the first matching template, or the path with numeric and UUID
+ * segments collapsed to `:id` when `collapseIds` is set.
+ * @param {PathSettings} settings The path settings.
+ * @param {string} path The path, e.g. `/Orders/8231/?tab=items`.
+ * @returns {{path: string, route: string | undefined}} The normalized path and, when templating is configured, its route.
+ */
+function normalizePath(settings, path) {
+  const suffixStart = path.search(/[?#]/);
+  let pathname = suffixStart === -1 ? path : path.slice(0, suffixStart);
+  const suffix = suffixStart === -1 ? "" : path.slice(suffixStart);
+
+  if (settings.lowercase) {
+    pathname = pathname.toLowerCase();
+  }
+  const lastSlash = pathname.lastIndexOf("/");
+  if (settings.indexFiles.has(pathname.slice(lastSlash + 1).toLowerCase())) {
+    pathname = pathname.slice(0, lastSlash + 1);
+  }
+  if (settings.trailingSlash === "strip" && pathname.length > 1 && pathname.endsWith("/")) {
+    pathname = pathname.replace(/\/+$/, "") || "/";
+  } else if (settings.trailingSlash === "add" && !pathname.endsWith("/")) {
+    pathname = `${pathname}/`;
+  }
+
+  if (!settings.templating) {
+    return { path: `${pathname}${suffix}`, route: undefined };
+  }
+
+  const segments = pathname.split("/").slice(1);
+  let route = matchRoute(settings.routes, segments[segments.length - 1] === "" ? segments.slice(0, -1) : segments);
+  if (!route) {
+    route = settings.collapseIds ? `/${segments.map((segment) => (NUMERIC_SEGMENT_PATTERN.test(segment) || UUID_SEGMENT_PATTERN.test(segment) ? ":id" : segment)).join("/")}` : pathname;
+  }
+  return { path: `${pathname}${suffix}`, route };
+}
+
+module.exports = {
+  resolvePathOptions,
+  normalizePath,
+};
@@ -0,0 +1,182 @@
+const RATE_LIMIT_ACTIONS = new Set(["drop", "sample"]);
+const DEFAULT_LIMITS = Object.freeze({
+  ip: Object.freeze({ capacity: 120, refillPerSecond: 2 }),
+  visitor: Object.freeze({ capacity: 60, refillPerSecond: 1 }),
+  event: Object.freeze({ capacity: 20, refillPerSecond: 0.5 }),
+});
+const DEFAULT_MAX_BUCKETS = 10000;
+const DEFAULT_OVER_LIMIT_SAMPLE_RATE = 0.1;
+
+/**
+ * @typedef {object} BucketLimit
+ * @property {number} capacity The burst size: how many events a key can send at once.
+ * @property {number} refillPerSecond The sustained rate: tokens added back per second.
+ */
+
+/**
+ * @typedef {object} RateLimitSettings
+ * @property {BucketLimit | null} ip The per-IP limit, or null if disabled.
+ * @property {BucketLimit | null} visitor The per-visitor limit, or null if disabled.
+ * @property {BucketLimit | null} event The per-visitor, per-event-name limit, or null if disabled.
+ * @property {'drop' | 'sample'} action What happens to events over a limit.
+ * @property {number} sampleRate The share of events over a limit that is kept with the `sample` action.
+ * @property {number} maxBuckets The maximum number of buckets kept per limit.
+ */
+
+/**
+ * Normalizes one limit of the `rateLimit` option.
+ * @param {BucketLimit | boolean | undefined} limit The raw limit.
+ * @param {'ip' | 'visitor' | 'event'} name The limit's name.
+ * @returns {BucketLimit | null}
+ * @throws {Error} If the capacity or refill rate is not a positive number.
+ */
+function resolveLimit(limit, name) {
+  if (limit === false) {
+    return null;
+  }
+  const { capacity, refillPerSecond } = { ...DEFAULT_LIMITS[name], ...(limit === true || limit === undefined ? {} : limit) };
+  if (!(capacity >= 1) || !(refillPerSecond > 0) || !Number.isFinite(capacity) || !Number.isFinite(refillPerSecond)) {
+    throw new Error(`SkoposSDK: 'rateLimit.${name}' needs a positive capacity and refillPerSecond.`);
+  }
+  return { capacity, refillPerSecond };
+}
+
+/**
+ * Normalizes the `rateLimit` option.
+ * @param {boolean | import('../index').RateLimitOptions | undefined} options The raw option.
+ * @returns {RateLimitSettings | null} The settings, or null when events are not rate limited.
+ * @throws {Error} If a limit, the action, the sample rate or the bucket limit is invalid.
+ */
+function resolveRateLimitOptions(options) {
+  if (!options) {
+    return null;
+  }
+  const settings = options === true ? {} : options;
+  const action = settings.action ?? "drop";
+  if (!RATE_LIMIT_ACTIONS.has(action)) {
+    throw new Error(`SkoposSDK: Unknown rateLimit action "${action}".`);
+  }
+  const sampleRate = settings.sampleRate ?? DEFAULT_OVER_LIMIT_SAMPLE_RATE;
+  if (typeof sampleRate !== "number" || !(sampleRate >= 0 && sampleRate <= 1)) {
+    throw new Error("SkoposSDK: 'rateLimit.sampleRate' must be a number from 0 to 1.");
+  }
+  const maxBuckets = settings.maxBuckets ?? DEFAULT_MAX_BUCKETS;
+  if (!Number.isInteger(maxBuckets) || maxBuckets < 1) {
+    throw new Error("SkoposSDK: 'rateLimit.maxBuckets' must be a positive integer.");
+  }
+  return {
+    ip: resolveLimit(settings.ip, "ip"),
+    visitor: resolveLimit(settings.visitor, "visitor"),
+    event: resolveLimit(settings.event, "event"),
+    action,
+    sampleRate,
+    maxBuckets,
+  };
+}
+
+/**
+ * Token buckets for one limit, keyed by IP address, visitor ID, or visitor ID and event name.
+ * At most `maxBuckets` buckets are kept; the least recently used one is evicted first. An
+ * evicted bucket starts full again, which only ever lets a key through earlier.
+ */
+class TokenBuckets {
+  /**
+   * @param {BucketLimit} limit The limit.
+   * @param {number} maxBuckets The maximum number of buckets.
+   */
+  constructor(limit, maxBuckets) {
+    this.limit = limit;
+    this.maxBuckets = maxBuckets;
+    this.buckets = new Map();
+  }
+
+  /**
+   * Takes a token from a key's bucket.
+   * @param {string} key The key.
+   * @param {number} [now=Date.now()] The current time in ms.
+   * @returns {boolean} True if a token was available.
+   */
+  take(key, now = Date.now()) {
+    const { capacity, refillPerSecond } = this.limit;
+    let bucket = this.buckets.get(key);
+    if (bucket) {
+      this.buckets.delete(key);
+      bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * refillPerSecond);
+      bucket.updatedAt = now;
+    } else {
+      bucket = { tokens: capacity, updatedAt: now };
+      if (this.buckets.size >= this.maxBuckets) {
+        this.buckets.delete(this.buckets.keys().next().value);
+      }
+    }
+    this.buckets.set(key, bucket);
+
+    if (bucket.tokens < 1) {
+      return false;
+    }
+    bucket.tokens -= 1;
+    return true;
+  }
+
+  /**
+   * The number of buckets kept.
+   * @returns {number}
+   */
+  get size() {
+    return this.buckets.size;
+  }
+}
+
+/**
+ * Applies the per-IP, per-visitor and per-event limits of the `rateLimit` option.
+ */
+class RateLimiter {
+  /**
+   * @param {RateLimitSettings} settings The rate limit settings.
+   */
+  constructor(settings) {
+    this.settings = settings;
+    this.ip = settings.ip ? new TokenBuckets(settings.ip, settings.maxBuckets) : null;
+    this.visitor = settings.visitor ? new TokenBuckets(settings.visitor, settings.maxBuckets) : null;
+    this.event = settings.event ? new TokenBuckets(settings.event, settings.maxBuckets) : null;
+  }
+
+  /**
+   * Checks the per-IP limit.
+   * @param {string | undefined} ip The client IP address.
+   * @returns {'ip' | null} The exceeded limit, or null if the event may pass.
+   */
+  checkIp(ip) {
+    return this.ip && ip && !this.ip.take(ip) ? "ip" : null;
+  }
+
+  /**
+   * Checks the per-visitor limit, then the limit for the visitor and event name.
+   * @param {string} visitorId The hashed visitor ID.
+   * @param {string} eventName The event name (the type for page views).
+   * @returns {'visitor' | 'event' | null} The exceeded limit, or null if the event may pass.
+   */
+  checkVisitor(visitorId, eventName) {
+    if (this.visitor && !this.visitor.take(visitorId)) {
+      return "visitor";
+    }
+    if (this.event && !this.event.take(`${visitorId}:${eventName}`)) {
+      return "event";
+    }
+    return null;
+  }
+
+  /**
+   * Decides whether an event over a limit is still kept, with the `sample` action.
+   * @returns {boolean}
+   */
+  keepsOverLimit() {
+    return this.settings.action === "sample" && Math.random() < this.settings.sampleRate;
+  }
+}
+
+module.exports = {
+  resolveRateLimitOptions,
+  RateLimiter,
+  TokenBuckets,
+};
@@ -0,0 +1,267 @@
+const ipaddr = require("ipaddr.js");
+
+const DEFAULT_REPLACEMENT = "[REDACTED]";
+const DEFAULT_DENY_QUERY_PARAMS = ["token", "access_token", "id_token", "refresh_token", "auth", "password", "secret", "api_key", "apikey", "key", "code", "signature", "sig", "session", "sessionid"];
+const DEFAULT_MASK_KEYS = ["password", "passwd", "secret", "token", "apiKey", "accessToken", "refreshToken", "authorization", "cookie", "cardNumber", "cvv", "ssn"];
+const KEY_SEPARATOR_PATTERN = /[-_\s]/g;
+const IPV4_PATTERN = /\b(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\b/g;
+const IPV6_CANDIDATE_PATTERN = /[0-9A-Fa-f:]*:[0-9A-Fa-f:]*:[0-9A-Fa-f:.]+/g;
+
+/**
+ * Checks a digit string against the Luhn checksum used by payment card numbers.
+ * @param {string} value The candidate, possibly with spaces or dashes.
+ * @returns {boolean}
+ */
+function passesLuhn(value) {
+  const digits = value.replace(/\D/g, "");
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * @typedef {object} Detector
+ * @property {string} name The name redactions are counted under.
+ * @property {RegExp} pattern A global pattern matching candidates.
+ * @property {(match: string) => boolean} [test] Confirms a candidate before it is replaced.
+ * @property {string} [replacement] Overrides the default replacement.
+ */
+
+/** @type {Record<string, Detector[]>} */
+const BUILT_IN_DETECTORS = {
+  jwt: [{ name: "jwt", pattern: /\beyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]*/g }],
+  email: [{ name: "email", pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g }],
+  card: [{ name: "card", pattern: /\b\d(?:[ -]?\d){12,18}\b/g, test: passesLuhn }],
+  ip: [
+    { name: "ip", pattern: IPV4_PATTERN },
+    { name: "ip", pattern: IPV6_CANDIDATE_PATTERN, test: (match) => ipaddr.IPv6.isValid(match) },
+  ],
+  phone: [{ name: "phone", pattern: /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)|\b\d{2,4})[\s.-]\d{3,4}[\s.-]\d{3,4}\b|\+\d{8,15}\b/g }],
+};
+
+/**
+ * @typedef {object} RedactionSettings
+ * @property {Detector[]} detectors Built-in detectors followed by custom rules, in the order they run.
+ * @property {Set<string> | null} allowQueryParams Lower-cased query parameters that are kept; null keeps all.
+ * @property {Set<string>} denyQueryParams Lower-cased query parameters whose values are replaced.
+ * @property {Set<string>} maskKeys Normalized `customData` keys whose values are replaced.
+ * @property {string} replacement The text that replaces redacted values.
+ */
+
+/**
+ * Normalizes an object key for `maskKeys` matching: case, `-`, `_` and spaces are ignored.
+ * @param {string} key The key.
+ * @returns {string}
+ */
+function normalizeKey(key) {
+  return key.replace(KEY_SEPARATOR_PATTERN, "").toLowerCase();
+}
+
+/**
+ * Normalizes the `redaction` option.
+ * @param {boolean | import('../index').RedactionOptions | undefined} options The raw option.
+ * @returns {RedactionSettings | null} The settings, or null when disabled.
+ * @throws {Error} If a detector is unknown or a custom rule has no valid pattern.
+ */
+function resolveRedactionOptions(options) {
+  if (!options) {
+    return null;
+  }
+  const settings = options === true ? {} : options;
+
+  const detectors = [];
+  for (const name of settings.detectors ?? Object.keys(BUILT_IN_DETECTORS)) {
+    if (!BUILT_IN_DETECTORS[name]) {
+      throw new Error(`SkoposSDK: Unknown redaction detector "${name}".`);
+    }
+    detectors.push(...BUILT_IN_DETECTORS[name]);
+  }
+  for (const rule of settings.rules || []) {
+    if (!(rule?.pattern instanceof RegExp) && typeof rule?.pattern !== "string") {
+      throw new Error("SkoposSDK: Each redaction rule needs a 'pattern' RegExp or string.");
+    }
+    const source = rule.pattern instanceof RegExp ? rule.pattern.source : rule.pattern;
+    const flags = rule.pattern instanceof RegExp ? rule.pattern.flags : "";
+    detectors.push({
+      name: rule.name || "custom",
+      pattern: new RegExp(source, flags.includes("g") ? flags : `${flags}g`),
+      replacement: rule.replacement,
+    });
+  }
+
+  return {
+    detectors,
+    allowQueryParams: settings.allowQueryParams ? new Set(settings.allowQueryParams.map((param) => param.toLowerCase())) : null,
+    denyQueryParams: new Set((settings.denyQueryParams ?? DEFAULT_DENY_QUERY_PARAMS).map((param) => param.toLowerCase())),
+    maskKeys: new Set((settings.maskKeys ?? DEFAULT_MASK_KEYS).map(normalizeKey)),
+    replacement: settings.replacement ?? DEFAULT_REPLACEMENT,
+  };
+}
+
+/**
+ * Increments a redaction count.
+ * @param {Record<string, number>} counts The counts by detector name.
+ * @param {string} name The detector name.
+ */
+function countRedaction(counts, name) {
+  counts[name] = (counts[name] || 0) + 1;
+}
+
+/**
+ * Replaces every detector match in a string.
+ * @param {RedactionSettings} settings The redaction settings.
+ * @param {string} text The text to redact.
+ * @param {Record<string, number>} counts Redaction counts, updated in place.
+ * @returns {string}
+ */
+function redactText(settings, text, counts) {
+  let result = text;
+  for (const detector of settings.detectors) {
+    result = result.replace(detector.pattern, (match) => {
+      if (detector.test && !detector.test(match)) {
+        return match;
+      }
+      countRedaction(counts, detector.name);
+      return detector.replacement ?? settings.replacement;
+    });
+  }
+  return result;
+}
+
+/**
+ * Decodes a query string key or value, keeping it as-is if it is not valid percent-encoding.
+ * @param {string} value The raw component.
+ * @returns {string}
+ */
+function decodeQueryComponent(value) {
+  try {
+    return decodeURIComponent(value.replace(/\+/g, " "));
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Redacts a URL or path: query parameters outside the allow list are removed, denied ones have
+ * their value replaced, and the detectors run on everything else.
+ * @param {RedactionSettings} settings The redaction settings.
+ * @param {string} value The URL or path.
+ * @param {Record<string, number>} counts Redaction counts, updated in place.
+ * @returns {string}
+ */
+function redactUrl(settings, value, counts) {
+  const queryStart = value.indexOf("?");
+  if (queryStart === -1) {
+    return redactText(settings, value, counts);
+  }
+  const fragmentStart = value.indexOf("#", queryStart);
+  const query = value.slice(queryStart + 1, fragmentStart === -1 ? undefined : fragmentStart);
+  const fragment = fragmentStart === -1 ? "" : value.slice(fragmentStart);
+
+  const kept = [];
+  for (const part of query.split("&")) {
+    if (!part) continue;
+    const separator = part.indexOf("=");
+    const rawKey = separator === -1 ? part : part.slice(0, separator);
+    const name = decodeQueryComponent(rawKey).toLowerCase();
+    if (settings.allowQueryParams && !settings.allowQueryParams.has(name)) {
+      countRedaction(counts, "queryParam");
+    } else if (settings.denyQueryParams.has(name)) {
+      countRedaction(counts, "queryParam");
+      kept.push(`${rawKey}=${settings.replacement}`);
+    } else {
+      const paramValue = decodeQueryComponent(separator === -1 ? "" : part.slice(separator + 1));
+      const redacted = redactText(settings, paramValue, counts);
+      kept.push(redacted === paramValue ? part : `${rawKey}=${redacted.split(settings.replacement).map(encodeURIComponent).join(settings.replacement)}`);
+    }
+  }
+
+  return `${redactText(settings, value.slice(0, queryStart), counts)}${kept.length > 0 ? `?${kept.join("&")}` : ""}${redactText(settings, fragment, counts)}`;
+}
+
+/**
+ * Redacts a single query parameter value the way `redactUrl` does, except that `allowQueryParams`
+ * does not apply: used for values that were extracted into their own fields, such as campaign parameters.
+ * @param {RedactionSettings} settings The redaction settings.
+ * @param {string} name The parameter name.
+ * @param {string} value The decoded parameter value.
+ * @param {Record<string, number>} counts Redaction counts, updated in place.
+ * @returns {string | null} The redacted value, or null if the parameter is denied.
+ */
+function redactQueryParam(settings, name, value, counts) {
+  if (settings.denyQueryParams.has(name.toLowerCase())) {
+    countRedaction(counts, "queryParam");
+    return null;
+  }
+  return redactText(settings, value, counts);
+}
+
+/**
+ * Redacts a `customData` value: values under masked keys are replaced at any depth, and the
+ * detectors run on strings and numbers.
+ * @param {RedactionSettings} settings The redaction settings.
+ * @param {any} value The value to redact.
+ * @param {Record<string, number>} counts Redaction counts, updated in place.
+ * @returns {any} A redacted copy.
+ */
+function redactValue(settings, value, counts) {
+  if (typeof value === "string") {
+    return redactText(settings, value, counts);
+  }
+  if (typeof value === "number") {
+    const text = String(value);
+    const redacted = redactText(settings, text, counts);
+    return redacted === text ? value : redacted;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redactValue(settings, item, counts));
+  }
+  if (value && typeof value === "object") {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      if (settings.maskKeys.has(normalizeKey(key))) {
+        countRedaction(counts, "key");
+        result[key] = settings.replacement;
+      } else {
+        result[key] = redactValue(settings, item, counts);
+      }
+    }
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Redacts the fields of event data that can carry personal data: `url`, `path`, `route` and `referrer` as URLs,
+ * `errorMessage` and `stackTrace` as text, and `customData`.
+ * @param {RedactionSettings} settings The redaction settings.
+ * @param {object} data The event data.
+ * @param {Record<string, number>} [counts] Redaction counts to add to.
+ * @returns {{data: object, counts: Record<string, number>}} A redacted copy and the number of redactions per detector.
+ */
+function redactEventData(settings, data, counts = {}) {
+  const redacted = { ...data };
+  for (const field of ["url", "path", "route", "referrer"]) {
+    if (typeof redacted[field] === "string") redacted[field] = redactUrl(settings, redacted[field], counts);
+  }
+  for (const field of ["errorMessage", "stackTrace"]) {
+    if (typeof redacted[field] === "string") redacted[field] = redactText(settings, redacted[field], counts);
+  }
+  if (redacted.customData) {
+    redacted.customData = redactValue(settings, redacted.customData, counts);
+  }
+  return { data: redacted, counts };
+}
+
+module.exports = {
+  resolveRedactionOptions,
+  redactQueryParam,
+  redactEventData,
+};
@@ -0,0 +1,181 @@
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_BASE_DELAY_MS = 200;
+const DEFAULT_MAX_DELAY_MS = 5000;
+const DEFAULT_FAILURE_THRESHOLD = 5;
+const DEFAULT_RESET_TIMEOUT_MS = 1000 * 30;
+
+const CIRCUIT_CLOSED = "closed";
+const CIRCUIT_OPEN = "open";
+const CIRCUIT_HALF_OPEN = "half-open";
+
+/**
+ * Thrown instead of calling the storage backend while the circuit breaker is open.
+ */
+class CircuitOpenError extends Error {
+  constructor() {
+    super("SkoposSDK: Circuit breaker is open, storage writes are paused.");
+    this.name = "CircuitOpenError";
+    this.status = 0;
+  }
+}
+
+/**
+ * Determines whether a failed storage call is worth retrying.
+ * Network failures (status 0), rate limiting (429) and server errors (5xx) are retryable;
+ * aborted requests and other client errors are not.
+ * @param {any} error The error thrown by the storage backend, e.g. the PocketBase client.
+ * @returns {boolean} True if the call may succeed on a later attempt.
+ */
+function isRetryableError(error) {
+  if (!error || error instanceof CircuitOpenError || error.isAbort) {
+    return false;
+  }
+  const status = error.status ?? 0;
+  return status === 0 || status === 429 || status >= 500;
+}
+
+/**
+ * Calculates an exponential backoff delay with full jitter.
+ * @param {number} attempt The zero-based retry attempt.
+ * @param {{baseDelayMs: number, maxDelayMs: number}} options The backoff bounds.
+ * @returns {number} The delay in milliseconds.
+ */
+function computeBackoffDelay(attempt, options) {
+  const ceiling = Math.min(options.maxDelayMs, options.baseDelayMs * 2 ** attempt);
+  return Math.floor(Math.random() * ceiling);
+}
+
+/**
+ * Normalizes user-provided retry options.
+ * @param {import('../index').RetryOptions | undefined} options The raw options.
+ * @returns {{maxRetries: number, baseDelayMs: number, maxDelayMs: number}} The resolved options.
+ */
+function resolveRetryOptions(options = {}) {
+  return {
+    maxRetries: Math.max(0, options.maxRetries ?? DEFAULT_MAX_RETRIES),
+    baseDelayMs: Math.max(0, options.baseDelayMs ?? DEFAULT_BASE_DELAY_MS),
+    maxDelayMs: Math.max(0, options.maxDelayMs ?? DEFAULT_MAX_DELAY_MS),
+  };
+}
+
+/**
+ * Runs an async operation, retrying retryable failures with jittered exponential backoff.
+ * @template T
+ * @param {() => Promise<T>} operation The operation to run.
+ * @param {{maxRetries: number, baseDelayMs: number, maxDelayMs: number}} options The resolved retry options.
+ * @returns {Promise<T>} The operation's result.
+ * @throws {any} The last error once retries are exhausted or a non-retryable error occurs.
+ */
+async function withRetry(operation, options) {
+  let attempt = 0;
+  while (true) {
+    try {
+      return await operation();
+    } catch (error) {
+      if (attempt >= options.maxRetries || !isRetryableError(error)) {
+        throw error;
+      }
+      const delay = computeBackoffDelay(attempt, options);
+      attempt++;
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Minimal circuit breaker that stops calls after repeated failures and
+ * lets a single probe through once the reset timeout has elapsed.
+ */
+class CircuitBreaker {
+  /**
+   * @param {import('../index').CircuitBreakerOptions} [options] Breaker thresholds.
+   * @param {(state: 'closed' | 'open' | 'half-open') => void} [onStateChange] Called on every state transition.
+   */
+  constructor(options = {}, onStateChange = () => {}) {
+    this.failureThreshold = Math.max(1, options.failureThreshold ?? DEFAULT_FAILURE_THRESHOLD);
+    this.resetTimeoutMs = Math.max(0, options.resetTimeoutMs ?? DEFAULT_RESET_TIMEOUT_MS);
+    this.onStateChange = onStateChange;
+    this.state = CIRCUIT_CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = 0;
+    this.probeInFlight = false;
+  }
+
+  /**
+   * Whether a call may be attempted right now. Moves an expired open circuit to half-open and
+   * admits the first caller as the probe; others are refused until the probe's result is recorded.
+   * @returns {boolean}
+   */
+  canRequest() {
+    if (this.state === CIRCUIT_OPEN && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this._setState(CIRCUIT_HALF_OPEN);
+    }
+    if (this.state === CIRCUIT_CLOSED) {
+      return true;
+    }
+    if (this.state === CIRCUIT_HALF_OPEN && !this.probeInFlight) {
+      this.probeInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Whether calls are currently refused: the circuit is open, or half-open with its probe in flight.
+   * Unlike `canRequest`, this never changes state.
+   * @returns {boolean}
+   */
+  isOpen() {
+    return this.state === CIRCUIT_OPEN || (this.state === CIRCUIT_HALF_OPEN && this.probeInFlight);
+  }
+
+  /**
+   * Lets another call probe a half-open circuit when the admitted call ended without telling
+   * whether storage is healthy.
+   */
+  releaseProbe() {
+    this.probeInFlight = false;
+  }
+
+  /**
+   * Records a successful call, closing the circuit.
+   */
+  recordSuccess() {
+    this.probeInFlight = false;
+    this.consecutiveFailures = 0;
+    if (this.state !== CIRCUIT_CLOSED) {
+      this._setState(CIRCUIT_CLOSED);
+    }
+  }
+
+  /**
+   * Records a failed call, opening the circuit once the threshold is reached
+   * or immediately if the failing call was a half-open probe.
+   */
+  recordFailure() {
+    this.probeInFlight = false;
+    this.consecutiveFailures++;
+    if (this.state === CIRCUIT_HALF_OPEN || (this.state === CIRCUIT_CLOSED && this.consecutiveFailures >= this.failureThreshold)) {
+      this.openedAt = Date.now();
+      this._setState(CIRCUIT_OPEN);
+    }
+  }
+
+  /**
+   * @private
+   * @param {'closed' | 'open' | 'half-open'} state The new state.
+   */
+  _setState(state) {
+    this.state = state;
+    this.onStateChange(state);
+  }
+}
+
+module.exports = {
+  CircuitBreaker,
+  CircuitOpenError,
+  isRetryableError,
+  computeBackoffDelay,
+  resolveRetryOptions,
+  withRetry,
+};
@@ -0,0 +1,111 @@
+const { randomBytes } = require("node:crypto");
+
+const DEFAULT_SALT_PERIOD_MS = 1000 * 60 * 60 * 24;
+const DEFAULT_SALT_COLLECTION = "visitor_salts";
+
+/**
+ * @typedef {object} SaltStore
+ * @property {(period: number) => Promise<string | null>} get Loads the salt of a period, or null if none exists.
+ * @property {(period: number, salt: string) => Promise<string>} create Persists a salt for a period and returns
+ * the salt that is stored for it (another process may have created one first).
+ * @property {(beforePeriod: number) => Promise<void>} prune Deletes the salts of every period before `beforePeriod`.
+ */
+
+/**
+ * Normalizes the `rotatingSalt` option.
+ * @param {boolean | import('../index').RotatingSaltOptions | undefined} options The raw option.
+ * @returns {{periodMs: number, collection: string} | null} The settings, or null when disabled.
+ */
+function resolveSaltOptions(options) {
+  if (!options) {
+    return null;
+  }
+  const settings = options === true ? {} : options;
+  const periodMs = settings.periodMs ?? DEFAULT_SALT_PERIOD_MS;
+  if (!Number.isFinite(periodMs) || periodMs < 60 * 1000) {
+    throw new Error("SkoposSDK: 'rotatingSalt.periodMs' must be at least one minute.");
+  }
+  return { periodMs, collection: settings.collection || DEFAULT_SALT_COLLECTION };
+}
+
+/**
+ * Keeps the secret salt of the current rotation period, plus the previous period's salt so
+ * sessions that are active when the salt rotates can continue. Salts are persisted through a
+ * `SaltStore` so restarts and other processes agree on them, and older salts are deleted so
+ * visitor IDs from earlier periods can no longer be recomputed.
+ */
+class RotatingSalt {
+  /**
+   * @param {{periodMs: number}} settings The resolved salt settings.
+   * @param {SaltStore} store Where salts are persisted.
+   */
+  constructor(settings, store) {
+    this.periodMs = settings.periodMs;
+    this.store = store;
+    this.period = null;
+    this.current = null;
+    this.previous = null;
+    this.loading = null;
+  }
+
+  /**
+   * Returns the rotation period a timestamp belongs to (periods are aligned to the Unix epoch, i.e. UTC midnight for daily salts).
+   * @param {number} [now=Date.now()] The timestamp.
+   * @returns {number}
+   */
+  periodOf(now = Date.now()) {
+    return Math.floor(now / this.periodMs);
+  }
+
+  /**
+   * Whether the loaded salts are missing or belong to an earlier period.
+   * @param {number} [now=Date.now()] The timestamp.
+   * @returns {boolean}
+   */
+  needsRefresh(now = Date.now()) {
+    return this.current === null || this.period !== this.periodOf(now);
+  }
+
+  /**
+   * Loads (or creates) the salt of the current period and loads the previous one.
+   * Concurrent calls share the same load.
+   * @param {number} [now=Date.now()] The timestamp.
+   * @returns {Promise<void>}
+   */
+  refresh(now = Date.now()) {
+    if (!this.loading) {
+      this.loading = this._load(this.periodOf(now)).finally(() => {
+        this.loading = null;
+      });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Deletes salts older than the previous period.
+   * @returns {Promise<void>}
+   */
+  async prune() {
+    if (this.period !== null) {
+      await this.store.prune(this.period - 1);
+    }
+  }
+
+  /**
+   * @private
+   * @param {number} period The period to load.
+   * @returns {Promise<void>}
+   */
+  async _load(period) {
+    const current = (await this.store.get(period)) ?? (await this.store.create(period, randomBytes(32).toString("hex")));
+    const previous = await this.store.get(period - 1);
+    this.period = period;
+    this.current = current;
+    this.previous = previous;
+  }
+}
+
+module.exports = {
+  RotatingSalt,
+  resolveSaltOptions,
+};
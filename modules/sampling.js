@@ -0,0 +1,97 @@
+const { createHash } = require("node:crypto");
+const { isEngagementEvent } = require("./engagement");
+
+const SAMPLED_EVENT_TYPES = new Set(["pageView", "custom", "jsError"]);
+
+/**
+ * @typedef {object} SamplingSettings
+ * @property {number} rate The rate of events without a more specific one.
+ * @property {Map<string, number>} types Rates per event type.
+ * @property {Map<string, number>} events Rates per custom event name.
+ * @property {boolean} bypassJsErrors Whether JS errors are always kept.
+ */
+
+/**
+ * Checks that a sample rate is a number from 0 to 1.
+ * @param {unknown} rate The rate.
+ * @param {string} name The option name, for the error message.
+ * @returns {number} The rate.
+ * @throws {Error} If the rate is invalid.
+ */
+function validateRate(rate, name) {
+  if (typeof rate !== "number" || !(rate >= 0 && rate <= 1)) {
+    throw new Error(`SkoposSDK: '${name}' must be a number from 0 to 1.`);
+  }
+  return rate;
+}
+
+/**
+ * Normalizes the `sampling` option.
+ * @param {import('../index').SamplingOptions | undefined} options The raw option.
+ * @returns {SamplingSettings | null} The settings, or null when every event is kept.
+ * @throws {Error} If a rate is not a number from 0 to 1, or an event type cannot be sampled.
+ */
+function resolveSamplingOptions(options) {
+  if (!options) {
+    return null;
+  }
+  const types = new Map();
+  for (const [type, rate] of Object.entries(options.types || {})) {
+    if (!SAMPLED_EVENT_TYPES.has(type)) {
+      throw new Error(`SkoposSDK: Events of type "${type}" cannot be sampled.`);
+    }
+    types.set(type, validateRate(rate, `sampling.types.${type}`));
+  }
+  const events = new Map();
+  for (const [name, rate] of Object.entries(options.events || {})) {
+    events.set(name, validateRate(rate, `sampling.events.${name}`));
+  }
+  return {
+    rate: validateRate(options.rate ?? 1, "sampling.rate"),
+    types,
+    events,
+    bypassJsErrors: options.bypassJsErrors ?? true,
+  };
+}
+
+/**
+ * Returns the sample rate of an event: the rate of its custom event name, else of its type, else
+ * the default rate. Revenue events, and JS errors with `bypassJsErrors`, are always kept. Heartbeat
+ * and engagement events share the rate of the page view they are folded into, so they are kept
+ * exactly when it is.
+ * @param {SamplingSettings} settings The sampling settings.
+ * @param {string} type The event type.
+ * @param {string | undefined} name The event name.
+ * @returns {number}
+ */
+function getSampleRate(settings, type, name) {
+  if (type === "revenue" || (type === "jsError" && settings.bypassJsErrors)) {
+    return 1;
+  }
+  if (type === "custom" && settings.events.has(name)) {
+    return settings.events.get(name);
+  }
+  return settings.types.get(isEngagementEvent(type) ? "pageView" : type) ?? settings.rate;
+}
+
+/**
+ * Decides whether a visitor's events are kept at a sample rate. The decision only depends on the
+ * visitor ID, so all events of a visitor (and of their sessions) are kept or dropped together, and
+ * a visitor kept at one rate is also kept at every higher rate. Without a visitor ID, the event is
+ * sampled at random.
+ * @param {number} rate The sample rate.
+ * @param {string | null} visitorId The hashed visitor ID.
+ * @returns {boolean} True if the event is kept.
+ */
+function isSampledIn(rate, visitorId) {
+  if (rate >= 1) return true;
+  if (rate <= 0) return false;
+  const bucket = visitorId ? createHash("sha256").update(`sampling:${visitorId}`).digest().readUInt32BE(0) / 2 ** 32 : Math.random();
+  return bucket < rate;
+}
+
+module.exports = {
+  resolveSamplingOptions,
+  getSampleRate,
+  isSampledIn,
+};
@@ -0,0 +1,215 @@
+const fs = require("node:fs");
+const path = require("node:path");
+
+const SCHEMA_MODES = new Set(["reject", "warn", "passthrough"]);
+const SCHEMA_TYPES = new Set(["string", "number", "integer", "boolean", "object", "array", "null"]);
+const SCHEMA_KEYWORDS = new Set(["type", "properties", "required", "additionalProperties", "items", "enum", "minimum", "maximum", "minLength", "maxLength", "pattern", "minItems", "maxItems", "title", "description"]);
+
+/**
+ * A compiled `customData` schema. `true` accepts any value.
+ * @typedef {true | {type?: string[], properties?: Record<string, CompiledSchema>, required?: string[], additionalProperties: boolean, items?: CompiledSchema, enum?: any[], minimum?: number, maximum?: number, minLength?: number, maxLength?: number, pattern?: RegExp, minItems?: number, maxItems?: number}} CompiledSchema
+ */
+
+/**
+ * @typedef {object} EventSchemaSettings
+ * @property {'reject' | 'warn' | 'passthrough'} mode What happens to unknown or invalid custom events.
+ * @property {Map<string, CompiledSchema>} events The `customData` schema of each registered event name.
+ */
+
+/**
+ * Compiles one schema of the supported JSON Schema subset.
+ * @param {unknown} schema The schema.
+ * @param {string} at Where the schema is, for error messages.
+ * @returns {CompiledSchema}
+ * @throws {Error} If the schema uses an unsupported keyword or an invalid value.
+ */
+function compileSchema(schema, at) {
+  if (schema === true) {
+    return true;
+  }
+  if (!schema || typeof schema !== "object" || Array.isArray(schema)) {
+    throw new Error(`${at} must be an object or true.`);
+  }
+  for (const keyword of Object.keys(schema)) {
+    if (!SCHEMA_KEYWORDS.has(keyword)) {
+      throw new Error(`${at} uses the unsupported keyword "${keyword}".`);
+    }
+  }
+
+  const compiled = { additionalProperties: schema.additionalProperties ?? true };
+  if (schema.type !== undefined) {
+    compiled.type = [].concat(schema.type);
+    const unknown = compiled.type.find((type) => !SCHEMA_TYPES.has(type));
+    if (unknown !== undefined) {
+      throw new Error(`${at} has the unknown type "${unknown}".`);
+    }
+  }
+  if (schema.properties !== undefined) {
+    compiled.properties = {};
+    for (const [key, property] of Object.entries(schema.properties)) {
+      compiled.properties[key] = compileSchema(property, `${at}.properties.${key}`);
+    }
+  }
+  if (schema.required !== undefined) {
+    if (!Array.isArray(schema.required) || schema.required.some((key) => typeof key !== "string")) {
+      throw new Error(`${at}.required must be an array of property names.`);
+    }
+    compiled.required = schema.required;
+  }
+  if (typeof compiled.additionalProperties !== "boolean") {
+    throw new Error(`${at}.additionalProperties must be a boolean.`);
+  }
+  if (schema.items !== undefined) {
+    compiled.items = compileSchema(schema.items, `${at}.items`);
+  }
+  if (schema.enum !== undefined) {
+    if (!Array.isArray(schema.enum)) {
+      throw new Error(`${at}.enum must be an array.`);
+    }
+    compiled.enum = schema.enum;
+  }
+  for (const keyword of ["minimum", "maximum", "minLength", "maxLength", "minItems", "maxItems"]) {
+    if (schema[keyword] !== undefined) {
+      if (typeof schema[keyword] !== "number" || !Number.isFinite(schema[keyword])) {
+        throw new Error(`${at}.${keyword} must be a number.`);
+      }
+      compiled[keyword] = schema[keyword];
+    }
+  }
+  if (schema.pattern !== undefined) {
+    try {
+      compiled.pattern = new RegExp(schema.pattern, "u");
+    } catch (e) {
+      throw new Error(`${at}.pattern is not a valid regular expression.`);
+    }
+  }
+  return compiled;
+}
+
+/**
+ * Reads an event registry from a JSON file.
+ * @param {string} file The file path, relative to the working directory.
+ * @returns {object} The parsed registry.
+ * @throws {Error} If the file cannot be read or is not valid JSON.
+ */
+function loadRegistryFile(file) {
+  const resolved = path.resolve(file);
+  try {
+    return JSON.parse(fs.readFileSync(resolved, "utf8"));
+  } catch (e) {
+    throw new Error(`SkoposSDK: Could not load the event registry from ${resolved}: ${e.message}`);
+  }
+}
+
+/**
+ * Normalizes the `eventSchemas` option. The registry maps each allowed custom event name to the
+ * schema of its `customData`: `{ "events": { "signup": { "type": "object", ... } } }`. It can be
+ * passed inline or as the path of a JSON file shared with the frontend.
+ * @param {import('../index').EventSchemaOptions | undefined} options The raw option.
+ * @returns {EventSchemaSettings | null} The settings, or null when custom events are not checked.
+ * @throws {Error} If the mode is unknown, or the registry cannot be loaded or has an invalid schema.
+ */
+function resolveEventSchemaOptions(options) {
+  if (!options) {
+    return null;
+  }
+  const mode = options.mode ?? "reject";
+  if (!SCHEMA_MODES.has(mode)) {
+    throw new Error(`SkoposSDK: Unknown eventSchemas mode "${mode}".`);
+  }
+  const registry = typeof options.registry === "string" ? loadRegistryFile(options.registry) : options.registry;
+  if (!registry || typeof registry.events !== "object" || registry.events === null || Array.isArray(registry.events)) {
+    throw new Error("SkoposSDK: The event registry must have an 'events' object.");
+  }
+
+  const events = new Map();
+  for (const [name, schema] of Object.entries(registry.events)) {
+    try {
+      events.set(name, compileSchema(schema, "customData"));
+    } catch (e) {
+      throw new Error(`SkoposSDK: Invalid schema for event "${name}": ${e.message}`);
+    }
+  }
+  return { mode, events };
+}
+
+/**
+ * Returns the JSON Schema type of a value.
+ * @param {unknown} value The value.
+ * @returns {string}
+ */
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+/**
+ * Validates a value against a compiled schema and collects the violations.
+ * @param {CompiledSchema} schema The schema.
+ * @param {unknown} value The value.
+ * @param {string} at The value's location, e.g. `customData.plan`.
+ * @param {string[]} errors The list the violations are added to.
+ */
+function validateValue(schema, value, at, errors) {
+  if (schema === true) {
+    return;
+  }
+  const type = typeOf(value);
+  if (schema.type && !schema.type.some((expected) => expected === type || (expected === "integer" && Number.isInteger(value)))) {
+    errors.push(`${at} must be of type ${schema.type.join(" or ")}`);
+    return;
+  }
+  if (schema.enum && !schema.enum.some((allowed) => allowed === value)) {
+    errors.push(`${at} must be one of ${schema.enum.map((allowed) => JSON.stringify(allowed)).join(", ")}`);
+  }
+
+  if (type === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at} must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at} must be at most ${schema.maximum}`);
+  } else if (type === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${at} must be at least ${schema.minLength} characters long`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${at} must be at most ${schema.maxLength} characters long`);
+    if (schema.pattern && !schema.pattern.test(value)) errors.push(`${at} must match ${schema.pattern.source}`);
+  } else if (type === "array") {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${at} must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${at} must have at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, i) => validateValue(schema.items, item, `${at}[${i}]`, errors));
+    }
+  } else if (type === "object") {
+    for (const key of schema.required || []) {
+      if (!Object.hasOwn(value, key)) errors.push(`${at}.${key} is required`);
+    }
+    for (const [key, property] of Object.entries(value)) {
+      if (schema.properties && Object.hasOwn(schema.properties, key)) {
+        validateValue(schema.properties[key], property, `${at}.${key}`, errors);
+      } else if (!schema.additionalProperties) {
+        errors.push(`${at}.${key} is not allowed`);
+      }
+    }
+  }
+}
+
+/**
+ * Checks a custom event against the registry. Events without `customData` are validated as if
+ * they had an empty object.
+ * @param {EventSchemaSettings} settings The event schema settings.
+ * @param {string} name The event name.
+ * @param {Record<string, any> | undefined} customData The event's custom data.
+ * @returns {string[]} The violations; empty if the event is registered and its data is valid.
+ */
+function validateCustomEvent(settings, name, customData) {
+  const schema = settings.events.get(name);
+  if (schema === undefined) {
+    return [`"${name}" is not a registered event`];
+  }
+  const errors = [];
+  validateValue(schema, customData ?? {}, "customData", errors);
+  return errors;
+}
+
+module.exports = {
+  resolveEventSchemaOptions,
+  validateCustomEvent,
+};
@@ -0,0 +1,85 @@
+const { getSanitizedDomain } = require("./utils");
+const { compileIpMatcher } = require("./ip");
+
+const WWW_PREFIX_PATTERN = /^www\./;
+
+/**
+ * @typedef {object} SiteState
+ * @property {string} siteId The website's tracking ID.
+ * @property {string | null} websiteRecordId The `websites` record ID.
+ * @property {string | null} domain The sanitized website domain.
+ * @property {boolean} disableLocalhostTracking Whether loopback traffic is ignored.
+ * @property {boolean} isArchived Whether the website is archived (all events are ignored).
+ * @property {string[]} ipBlacklist Blocked IP addresses and CIDR ranges.
+ * @property {import('./ip').IpMatcher} ipBlacklistMatcher The compiled blacklist.
+ * @property {boolean} storeRawIp Whether sessions store the raw IP address.
+ * @property {Map<string, object>} sessionCache Active sessions keyed by visitor ID.
+ * @property {Map<string, {id: string, cachedAt: number}>} visitorCache Visitor record IDs keyed by visitor ID.
+ * @property {{sessionId: Promise<string>, startedAt: number} | null} aggregateSession The session shared by events tracked without consent.
+ * @property {{suppressed: number, aggregated: number}} consentStats Events dropped or tracked in aggregate-only mode for lack of consent.
+ * @property {{ip: number, visitor: number, event: number, sampled: number}} rateLimitStats Events dropped per exceeded rate limit, and events over a limit kept by sampling.
+ */
+
+/**
+ * Creates the per-website state tracked by the SDK: the settings mirrored from the
+ * `websites` record plus the website's own session and visitor caches.
+ * @param {string} siteId The website's tracking ID.
+ * @returns {SiteState}
+ */
+function createSiteState(siteId) {
+  return {
+    siteId,
+    websiteRecordId: null,
+    domain: null,
+    disableLocalhostTracking: false,
+    isArchived: false,
+    ipBlacklist: [],
+    ipBlacklistMatcher: compileIpMatcher([]),
+    storeRawIp: false,
+    sessionCache: new Map(),
+    visitorCache: new Map(),
+    aggregateSession: null,
+    consentStats: { suppressed: 0, aggregated: 0 },
+    rateLimitStats: { ip: 0, visitor: 0, event: 0, sampled: 0 },
+  };
+}
+
+/**
+ * Copies the tracking settings of a `websites` record onto a site's state and recompiles its IP blacklist.
+ * @param {SiteState} site The site state to update.
+ * @param {object} record The `websites` record.
+ * @returns {string[]} Blacklist entries that are not valid addresses or CIDR ranges (they are ignored).
+ */
+function applyWebsiteRecord(site, record) {
+  site.websiteRecordId = record.id;
+  site.domain = getSanitizedDomain(record.domain);
+  site.disableLocalhostTracking = record.disableLocalhostTracking || false;
+  site.isArchived = record.isArchived || false;
+  site.ipBlacklist = record.ipBlacklist || [];
+  site.storeRawIp = record.storeRawIp || false;
+
+  const invalidEntries = [];
+  site.ipBlacklistMatcher = compileIpMatcher(site.ipBlacklist, (entry) => invalidEntries.push(entry));
+  return invalidEntries;
+}
+
+/**
+ * Checks whether a hostname belongs to a site's domain or one of its subdomains.
+ * Always true when the site has no domain configured.
+ * @param {SiteState} site The site state.
+ * @param {string} hostname The hostname to check.
+ * @returns {boolean}
+ */
+function matchesSiteDomain(site, hostname) {
+  if (!site.domain) {
+    return true;
+  }
+  const siteDomain = site.domain.replace(WWW_PREFIX_PATTERN, "");
+  return hostname === siteDomain || hostname.endsWith(`.${siteDomain}`);
+}
+
+module.exports = {
+  createSiteState,
+  applyWebsiteRecord,
+  matchesSiteDomain,
+};
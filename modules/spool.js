@@ -0,0 +1,188 @@
+const fs = require("node:fs");
+const path = require("node:path");
+const { randomUUID } = require("node:crypto");
+
+const SPOOL_FILE_NAME = "spool.jsonl";
+const SPOOL_COMPACT_SUFFIX = ".compact";
+const SPOOL_AUTO_COMPACT_THRESHOLD = 1000;
+const SPOOL_SYNC_INTERVAL_MS = 100;
+
+/**
+ * @typedef {'event' | 'jsError' | 'buffered'} SpoolEntryKind The kind of a spool entry: a queued event record,
+ * a queued JS error, or raw event data held in the circuit buffer while storage is unreachable.
+ */
+
+/**
+ * Append-only on-disk journal for queued events, JS errors and circuit-buffered event data.
+ * Every entry is written with an "add" record before it is handed to PocketBase,
+ * and an "ack" record once it has been persisted. Entries without a matching ack
+ * are replayed on the next start, so crashes and outages do not lose data.
+ * Records are written immediately, which survives a process crash, but fsynced in
+ * groups at most `SPOOL_SYNC_INTERVAL_MS` later, so a power loss can drop the last ones.
+ */
+class EventSpool {
+  /**
+   * @param {string} dir The directory holding the spool file. Created if missing.
+   * @param {(error: Error) => void} [onSyncError] Called when a scheduled fsync fails.
+   */
+  constructor(dir, onSyncError = () => {}) {
+    this.dir = dir;
+    this.filePath = path.join(dir, SPOOL_FILE_NAME);
+    this.pending = new Map();
+    this.ackedSinceCompact = 0;
+    this.fd = null;
+    this.syncTimer = null;
+    this.onSyncError = onSyncError;
+  }
+
+  /**
+   * Opens the spool, loading every entry that was never acknowledged.
+   * @returns {Array<{id: string, kind: SpoolEntryKind, payload: object}>} The unacknowledged entries, oldest first.
+   */
+  open() {
+    fs.mkdirSync(this.dir, { recursive: true });
+
+    if (fs.existsSync(this.filePath)) {
+      const lines = fs.readFileSync(this.filePath, "utf8").split("\n");
+      for (const line of lines) {
+        if (!line) continue;
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch (e) {
+          // A crash mid-write can leave a truncated trailing line; skip it.
+          continue;
+        }
+        if (record.op === "add" && record.id) {
+          this.pending.set(record.id, { id: record.id, kind: record.kind, payload: record.payload });
+        } else if (record.op === "ack" && record.id) {
+          this.pending.delete(record.id);
+        }
+      }
+    }
+
+    this._rewrite();
+    return [...this.pending.values()];
+  }
+
+  /**
+   * Records a new entry before it is queued or sent.
+   * @param {SpoolEntryKind} kind The kind of entry.
+   * @param {object} payload The JSON-serializable payload.
+   * @returns {string} The spool ID to acknowledge once the entry is persisted.
+   */
+  add(kind, payload) {
+    const id = randomUUID();
+    const entry = { id, kind, payload };
+    this._append({ op: "add", ...entry });
+    this.pending.set(id, entry);
+    return id;
+  }
+
+  /**
+   * Marks entries as persisted so they are not replayed.
+   * @param {...string} ids The spool IDs to acknowledge.
+   */
+  ack(...ids) {
+    for (const id of ids) {
+      if (!id || !this.pending.has(id)) continue;
+      this._append({ op: "ack", id });
+      this.pending.delete(id);
+      this.ackedSinceCompact++;
+    }
+
+    if (this.ackedSinceCompact >= SPOOL_AUTO_COMPACT_THRESHOLD) {
+      this._rewrite();
+    }
+  }
+
+  /**
+   * Rewrites the spool file with only the unacknowledged entries.
+   * Skipped when nothing was acknowledged since the last compaction.
+   */
+  compact() {
+    if (this.ackedSinceCompact === 0) {
+      return;
+    }
+    this._rewrite();
+  }
+
+  /**
+   * Flushes the records appended since the last fsync to disk. Does nothing when there are none.
+   */
+  sync() {
+    if (this.syncTimer === null) {
+      return;
+    }
+    clearTimeout(this.syncTimer);
+    this.syncTimer = null;
+    fs.fsyncSync(this.fd);
+  }
+
+  /**
+   * Compacts, syncs and closes the spool file.
+   */
+  close() {
+    if (this.fd === null) {
+      return;
+    }
+    this.compact();
+    this.sync();
+    fs.closeSync(this.fd);
+    this.fd = null;
+  }
+
+  /**
+   * Appends a single record and schedules an fsync, unless one is already scheduled.
+   * @private
+   * @param {object} record The record to write.
+   */
+  _append(record) {
+    if (this.fd === null) {
+      this.fd = fs.openSync(this.filePath, "a");
+    }
+    fs.writeSync(this.fd, `${JSON.stringify(record)}\n`);
+    if (this.syncTimer === null) {
+      this.syncTimer = setTimeout(() => {
+        try {
+          this.sync();
+        } catch (error) {
+          this.onSyncError(error);
+        }
+      }, SPOOL_SYNC_INTERVAL_MS);
+      this.syncTimer.unref?.();
+    }
+  }
+
+  /**
+   * Atomically replaces the spool file with the pending entries and reopens it for appending.
+   * @private
+   */
+  _rewrite() {
+    const tmpPath = `${this.filePath}${SPOOL_COMPACT_SUFFIX}`;
+    let content = "";
+    for (const entry of this.pending.values()) {
+      content += `${JSON.stringify({ op: "add", ...entry })}\n`;
+    }
+
+    const tmpFd = fs.openSync(tmpPath, "w");
+    try {
+      fs.writeSync(tmpFd, content);
+      fs.fsyncSync(tmpFd);
+    } finally {
+      fs.closeSync(tmpFd);
+    }
+
+    if (this.fd !== null) {
+      // The rewritten file holds every pending entry and was just synced.
+      clearTimeout(this.syncTimer);
+      this.syncTimer = null;
+      fs.closeSync(this.fd);
+    }
+    fs.renameSync(tmpPath, this.filePath);
+    this.fd = fs.openSync(this.filePath, "a");
+    this.ackedSinceCompact = 0;
+  }
+}
+
+module.exports = { EventSpool };
@@ -0,0 +1,91 @@
+const { PocketBaseStorage } = require("./pocketbase");
+const { MemoryStorage, StorageError, createRecordId } = require("./memory");
+const { JsonlStorage } = require("./jsonl");
+
+/**
+ * @typedef {object} StorageContext
+ * @property {<T>(operation: () => Promise<T>) => Promise<T>} call Runs a backend request through the SDK's retry policy and circuit breaker.
+ * @property {(level: string, ...args: any[]) => void} log The SDK logger.
+ */
+
+/**
+ * @typedef {object} JsErrorWrite
+ * @property {string} errorHash The hash identifying the error.
+ * @property {string} session The session record ID of the first occurrence.
+ * @property {string} errorMessage The error message.
+ * @property {string | undefined} stackTrace The truncated stack trace.
+ * @property {string} url The page URL of the first occurrence.
+ * @property {number} count How many times the error occurred since the last flush.
+ * @property {string} lastSeen ISO timestamp of the flush.
+ */
+
+/**
+ * @typedef {object} BotHitWrite
+ * @property {string} hitHash The hash identifying the bot family, path, score bucket and window.
+ * @property {string} family The bot family parsed from the user agent, e.g. "Googlebot".
+ * @property {string} path The requested path, without the query string.
+ * @property {number} scoreBucket The bot score rounded down to a multiple of 10.
+ * @property {string} windowStart ISO timestamp of the start of the time window.
+ * @property {number} count How many hits occurred since the last flush.
+ * @property {string} lastSeen ISO timestamp of the flush.
+ */
+
+/**
+ * @typedef {object} WebsiteConfig
+ * @property {string} trackingId The tracking ID the SDK is initialized with.
+ * @property {string} [id] The record ID; defaults to the tracking ID.
+ * @property {string} [domain] The website's domain.
+ * @property {boolean} [disableLocalhostTracking] Whether loopback traffic is ignored.
+ * @property {boolean} [isArchived] Whether the website is archived.
+ * @property {string[]} [ipBlacklist] Blocked IP addresses and ranges.
+ * @property {boolean} [storeRawIp] Whether raw IP addresses are stored on sessions.
+ */
+
+/**
+ * @typedef {{op: 'create', record: object} | {op: 'update', id: string, changes: object} | {op: 'delete', id: string}} StorageChange
+ */
+
+/**
+ * Creates the storage adapter configured by the SDK options.
+ * @param {import('../../index').SkoposSDKOptions} options The SDK options.
+ * @returns {import('../../index').StorageAdapter}
+ * @throws {Error} If the `storage` option is invalid or no PocketBase URL is configured.
+ */
+function resolveStorage(options) {
+  const storage = options.storage;
+  if (storage && typeof storage.createEvents === "function") {
+    return storage;
+  }
+  if (storage?.adapter === "memory") {
+    return new MemoryStorage(storage);
+  }
+  if (storage?.adapter === "jsonl") {
+    if (!storage.dir) {
+      throw new Error("SkoposSDK: 'storage.dir' is required for the jsonl storage adapter.");
+    }
+    return new JsonlStorage(storage);
+  }
+  if (storage && storage.adapter !== "pocketbase") {
+    throw new Error(`SkoposSDK: Unknown storage adapter "${storage.adapter}".`);
+  }
+  if (!options.pocketbaseUrl) {
+    console.error("SkoposSDK: 'pocketbaseUrl' is a required option.");
+    throw new Error("SkoposSDK: 'pocketbaseUrl' is required.");
+  }
+  return new PocketBaseStorage({
+    url: options.pocketbaseUrl,
+    adminEmail: options.adminEmail,
+    adminPassword: options.adminPassword,
+    useBatchApi: options.useBatchApi,
+    saltCollection: options.rotatingSalt?.collection,
+  });
+}
+
+module.exports = {
+  PocketBaseStorage,
+  MemoryStorage,
+  JsonlStorage,
+  StorageError,
+  resolveStorage,
+  createRecordId,
+};
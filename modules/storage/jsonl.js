@@ -0,0 +1,148 @@
+const fs = require("node:fs");
+const path = require("node:path");
+const readline = require("node:readline");
+const { MemoryStorage } = require("./memory");
+
+const WEBSITES_COLLECTION = "websites";
+const EVENTS_COLLECTION = "events";
+
+/**
+ * Appends every change to one newline-delimited JSON file per collection (`events.jsonl`,
+ * `sessions.jsonl`, ...), so raw events can be archived and replayed. Each line is a change:
+ * `{"op":"create","record":{...}}`, `{"op":"update","id":"...","changes":{...}}` or `{"op":"delete","id":"..."}`.
+ * Visitors, sessions, JS errors, bot hits and salts are rebuilt from their files on connect; events (and their
+ * engagement updates) are only written, never read back, apart from the order IDs of revenue events. Websites come from the `websites` option and are not persisted.
+ */
+class JsonlStorage extends MemoryStorage {
+  /**
+   * @param {{dir: string, websites?: Array<import('./index').WebsiteConfig>}} options The adapter options.
+   */
+  constructor(options) {
+    super(options);
+    this.dir = options.dir;
+    this.files = new Map();
+  }
+
+  /**
+   * Creates the directory if needed and loads the existing records.
+   * @param {import('./index').StorageContext} context The SDK's request runner and logger.
+   * @returns {Promise<void>}
+   * @throws {Error} If the directory cannot be created or read.
+   */
+  async connect(context) {
+    await super.connect(context);
+    fs.mkdirSync(this.dir, { recursive: true });
+
+    for (const fileName of fs.readdirSync(this.dir)) {
+      if (!fileName.endsWith(".jsonl")) continue;
+      await this._load(path.basename(fileName, ".jsonl"), path.join(this.dir, fileName));
+    }
+    this.log("debug", `Loaded JSONL storage from ${this.dir}.`);
+  }
+
+  /**
+   * Replays a collection's file line by line, so memory use does not grow with the size of the
+   * append-only event archive. Of the events, only the order IDs are kept.
+   * @private
+   * @param {string} collection The collection name.
+   * @param {string} filePath The path of the collection's file.
+   * @returns {Promise<void>}
+   */
+  async _load(collection, filePath) {
+    this._terminateLastLine(filePath);
+    const lines = readline.createInterface({ input: fs.createReadStream(filePath, "utf8"), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line || (collection === EVENTS_COLLECTION && !line.includes('"orderId"'))) continue;
+      try {
+        const change = JSON.parse(line);
+        if (collection === EVENTS_COLLECTION) {
+          this._indexOrder(change);
+        } else {
+          this._apply(collection, change);
+        }
+      } catch (e) {
+        // A crash mid-write can leave a truncated trailing line; skip it.
+      }
+    }
+  }
+
+  /**
+   * Ends a file left without a trailing newline by a crash mid-write, so the next change is
+   * appended on a line of its own instead of being glued to the truncated one.
+   * @private
+   * @param {string} filePath The path of a collection's file.
+   */
+  _terminateLastLine(filePath) {
+    const fd = fs.openSync(filePath, "r");
+    try {
+      const { size } = fs.fstatSync(fd);
+      const lastByte = Buffer.alloc(1);
+      if (size === 0 || (fs.readSync(fd, lastByte, 0, 1, size - 1) === 1 && lastByte[0] === 0x0a)) {
+        return;
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.appendFileSync(filePath, "\n");
+  }
+
+  /**
+   * Closes the open files.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await super.close();
+    for (const fd of this.files.values()) {
+      fs.closeSync(fd);
+    }
+    this.files.clear();
+  }
+
+  /**
+   * Appends the updates to `events.jsonl`. Events are not kept in memory, so unlike `MemoryStorage`
+   * this cannot check that the events exist.
+   * @param {Array<{id: string, changes: object}>} updates The event updates.
+   * @returns {Promise<Array<any>>} One `null` entry per update.
+   */
+  async updateEvents(updates) {
+    const updated = new Date().toISOString();
+    return updates.map(({ id, changes }) => {
+      this._commit(EVENTS_COLLECTION, { op: "update", id, changes: { ...changes, updated } });
+      return null;
+    });
+  }
+
+  /**
+   * Appends the change to the collection's file, then applies it. Events are not kept in memory;
+   * only their order IDs are indexed.
+   * @private
+   * @param {string} collection The collection name.
+   * @param {import('./index').StorageChange} change The change.
+   */
+  _commit(collection, change) {
+    if (collection !== WEBSITES_COLLECTION) {
+      if (!this.files.has(collection)) {
+        this.files.set(collection, fs.openSync(path.join(this.dir, `${collection}.jsonl`), "a"));
+      }
+      fs.writeSync(this.files.get(collection), `${JSON.stringify(change)}\n`);
+    }
+    if (collection !== EVENTS_COLLECTION) {
+      this._apply(collection, change);
+    } else {
+      this._indexOrder(change);
+    }
+  }
+
+  /**
+   * Remembers the order ID of a created revenue event.
+   * @private
+   * @param {import('./index').StorageChange} change The events change.
+   */
+  _indexOrder(change) {
+    if (change.op === "create" && change.record.orderId) {
+      this.orderIds.add(`${change.record.website}:${change.record.orderId}`);
+    }
+  }
+}
+
+module.exports = { JsonlStorage };
@@ -0,0 +1,375 @@
+const { randomBytes } = require("node:crypto");
+
+const WEBSITES_COLLECTION = "websites";
+const VISITORS_COLLECTION = "visitors";
+const SESSIONS_COLLECTION = "sessions";
+const EVENTS_COLLECTION = "events";
+const ERRORS_COLLECTION = "js_errors";
+const BOT_HITS_COLLECTION = "bot_hits";
+const SALTS_COLLECTION = "visitor_salts";
+
+/**
+ * A rejected storage operation. `status` follows HTTP semantics (400 invalid data, 404 not found),
+ * which is how the SDK tells rejected writes apart from retryable failures.
+ */
+class StorageError extends Error {
+  /**
+   * @param {number} status The HTTP-like status.
+   * @param {string} message The error message.
+   * @param {string} [field] The field that made the write invalid.
+   */
+  constructor(status, message, field) {
+    super(message);
+    this.name = "StorageError";
+    this.status = status;
+    this.field = field;
+  }
+}
+
+/**
+ * Keeps every record in memory. Useful for tests and CI, where the whole ingestion
+ * pipeline can run without a PocketBase server.
+ */
+class MemoryStorage {
+  /**
+   * @param {{websites?: Array<import('./index').WebsiteConfig>}} [options] The adapter options.
+   */
+  constructor(options = {}) {
+    this.collections = new Map();
+    this.visitorIds = new Map();
+    this.errorKeys = new Map();
+    this.botHitKeys = new Map();
+    this.orderIds = new Set();
+    this.subscribers = new Map();
+    this.log = () => {};
+    for (const website of options.websites || []) {
+      this._apply(WEBSITES_COLLECTION, { op: "create", record: { isArchived: false, ...website, id: website.id || website.trackingId } });
+    }
+  }
+
+  /**
+   * @param {import('./index').StorageContext} context The SDK's request runner and logger.
+   * @returns {Promise<void>}
+   */
+  async connect(context) {
+    this.log = context.log;
+  }
+
+  /**
+   * Returns copies of the records of a collection, oldest first.
+   * @param {string} collection The collection name, e.g. "events".
+   * @returns {Array<object>}
+   */
+  list(collection) {
+    return [...this._collection(collection).values()].map((record) => structuredClone(record));
+  }
+
+  /**
+   * @param {string} trackingId The website's tracking ID.
+   * @returns {Promise<object | null>}
+   */
+  async getWebsite(trackingId) {
+    return this._find(WEBSITES_COLLECTION, (record) => record.trackingId === trackingId);
+  }
+
+  /**
+   * Updates a website and notifies its subscribers, like a realtime update would.
+   * @param {string} id The website record ID.
+   * @param {object} changes The fields to update.
+   * @returns {Promise<void>}
+   */
+  async updateWebsite(id, changes) {
+    const record = this._update(WEBSITES_COLLECTION, id, changes);
+    for (const onUpdate of this.subscribers.get(id) || []) {
+      onUpdate(structuredClone(record));
+    }
+  }
+
+  /**
+   * @param {string} id The website record ID.
+   * @param {(record: object) => void} onUpdate Called with the updated record.
+   * @returns {Promise<void>}
+   */
+  async subscribeWebsite(id, onUpdate) {
+    if (!this.subscribers.has(id)) this.subscribers.set(id, new Set());
+    this.subscribers.get(id).add(onUpdate);
+  }
+
+  /**
+   * @param {string} visitorId The hashed visitor ID.
+   * @returns {Promise<object | null>}
+   */
+  async findVisitor(visitorId) {
+    const id = this.visitorIds.get(visitorId);
+    return id ? structuredClone(this._collection(VISITORS_COLLECTION).get(id)) : null;
+  }
+
+  /**
+   * @param {object} data The visitor fields.
+   * @returns {Promise<object>} The created record.
+   * @throws {StorageError} If a visitor with the same `visitorId` exists.
+   */
+  async createVisitor(data) {
+    if (this.visitorIds.has(data.visitorId)) {
+      throw new StorageError(400, "Value must be unique.", "visitorId");
+    }
+    return this._insert(VISITORS_COLLECTION, data);
+  }
+
+  /**
+   * @param {string} id The visitor record ID.
+   * @param {object} changes The fields to update.
+   * @returns {Promise<void>}
+   */
+  async updateVisitor(id, changes) {
+    this._update(VISITORS_COLLECTION, id, changes);
+  }
+
+  /**
+   * @param {object} data The session fields.
+   * @returns {Promise<object>} The created record.
+   * @throws {StorageError} If the referenced visitor does not exist.
+   */
+  async createSession(data) {
+    if (data.visitor && !this._collection(VISITORS_COLLECTION).has(data.visitor)) {
+      throw new StorageError(400, "The visitor does not exist.", "visitor");
+    }
+    return this._insert(SESSIONS_COLLECTION, data);
+  }
+
+  /**
+   * @param {string} id The session record ID.
+   * @param {object} changes The fields to update.
+   * @returns {Promise<void>}
+   */
+  async updateSession(id, changes) {
+    this._update(SESSIONS_COLLECTION, id, changes);
+  }
+
+  /**
+   * @param {Array<{id: string, changes: object}>} updates The session updates.
+   * @returns {Promise<Array<any>>} One entry per update: `null` on success, otherwise the error.
+   */
+  async updateSessions(updates) {
+    return updates.map(({ id, changes }) => {
+      try {
+        this._update(SESSIONS_COLLECTION, id, changes);
+        return null;
+      } catch (error) {
+        return error;
+      }
+    });
+  }
+
+  /**
+   * @param {Array<object>} events The event records to create.
+   * @returns {Promise<Array<any>>} One entry per event: `null` on success, otherwise the error.
+   */
+  async createEvents(events) {
+    return events.map((event) => {
+      if (!this._collection(SESSIONS_COLLECTION).has(event.session)) {
+        return new StorageError(400, "The session does not exist.", "session");
+      }
+      if (event.orderId && this.orderIds.has(`${event.website}:${event.orderId}`)) {
+        return new StorageError(400, "Value must be unique.", "orderId");
+      }
+      this._insert(EVENTS_COLLECTION, event);
+      return null;
+    });
+  }
+
+  /**
+   * @param {Array<{id: string, changes: object}>} updates The event updates.
+   * @returns {Promise<Array<any>>} One entry per update: `null` on success, otherwise the error.
+   */
+  async updateEvents(updates) {
+    return updates.map(({ id, changes }) => {
+      try {
+        this._update(EVENTS_COLLECTION, id, changes);
+        return null;
+      } catch (error) {
+        return error;
+      }
+    });
+  }
+
+  /**
+   * @param {string} website The `websites` record ID the order belongs to.
+   * @param {string} orderId The order ID of a revenue event.
+   * @returns {Promise<boolean>} Whether an event of the website with this order ID exists.
+   */
+  async hasOrder(website, orderId) {
+    return this.orderIds.has(`${website}:${orderId}`);
+  }
+
+  /**
+   * @param {string} website The `websites` record ID the errors belong to.
+   * @param {Array<import('./index').JsErrorWrite>} errors The aggregated errors.
+   * @returns {Promise<Array<any>>} One entry per error: `null` on success, otherwise the error.
+   */
+  async saveJsErrors(website, errors) {
+    return errors.map(({ count, lastSeen, ...error }) => {
+      const existingId = this.errorKeys.get(`${website}:${error.errorHash}`);
+      if (existingId) {
+        const existing = this._collection(ERRORS_COLLECTION).get(existingId);
+        this._update(ERRORS_COLLECTION, existingId, { count: existing.count + count, lastSeen });
+      } else {
+        this._insert(ERRORS_COLLECTION, { website, ...error, count, lastSeen });
+      }
+      return null;
+    });
+  }
+
+  /**
+   * @param {string} website The `websites` record ID the hits belong to.
+   * @param {Array<import('./index').BotHitWrite>} hits The aggregated hits.
+   * @returns {Promise<Array<any>>} One entry per hit: `null` on success, otherwise the error.
+   */
+  async saveBotHits(website, hits) {
+    return hits.map(({ count, lastSeen, ...hit }) => {
+      const existingId = this.botHitKeys.get(`${website}:${hit.hitHash}`);
+      if (existingId) {
+        const existing = this._collection(BOT_HITS_COLLECTION).get(existingId);
+        this._update(BOT_HITS_COLLECTION, existingId, { count: existing.count + count, lastSeen });
+      } else {
+        this._insert(BOT_HITS_COLLECTION, { website, ...hit, count, lastSeen });
+      }
+      return null;
+    });
+  }
+
+  /**
+   * @param {number} period The rotation period.
+   * @returns {Promise<string | null>}
+   */
+  async getSalt(period) {
+    return this._find(SALTS_COLLECTION, (record) => record.period === period)?.salt ?? null;
+  }
+
+  /**
+   * @param {number} period The rotation period.
+   * @param {string} salt The new salt.
+   * @returns {Promise<string>} The salt stored for the period.
+   */
+  async createSalt(period, salt) {
+    return (await this.getSalt(period)) ?? this._insert(SALTS_COLLECTION, { period, salt }).salt;
+  }
+
+  /**
+   * @param {number} beforePeriod The first period to keep.
+   * @returns {Promise<void>}
+   */
+  async pruneSalts(beforePeriod) {
+    for (const record of this._collection(SALTS_COLLECTION).values()) {
+      if (record.period < beforePeriod) {
+        this._commit(SALTS_COLLECTION, { op: "delete", id: record.id });
+      }
+    }
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async healthCheck() {}
+
+  /**
+   * Drops the website subscriptions.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.subscribers.clear();
+  }
+
+  /**
+   * @private
+   * @param {string} name The collection name.
+   * @returns {Map<string, object>}
+   */
+  _collection(name) {
+    if (!this.collections.has(name)) this.collections.set(name, new Map());
+    return this.collections.get(name);
+  }
+
+  /**
+   * @private
+   * @param {string} collection The collection name.
+   * @param {(record: object) => boolean} predicate The match condition.
+   * @returns {object | null} A copy of the first matching record.
+   */
+  _find(collection, predicate) {
+    for (const record of this._collection(collection).values()) {
+      if (predicate(record)) return structuredClone(record);
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   * @param {string} collection The collection name.
+   * @param {object} data The record fields.
+   * @returns {object} A copy of the created record.
+   */
+  _insert(collection, data) {
+    const now = new Date().toISOString();
+    const record = { ...structuredClone(data), id: data.id || createRecordId(), created: now, updated: now };
+    this._commit(collection, { op: "create", record });
+    return structuredClone(record);
+  }
+
+  /**
+   * @private
+   * @param {string} collection The collection name.
+   * @param {string} id The record ID.
+   * @param {object} changes The fields to update.
+   * @returns {object} The updated record.
+   * @throws {StorageError} If the record does not exist.
+   */
+  _update(collection, id, changes) {
+    if (!this._collection(collection).has(id)) {
+      throw new StorageError(404, `The ${collection} record "${id}" does not exist.`);
+    }
+    this._commit(collection, { op: "update", id, changes: { ...structuredClone(changes), updated: new Date().toISOString() } });
+    return this._collection(collection).get(id);
+  }
+
+  /**
+   * Applies a change. Persistent subclasses write it out first.
+   * @private
+   * @param {string} collection The collection name.
+   * @param {import('./index').StorageChange} change The change.
+   */
+  _commit(collection, change) {
+    this._apply(collection, change);
+  }
+
+  /**
+   * Applies a change to the in-memory records and lookup indexes.
+   * @private
+   * @param {string} collection The collection name.
+   * @param {import('./index').StorageChange} change The change.
+   */
+  _apply(collection, change) {
+    const records = this._collection(collection);
+    if (change.op === "create") {
+      records.set(change.record.id, change.record);
+      if (collection === VISITORS_COLLECTION) this.visitorIds.set(change.record.visitorId, change.record.id);
+      if (collection === ERRORS_COLLECTION) this.errorKeys.set(`${change.record.website}:${change.record.errorHash}`, change.record.id);
+      if (collection === BOT_HITS_COLLECTION) this.botHitKeys.set(`${change.record.website}:${change.record.hitHash}`, change.record.id);
+      if (collection === EVENTS_COLLECTION && change.record.orderId) this.orderIds.add(`${change.record.website}:${change.record.orderId}`);
+    } else if (change.op === "update" && records.has(change.id)) {
+      Object.assign(records.get(change.id), change.changes);
+    } else if (change.op === "delete") {
+      records.delete(change.id);
+    }
+  }
+}
+
+/**
+ * Generates a 15-character record ID like PocketBase's.
+ * @returns {string}
+ */
+function createRecordId() {
+  return randomBytes(8).toString("hex").slice(0, 15);
+}
+
+module.exports = { MemoryStorage, StorageError, createRecordId };
@@ -0,0 +1,537 @@
+const PocketBase = require("pocketbase/cjs");
+const { isBatchDisabledError, isBatchLimitError, getFailedBatchRequest } = require("../batch");
+
+const WEBSITES_COLLECTION = "websites";
+const VISITORS_COLLECTION = "visitors";
+const SESSIONS_COLLECTION = "sessions";
+const EVENTS_COLLECTION = "events";
+const ERRORS_COLLECTION = "js_errors";
+const BOT_HITS_COLLECTION = "bot_hits";
+const DEFAULT_SALT_COLLECTION = "visitor_salts";
+
+const AUTH_CHECK_INTERVAL_MS = 1000 * 60 * 10;
+const DEFAULT_BATCH_MAX_REQUESTS = 50;
+const BATCH_SETTINGS_TTL_MS = 1000 * 60 * 10;
+const PER_RECORD_WRITE_CONCURRENCY = 10;
+
+/**
+ * Storage adapter backed by a PocketBase instance. This is the default adapter.
+ * Writes use PocketBase's transactional batch API when it is enabled on the server
+ * and fall back to per-record requests otherwise.
+ */
+class PocketBaseStorage {
+  /**
+   * @param {{url: string, adminEmail?: string, adminPassword?: string, useBatchApi?: boolean, saltCollection?: string}} options The adapter options.
+   */
+  constructor(options) {
+    this.pb = new PocketBase(options.url);
+    this.adminEmail = options.adminEmail;
+    this.adminPassword = options.adminPassword;
+    this.saltCollection = options.saltCollection || DEFAULT_SALT_COLLECTION;
+    this.useBatchApi = options.useBatchApi ?? true;
+    this.batchApiEnabled = null;
+    this.batchSettingsCheckedAt = 0;
+    this.batchMaxRequests = DEFAULT_BATCH_MAX_REQUESTS;
+    this.lastAuthCheck = 0;
+    this.authCheckTimer = null;
+    this.call = (operation) => operation();
+    this.log = () => {};
+  }
+
+  /**
+   * Authenticates as a superuser when credentials are configured and starts refreshing the token.
+   * @param {import('./index').StorageContext} context The SDK's request runner and logger.
+   * @returns {Promise<void>}
+   * @throws {Error} If authentication fails.
+   */
+  async connect(context) {
+    this.call = context.call;
+    this.log = context.log;
+
+    if (this.adminEmail && this.adminPassword) {
+      try {
+        this.log("debug", "Attempting admin authentication...");
+        await this.pb.collection("_superusers").authWithPassword(this.adminEmail, this.adminPassword);
+        this.pb.autoCancellation(false);
+        this.lastAuthCheck = Date.now();
+        this.log("info", "Admin authentication successful.");
+      } catch (error) {
+        this.log("error", "Admin authentication failed.", error);
+        throw new Error("SkoposSDK: Could not authenticate with PocketBase.");
+      }
+    }
+
+    this.authCheckTimer = setInterval(() => this._proactiveAuthRefresh(), AUTH_CHECK_INTERVAL_MS);
+    this.authCheckTimer.unref?.();
+  }
+
+  /**
+   * @param {string} trackingId The website's tracking ID.
+   * @returns {Promise<object | null>}
+   */
+  async getWebsite(trackingId) {
+    await this._ensureAdminAuth();
+    return this._findFirst(WEBSITES_COLLECTION, `trackingId="${trackingId}"`);
+  }
+
+  /**
+   * @param {string} id The website record ID.
+   * @param {object} changes The fields to update.
+   * @returns {Promise<void>}
+   */
+  async updateWebsite(id, changes) {
+    await this._ensureAdminAuth();
+    await this.pb.collection(WEBSITES_COLLECTION).update(id, changes);
+  }
+
+  /**
+   * @param {string} id The website record ID.
+   * @param {(record: object) => void} onUpdate Called with the updated record.
+   * @returns {Promise<void>}
+   */
+  async subscribeWebsite(id, onUpdate) {
+    await this._ensureAdminAuth();
+    await this.pb.collection(WEBSITES_COLLECTION).subscribe(id, (e) => {
+      if (e.action === "update") {
+        onUpdate(e.record);
+      }
+    });
+  }
+
+  /**
+   * @param {string} visitorId The hashed visitor ID.
+   * @returns {Promise<object | null>}
+   */
+  async findVisitor(visitorId) {
+    await this._ensureAdminAuth();
+    return this._findFirst(VISITORS_COLLECTION, `visitorId="${visitorId}"`);
+  }
+
+  /**
+   * @param {object} data The visitor fields.
+   * @returns {Promise<object>} The created record.
+   */
+  async createVisitor(data) {
+    await this._ensureAdminAuth();
+    return this.call(() => this.pb.collection(VISITORS_COLLECTION).create(data)).catch(withInvalidField);
+  }
+
+  /**
+   * @param {string} id The visitor record ID.
+   * @param {object} changes The fields to update.
+   * @returns {Promise<void>}
+   */
+  async updateVisitor(id, changes) {
+    await this._ensureAdminAuth();
+    await this.call(() => this.pb.collection(VISITORS_COLLECTION).update(id, changes));
+  }
+
+  /**
+   * @param {object} data The session fields.
+   * @returns {Promise<object>} The created record.
+   */
+  async createSession(data) {
+    await this._ensureAdminAuth();
+    return this.call(() => this.pb.collection(SESSIONS_COLLECTION).create(data)).catch(withInvalidField);
+  }
+
+  /**
+   * @param {string} id The session record ID.
+   * @param {object} changes The fields to update.
+   * @returns {Promise<void>}
+   */
+  async updateSession(id, changes) {
+    await this._ensureAdminAuth();
+    await this.call(() => this.pb.collection(SESSIONS_COLLECTION).update(id, changes));
+  }
+
+  /**
+   * @param {Array<{id: string, changes: object}>} updates The session updates.
+   * @returns {Promise<Array<any>>} One entry per update: `null` on success, otherwise the error.
+   */
+  async updateSessions(updates) {
+    await this._ensureAdminAuth();
+    return this._writeRecords(updates.map(({ id, changes }) => ({ collection: SESSIONS_COLLECTION, action: "update", id, body: changes })));
+  }
+
+  /**
+   * @param {Array<object>} events The event records to create.
+   * @returns {Promise<Array<any>>} One entry per event: `null` on success, otherwise the error.
+   */
+  async createEvents(events) {
+    await this._ensureAdminAuth();
+    return this._writeRecords(events.map((event) => ({ collection: EVENTS_COLLECTION, action: "create", body: event })));
+  }
+
+  /**
+   * @param {Array<{id: string, changes: object}>} updates The event updates.
+   * @returns {Promise<Array<any>>} One entry per update: `null` on success, otherwise the error.
+   */
+  async updateEvents(updates) {
+    await this._ensureAdminAuth();
+    return this._writeRecords(updates.map(({ id, changes }) => ({ collection: EVENTS_COLLECTION, action: "update", id, body: changes })));
+  }
+
+  /**
+   * @param {string} website The `websites` record ID the order belongs to.
+   * @param {string} orderId The order ID of a revenue event.
+   * @returns {Promise<boolean>} Whether an event of the website with this order ID exists.
+   */
+  async hasOrder(website, orderId) {
+    await this._ensureAdminAuth();
+    return (await this._findFirst(EVENTS_COLLECTION, this.pb.filter("website = {:website} && orderId = {:orderId}", { website, orderId }))) !== null;
+  }
+
+  /**
+   * Merges JS errors into their existing records, looked up with a single query per chunk, or creates new ones.
+   * @param {string} website The `websites` record ID the errors belong to.
+   * @param {Array<import('./index').JsErrorWrite>} errors The aggregated errors.
+   * @returns {Promise<Array<any>>} One entry per error: `null` on success, otherwise the error.
+   */
+  async saveJsErrors(website, errors) {
+    await this._ensureAdminAuth();
+    const results = [];
+    for (let i = 0; i < errors.length; i += this.batchMaxRequests) {
+      results.push(...(await this._saveCountedChunk(ERRORS_COLLECTION, "errorHash", website, errors.slice(i, i + this.batchMaxRequests))));
+    }
+    return results;
+  }
+
+  /**
+   * Adds bot hits to their existing records, looked up with a single query per chunk, or creates new ones.
+   * @param {string} website The `websites` record ID the hits belong to.
+   * @param {Array<import('./index').BotHitWrite>} hits The aggregated hits.
+   * @returns {Promise<Array<any>>} One entry per hit: `null` on success, otherwise the error.
+   */
+  async saveBotHits(website, hits) {
+    await this._ensureAdminAuth();
+    const results = [];
+    for (let i = 0; i < hits.length; i += this.batchMaxRequests) {
+      results.push(...(await this._saveCountedChunk(BOT_HITS_COLLECTION, "hitHash", website, hits.slice(i, i + this.batchMaxRequests))));
+    }
+    return results;
+  }
+
+  /**
+   * @param {number} period The rotation period.
+   * @returns {Promise<string | null>}
+   */
+  async getSalt(period) {
+    await this._ensureAdminAuth();
+    const record = await this._findFirst(this.saltCollection, `period=${period}`);
+    return record ? record.salt : null;
+  }
+
+  /**
+   * @param {number} period The rotation period.
+   * @param {string} salt The new salt.
+   * @returns {Promise<string>} The salt stored for the period, which another process may have created first.
+   */
+  async createSalt(period, salt) {
+    await this._ensureAdminAuth();
+    try {
+      const record = await this.call(() => this.pb.collection(this.saltCollection).create({ period, salt }));
+      return record.salt;
+    } catch (error) {
+      const existing = error.status === 400 ? await this.getSalt(period) : null;
+      if (existing) {
+        this.log("debug", `Salt for period ${period} was created by another process.`);
+        return existing;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @param {number} beforePeriod The first period to keep.
+   * @returns {Promise<void>}
+   */
+  async pruneSalts(beforePeriod) {
+    await this._ensureAdminAuth();
+    const expired = await this.call(() => this.pb.collection(this.saltCollection).getFullList({ filter: `period<${beforePeriod}`, fields: "id" }));
+    for (const record of expired) {
+      await this.call(() => this.pb.collection(this.saltCollection).delete(record.id));
+    }
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async healthCheck() {
+    await this.pb.health.check();
+  }
+
+  /**
+   * Stops refreshing the admin token and closes the realtime connection.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.authCheckTimer) {
+      clearInterval(this.authCheckTimer);
+      this.authCheckTimer = null;
+    }
+    await this.pb.realtime.unsubscribe();
+    this.log("debug", "Unsubscribed from real-time updates.");
+  }
+
+  /**
+   * Returns the first record matching a filter, or null if there is none.
+   * @private
+   * @param {string} collection The collection name.
+   * @param {string} filter The PocketBase filter.
+   * @returns {Promise<object | null>}
+   */
+  async _findFirst(collection, filter) {
+    try {
+      return await this.call(() => this.pb.collection(collection).getFirstListItem(filter));
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Looks up the existing records of up to one batch of counted entries (JS errors or bot hits)
+   * by their hash and writes them: existing records get their count incremented, the others are created.
+   * @private
+   * @param {string} collection The collection name.
+   * @param {'errorHash' | 'hitHash'} hashField The field identifying an entry within a website.
+   * @param {string} website The `websites` record ID.
+   * @param {Array<{count: number, lastSeen: string}>} entries The aggregated entries.
+   * @returns {Promise<Array<any>>}
+   */
+  async _saveCountedChunk(collection, hashField, website, entries) {
+    const hashFilter = entries.map((entry) => `${hashField}="${entry[hashField]}"`).join(" || ");
+    let existingIds;
+    try {
+      const existingRecords = await this.call(() =>
+        this.pb.collection(collection).getFullList({
+          filter: `website="${website}" && (${hashFilter})`,
+          fields: `id,${hashField}`,
+        }),
+      );
+      existingIds = new Map(existingRecords.map((record) => [record[hashField], record.id]));
+    } catch (lookupError) {
+      return entries.map(() => lookupError);
+    }
+
+    const writes = entries.map(({ count, lastSeen, ...entry }) => {
+      const existingId = existingIds.get(entry[hashField]);
+      if (existingId) {
+        this.log("debug", `Updating ${collection} record: ${entry[hashField]} for website ${website}`);
+        return { collection, action: "update", id: existingId, body: { "count+": count, lastSeen } };
+      }
+      this.log("debug", `Creating new ${collection} record: ${entry[hashField]} for website ${website}`);
+      return { collection, action: "create", body: { website, ...entry, count, lastSeen } };
+    });
+    return this._writeRecords(writes);
+  }
+
+  /**
+   * Writes a list of record operations, using PocketBase's batch API when it is enabled.
+   * Each batch is transactional, so a rejected record is reported individually and the
+   * remaining records are re-sent without it. Falls back to per-record writes when the
+   * batch API is disabled on the server.
+   * @private
+   * @param {Array<{collection: string, action: 'create' | 'update', id?: string, body: object}>} writes The operations to perform.
+   * @returns {Promise<Array<any>>} One entry per write: `null` on success, otherwise the error that caused it to fail.
+   */
+  async _writeRecords(writes) {
+    const errors = new Array(writes.length).fill(null);
+    let pending = writes.map((write, index) => ({ write, index }));
+
+    if (pending.length > 1 && (await this._resolveBatchSupport())) {
+      pending = await this._writeRecordsInBatches(pending, errors);
+    }
+
+    for (let i = 0; i < pending.length; i += PER_RECORD_WRITE_CONCURRENCY) {
+      const group = pending.slice(i, i + PER_RECORD_WRITE_CONCURRENCY);
+      await Promise.allSettled(
+        group.map(async ({ write, index }) => {
+          try {
+            await this.call(() => this._applyWrite(this.pb, write)).catch(withInvalidField);
+          } catch (error) {
+            errors[index] = error;
+          }
+        }),
+      );
+    }
+
+    return errors;
+  }
+
+  /**
+   * Sends writes in chunks sized to the server's batch limit.
+   * @private
+   * @param {Array<{write: object, index: number}>} items The writes with their positions in the result list.
+   * @param {Array<any>} errors The result list to fill in.
+   * @returns {Promise<Array<{write: object, index: number}>>} Items that still need to be written per record, because the batch API turned out to be disabled.
+   */
+  async _writeRecordsInBatches(items, errors) {
+    let offset = 0;
+    while (offset < items.length) {
+      const chunk = items.slice(offset, offset + this.batchMaxRequests);
+      try {
+        await this._sendBatchChunk(chunk, errors);
+        offset += chunk.length;
+      } catch (error) {
+        if (isBatchDisabledError(error)) {
+          this.log("warn", "PocketBase batch API is disabled, falling back to per-record writes.");
+          this.batchApiEnabled = false;
+          this.batchSettingsCheckedAt = Date.now();
+          return items.slice(offset);
+        }
+        if (isBatchLimitError(error) && chunk.length > 1) {
+          this.batchMaxRequests = Math.max(1, Math.floor(chunk.length / 2));
+          this.log("warn", `PocketBase rejected the batch size, retrying with ${this.batchMaxRequests} requests per batch.`);
+          continue;
+        }
+        for (const item of chunk) {
+          errors[item.index] = error;
+        }
+        offset += chunk.length;
+      }
+    }
+    return [];
+  }
+
+  /**
+   * Sends a single batch, dropping and reporting any request that makes the transaction
+   * roll back, then re-sending the rest until the batch commits.
+   * @private
+   * @param {Array<{write: object, index: number}>} chunk The writes to send together.
+   * @param {Array<any>} errors The result list to fill in for rejected writes.
+   * @returns {Promise<void>}
+   * @throws {any} If the batch fails as a whole (network failure, open circuit, batch disabled or too large).
+   */
+  async _sendBatchChunk(chunk, errors) {
+    let remaining = chunk;
+    while (remaining.length > 0) {
+      try {
+        await this.call(() => {
+          const batch = this.pb.createBatch();
+          for (const { write } of remaining) {
+            this._applyWrite(batch, write);
+          }
+          return batch.send();
+        });
+        this.log("debug", `Batch of ${remaining.length} requests committed.`);
+        return;
+      } catch (error) {
+        const failed = getFailedBatchRequest(error);
+        if (!failed || !remaining[failed.index]) {
+          throw error;
+        }
+        this.log("debug", `Batch request ${failed.index} rejected, re-sending the other ${remaining.length - 1}.`, failed.error.message);
+        errors[remaining[failed.index].index] = failed.error;
+        remaining = remaining.filter((_, i) => i !== failed.index);
+      }
+    }
+  }
+
+  /**
+   * Applies a record operation to either the PocketBase client or a batch.
+   * @private
+   * @param {import('pocketbase').default | import('pocketbase').BatchService} target The client or batch.
+   * @param {{collection: string, action: 'create' | 'update', id?: string, body: object}} write The operation.
+   * @returns {Promise<any> | void} The request promise when called on the client.
+   */
+  _applyWrite(target, write) {
+    const collection = target.collection(write.collection);
+    return write.action === "update" ? collection.update(write.id, write.body) : collection.create(write.body);
+  }
+
+  /**
+   * Determines whether PocketBase's batch API can be used and how many requests fit in one batch.
+   * Reads the server settings (requires superuser auth) and re-checks them periodically.
+   * @private
+   * @returns {Promise<boolean>}
+   */
+  async _resolveBatchSupport() {
+    if (!this.useBatchApi) {
+      return false;
+    }
+    if (this.batchApiEnabled !== null && Date.now() - this.batchSettingsCheckedAt < BATCH_SETTINGS_TTL_MS) {
+      return this.batchApiEnabled;
+    }
+
+    this.batchSettingsCheckedAt = Date.now();
+    try {
+      const settings = await this.pb.settings.getAll({ fields: "batch" });
+      this.batchApiEnabled = settings.batch?.enabled ?? false;
+      if (settings.batch?.maxRequests > 0) {
+        this.batchMaxRequests = settings.batch.maxRequests;
+      }
+      this.log("debug", `PocketBase batch API ${this.batchApiEnabled ? `enabled, max ${this.batchMaxRequests} requests per batch` : "disabled"}.`);
+    } catch (error) {
+      this.log("debug", "Could not read PocketBase batch settings, trying the batch API with defaults.", error.message);
+      this.batchApiEnabled = true;
+    }
+    return this.batchApiEnabled;
+  }
+
+  /**
+   * @private
+   */
+  async _ensureAdminAuth() {
+    if (this.pb.authStore.isValid || !this.adminEmail) {
+      return;
+    }
+    try {
+      this.log("info", "Admin token expired or invalid. Re-authenticating...");
+      await this.pb.collection("_superusers").authWithPassword(this.adminEmail, this.adminPassword);
+      this.lastAuthCheck = Date.now();
+      this.log("info", "Re-authentication successful.");
+    } catch (error) {
+      this.log("error", "Failed to re-authenticate admin.", error);
+    }
+  }
+
+  /**
+   * Proactively refresh auth before it expires to avoid delays during event processing.
+   * @private
+   */
+  async _proactiveAuthRefresh() {
+    if (!this.adminEmail) return;
+
+    if (Date.now() - this.lastAuthCheck < AUTH_CHECK_INTERVAL_MS / 2) return;
+
+    try {
+      const token = this.pb.authStore.token;
+      if (token) {
+        try {
+          const payload = JSON.parse(atob(token.split(".")[1]));
+          const expiresIn = payload.exp * 1000 - Date.now();
+          if (expiresIn > 15 * 60 * 1000) {
+            this.log("debug", "Token still valid for more than 15 minutes, skipping proactive refresh.");
+            return;
+          }
+        } catch (e) {}
+      }
+
+      this.log("info", "Proactively refreshing admin token...");
+      await this.pb.collection("_superusers").authWithPassword(this.adminEmail, this.adminPassword);
+      this.lastAuthCheck = Date.now();
+      this.log("info", "Proactive token refresh successful.");
+    } catch (error) {
+      this.log("warn", "Proactive auth refresh failed, will retry on next event.", error);
+    }
+  }
+}
+
+/**
+ * Names the first invalid field of a PocketBase validation error on `error.field`,
+ * following the storage adapter error convention.
+ * @param {any} error The error thrown by the PocketBase client.
+ * @throws {any} The same error.
+ */
+function withInvalidField(error) {
+  if (error?.status === 400 && error.data?.data && typeof error.data.data === "object") {
+    error.field = Object.keys(error.data.data)[0];
+  }
+  throw error;
+}
+
+module.exports = { PocketBaseStorage };
@@ -1,184 +1,25 @@
-const { isbot } = require("isbot");
 const UAParser = require("ua-parser-js");
 const { createHash } = require("node:crypto");
-
-const BOT_CACHE_MAX_SIZE = 300;
-const BOT_CACHE_TTL_MS = 1000 * 60 * 15;
-const BOT_CACHE_CLEANUP_INTERVAL_MS = 1000 * 60 * 5;
-const botDetectionCache = new Map();
-let lastBotCacheCleanup = 0;
+const { resolveClientIp } = require("./ip");
+const { isConsentState } = require("./consent");
+const { calculateBotScore } = require("./bots");
+const { isEngagementEvent, sanitizeEngagementMetrics } = require("./engagement");
 
 const uaParser = new UAParser();
 
-const BOT_PATTERNS = /HeadlessChrome|Puppeteer|PhantomJS|Selenium|Playwright|Crawl(er|bot)|Spider|Scraper|Monitor(ing)?|Archiver|Screenshot|Validator|Lighthouse|AhrefsBot|SemrushBot|MJ12bot|PetalBot|YandexBot|Bingbot|Googlebot|Baiduspider|DotBot|Applebot|facebookexternalhit|Slackbot|Discordbot|Twitterbot|LinkedInBot|WhatsApp|TelegramBot|^curl\/|^wget\/|^python-requests\/|^Go-http-client\/|^Java\/|^okhttp\/|^Apache-HttpClient\/|^Axios\/|^node-fetch\/|^got\/|^Postman|sqlmap|nikto|nmap|masscan|nessus|burpsuite|metasploit|nuclei|acunetix|w3af|zaproxy/i;
-const CHROME_EDGE_PATTERN = /Chrome|Edge/i;
-const BOT_REFERER_PATTERN = /bot|crawl|spider|scrape/i;
-const ACCEPT_HEADER_PATTERN = /html|xml|xhtml|json|\*\//i;
 const PRIVATE_IP_PATTERN = /^172\.(1[6-9]|2\d|3[0-1])\./;
 const CONTROL_CHARS_PATTERN = /[\x00-\x1F\x7F-\x9F]/g;
 const CONTROL_CHARS_EXTENDED_PATTERN = /[\x00-\x08\x0B\x0C\x0E-\x1F\x7F-\x9F]/g;
 
-const VALID_EVENT_TYPES = new Set(["pageView", "custom", "jsError"]);
+const VALID_EVENT_TYPES = new Set(["pageView", "custom", "jsError", "revenue", "heartbeat", "engagement"]);
 const VALID_PROTOCOLS = new Set(["http:", "https:"]);
 const DANGEROUS_KEYS = new Set(["__proto__", "constructor", "prototype"]);
-
-/**
- * Cache cleanup - removes expired entries and trims to max size.
- * Throttled to run at most once every 5 minutes to reduce CPU usage.
- */
-function cleanBotCache() {
-  const now = Date.now();
-
-  if (now - lastBotCacheCleanup < BOT_CACHE_CLEANUP_INTERVAL_MS) {
-    return;
-  }
-  lastBotCacheCleanup = now;
-
-  for (const [key, value] of botDetectionCache.entries()) {
-    if (now - value.cachedAt > BOT_CACHE_TTL_MS) {
-      botDetectionCache.delete(key);
-    }
-  }
-
-  if (botDetectionCache.size > BOT_CACHE_MAX_SIZE) {
-    const toDelete = botDetectionCache.size - BOT_CACHE_MAX_SIZE + 100;
-    let deleted = 0;
-    for (const key of botDetectionCache.keys()) {
-      if (deleted >= toDelete) break;
-      botDetectionCache.delete(key);
-      deleted++;
-    }
-  }
-}
-
-/**
- * Assigns a score based on various indicators to determine if a request
- * is likely from a bot. A higher score means a higher probability of being a bot.
- *
- * @param {string | undefined} userAgent The user agent string from the request headers.
- * @param {object | undefined} headers All request headers as an object.
- * @returns {number} The bot score.
- */
-function calculateBotScore(userAgent, headers) {
-  let score = 0;
-
-  if (userAgent && isbot(userAgent)) {
-    return 100;
-  }
-
-  if (!userAgent || userAgent.length < 10) {
-    return 80;
-  }
-
-  if (userAgent.length > 512) {
-    score += 40;
-  }
-
-  if (BOT_PATTERNS.test(userAgent)) {
-    return 90;
-  }
-
-  uaParser.setUA(userAgent);
-  const uaInfo = uaParser.getResult();
-
-  if (!uaInfo.browser.name && !uaInfo.os.name && userAgent.length > 20) {
-    score += 40;
-  }
-
-  if (uaInfo.device.type && (uaInfo.device.type === "spider" || uaInfo.device.type === "bot")) {
-    score += 50;
-  }
-
-  if (uaInfo.browser.name === "Other" && !uaInfo.os.name && !uaInfo.device.type) {
-    score += 30;
-  }
-
-  if (uaInfo.browser.name && uaInfo.browser.version) {
-    const majorVersion = Number.parseInt(uaInfo.browser.version.split(".")[0], 10);
-    if ((uaInfo.browser.name === "Chrome" && majorVersion < 80) || (uaInfo.browser.name === "Firefox" && majorVersion < 70) || (uaInfo.browser.name === "Safari" && majorVersion < 12) || (uaInfo.browser.name === "Edge" && majorVersion < 80)) {
-      score += 25;
-    }
-  }
-
-  if (headers) {
-    const requiredHeaders = ["accept", "accept-language", "accept-encoding"];
-    let missingHeadersCount = 0;
-    for (const headerName of requiredHeaders) {
-      if (!headers[headerName]) {
-        missingHeadersCount++;
-      }
-    }
-    score += missingHeadersCount * 15;
-
-    if (!headers["accept-language"]) {
-      score += 20;
-    }
-
-    const acceptHeader = headers.accept;
-    if (acceptHeader && acceptHeader !== "*/*" && !ACCEPT_HEADER_PATTERN.test(acceptHeader)) {
-      score += 10;
-    }
-
-    if (acceptHeader === "*/*" && !headers["accept-language"]) {
-      score += 25;
-    }
-
-    const suspiciousHeaders = ["x-selenium", "x-puppeteer", "x-playwright", "x-automated", "x-webdriver"];
-    for (const header of suspiciousHeaders) {
-      if (headers[header]) {
-        return 100;
-      }
-    }
-
-    if (headers["sec-ch-ua-platform"]?.includes("Headless")) {
-      return 100;
-    }
-
-    if (userAgent && CHROME_EDGE_PATTERN.test(userAgent) && !headers["sec-fetch-site"]) {
-      score += 15;
-    }
-
-    const connection = headers.connection;
-    if (connection && connection.toLowerCase() === "close" && headers["accept-encoding"]) {
-      score += 10;
-    }
-
-    const referer = headers.referer || headers.referrer;
-    if (referer && (BOT_REFERER_PATTERN.test(referer) || referer.length > 512)) {
-      score += 30;
-    }
-  }
-
-  return Math.min(score, 100);
-}
-
-/**
- * Detects if a user agent string belongs to a known bot, crawler, or headless browser
- * based on a scoring system. Results are cached for performance.
- * @param {string | undefined} userAgent The user agent string from the request headers.
- * @param {object | undefined} headers All request headers as an object.
- * @returns {boolean} True if the request is likely a bot.
- */
-function detectBot(userAgent, headers) {
-  const BOT_SCORE_THRESHOLD = 70;
-
-  if (userAgent) {
-    const cached = botDetectionCache.get(userAgent);
-    if (cached !== undefined && Date.now() - cached.cachedAt < BOT_CACHE_TTL_MS) {
-      return cached.isBot;
-    }
-  }
-
-  const score = calculateBotScore(userAgent, headers);
-  const isBot = score >= BOT_SCORE_THRESHOLD;
-
-  if (userAgent) {
-    cleanBotCache();
-    botDetectionCache.set(userAgent, { isBot, cachedAt: Date.now() });
-  }
-
-  return isBot;
-}
+const ANONYMOUS_ID_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+const ISO_CURRENCIES = typeof Intl.supportedValuesOf === "function" ? new Set(Intl.supportedValuesOf("currency")) : null;
+const MAX_REVENUE_AMOUNT = 1e12;
+const MAX_REVENUE_ITEMS = 100;
+const MAX_ITEM_QUANTITY = 1e6;
 
 /**
  * Parses a user agent string to extract browser, OS, and device information.
@@ -200,6 +41,8 @@ function parseUserAgent(userAgent) {
 /**
  * Extracts essential data points from an incoming HTTP request.
  * @param {import('http').IncomingMessage} req The Node.js HTTP request object.
+ * @param {ReturnType<typeof import('./ip').resolveTrustedProxies>} trustedProxies The proxies whose forwarding headers are honored.
+ * @param {string[]} [trustedHeaders] The forwarding headers to honor. See `resolveClientIp`.
  * @returns {{
  *   path: string | undefined,
  *   userAgent: string | undefined,
@@ -208,23 +51,33 @@ function parseUserAgent(userAgent) {
  *   headers: object
  * }} An object containing request details.
  */
-function extractRequestData(req) {
+function extractRequestData(req, trustedProxies, trustedHeaders) {
   const userAgent = req.headers["user-agent"];
-  const ip = (req.headers["x-forwarded-for"] || req.socket.remoteAddress)?.split(",")[0].trim();
+  const ip = resolveClientIp(req, trustedProxies, trustedHeaders);
   const referrer = req.headers.referer || req.headers.referrer;
 
   return { path: req.url, userAgent, ip, referrer, headers: req.headers };
 }
 
+/**
+ * Checks whether a value is a valid client-generated anonymous visitor ID.
+ * @param {unknown} value The value to check.
+ * @returns {boolean} True for 8-128 characters of `A-Z a-z 0-9 _ -`.
+ */
+function isAnonymousId(value) {
+  return typeof value === "string" && ANONYMOUS_ID_PATTERN.test(value);
+}
+
 /**
  * Generates a consistent, anonymized visitor ID using a SHA256 hash.
  * @param {string} siteId The website ID.
  * @param {string | undefined} ip The visitor's IP address.
  * @param {string | undefined} userAgent The visitor's user agent.
+ * @param {string} [salt] A secret salt; the ID then only stays stable while the salt does.
  * @returns {string} The hashed visitor ID.
  */
-function generateVisitorId(siteId, ip, userAgent) {
-  const data = `${siteId}-${ip || "unknown"}-${userAgent || "unknown"}`;
+function generateVisitorId(siteId, ip, userAgent, salt) {
+  const data = `${salt ? `${salt}-` : ""}${siteId}-${ip || "unknown"}-${userAgent || "unknown"}`;
   return createHash("sha256").update(data).digest("hex");
 }
 
@@ -238,7 +91,7 @@ function validateAndSanitizeApiPayload(payload) {
     return null;
   }
 
-  const { type, name, url, referrer, screenWidth, screenHeight, language, customData, errorMessage, stackTrace } = payload;
+  const { type, name, url, referrer, screenWidth, screenHeight, language, customData, errorMessage, stackTrace, anonymousId, consent, revenue, visibleTime, maxScroll } = payload;
 
   if (typeof type !== "string" || !VALID_EVENT_TYPES.has(type)) {
     return null;
@@ -284,6 +137,19 @@ function validateAndSanitizeApiPayload(payload) {
     }
   } else if (type === "jsError") {
     sanitized.name = "jsError";
+  } else if (type === "revenue") {
+    sanitized.name = typeof name === "string" ? name.replace(CONTROL_CHARS_PATTERN, "").trim().substring(0, 100) || "purchase" : "purchase";
+    sanitized.revenue = validateAndSanitizeRevenue(revenue);
+    if (!sanitized.revenue) {
+      return null;
+    }
+  } else if (isEngagementEvent(type)) {
+    sanitized.name = type;
+    const metrics = sanitizeEngagementMetrics(visibleTime, maxScroll);
+    if (!metrics) {
+      return null;
+    }
+    Object.assign(sanitized, metrics);
   } else {
     sanitized.name = name;
   }
@@ -376,6 +242,94 @@ function validateAndSanitizeApiPayload(payload) {
     sanitized.stackTrace = stackTrace.replace(CONTROL_CHARS_EXTENDED_PATTERN, "").substring(0, 4096);
   }
 
+  if (anonymousId !== undefined) {
+    if (!isAnonymousId(anonymousId)) {
+      return null;
+    }
+    sanitized.anonymousId = anonymousId;
+  }
+
+  if (consent !== undefined) {
+    if (!isConsentState(consent)) {
+      return null;
+    }
+    sanitized.consent = consent;
+  }
+
+  return sanitized;
+}
+
+/**
+ * Sanitizes a required text field of revenue data.
+ * @param {unknown} value The raw value.
+ * @param {number} maxLength The maximum length.
+ * @returns {string | null} The trimmed value without control characters, or null if it is not a non-empty string within the limit.
+ */
+function sanitizeRevenueText(value, maxLength) {
+  if (typeof value !== "string") {
+    return null;
+  }
+  const text = value.replace(CONTROL_CHARS_PATTERN, "").trim();
+  return text.length > 0 && text.length <= maxLength ? text : null;
+}
+
+/**
+ * Checks that a value is a finite, non-negative amount within limits.
+ * @param {unknown} value The raw value.
+ * @returns {boolean}
+ */
+function isValidAmount(value) {
+  return typeof value === "number" && Number.isFinite(value) && value >= 0 && value <= MAX_REVENUE_AMOUNT;
+}
+
+/**
+ * Validates and sanitizes the revenue data of a `revenue` event. Every field is checked strictly,
+ * since revenue is summed in reports: a single invalid field rejects the whole event.
+ * @param {import('../index').RevenueData} revenue The raw revenue data.
+ * @returns {import('../index').RevenueData | null} The sanitized revenue data, or null if validation fails.
+ */
+function validateAndSanitizeRevenue(revenue) {
+  if (!revenue || typeof revenue !== "object" || Array.isArray(revenue)) {
+    return null;
+  }
+
+  const orderId = sanitizeRevenueText(revenue.orderId, 128);
+  if (!orderId || !isValidAmount(revenue.amount) || typeof revenue.currency !== "string") {
+    return null;
+  }
+  const currency = revenue.currency.trim().toUpperCase();
+  if (!CURRENCY_PATTERN.test(currency) || (ISO_CURRENCIES && !ISO_CURRENCIES.has(currency))) {
+    return null;
+  }
+
+  const sanitized = { orderId, amount: revenue.amount, currency };
+  if (revenue.items === undefined) {
+    return sanitized;
+  }
+  if (!Array.isArray(revenue.items) || revenue.items.length > MAX_REVENUE_ITEMS) {
+    return null;
+  }
+
+  sanitized.items = [];
+  for (const item of revenue.items) {
+    if (!item || typeof item !== "object" || Array.isArray(item)) {
+      return null;
+    }
+    const id = sanitizeRevenueText(item.id, 128);
+    if (!id || !isValidAmount(item.price) || !Number.isInteger(item.quantity) || item.quantity < 1 || item.quantity > MAX_ITEM_QUANTITY) {
+      return null;
+    }
+    const sanitizedItem = { id, price: item.price, quantity: item.quantity };
+    for (const field of ["name", "category"]) {
+      if (item[field] === undefined) continue;
+      const text = sanitizeRevenueText(item[field], 255);
+      if (!text) {
+        return null;
+      }
+      sanitizedItem[field] = text;
+    }
+    sanitized.items.push(sanitizedItem);
+  }
   return sanitized;
 }
 
@@ -399,11 +353,12 @@ function getSanitizedDomain(domainStr) {
 }
 
 module.exports = {
-  detectBot,
+  calculateBotScore,
   parseUserAgent,
   extractRequestData,
   generateVisitorId,
+  isAnonymousId,
   validateAndSanitizeApiPayload,
+  validateAndSanitizeRevenue,
   getSanitizedDomain,
-  clearBotCache: () => botDetectionCache.clear(),
 };
@@ -0,0 +1,90 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { DEFAULT_CHANNEL_DOMAINS, resolveAttributionOptions, extractCampaign, classifyChannel } = require("../modules/attribution");
+const { startSdk, createRequest, waitFor } = require("./helpers");
+
+const settings = resolveAttributionOptions();
+
+/**
+ * Classifies a landing URL and referrer for a site on example.com.
+ * @param {string} url The landing URL.
+ * @param {string} [referrer] The referrer.
+ * @returns {string}
+ */
+function channelOf(url, referrer) {
+  return classifyChannel(settings, { referrer, campaign: extractCampaign(url), siteDomain: "www.example.com" });
+}
+
+describe("extractCampaign", () => {
+  it("reads UTM parameters and click IDs", () => {
+    assert.deepEqual(extractCampaign("https://example.com/?utm_source=news&utm_medium=email&utm_campaign=spring%20sale&utm_term=shoes&utm_content=hero&gclid=abc&other=1"), {
+      utmSource: "news",
+      utmMedium: "email",
+      utmCampaign: "spring sale",
+      utmTerm: "shoes",
+      utmContent: "hero",
+      gclid: "abc",
+    });
+    assert.deepEqual(extractCampaign("/landing?fbclid=xyz&utm_source="), { fbclid: "xyz" });
+    assert.deepEqual(extractCampaign("https://example.com/"), {});
+  });
+});
+
+describe("classifyChannel", () => {
+  it("prefers campaign parameters over the referrer", () => {
+    assert.equal(channelOf("https://example.com/?gclid=abc", "https://www.google.com/"), "paid");
+    assert.equal(channelOf("https://example.com/?utm_medium=cpc&utm_source=bing"), "paid");
+    assert.equal(channelOf("https://example.com/?utm_medium=newsletter", "https://mail.google.com/"), "email");
+    assert.equal(channelOf("https://example.com/?utm_medium=social"), "social");
+    assert.equal(channelOf("https://example.com/?fbclid=abc"), "social");
+  });
+
+  it("classifies referrers by domain", () => {
+    assert.equal(channelOf("https://example.com/", "https://www.google.co.uk/"), "search");
+    assert.equal(channelOf("https://example.com/", "https://duckduckgo.com/"), "search");
+    assert.equal(channelOf("https://example.com/", "https://mail.google.com/mail/u/0/"), "email");
+    assert.equal(channelOf("https://example.com/", "https://l.facebook.com/"), "social");
+    assert.equal(channelOf("https://example.com/", "https://t.co/abc"), "social");
+    assert.equal(channelOf("https://example.com/", "https://blog.example.org/post"), "referral");
+  });
+
+  it("treats self-referrals as internal and no referrer as direct", () => {
+    assert.equal(channelOf("https://example.com/b", "https://example.com/a"), "internal");
+    assert.equal(channelOf("https://example.com/b", "https://docs.example.com/"), "internal");
+    assert.equal(channelOf("https://example.com/"), "direct");
+    assert.equal(channelOf("https://example.com/", ""), "direct");
+    assert.equal(channelOf("https://example.com/?utm_source=partner"), "referral");
+  });
+
+  it("uses overridden domain lists", () => {
+    const custom = resolveAttributionOptions({ channelDomains: { social: [...DEFAULT_CHANNEL_DOMAINS.social, "social.example.org"], search: [] } });
+    const campaign = {};
+    assert.equal(classifyChannel(custom, { referrer: "https://social.example.org/", campaign }), "social");
+    assert.equal(classifyChannel(custom, { referrer: "https://www.google.com/", campaign }), "referral");
+    assert.throws(() => resolveAttributionOptions({ channelDomains: { email: "mail.example.org" } }), /must be an array/);
+  });
+});
+
+describe("attribution in the SDK", () => {
+  let env;
+
+  afterEach(async () => {
+    await env?.stop();
+  });
+
+  it("adds the channel and campaign to new sessions", async () => {
+    env = await startSdk();
+    const { pb, sdk } = env;
+    sdk.trackApiEvent(createRequest(), { type: "pageView", url: "https://example.com/?utm_source=news&utm_medium=email&utm_campaign=launch", referrer: "https://mail.google.com/" });
+    await waitFor(() => pb.records("events").length === 1);
+    sdk.trackApiEvent(createRequest("203.0.113.20"), { type: "pageView", url: "https://example.com/pricing", referrer: "https://example.com/" });
+    await waitFor(() => pb.records("events").length === 2);
+
+    const [campaignSession, internalSession] = pb.records("sessions");
+    assert.equal(campaignSession.channel, "email");
+    assert.equal(campaignSession.utmSource, "news");
+    assert.equal(campaignSession.utmCampaign, "launch");
+    assert.equal(internalSession.channel, "internal");
+    assert.equal(internalSession.utmSource, undefined);
+  });
+});
@@ -0,0 +1,153 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { resolveBotDetectionOptions, BotClassifier, resolveBotHitOptions, parseBotFamily, createBotHit } = require("../modules/bots");
+const { MemoryStorage } = require("../modules/storage");
+const SkoposSDK = require("../index");
+const { BROWSER_UA, startSdk, createRequest, waitFor, settle } = require("./helpers");
+
+const BROWSER_HEADERS = { accept: "text/html", "accept-language": "en-US", "accept-encoding": "gzip", "sec-fetch-site": "same-origin" };
+
+describe("BotClassifier", () => {
+  it("explains the score with the rules that fired", () => {
+    const classifier = new BotClassifier(resolveBotDetectionOptions());
+    const { "accept-language": _, ...withoutLanguage } = BROWSER_HEADERS;
+    const result = classifier.classify(BROWSER_UA, { ...withoutLanguage, accept: "*/*" });
+    assert.deepEqual(result, {
+      score: 60,
+      threshold: 70,
+      isBot: false,
+      verdict: "human",
+      rules: [
+        { name: "missingBrowserHeaders", score: 15 },
+        { name: "missingAcceptLanguage", score: 20 },
+        { name: "wildcardAccept", score: 25 },
+      ],
+    });
+    assert.equal(classifier.classify("curl/8.4.0", BROWSER_HEADERS).verdict, "bot");
+  });
+
+  it("caches by user agent and header signals", () => {
+    const classifier = new BotClassifier(resolveBotDetectionOptions());
+    assert.equal(classifier.classify(BROWSER_UA, BROWSER_HEADERS).isBot, false);
+    assert.equal(classifier.classify(BROWSER_UA, { ...BROWSER_HEADERS, "x-webdriver": "1" }).isBot, true);
+    assert.equal(classifier.classify(BROWSER_UA, { ...BROWSER_HEADERS, "accept-language": "de-DE" }), classifier.classify(BROWSER_UA, BROWSER_HEADERS));
+    assert.equal(classifier.cache.size, 2);
+  });
+
+  it("applies the threshold, weights and custom rules", () => {
+    const classifier = new BotClassifier(
+      resolveBotDetectionOptions({
+        threshold: 50,
+        weights: { missingAcceptLanguage: 0, wildcardAccept: 40 },
+        rules: [{ name: "internalTool", weight: 30, userAgent: /InternalTool\//, headers: { "x-internal": true } }],
+      }),
+    );
+    const { "accept-language": _, ...withoutLanguage } = BROWSER_HEADERS;
+    const result = classifier.classify(BROWSER_UA, { ...withoutLanguage, accept: "*/*" });
+    assert.equal(result.score, 55);
+    assert.equal(result.verdict, "bot");
+    assert.ok(!result.rules.some((rule) => rule.name === "missingAcceptLanguage"));
+
+    const custom = classifier.classify(`${BROWSER_UA} InternalTool/1.0`, { ...BROWSER_HEADERS, "x-internal": "yes" });
+    assert.deepEqual(custom.rules, [{ name: "internalTool", score: 30 }]);
+    assert.equal(classifier.classify(`${BROWSER_UA} InternalTool/1.0`, BROWSER_HEADERS).score, 0);
+  });
+
+  it("never treats allowlisted requests as bots", () => {
+    const classifier = new BotClassifier(resolveBotDetectionOptions({ allowlist: [{ name: "uptime", userAgent: "acmeuptime/", headers: { "x-monitor-token": "s3cret" } }] }));
+    const result = classifier.classify("AcmeUptime/2.0", { "x-monitor-token": "s3cret" });
+    assert.deepEqual(result, { score: 0, threshold: 70, isBot: false, verdict: "allowlisted", rules: [], allowlistedBy: "uptime" });
+    assert.equal(classifier.classify("AcmeUptime/2.0", { "x-monitor-token": "guess" }).isBot, true);
+  });
+
+  it("rejects invalid options", () => {
+    assert.throws(() => resolveBotDetectionOptions({ threshold: "70" }), /'botDetection.threshold' must be a number/);
+    assert.throws(() => resolveBotDetectionOptions({ weights: { isBot: 10 } }), /Unknown bot detection rule "isBot"/);
+    assert.throws(() => resolveBotDetectionOptions({ rules: [{ name: "knownBot", weight: 10, userAgent: "x" }] }), /'botDetection.rules\[0\]' needs a unique name/);
+    assert.throws(() => resolveBotDetectionOptions({ rules: [{ name: "empty", weight: 10 }] }), /'botDetection.rules\[0\]' needs a userAgent or headers condition/);
+    assert.throws(() => resolveBotDetectionOptions({ allowlist: [{ userAgent: 42 }] }), /'botDetection.allowlist\[0\].userAgent' must be a string or RegExp/);
+  });
+});
+
+describe("bot hits", () => {
+  it("names the bot family", () => {
+    assert.equal(parseBotFamily("Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)"), "Googlebot");
+    assert.equal(parseBotFamily("Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; GPTBot/1.2; +https://openai.com/gptbot)"), "GPTBot");
+    assert.equal(parseBotFamily("Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko); compatible; ChatGPT-User/1.0; +https://openai.com/bot"), "ChatGPT-User");
+    assert.equal(parseBotFamily(BROWSER_UA.replace("Chrome/", "HeadlessChrome/")), "HeadlessChrome");
+    assert.equal(parseBotFamily("python-requests/2.31.0"), "python-requests");
+    assert.equal(parseBotFamily(BROWSER_UA), "Unknown");
+    assert.equal(parseBotFamily(undefined), "Unknown");
+  });
+
+  it("aggregates by family, path, score bucket and window", () => {
+    const settings = resolveBotHitOptions(true);
+    const at = Date.parse("2026-01-01T10:15:00Z");
+    const hit = createBotHit(settings, { userAgent: "curl/8.4.0", path: "/wp-login.php?redirect=1", score: 97 }, at);
+    assert.equal(hit.family, "curl");
+    assert.equal(hit.path, "/wp-login.php");
+    assert.equal(hit.scoreBucket, 90);
+    assert.equal(hit.windowStart, "2026-01-01T10:00:00.000Z");
+    assert.equal(createBotHit(settings, { userAgent: "curl/8.4.0", path: "/wp-login.php", score: 90 }, at + 1000).hitHash, hit.hitHash);
+    assert.notEqual(createBotHit(settings, { userAgent: "curl/8.4.0", path: "/wp-login.php", score: 90 }, at + 3600000).hitHash, hit.hitHash);
+    assert.notEqual(createBotHit(settings, { userAgent: "curl/8.4.0", path: "/wp-login.php", score: 100 }, at).hitHash, hit.hitHash);
+  });
+
+  it("rejects invalid options", () => {
+    assert.equal(resolveBotHitOptions(false), null);
+    assert.throws(() => resolveBotHitOptions({ windowMs: 1000 }), /'botHits.windowMs' must be an integer of at least 60000/);
+  });
+});
+
+describe("bot detection in the SDK", () => {
+  let env;
+
+  afterEach(async () => {
+    await env?.stop();
+  });
+
+  it("ignores bots, tracks allowlisted monitors, and classifies requests", async () => {
+    env = await startSdk({ botDetection: { allowlist: [{ name: "uptime", userAgent: "AcmeUptime/", headers: { "x-monitor-token": "s3cret" } }] } });
+    const { pb, sdk } = env;
+    const monitor = createRequest("203.0.113.30", { "user-agent": "AcmeUptime/2.0", "x-monitor-token": "s3cret" });
+    const crawler = createRequest("203.0.113.31", { "user-agent": "Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)" });
+    sdk.trackApiEvent(monitor, { type: "pageView", url: "https://example.com/health" });
+    sdk.trackApiEvent(crawler, { type: "pageView", url: "https://example.com/" });
+    await settle(200);
+
+    assert.deepEqual(
+      pb.records("events").map((event) => event.path),
+      ["/health"],
+    );
+    assert.equal(sdk.classifyRequest(monitor).verdict, "allowlisted");
+    assert.equal(sdk.classifyRequest(crawler).isBot, true);
+    assert.equal(sdk.classifyRequest(createRequest()).verdict, "human");
+  });
+
+  it("counts bot hits in the bot_hits collection", async () => {
+    env = await startSdk({ botHits: true });
+    const { pb, sdk } = env;
+    const crawler = createRequest("203.0.113.31", { "user-agent": "Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)" });
+    sdk.trackApiEvent(crawler, { type: "pageView", url: "https://example.com/pricing?ref=1" });
+    sdk.trackApiEvent(crawler, { type: "pageView", url: "https://example.com/pricing" });
+    sdk.trackApiEvent(createRequest("203.0.113.32", { "user-agent": "curl/8.4.0" }), { type: "pageView", url: "https://example.com/" });
+    sdk.trackApiEvent(createRequest(), { type: "pageView", url: "https://example.com/" });
+    await waitFor(() => sdk.botHitQueue.size === 2);
+    await sdk._flushBotHits();
+    sdk.trackApiEvent(crawler, { type: "pageView", url: "https://example.com/pricing" });
+    await settle();
+    await env.stop();
+
+    const hits = pb.records("bot_hits").map(({ website, family, path, scoreBucket, count }) => ({ website, family, path, scoreBucket, count }));
+    assert.deepEqual(hits, [
+      { website: env.website.id, family: "Googlebot", path: "/pricing", scoreBucket: 100, count: 3 },
+      { website: env.website.id, family: "curl", path: "/", scoreBucket: 100, count: 1 },
+    ]);
+    assert.equal(pb.records("events").length, 1);
+  });
+
+  it("requires an adapter that can save bot hits", () => {
+    const storage = Object.assign(new MemoryStorage(), { saveBotHits: undefined });
+    assert.throws(() => new SkoposSDK({ siteId: "test-site", storage, botHits: true }), /'botHits' needs a storage adapter that implements saveBotHits/);
+  });
+});
@@ -0,0 +1,107 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { CircuitBreaker } = require("../modules/retry");
+const { startSdk, createRequest, waitFor } = require("./helpers");
+
+describe("CircuitBreaker", () => {
+  it("admits a single probe while half-open", () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 0 });
+    breaker.recordFailure();
+    assert.equal(breaker.isOpen(), true);
+    assert.equal(breaker.state, "open");
+
+    assert.equal(breaker.canRequest(), true);
+    assert.equal(breaker.state, "half-open");
+    assert.equal(breaker.canRequest(), false);
+    assert.equal(breaker.isOpen(), true);
+
+    breaker.releaseProbe();
+    assert.equal(breaker.isOpen(), false);
+    assert.equal(breaker.canRequest(), true);
+    breaker.recordSuccess();
+    assert.equal(breaker.state, "closed");
+    assert.equal(breaker.canRequest(), true);
+    assert.equal(breaker.canRequest(), true);
+  });
+
+  it("reads the state without changing it", () => {
+    const states = [];
+    const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 0 }, (state) => states.push(state));
+    breaker.recordFailure();
+    assert.equal(breaker.isOpen(), true);
+    assert.equal(breaker.isOpen(), true);
+    assert.deepEqual(states, ["open"]);
+  });
+});
+
+describe("circuit buffer", () => {
+  let env;
+  let dir;
+
+  afterEach(async () => {
+    await env?.stop();
+    if (dir) fs.rmSync(dir, { recursive: true, force: true });
+    dir = undefined;
+  });
+
+  it("spools only the data a replay needs", async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "skopos-circuit-"));
+    env = await startSdk({ spoolDir: dir, circuitBreaker: { failureThreshold: 1, resetTimeoutMs: 60000 } });
+    const { sdk } = env;
+    sdk.circuitBreaker.recordFailure();
+    sdk.trackApiEvent(createRequest("203.0.113.50", { cookie: "sid=secret", authorization: "Bearer token", dnt: "1" }), { type: "pageView", url: "https://example.com/" });
+    await waitFor(() => sdk.circuitBuffer.length === 1);
+
+    const [record] = fs
+      .readFileSync(path.join(dir, "spool.jsonl"), "utf8")
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => JSON.parse(line));
+    assert.equal(record.kind, "buffered");
+    assert.equal(record.payload.ip, undefined);
+    assert.match(record.payload.hashedVisitorId, /^[0-9a-f]{64}$/);
+    assert.equal(record.payload.path, "/");
+    assert.deepEqual(record.payload.headers, { accept: "text/html", "accept-language": "en-US", "accept-encoding": "gzip", "sec-fetch-site": "same-origin", dnt: "1" });
+    assert.equal(sdk.circuitBuffer[0].data.ip, "203.0.113.50");
+  });
+
+  it("keeps replayed visitors apart without their IP address", async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "skopos-circuit-"));
+    env = await startSdk({ spoolDir: dir, circuitBreaker: { failureThreshold: 1, resetTimeoutMs: 60000 } });
+    env.sdk.circuitBreaker.recordFailure();
+    env.sdk.trackApiEvent(createRequest("203.0.113.10"), { type: "pageView", url: "https://example.com/" });
+    env.sdk.trackApiEvent(createRequest("203.0.113.20"), { type: "pageView", url: "https://example.com/" });
+    await waitFor(() => env.sdk.circuitBuffer.length === 2);
+    await env.stop();
+
+    env = await startSdk({ spoolDir: dir });
+    const { pb } = env;
+    await waitFor(() => pb.records("events").length === 2);
+    assert.equal(pb.records("visitors").length, 2);
+    assert.equal(pb.records("sessions").length, 2);
+  });
+
+  it("logs failures while replaying the buffer once the circuit closes", async () => {
+    env = await startSdk({ circuitBreaker: { failureThreshold: 1, resetTimeoutMs: 60000 } });
+    const { sdk } = env;
+    sdk.circuitBreaker.recordFailure();
+    sdk.trackApiEvent(createRequest(), { type: "pageView", url: "https://example.com/" });
+    await waitFor(() => sdk.circuitBuffer.length === 1);
+    const logged = [];
+    const log = sdk._log.bind(sdk);
+    sdk._log = (level, message, ...args) => {
+      if (level === "error") logged.push(message);
+      log(level, message, ...args);
+    };
+    sdk.flushEvents = async () => {
+      throw new Error("flush failed");
+    };
+
+    sdk.circuitBreaker.recordSuccess();
+    await waitFor(() => logged.includes("Failed to replay buffered events."));
+    delete sdk.flushEvents;
+  });
+});
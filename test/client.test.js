@@ -0,0 +1,66 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { getClientScript, createClientScriptHandler } = require("../index");
+
+/**
+ * Runs a request through a script handler and captures the response.
+ * @param {Function} handler The script handler.
+ * @param {{method?: string, url?: string, headers?: object}} [req] The request.
+ * @param {Function} [next] The middleware `next` callback.
+ * @returns {{status: number, headers: Record<string, string | number>, body: string | undefined}}
+ */
+function send(handler, { method = "GET", url = "/skopos.js", headers = {} } = {}, next) {
+  const response = {};
+  const res = {
+    writeHead(status, responseHeaders) {
+      response.status = status;
+      response.headers = responseHeaders;
+    },
+    end(body) {
+      response.body = body;
+    },
+  };
+  handler({ method, url, headers }, res, next);
+  return response;
+}
+
+describe("createClientScriptHandler", () => {
+  it("serves the script with caching headers", () => {
+    const handler = createClientScriptHandler({ maxAge: 600 });
+    const response = send(handler);
+    assert.equal(response.status, 200);
+    assert.equal(response.headers["Content-Type"], "application/javascript; charset=utf-8");
+    assert.equal(response.headers["Cache-Control"], "public, max-age=600");
+    assert.match(response.headers.ETag, /^"[0-9a-f]{32}"$/);
+    assert.equal(response.headers["Content-Length"], Buffer.byteLength(getClientScript()));
+    assert.equal(response.body, getClientScript());
+
+    const head = send(handler, { method: "HEAD" });
+    assert.deepEqual([head.status, head.body], [200, undefined]);
+    const notModified = send(handler, { headers: { "if-none-match": response.headers.ETag } });
+    assert.deepEqual([notModified.status, notModified.body], [304, undefined]);
+    assert.equal(notModified.headers.ETag, response.headers.ETag);
+  });
+
+  it("injects the configured endpoint", () => {
+    const response = send(createClientScriptHandler({ endpoint: "https://collect.example.com/api/event" }));
+    assert.ok(response.body.includes('var endpoint = dataset.endpoint || "https://collect.example.com/api/event";'));
+    assert.ok(!response.body.includes('"/api/event";'));
+    assert.notEqual(response.headers.ETag, send(createClientScriptHandler()).headers.ETag);
+    assert.equal(response.headers["Content-Length"], Buffer.byteLength(response.body));
+    assert.throws(() => createClientScriptHandler({ endpoint: "" }), /'endpoint' must be a non-empty string/);
+  });
+
+  it("only serves GET and HEAD requests on its path", () => {
+    const handler = createClientScriptHandler({ path: "/skopos.js" });
+    assert.equal(send(handler, { url: "/skopos.js?v=2" }).status, 200);
+    assert.equal(send(handler, { url: "/other.js" }).status, 404);
+    assert.equal(send(handler, { method: "POST" }).status, 404);
+    let nextCalls = 0;
+    assert.deepEqual(
+      send(handler, { url: "/other.js" }, () => nextCalls++),
+      {},
+    );
+    assert.equal(nextCalls, 1);
+  });
+});
@@ -0,0 +1,151 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { Readable } = require("node:stream");
+const SkoposSDK = require("../index");
+const { MemoryStorage } = require("../modules/storage");
+const { createCollectorHandler } = SkoposSDK;
+const { createRequest, waitFor, settle } = require("./helpers");
+
+const PAGE_VIEW = { type: "pageView", url: "https://a.example.com/pricing" };
+
+/**
+ * Builds a streaming collector request from a browser.
+ * @param {{method?: string, url?: string, headers?: object, body?: string}} [options] The request line, extra headers and body.
+ * @returns {import('http').IncomingMessage}
+ */
+function collectorRequest({ method = "POST", url = "/api/event", headers = {}, body = "" } = {}) {
+  const req = Readable.from(body ? [Buffer.from(body)] : []);
+  return Object.assign(req, createRequest("203.0.113.10", { "content-type": "application/json", ...headers }), { method, url });
+}
+
+/**
+ * Runs a request through a collector handler and captures the response.
+ * @param {Function} handler The collector handler.
+ * @param {import('http').IncomingMessage} req The request.
+ * @param {Function} [next] The middleware `next` callback.
+ * @returns {Promise<{status: number, headers: Record<string, string>, body: any}>}
+ */
+async function send(handler, req, next) {
+  const response = {};
+  const res = {
+    writeHead(status, headers) {
+      response.status = status;
+      response.headers = headers;
+    },
+    end(body) {
+      response.body = body === undefined ? undefined : JSON.parse(body);
+    },
+  };
+  await handler(req, res, next);
+  return response;
+}
+
+describe("collector handler", () => {
+  let sdk;
+  let storage;
+
+  afterEach(async () => {
+    await sdk?.shutdown();
+    sdk = undefined;
+  });
+
+  /**
+   * Initializes the SDK with two websites on their own subdomains.
+   * @returns {Promise<void>}
+   */
+  async function start() {
+    storage = new MemoryStorage({
+      websites: [
+        { trackingId: "site-a", domain: "a.example.com" },
+        { trackingId: "site-b", domain: "b.example.com" },
+      ],
+    });
+    sdk = await SkoposSDK.init({ siteId: "site-a", siteIds: ["site-b"], storage });
+  }
+
+  it("tracks events for the site matching the event URL", async () => {
+    await start();
+    const handler = createCollectorHandler(sdk);
+
+    const accepted = await send(handler, collectorRequest({ body: JSON.stringify(PAGE_VIEW) }));
+    assert.deepEqual(accepted, { status: 204, headers: { Vary: "Origin" }, body: undefined });
+    const beacon = await send(handler, collectorRequest({ headers: { "content-type": "text/plain;charset=UTF-8" }, body: JSON.stringify({ ...PAGE_VIEW, url: "https://b.example.com/" }) }));
+    assert.equal(beacon.status, 204);
+    await waitFor(() => storage.list("events").length === 2);
+    assert.deepEqual(
+      storage
+        .list("sessions")
+        .map((session) => session.website)
+        .sort(),
+      ["site-a", "site-b"],
+    );
+
+    const unknown = await send(handler, collectorRequest({ body: JSON.stringify({ ...PAGE_VIEW, url: "https://other.example.org/" }) }));
+    assert.equal(unknown.status, 403);
+    assert.deepEqual(unknown.body, { error: "Event URL does not match any site domain." });
+  });
+
+  it("rejects malformed requests with matching status codes", async () => {
+    await start();
+    const handler = createCollectorHandler(sdk);
+
+    const invalidJson = await send(handler, collectorRequest({ body: "{" }));
+    assert.deepEqual([invalidJson.status, invalidJson.body], [400, { error: "Invalid JSON." }]);
+    const invalidPayload = await send(handler, collectorRequest({ body: JSON.stringify({ type: "unknown", url: PAGE_VIEW.url }) }));
+    assert.deepEqual([invalidPayload.status, invalidPayload.body], [400, { error: "Invalid event payload." }]);
+    const form = await send(handler, collectorRequest({ headers: { "content-type": "application/x-www-form-urlencoded" }, body: "type=pageView" }));
+    assert.equal(form.status, 415);
+    const get = await send(handler, collectorRequest({ method: "GET" }));
+    assert.equal(get.status, 405);
+    assert.equal(get.headers.Allow, "POST, OPTIONS");
+    await settle();
+    assert.equal(storage.list("events").length, 0);
+  });
+
+  it("enforces the body size limit", async () => {
+    await start();
+    const handler = createCollectorHandler(sdk, { maxBodyBytes: 64 });
+    const body = JSON.stringify({ ...PAGE_VIEW, customData: { note: "x".repeat(64) } });
+
+    const declared = await send(handler, collectorRequest({ headers: { "content-length": String(Buffer.byteLength(body)) }, body }));
+    assert.deepEqual([declared.status, declared.body], [413, { error: "Payload too large." }]);
+    const streamed = await send(handler, collectorRequest({ body }));
+    assert.equal(streamed.status, 413);
+    const parsed = collectorRequest();
+    parsed.resume();
+    await new Promise((resolve) => parsed.once("end", resolve));
+    parsed.body = body;
+    assert.equal((await send(handler, parsed)).status, 413);
+  });
+
+  it("answers CORS preflights for site domains and allowlisted origins", async () => {
+    await start();
+    const handler = createCollectorHandler(sdk, { corsMaxAge: 600 });
+
+    const preflight = await send(handler, collectorRequest({ method: "OPTIONS", headers: { origin: "https://shop.b.example.com" } }));
+    assert.deepEqual(preflight, {
+      status: 204,
+      headers: { Vary: "Origin", "Access-Control-Allow-Origin": "https://shop.b.example.com", "Access-Control-Allow-Methods": "POST, OPTIONS", "Access-Control-Allow-Headers": "Content-Type", "Access-Control-Max-Age": "600" },
+      body: undefined,
+    });
+    const foreign = await send(handler, collectorRequest({ headers: { origin: "https://evil.example.org" }, body: JSON.stringify(PAGE_VIEW) }));
+    assert.deepEqual([foreign.status, foreign.body], [403, { error: "Origin not allowed." }]);
+
+    const allowlisted = createCollectorHandler(sdk, { allowedOrigins: ["https://app.example.org"] });
+    assert.equal((await send(allowlisted, collectorRequest({ method: "OPTIONS", headers: { origin: "https://app.example.org" } }))).status, 204);
+    assert.equal((await send(allowlisted, collectorRequest({ method: "OPTIONS", headers: { origin: "https://a.example.com" } }))).status, 403);
+  });
+
+  it("only handles its configured path", async () => {
+    await start();
+    const handler = createCollectorHandler(sdk, { path: "/api/event" });
+
+    const notFound = await send(handler, collectorRequest({ url: "/other" }));
+    assert.deepEqual([notFound.status, notFound.body], [404, { error: "Not found." }]);
+    let nextCalls = 0;
+    const passed = await send(handler, collectorRequest({ url: "/other" }), () => nextCalls++);
+    assert.deepEqual([passed, nextCalls], [{}, 1]);
+    const withQuery = await send(handler, collectorRequest({ url: "/api/event?v=1", body: JSON.stringify(PAGE_VIEW) }));
+    assert.equal(withQuery.status, 204);
+  });
+});
@@ -0,0 +1,84 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startSdk, createRequest, waitFor, settle } = require("./helpers");
+
+const PAGE_VIEW = { type: "pageView", url: "https://example.com/" };
+
+describe("consent", () => {
+  let env;
+
+  afterEach(async () => {
+    await env?.stop();
+  });
+
+  it("tracks everything when no policy is configured", async () => {
+    env = await startSdk();
+    const { pb, sdk } = env;
+    sdk.trackApiEvent(createRequest("203.0.113.10", { dnt: "1", "sec-gpc": "1" }), PAGE_VIEW);
+    await waitFor(() => pb.records("events").length === 1);
+    assert.deepEqual(sdk.getConsentStats(), { suppressed: 0, aggregated: 0 });
+  });
+
+  it("drops events with DNT, GPC or denied consent in ignore mode", async () => {
+    env = await startSdk({ consent: { honorDoNotTrack: true, honorGlobalPrivacyControl: true } });
+    const { pb, sdk } = env;
+    sdk.trackApiEvent(createRequest("203.0.113.1", { dnt: "1" }), PAGE_VIEW);
+    sdk.trackApiEvent(createRequest("203.0.113.2", { "sec-gpc": "1" }), PAGE_VIEW);
+    sdk.trackApiEvent(createRequest("203.0.113.3"), { ...PAGE_VIEW, consent: "denied" });
+    sdk.trackApiEvent(createRequest("203.0.113.4", { dnt: "1" }), { ...PAGE_VIEW, consent: "granted" });
+    await waitFor(() => pb.records("events").length === 1);
+    await settle();
+
+    assert.equal(pb.records("events").length, 1);
+    assert.equal(pb.records("visitors").length, 1);
+    assert.deepEqual(sdk.getConsentStats(), { suppressed: 3, aggregated: 0 });
+  });
+
+  it("tracks events without visitor data in aggregate mode", async () => {
+    env = await startSdk({ consent: { requireConsent: true, mode: "aggregate" }, geo: { lookup: () => ({ country: "Germany", state: "Berlin" }) } }, { storeRawIp: true });
+    const { pb, sdk } = env;
+    sdk.trackApiEvent(createRequest(), PAGE_VIEW);
+    sdk.trackApiEvent(createRequest(), { ...PAGE_VIEW, url: "https://example.com/pricing" });
+    await waitFor(() => pb.records("events").length === 2);
+
+    assert.equal(pb.records("visitors").length, 0);
+    const [session, ...others] = pb.records("sessions");
+    assert.equal(others.length, 0);
+    assert.equal(session.isAggregate, true);
+    assert.equal(session.visitor, undefined);
+    assert.equal(session.ipAddress, undefined);
+    assert.equal(session.country, "Unknown");
+    assert.ok(pb.records("events").every((event) => event.session === session.id));
+    assert.deepEqual(sdk.getConsentStats(), { suppressed: 0, aggregated: 2 });
+  });
+
+  it("starts a new aggregate session once the session timeout has passed", async () => {
+    env = await startSdk({ consent: { requireConsent: true, mode: "aggregate" }, sessionTimeoutMs: 100 });
+    const { pb, sdk } = env;
+    sdk.trackApiEvent(createRequest(), PAGE_VIEW);
+    await waitFor(() => pb.records("events").length === 1);
+    await settle(150);
+    sdk.trackApiEvent(createRequest(), PAGE_VIEW);
+    await waitFor(() => pb.records("events").length === 2);
+
+    assert.equal(pb.records("sessions").length, 2);
+  });
+
+  it("identifies visitors only with consent", async () => {
+    env = await startSdk({ consent: { requireConsent: true } });
+    const { pb, sdk } = env;
+    await sdk.identify(createRequest(), "user_1");
+    assert.equal(pb.records("visitors").length, 0);
+
+    await sdk.identify(createRequest(), "user_1", { consent: "granted" });
+    assert.equal(pb.records("visitors")[0].userId, "user_1");
+  });
+
+  it("rejects payloads with an unknown consent state", async () => {
+    env = await startSdk();
+    const { pb, sdk } = env;
+    sdk.trackApiEvent(createRequest(), { ...PAGE_VIEW, consent: "yes" });
+    await settle();
+    assert.equal(pb.records("events").length, 0);
+  });
+});
@@ -0,0 +1,131 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const SkoposSDK = require("../index");
+const { JsonlStorage } = require("../modules/storage");
+const { sanitizeEngagementMetrics, createPageViewEngagement, foldEngagement, isEngagedPageView } = require("../modules/engagement");
+const { validateAndSanitizeApiPayload } = require("../modules/utils");
+const { startSdk, createRequest, waitFor, settle } = require("./helpers");
+
+describe("engagement metrics", () => {
+  it("validates and clamps heartbeat payloads", () => {
+    assert.deepEqual(validateAndSanitizeApiPayload({ type: "heartbeat", url: "https://example.com/", visibleTime: 15000.4, maxScroll: 140 }), { type: "heartbeat", url: "https://example.com/", name: "heartbeat", visibleTime: 15000, maxScroll: 100 });
+    assert.deepEqual(sanitizeEngagementMetrics(-5, undefined), { visibleTime: 0 });
+    assert.deepEqual(sanitizeEngagementMetrics(undefined, 42.6), { maxScroll: 43 });
+    assert.equal(sanitizeEngagementMetrics(1e12, 0).visibleTime, 86400000);
+    assert.equal(validateAndSanitizeApiPayload({ type: "engagement", url: "https://example.com/" }), null);
+    assert.equal(validateAndSanitizeApiPayload({ type: "engagement", url: "https://example.com/", visibleTime: "15000" }), null);
+    assert.equal(validateAndSanitizeApiPayload({ type: "heartbeat", url: "https://example.com/", maxScroll: Number.NaN }), null);
+  });
+
+  it("keeps the largest reported values", () => {
+    const pageView = createPageViewEngagement({ id: "abc", path: "/" });
+    assert.equal(foldEngagement(pageView, { visibleTime: 12000, maxScroll: 40 }), true);
+    assert.equal(foldEngagement(pageView, { visibleTime: 8000, maxScroll: 30 }), false);
+    assert.equal(foldEngagement(pageView, { maxScroll: 60 }), true);
+    assert.deepEqual({ visibleTime: pageView.visibleTime, maxScroll: pageView.maxScroll, changed: pageView.changed }, { visibleTime: 12000, maxScroll: 60, changed: true });
+    assert.equal(isEngagedPageView(pageView), true);
+  });
+});
+
+describe("engagement in the SDK", () => {
+  let env;
+
+  afterEach(async () => {
+    await env?.stop();
+  });
+
+  it("folds heartbeats into the page view without creating events", async () => {
+    env = await startSdk();
+    const { pb, sdk } = env;
+    sdk.trackApiEvent(createRequest(), { type: "pageView", url: "https://example.com/" });
+    await waitFor(() => pb.records("events").length === 1);
+    const [session] = sdk._getSite().sessionCache.values();
+    const startedActivity = session.lastActivity;
+    await settle(20);
+    sdk.trackApiEvent(createRequest(), { type: "heartbeat", url: "https://example.com/", visibleTime: 15000, maxScroll: 30 });
+    sdk.trackApiEvent(createRequest(), { type: "heartbeat", url: "https://example.com/", visibleTime: 5000, maxScroll: 55 });
+    await waitFor(() => session.pageView.maxScroll === 55);
+
+    assert.ok(session.lastActivity > startedActivity);
+    assert.equal(session.eventCount, 1);
+    assert.equal(session.isEngaged, true);
+    assert.equal(pb.records("events").length, 1);
+
+    sdk.trackApiEvent(createRequest(), { type: "pageView", url: "https://example.com/pricing" });
+    await waitFor(() => pb.records("events").length === 2);
+    sdk.trackApiEvent(createRequest(), { type: "engagement", url: "https://example.com/pricing", visibleTime: 3000, maxScroll: 100 });
+    await settle();
+    await env.stop();
+
+    assert.deepEqual(
+      pb.records("events").map(({ path, visibleTime, maxScroll }) => ({ path, visibleTime, maxScroll })),
+      [
+        { path: "/", visibleTime: 15000, maxScroll: 55 },
+        { path: "/pricing", visibleTime: 3000, maxScroll: 100 },
+      ],
+    );
+    const [summary] = pb.records("sessions");
+    assert.equal(summary.eventCount, 2);
+    assert.equal(summary.isEngaged, true);
+  });
+
+  it("adds the metrics to page views that are still queued", async () => {
+    env = await startSdk({ batch: true, batchInterval: 60000 });
+    const { pb, sdk } = env;
+    sdk.trackApiEvent(createRequest(), { type: "pageView", url: "https://example.com/" });
+    await waitFor(() => sdk.eventQueue.length === 1);
+    sdk.trackApiEvent(createRequest(), { type: "heartbeat", url: "https://example.com/", visibleTime: 4000, maxScroll: 20 });
+    sdk.trackApiEvent(createRequest(), { type: "pageView", url: "https://example.com/docs" });
+    await waitFor(() => sdk.eventQueue.length === 2);
+
+    assert.deepEqual({ visibleTime: sdk.eventQueue[0].visibleTime, maxScroll: sdk.eventQueue[0].maxScroll }, { visibleTime: 4000, maxScroll: 20 });
+    assert.equal(sdk.pageEngagementQueue.length, 0);
+    await env.stop();
+    assert.equal(pb.records("events")[0].visibleTime, 4000);
+    assert.equal(pb.records("sessions")[0].isBounce, false);
+  });
+
+  it("ignores heartbeats without an active session or for another page", async () => {
+    env = await startSdk();
+    const { pb, sdk } = env;
+    sdk.trackApiEvent(createRequest("203.0.113.40"), { type: "heartbeat", url: "https://example.com/", visibleTime: 20000 });
+    sdk.trackApiEvent(createRequest(), { type: "pageView", url: "https://example.com/" });
+    await waitFor(() => pb.records("events").length === 1);
+    sdk.trackApiEvent(createRequest(), { type: "heartbeat", url: "https://example.com/other", visibleTime: 20000 });
+    await settle(100);
+
+    assert.equal(pb.records("sessions").length, 1);
+    const [session] = sdk._getSite().sessionCache.values();
+    assert.equal(session.pageView.visibleTime, 0);
+    assert.equal(session.isEngaged, false);
+  });
+
+  it("appends engagement updates to the JSONL event archive", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "skopos-engagement-"));
+    const sdk = await SkoposSDK.init({ siteId: "site", storage: new JsonlStorage({ dir, websites: [{ trackingId: "site", domain: "example.com" }] }) });
+    try {
+      sdk.trackApiEvent(createRequest(), { type: "pageView", url: "https://example.com/" });
+      await waitFor(() => fs.existsSync(path.join(dir, "events.jsonl")));
+      sdk.trackApiEvent(createRequest(), { type: "heartbeat", url: "https://example.com/", visibleTime: 15000, maxScroll: 30 });
+      await settle();
+      await sdk.shutdown();
+
+      const [created, ...updates] = fs
+        .readFileSync(path.join(dir, "events.jsonl"), "utf8")
+        .split("\n")
+        .filter(Boolean)
+        .map((line) => JSON.parse(line));
+      assert.equal(created.op, "create");
+      assert.equal(updates.length, 1);
+      assert.equal(updates[0].op, "update");
+      assert.equal(updates[0].id, created.record.id);
+      assert.deepEqual({ visibleTime: updates[0].changes.visibleTime, maxScroll: updates[0].changes.maxScroll }, { visibleTime: 15000, maxScroll: 30 });
+    } finally {
+      await sdk.shutdown();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,625 @@
+const http = require("node:http");
+const { randomBytes } = require("node:crypto");
+
+/**
+ * A local stand-in for the PocketBase endpoints the SDK uses, for tests that should not
+ * depend on a real server: superuser auth, record CRUD with filters, the batch API,
+ * settings, health and the realtime SSE channel. Records live in memory.
+ *
+ * Unique fields and relations are validated like the Skopos schema defines them, so
+ * duplicate visitors and sessions pointing at missing visitors are rejected with 400.
+ */
+
+const DEFAULT_UNIQUE_FIELDS = {
+  websites: ["trackingId"],
+  visitors: ["visitorId"],
+  visitor_salts: ["period"],
+  events: [["website", "orderId"]],
+};
+
+const DEFAULT_RELATIONS = {
+  visitors: { website: "websites" },
+  sessions: { website: "websites", visitor: "visitors" },
+  events: { session: "sessions", website: "websites" },
+  js_errors: { website: "websites" },
+  bot_hits: { website: "websites" },
+};
+
+/**
+ * @typedef {object} FakePocketBaseOptions
+ * @property {Record<string, string>} [superusers] Superuser emails mapped to passwords. When set,
+ * every endpoint except auth, health and realtime requires a token from `auth-with-password`.
+ * @property {Record<string, Array<string | string[]>>} [uniqueFields] Fields with a unique index, per collection. An array of
+ * fields is a unique index over all of them.
+ * @property {Record<string, Record<string, string>>} [relations] Relation fields and the collection they point to, per collection.
+ * @property {{enabled: boolean, maxRequests: number}} [batch] The batch API settings.
+ */
+
+/**
+ * @typedef {object} RecordedRequest
+ * @property {string} method The HTTP method.
+ * @property {string} path The URL path.
+ * @property {URLSearchParams} query The query parameters.
+ * @property {any} body The parsed request body.
+ * @property {boolean} inBatch Whether the request was part of a batch.
+ */
+
+/**
+ * Generates a 15-character record ID like PocketBase's.
+ * @returns {string}
+ */
+function createRecordId() {
+  return randomBytes(8).toString("hex").slice(0, 15);
+}
+
+/**
+ * Splits a PocketBase filter into tokens.
+ * @param {string} filter The filter expression.
+ * @returns {Array<{type: string, value: any}>}
+ * @throws {Error} If the filter contains an unsupported token.
+ */
+function tokenizeFilter(filter) {
+  const pattern = /\s*(?:(\(|\))|(&&|\|\|)|(!=|>=|<=|=|>|<|~)|"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|(-?\d+(?:\.\d+)?)(?![\w.])|(true|false|null)\b|([A-Za-z_][\w.]*))/y;
+  const tokens = [];
+  let match;
+  while (pattern.lastIndex < filter.length && (match = pattern.exec(filter))) {
+    const [, paren, logical, operator, doubleQuoted, singleQuoted, number, literal, field] = match;
+    if (paren) tokens.push({ type: paren });
+    else if (logical) tokens.push({ type: logical });
+    else if (operator) tokens.push({ type: "op", value: operator });
+    else if (doubleQuoted !== undefined) tokens.push({ type: "value", value: doubleQuoted.replace(/\\(.)/g, "$1") });
+    else if (singleQuoted !== undefined) tokens.push({ type: "value", value: singleQuoted.replace(/\\(.)/g, "$1") });
+    else if (number !== undefined) tokens.push({ type: "value", value: Number(number) });
+    else if (literal) tokens.push({ type: "value", value: JSON.parse(literal) });
+    else if (field) tokens.push({ type: "field", value: field });
+  }
+  if (filter.slice(pattern.lastIndex).trim()) {
+    throw new Error(`Unsupported filter: ${filter}`);
+  }
+  return tokens;
+}
+
+/**
+ * Compiles a PocketBase filter (comparisons joined with `&&`, `||` and parentheses) into a predicate.
+ * @param {string | null} filter The filter expression.
+ * @returns {(record: object) => boolean}
+ * @throws {Error} If the filter cannot be parsed.
+ */
+function compileFilter(filter) {
+  if (!filter || !filter.trim()) {
+    return () => true;
+  }
+
+  const tokens = tokenizeFilter(filter);
+  let position = 0;
+  const expect = (type) => {
+    const token = tokens[position++];
+    if (!token || token.type !== type) throw new Error(`Unsupported filter: ${filter}`);
+    return token;
+  };
+
+  const parseComparison = () => {
+    if (tokens[position]?.type === "(") {
+      position++;
+      const inner = parseOr();
+      expect(")");
+      return inner;
+    }
+    const field = expect("field").value;
+    const operator = expect("op").value;
+    const expected = expect("value").value;
+    return (record) => compare(record[field], operator, expected);
+  };
+  const parseAnd = () => {
+    const parts = [parseComparison()];
+    while (tokens[position]?.type === "&&") {
+      position++;
+      parts.push(parseComparison());
+    }
+    return (record) => parts.every((part) => part(record));
+  };
+  const parseOr = () => {
+    const parts = [parseAnd()];
+    while (tokens[position]?.type === "||") {
+      position++;
+      parts.push(parseAnd());
+    }
+    return (record) => parts.some((part) => part(record));
+  };
+
+  const predicate = parseOr();
+  if (position !== tokens.length) {
+    throw new Error(`Unsupported filter: ${filter}`);
+  }
+  return predicate;
+}
+
+/**
+ * Compares a record value with a filter operand. Missing values compare as "" or 0, like PocketBase's zero values.
+ * @param {any} actual The record value.
+ * @param {string} operator The filter operator.
+ * @param {any} expected The filter operand.
+ * @returns {boolean}
+ */
+function compare(actual, operator, expected) {
+  const value = actual ?? (typeof expected === "number" ? 0 : expected === null ? null : "");
+  switch (operator) {
+    case "=":
+      return value === expected;
+    case "!=":
+      return value !== expected;
+    case ">":
+      return value > expected;
+    case ">=":
+      return value >= expected;
+    case "<":
+      return value < expected;
+    case "<=":
+      return value <= expected;
+    case "~":
+      return String(value).toLowerCase().includes(String(expected).toLowerCase());
+    default:
+      return false;
+  }
+}
+
+/**
+ * Builds a PocketBase-style error response.
+ * @param {number} status The HTTP status.
+ * @param {string} message The error message.
+ * @param {object} [data] Field errors.
+ * @returns {[number, object]}
+ */
+function errorResponse(status, message, data = {}) {
+  return [status, { status, message, data }];
+}
+
+/**
+ * Reads a request body: JSON, or the `@jsonPayload` part of a multipart body as sent by the batch API.
+ * @param {http.IncomingMessage} req The request.
+ * @returns {Promise<any>}
+ */
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  const raw = Buffer.concat(chunks).toString();
+  if (!raw) {
+    return {};
+  }
+  if ((req.headers["content-type"] || "").startsWith("multipart/form-data")) {
+    const match = raw.match(/name="@jsonPayload"\r\n(?:[^\r\n]+\r\n)*\r\n([\s\S]*?)\r\n--/);
+    return match ? JSON.parse(match[1]) : {};
+  }
+  return JSON.parse(raw);
+}
+
+/**
+ * Creates a fake PocketBase server. Call `listen()` to start it and pass the returned URL as `pocketbaseUrl`.
+ * @param {FakePocketBaseOptions} [options] The server options.
+ * @returns {FakePocketBase}
+ * @example
+ * const pb = createFakePocketBase({ superusers: { "admin@example.com": "secret" } });
+ * const url = await pb.listen();
+ * pb.seed("websites", { trackingId: "site-1", domain: "example.com" });
+ * const skopos = await SkoposSDK.init({ pocketbaseUrl: url, siteId: "site-1", adminEmail: "admin@example.com", adminPassword: "secret" });
+ */
+function createFakePocketBase(options = {}) {
+  return new FakePocketBase(options);
+}
+
+/**
+ * The fake server returned by `createFakePocketBase`.
+ */
+class FakePocketBase {
+  /**
+   * @param {FakePocketBaseOptions} options The server options.
+   */
+  constructor(options) {
+    this.superusers = options.superusers || null;
+    this.uniqueFields = options.uniqueFields || DEFAULT_UNIQUE_FIELDS;
+    this.relations = options.relations || DEFAULT_RELATIONS;
+    this.settings = { batch: { enabled: true, maxRequests: 50, ...options.batch } };
+    this.collections = new Map();
+    this.tokens = new Set();
+    /** @type {RecordedRequest[]} */
+    this.requests = [];
+    this.failures = [];
+    this.hooks = [];
+    this.realtimeClients = new Map();
+    this.server = http.createServer((req, res) => this._onRequest(req, res));
+  }
+
+  /**
+   * Starts listening on a random local port.
+   * @returns {Promise<string>} The base URL.
+   */
+  listen() {
+    return new Promise((resolve) => {
+      this.server.listen(0, "127.0.0.1", () => resolve(`http://127.0.0.1:${this.server.address().port}`));
+    });
+  }
+
+  /**
+   * Ends realtime connections and stops the server.
+   * @returns {Promise<void>}
+   */
+  close() {
+    for (const client of this.realtimeClients.values()) {
+      client.res.end();
+    }
+    this.realtimeClients.clear();
+    this.server.closeAllConnections?.();
+    return new Promise((resolve) => this.server.close(() => resolve()));
+  }
+
+  /**
+   * Inserts a record directly, without validation or realtime events.
+   * @param {string} collection The collection name.
+   * @param {object} record The record fields; `id` is generated when omitted.
+   * @returns {object} The stored record.
+   */
+  seed(collection, record) {
+    const now = new Date().toISOString();
+    const stored = { id: createRecordId(), created: now, updated: now, ...record, collectionName: collection };
+    this.collection(collection).set(stored.id, stored);
+    return stored;
+  }
+
+  /**
+   * Updates a record and notifies realtime subscribers, as if it was edited in the dashboard.
+   * @param {string} collection The collection name.
+   * @param {string} id The record ID.
+   * @param {object} changes The fields to update.
+   * @returns {object} The updated record.
+   * @throws {Error} If the record does not exist.
+   */
+  update(collection, id, changes) {
+    const record = this.collection(collection).get(id);
+    if (!record) {
+      throw new Error(`No ${collection} record "${id}".`);
+    }
+    Object.assign(record, changes, { updated: new Date().toISOString() });
+    this._broadcast(collection, "update", record);
+    return record;
+  }
+
+  /**
+   * Returns the records of a collection.
+   * @param {string} collection The collection name.
+   * @returns {Map<string, object>}
+   */
+  collection(collection) {
+    if (!this.collections.has(collection)) this.collections.set(collection, new Map());
+    return this.collections.get(collection);
+  }
+
+  /**
+   * Returns the records of a collection as an array, oldest first.
+   * @param {string} collection The collection name.
+   * @returns {object[]}
+   */
+  records(collection) {
+    return [...this.collection(collection).values()];
+  }
+
+  /**
+   * Makes the next matching requests fail.
+   * @param {string} match A substring of the URL path, e.g. "/collections/events".
+   * @param {number} [status=500] The status to respond with (0 destroys the connection).
+   * @param {number} [times=1] How many requests fail.
+   * @param {string} [method] Only fail requests with this HTTP method.
+   */
+  failNext(match, status = 500, times = 1, method) {
+    this.failures.push({ match, status, times, method });
+  }
+
+  /**
+   * Registers a callback invoked before each request is handled, e.g. to change records
+   * between two requests of the SDK.
+   * @param {(request: RecordedRequest) => void | Promise<void>} hook The callback.
+   */
+  onRequest(hook) {
+    this.hooks.push(hook);
+  }
+
+  /**
+   * Returns the number of connected realtime clients with at least one subscription.
+   * @returns {number}
+   */
+  subscriberCount() {
+    return [...this.realtimeClients.values()].filter((client) => client.subscriptions.length > 0).length;
+  }
+
+  /**
+   * @private
+   * @param {http.IncomingMessage} req The request.
+   * @param {http.ServerResponse} res The response.
+   */
+  async _onRequest(req, res) {
+    const url = new URL(req.url, "http://localhost");
+    if (req.method === "GET" && url.pathname === "/api/realtime") {
+      this._openRealtime(req, res);
+      return;
+    }
+
+    let status;
+    let payload;
+    try {
+      const body = await readBody(req);
+      [status, payload] = await this._handle(req.method, url, body, req.headers.authorization, false);
+    } catch (error) {
+      [status, payload] = errorResponse(400, error.message);
+    }
+
+    if (status === 0) {
+      res.destroy();
+      return;
+    }
+    res.writeHead(status, { "content-type": "application/json" });
+    res.end(payload === null ? "" : JSON.stringify(payload));
+  }
+
+  /**
+   * Routes a request, including the requests inside a batch.
+   * @private
+   * @param {string} method The HTTP method.
+   * @param {URL} url The request URL.
+   * @param {any} body The parsed body.
+   * @param {string | undefined} token The `Authorization` header.
+   * @param {boolean} inBatch Whether the request is part of a batch.
+   * @returns {Promise<[number, any]>} The status and response body.
+   */
+  async _handle(method, url, body, token, inBatch) {
+    const request = { method, path: url.pathname, query: url.searchParams, body, inBatch };
+    this.requests.push(request);
+    for (const hook of this.hooks) {
+      await hook(request);
+    }
+
+    const failureIndex = this.failures.findIndex((failure) => (!failure.method || failure.method === method) && url.pathname.includes(failure.match));
+    if (failureIndex !== -1) {
+      const failure = this.failures[failureIndex];
+      if (--failure.times <= 0) this.failures.splice(failureIndex, 1);
+      return errorResponse(failure.status, "Injected failure.");
+    }
+
+    if (url.pathname === "/api/health") {
+      return [200, { code: 200, message: "API is healthy.", data: {} }];
+    }
+    if (url.pathname === "/api/collections/_superusers/auth-with-password" && method === "POST") {
+      return this._authenticate(body);
+    }
+    if (url.pathname === "/api/realtime" && method === "POST") {
+      return this._setSubscriptions(body);
+    }
+    if (!inBatch && this.superusers && !this.tokens.has(token)) {
+      return errorResponse(401, "The request requires valid record authorization token.");
+    }
+
+    if (url.pathname === "/api/settings" && method === "GET") {
+      return [200, { batch: { ...this.settings.batch } }];
+    }
+    if (url.pathname === "/api/batch" && method === "POST") {
+      return this._batch(body, token);
+    }
+
+    const match = url.pathname.match(/^\/api\/collections\/([^/]+)\/records(?:\/([^/]+))?\/?$/);
+    if (match) {
+      const [, collection, id] = match;
+      if (!id && method === "GET") return this._list(collection, url.searchParams);
+      if (!id && method === "POST") return this._create(collection, body);
+      if (id && method === "GET") return this._view(collection, id);
+      if (id && method === "PATCH") return this._update(collection, id, body);
+      if (id && method === "DELETE") return this._delete(collection, id);
+    }
+    return errorResponse(404, "The requested resource wasn't found.");
+  }
+
+  /**
+   * @private
+   * @param {{identity: string, password: string}} body The credentials.
+   * @returns {[number, object]}
+   */
+  _authenticate(body) {
+    if (this.superusers && this.superusers[body.identity] !== body.password) {
+      return errorResponse(400, "Failed to authenticate.");
+    }
+    const claims = Buffer.from(JSON.stringify({ exp: Math.floor(Date.now() / 1000) + 3600, type: "auth", collectionId: "pbc_3142635823" })).toString("base64url");
+    const token = `eyJhbGciOiJIUzI1NiJ9.${claims}.${randomBytes(16).toString("base64url")}`;
+    this.tokens.add(token);
+    return [200, { token, record: { id: createRecordId(), collectionName: "_superusers", email: body.identity } }];
+  }
+
+  /**
+   * @private
+   * @param {string} collection The collection name.
+   * @param {URLSearchParams} query The query parameters.
+   * @returns {[number, object]}
+   */
+  _list(collection, query) {
+    let items = this.records(collection).filter(compileFilter(query.get("filter")));
+    const sort = query.get("sort");
+    if (sort) {
+      const descending = sort.startsWith("-");
+      const field = sort.replace(/^[-+]/, "");
+      items.sort((a, b) => (a[field] > b[field] ? 1 : a[field] < b[field] ? -1 : 0) * (descending ? -1 : 1));
+    }
+    const fields = query.get("fields");
+    if (fields) {
+      const keep = fields.split(",").map((field) => field.trim());
+      items = items.map((item) => Object.fromEntries(keep.filter((field) => field in item).map((field) => [field, item[field]])));
+    }
+    const page = Math.max(1, Number(query.get("page") || 1));
+    const perPage = Math.max(1, Number(query.get("perPage") || 30));
+    return [200, { page, perPage, totalItems: items.length, totalPages: Math.ceil(items.length / perPage), items: items.slice((page - 1) * perPage, page * perPage) }];
+  }
+
+  /**
+   * @private
+   * @param {string} collection The collection name.
+   * @param {string} id The record ID.
+   * @returns {[number, object]}
+   */
+  _view(collection, id) {
+    const record = this.collection(collection).get(id);
+    return record ? [200, record] : errorResponse(404, "The requested resource wasn't found.");
+  }
+
+  /**
+   * @private
+   * @param {string} collection The collection name.
+   * @param {object} body The record fields.
+   * @returns {[number, object]}
+   */
+  _create(collection, body) {
+    const invalid = this._validate(collection, body, null);
+    if (invalid) {
+      return errorResponse(400, "Failed to create record.", invalid);
+    }
+    const record = this.seed(collection, { ...body, id: body.id || createRecordId() });
+    this._broadcast(collection, "create", record);
+    return [200, record];
+  }
+
+  /**
+   * Applies field updates, including PocketBase's `field+` / `field-` number modifiers.
+   * @private
+   * @param {string} collection The collection name.
+   * @param {string} id The record ID.
+   * @param {object} body The fields to update.
+   * @returns {[number, object]}
+   */
+  _update(collection, id, body) {
+    const record = this.collection(collection).get(id);
+    if (!record) {
+      return errorResponse(404, "The requested resource wasn't found.");
+    }
+    const changes = {};
+    for (const [key, value] of Object.entries(body)) {
+      if (key.endsWith("+")) changes[key.slice(0, -1)] = (record[key.slice(0, -1)] || 0) + value;
+      else if (key.endsWith("-")) changes[key.slice(0, -1)] = (record[key.slice(0, -1)] || 0) - value;
+      else changes[key] = value;
+    }
+    const invalid = this._validate(collection, changes, id);
+    if (invalid) {
+      return errorResponse(400, "Failed to update record.", invalid);
+    }
+    return [200, this.update(collection, id, changes)];
+  }
+
+  /**
+   * @private
+   * @param {string} collection The collection name.
+   * @param {string} id The record ID.
+   * @returns {[number, null | object]}
+   */
+  _delete(collection, id) {
+    const record = this.collection(collection).get(id);
+    if (!record) {
+      return errorResponse(404, "The requested resource wasn't found.");
+    }
+    this.collection(collection).delete(id);
+    this._broadcast(collection, "delete", record);
+    return [204, null];
+  }
+
+  /**
+   * Checks unique fields and relations. Like PocketBase, a violated index over several fields
+   * is reported on each of them, in the sorted key order of Go's JSON encoding.
+   * @private
+   * @param {string} collection The collection name.
+   * @param {object} fields The fields being written.
+   * @param {string | null} id The ID of the record being updated.
+   * @returns {object | null} Field errors, or null if the fields are valid.
+   */
+  _validate(collection, fields, id) {
+    for (const index of this.uniqueFields[collection] || []) {
+      const columns = [].concat(index);
+      if (columns.every((field) => fields[field] !== undefined) && this.records(collection).some((record) => record.id !== id && columns.every((field) => record[field] === fields[field]))) {
+        return Object.fromEntries(columns.sort().map((field) => [field, { code: "validation_not_unique", message: "Value must be unique." }]));
+      }
+    }
+    for (const [field, target] of Object.entries(this.relations[collection] || {})) {
+      if (fields[field] && !this.collection(target).has(fields[field])) {
+        return { [field]: { code: "validation_missing_rel_records", message: "Failed to find all relation records with the provided ids." } };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Runs the requests of a batch in one transaction: the first failing request rolls back the others.
+   * @private
+   * @param {{requests: Array<{method: string, url: string, body: object}>}} body The batch.
+   * @param {string | undefined} token The `Authorization` header.
+   * @returns {Promise<[number, any]>}
+   */
+  async _batch(body, token) {
+    if (!this.settings.batch.enabled) {
+      return errorResponse(403, "Batch requests are not allowed.");
+    }
+    if (body.requests.length > this.settings.batch.maxRequests) {
+      return errorResponse(400, "Something went wrong while processing your request.", { requests: { code: "validation_length_too_long", message: `The length must be no more than ${this.settings.batch.maxRequests}.` } });
+    }
+
+    const snapshot = new Map([...this.collections].map(([name, records]) => [name, new Map([...records].map(([id, record]) => [id, { ...record }]))]));
+    const responses = [];
+    for (let i = 0; i < body.requests.length; i++) {
+      const request = body.requests[i];
+      const [status, response] = await this._handle(request.method, new URL(request.url, "http://localhost"), request.body, token, true);
+      if (status >= 400) {
+        this.collections = snapshot;
+        return errorResponse(400, "Batch transaction failed.", { requests: { [i]: { code: "batch_request_failed", message: "Batch request failed.", response } } });
+      }
+      responses.push({ status, body: response });
+    }
+    return [200, responses];
+  }
+
+  /**
+   * @private
+   * @param {http.IncomingMessage} req The request.
+   * @param {http.ServerResponse} res The response.
+   */
+  _openRealtime(req, res) {
+    const clientId = createRecordId();
+    res.writeHead(200, { "content-type": "text/event-stream", "cache-control": "no-store" });
+    res.write(`id:${clientId}\nevent:PB_CONNECT\ndata:${JSON.stringify({ clientId })}\n\n`);
+    this.realtimeClients.set(clientId, { res, subscriptions: [] });
+    req.on("close", () => this.realtimeClients.delete(clientId));
+  }
+
+  /**
+   * @private
+   * @param {{clientId: string, subscriptions?: string[]}} body The subscription request.
+   * @returns {[number, null | object]}
+   */
+  _setSubscriptions(body) {
+    const client = this.realtimeClients.get(body.clientId);
+    if (!client) {
+      return errorResponse(404, "Missing or invalid client id.");
+    }
+    client.subscriptions = body.subscriptions || [];
+    return [204, null];
+  }
+
+  /**
+   * Sends a record change to every client subscribed to the record or its collection.
+   * @private
+   * @param {string} collection The collection name.
+   * @param {'create' | 'update' | 'delete'} action The change.
+   * @param {object} record The record.
+   */
+  _broadcast(collection, action, record) {
+    for (const client of this.realtimeClients.values()) {
+      for (const topic of client.subscriptions) {
+        const target = topic.split("?")[0];
+        if (target === `${collection}/${record.id}` || target === `${collection}/*` || target === collection) {
+          client.res.write(`event:${topic}\ndata:${JSON.stringify({ action, record })}\n\n`);
+        }
+      }
+    }
+  }
+}
+
+module.exports = { createFakePocketBase, FakePocketBase, compileFilter };
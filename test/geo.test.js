@@ -0,0 +1,82 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { resolveGeoProvider } = require("../modules/geo");
+const { startSdk, createRequest, waitFor } = require("./helpers");
+
+const PAGE_VIEW = { type: "pageView", url: "https://example.com/" };
+const BERLIN = { country: "Germany", state: "Berlin", city: "Berlin", timezone: "Europe/Berlin", asn: 64500, asOrganization: "Example Networks" };
+
+/**
+ * Creates a geolocation provider that records the IP addresses it is asked about.
+ * @param {(ip: string) => any} lookup Resolves an IP address.
+ * @returns {{lookup: (ip: string) => any, lookups: string[]}}
+ */
+function stubProvider(lookup) {
+  const lookups = [];
+  return {
+    lookups,
+    lookup: (ip) => {
+      lookups.push(ip);
+      return lookup(ip);
+    },
+  };
+}
+
+describe("resolveGeoProvider", () => {
+  it("uses custom providers as they are and rejects invalid options", () => {
+    const provider = stubProvider(() => null);
+    assert.equal(resolveGeoProvider({ geo: provider }), provider);
+    assert.equal(resolveGeoProvider({}), null);
+    assert.throws(() => resolveGeoProvider({ geo: { provider: "mmdb" } }), /'geo.path' is required/);
+    assert.throws(() => resolveGeoProvider({ geo: { provider: "ipinfo" } }), /Unknown geolocation provider "ipinfo"/);
+  });
+});
+
+describe("geolocation in the SDK", () => {
+  let env;
+
+  afterEach(async () => {
+    await env?.stop();
+  });
+
+  it("maps the provider's result onto new sessions", async () => {
+    const provider = stubProvider(() => BERLIN);
+    env = await startSdk({ geo: provider });
+    const { pb, sdk } = env;
+    sdk.trackApiEvent(createRequest("203.0.113.10"), PAGE_VIEW);
+    await waitFor(() => pb.records("events").length === 1);
+    sdk.trackApiEvent(createRequest("203.0.113.10"), { ...PAGE_VIEW, url: "https://example.com/pricing" });
+    await waitFor(() => pb.records("events").length === 2);
+
+    const [session, ...others] = pb.records("sessions");
+    assert.equal(others.length, 0);
+    assert.deepEqual({ country: session.country, state: session.state, city: session.city, timezone: session.timezone, asn: session.asn, asOrganization: session.asOrganization }, BERLIN);
+    assert.deepEqual(provider.lookups, ["203.0.113.10"]);
+  });
+
+  it("falls back to Unknown when the lookup fails", async () => {
+    env = await startSdk({
+      geo: stubProvider(async () => {
+        throw new Error("lookup failed");
+      }),
+    });
+    const { pb, sdk } = env;
+    sdk.trackApiEvent(createRequest(), PAGE_VIEW);
+    await waitFor(() => pb.records("events").length === 1);
+
+    const [session] = pb.records("sessions");
+    assert.deepEqual([session.country, session.state, session.city], ["Unknown", "Unknown", undefined]);
+  });
+
+  it("never looks up visitors tracked with aggregate consent", async () => {
+    const provider = stubProvider(() => BERLIN);
+    env = await startSdk({ consent: { requireConsent: true, mode: "aggregate" }, geo: provider });
+    const { pb, sdk } = env;
+    sdk.trackApiEvent(createRequest("203.0.113.10"), PAGE_VIEW);
+    sdk.trackApiEvent(createRequest("203.0.113.20"), PAGE_VIEW);
+    await waitFor(() => pb.records("events").length === 2);
+
+    assert.deepEqual(provider.lookups, []);
+    assert.ok(pb.records("sessions").every((session) => session.isAggregate && session.country === "Unknown"));
+  });
+});
@@ -0,0 +1,84 @@
+const SkoposSDK = require("../index");
+const { createFakePocketBase } = require("./fake-pocketbase");
+
+const SITE_ID = "test-site";
+const ADMIN_EMAIL = "admin@example.com";
+const ADMIN_PASSWORD = "correct horse battery staple";
+const BROWSER_UA = "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36";
+
+/**
+ * Starts a fake PocketBase server with one website and initializes the SDK against it.
+ * @param {object} [options] SDK options overriding the defaults.
+ * @param {object} [website] Fields of the seeded website record.
+ * @returns {Promise<{pb: import('./fake-pocketbase').FakePocketBase, sdk: SkoposSDK, website: object, stop: () => Promise<void>}>}
+ */
+async function startSdk(options = {}, website = {}) {
+  const pb = createFakePocketBase({ superusers: { [ADMIN_EMAIL]: ADMIN_PASSWORD } });
+  const url = await pb.listen();
+  const seeded = pb.seed("websites", { trackingId: SITE_ID, domain: "example.com", disableLocalhostTracking: false, isArchived: false, ipBlacklist: [], ...website });
+  let sdk;
+  try {
+    sdk = await SkoposSDK.init({ pocketbaseUrl: url, siteId: SITE_ID, adminEmail: ADMIN_EMAIL, adminPassword: ADMIN_PASSWORD, retry: { maxRetries: 0 }, ...options });
+  } catch (error) {
+    await pb.close();
+    throw error;
+  }
+
+  let stopped = false;
+  const stop = async () => {
+    if (stopped) return;
+    stopped = true;
+    await sdk.shutdown();
+    await pb.close();
+  };
+  return { pb, sdk, website: seeded, stop };
+}
+
+/**
+ * Creates a minimal `IncomingMessage` for a browser behind a local reverse proxy.
+ * @param {string} [ip="203.0.113.10"] The client IP, sent as `X-Forwarded-For`.
+ * @param {object} [headers] Extra or overriding headers.
+ * @returns {object}
+ */
+function createRequest(ip = "203.0.113.10", headers = {}) {
+  return {
+    headers: {
+      "user-agent": BROWSER_UA,
+      accept: "text/html",
+      "accept-language": "en-US",
+      "accept-encoding": "gzip",
+      "sec-fetch-site": "same-origin",
+      "x-forwarded-for": ip,
+      ...headers,
+    },
+    socket: { remoteAddress: "127.0.0.1" },
+  };
+}
+
+/**
+ * Polls a condition until it holds.
+ * @param {() => boolean} condition The condition.
+ * @param {number} [timeoutMs=2000] How long to wait.
+ * @returns {Promise<void>}
+ * @throws {Error} If the condition still does not hold after the timeout.
+ */
+async function waitFor(condition, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error("Timed out waiting for condition.");
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+/**
+ * Waits for pending requests of fire-and-forget tracking calls to settle.
+ * @param {number} [ms=50] The delay.
+ * @returns {Promise<void>}
+ */
+function settle(ms = 50) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+module.exports = { SITE_ID, BROWSER_UA, startSdk, createRequest, waitFor, settle };
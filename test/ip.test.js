@@ -0,0 +1,37 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { resolveTrustedProxies, resolveTrustedHeaders, resolveClientIp } = require("../modules/ip");
+
+const PROXIES = resolveTrustedProxies(undefined);
+
+/**
+ * Builds a request that arrives from the given socket address.
+ * @param {string} remoteAddress The connecting peer.
+ * @param {object} headers The request headers.
+ * @returns {object} A minimal request.
+ */
+function request(remoteAddress, headers) {
+  return { headers, socket: { remoteAddress } };
+}
+
+describe("resolveClientIp", () => {
+  it("honors only X-Forwarded-For by default", () => {
+    const headers = { "cf-connecting-ip": "198.51.100.1", "true-client-ip": "198.51.100.2", "x-real-ip": "198.51.100.3", "x-forwarded-for": "203.0.113.9, 10.0.0.2" };
+    assert.equal(resolveClientIp(request("10.0.0.1", headers), PROXIES), "203.0.113.9");
+    assert.equal(resolveClientIp(request("10.0.0.1", { "cf-connecting-ip": "198.51.100.1" }), PROXIES), "10.0.0.1");
+    assert.equal(resolveClientIp(request("203.0.113.50", headers), PROXIES), "203.0.113.50");
+  });
+
+  it("uses opted-in vendor headers in order", () => {
+    const trustedHeaders = resolveTrustedHeaders(["CF-Connecting-IP", "x-forwarded-for"]);
+    assert.equal(resolveClientIp(request("10.0.0.1", { "cf-connecting-ip": "::ffff:198.51.100.1", "x-forwarded-for": "203.0.113.9" }), PROXIES, trustedHeaders), "198.51.100.1");
+    assert.equal(resolveClientIp(request("10.0.0.1", { "true-client-ip": "198.51.100.2", "x-forwarded-for": "203.0.113.9" }), PROXIES, trustedHeaders), "203.0.113.9");
+    assert.equal(resolveClientIp(request("203.0.113.50", { "cf-connecting-ip": "198.51.100.1" }), PROXIES, trustedHeaders), "203.0.113.50");
+    assert.equal(resolveClientIp(request("10.0.0.1", { forwarded: 'for="[2001:db8::1]:4711"' }), PROXIES, resolveTrustedHeaders(["forwarded"])), "2001:db8::1");
+  });
+
+  it("rejects invalid trustedHeaders", () => {
+    assert.throws(() => resolveTrustedHeaders("cf-connecting-ip"), /'trustedHeaders' must be an array of header names/);
+    assert.throws(() => resolveTrustedHeaders([""]), /'trustedHeaders' must be an array of header names/);
+  });
+});
@@ -0,0 +1,69 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { resolvePathOptions, normalizePath } = require("../modules/paths");
+const { startSdk, createRequest, waitFor } = require("./helpers");
+
+describe("normalizePath", () => {
+  it("normalizes trailing slashes, case and index files", () => {
+    const settings = resolvePathOptions({ trailingSlash: "strip", lowercase: true, stripIndexFiles: true });
+    assert.deepEqual(normalizePath(settings, "/Pricing/"), { path: "/pricing", route: undefined });
+    assert.deepEqual(normalizePath(settings, "/docs/Index.html"), { path: "/docs", route: undefined });
+    assert.deepEqual(normalizePath(settings, "/index.html"), { path: "/", route: undefined });
+    assert.deepEqual(normalizePath(resolvePathOptions({ trailingSlash: "add" }), "/about"), { path: "/about/", route: undefined });
+  });
+
+  it("keeps the query string of server paths unchanged", () => {
+    const settings = resolvePathOptions({ trailingSlash: "strip", lowercase: true });
+    assert.equal(normalizePath(settings, "/Search/?q=Shoes").path, "/search?q=Shoes");
+  });
+
+  it("matches route templates in order", () => {
+    const settings = resolvePathOptions({ routes: ["/orders/new", "/orders/:id", "/docs/*"] });
+    assert.equal(normalizePath(settings, "/orders/new").route, "/orders/new");
+    assert.equal(normalizePath(settings, "/orders/8231/").route, "/orders/:id");
+    assert.equal(normalizePath(settings, "/docs/guides/setup").route, "/docs/*");
+    assert.equal(normalizePath(settings, "/orders/8231/items").route, "/orders/8231/items");
+  });
+
+  it("collapses numeric and UUID segments of unmatched paths", () => {
+    const settings = resolvePathOptions({ collapseIds: true });
+    assert.equal(normalizePath(settings, "/users/3f0b2c1e-7a4d-4b7e-9a51-2d7c0e4b8f11/posts/12").route, "/users/:id/posts/:id");
+    assert.equal(normalizePath(settings, "/v2/blog").route, "/v2/blog");
+  });
+
+  it("rejects invalid options", () => {
+    assert.throws(() => resolvePathOptions({ trailingSlash: "always" }), /Unknown trailingSlash mode/);
+    assert.throws(() => resolvePathOptions({ routes: ["orders/:id"] }), /must start with "\/"/);
+    assert.throws(() => resolvePathOptions({ routes: ["/orders/:"] }), /Invalid parameter/);
+  });
+});
+
+describe("paths in the SDK", () => {
+  let env;
+
+  afterEach(async () => {
+    await env?.stop();
+  });
+
+  it("stores normalized paths and routes on events and sessions", async () => {
+    env = await startSdk({ paths: { trailingSlash: "strip", lowercase: true, routes: ["/orders/:id"] } });
+    const { pb, sdk } = env;
+    sdk.trackApiEvent(createRequest(), { type: "pageView", url: "https://example.com/Orders/8231/" });
+    await waitFor(() => pb.records("events").length === 1);
+    sdk.trackApiEvent(createRequest(), { type: "pageView", url: "https://example.com/checkout/" });
+    await waitFor(() => pb.records("events").length === 2);
+
+    assert.deepEqual(
+      pb.records("events").map((event) => [event.path, event.route]),
+      [
+        ["/orders/8231", "/orders/:id"],
+        ["/checkout", "/checkout"],
+      ],
+    );
+    const [session] = pb.records("sessions");
+    assert.equal(session.entryPath, "/orders/8231");
+    assert.equal(session.entryRoute, "/orders/:id");
+    assert.equal(session.exitPath, "/checkout");
+    assert.equal(session.exitRoute, "/checkout");
+  });
+});
@@ -0,0 +1,77 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { resolveRateLimitOptions, RateLimiter, TokenBuckets } = require("../modules/ratelimit");
+const { startSdk, createRequest, settle } = require("./helpers");
+
+describe("TokenBuckets", () => {
+  it("allows a burst, then refills over time", () => {
+    const buckets = new TokenBuckets({ capacity: 2, refillPerSecond: 1 }, 100);
+    assert.equal(buckets.take("a", 0), true);
+    assert.equal(buckets.take("a", 0), true);
+    assert.equal(buckets.take("a", 0), false);
+    assert.equal(buckets.take("b", 0), true);
+    assert.equal(buckets.take("a", 500), false);
+    assert.equal(buckets.take("a", 1000), true);
+    assert.equal(buckets.take("a", 60000), true);
+    assert.equal(buckets.take("a", 60000), true);
+    assert.equal(buckets.take("a", 60000), false);
+  });
+
+  it("evicts the least recently used bucket", () => {
+    const buckets = new TokenBuckets({ capacity: 1, refillPerSecond: 0.001 }, 2);
+    buckets.take("a", 0);
+    buckets.take("b", 0);
+    buckets.take("a", 0);
+    buckets.take("c", 0);
+    assert.equal(buckets.size, 2);
+    assert.equal(buckets.take("a", 0), false);
+    assert.equal(buckets.take("b", 0), true);
+  });
+});
+
+describe("RateLimiter", () => {
+  it("checks the visitor limit before the event limit", () => {
+    const limiter = new RateLimiter(resolveRateLimitOptions({ ip: false, visitor: { capacity: 3, refillPerSecond: 0.001 }, event: { capacity: 2, refillPerSecond: 0.001 } }));
+    assert.equal(limiter.checkIp("203.0.113.1"), null);
+    assert.deepEqual(
+      ["pageView", "pageView", "pageView", "signup", "signup"].map((name) => limiter.checkVisitor("v1", name)),
+      [null, null, "event", "visitor", "visitor"],
+    );
+  });
+
+  it("rejects invalid options", () => {
+    assert.throws(() => resolveRateLimitOptions({ ip: { capacity: 0 } }), /'rateLimit.ip' needs a positive capacity/);
+    assert.throws(() => resolveRateLimitOptions({ action: "block" }), /Unknown rateLimit action "block"/);
+    assert.throws(() => resolveRateLimitOptions({ action: "sample", sampleRate: 2 }), /'rateLimit.sampleRate' must be a number/);
+    assert.throws(() => resolveRateLimitOptions({ maxBuckets: 0 }), /'rateLimit.maxBuckets' must be a positive integer/);
+  });
+});
+
+describe("rate limiting in the SDK", () => {
+  let env;
+
+  afterEach(async () => {
+    await env?.stop();
+  });
+
+  it("drops events over the IP and event limits and counts them", async () => {
+    env = await startSdk({ rateLimit: { ip: { capacity: 4, refillPerSecond: 0.001 }, visitor: false, event: { capacity: 2, refillPerSecond: 0.001 } } });
+    const { pb, sdk } = env;
+    for (let i = 0; i < 3; i++) {
+      sdk.trackApiEvent(createRequest(), { type: "pageView", url: `https://example.com/${i}` });
+      await settle();
+    }
+    for (let i = 0; i < 3; i++) {
+      sdk.trackApiEvent(createRequest(), { type: "custom", name: "signup", url: "https://example.com/" });
+      await settle();
+    }
+    sdk.trackApiEvent(createRequest("203.0.113.20"), { type: "pageView", url: "https://example.com/" });
+    await settle(100);
+
+    assert.deepEqual(
+      pb.records("events").map((event) => event.eventName ?? event.path),
+      ["/0", "/1", "signup", "/"],
+    );
+    assert.deepEqual(sdk.getRateLimitStats(), { ip: 2, visitor: 0, event: 1, sampled: 0 });
+  });
+});
@@ -0,0 +1,41 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startSdk, createRequest, waitFor, settle } = require("./helpers");
+
+describe("website configuration", () => {
+  let env;
+
+  afterEach(async () => {
+    await env?.stop();
+  });
+
+  it("loads the website and records the SDK version", async () => {
+    env = await startSdk({}, { ipBlacklist: ["198.51.100.0/24"] });
+    const { pb, sdk } = env;
+    const site = sdk._getSite();
+    assert.equal(site.websiteRecordId, env.website.id);
+    assert.equal(site.domain, "example.com");
+    assert.equal(pb.collection("websites").get(env.website.id).sdkVersion, require("../package.json").version);
+
+    sdk.trackApiEvent(createRequest("198.51.100.7"), { type: "pageView", url: "https://example.com/" });
+    await settle();
+    assert.equal(pb.records("events").length, 0);
+  });
+
+  it("applies changes pushed over the realtime channel", async () => {
+    env = await startSdk();
+    const { pb, sdk } = env;
+    pb.update("websites", env.website.id, { isArchived: true, domain: "www.example.org" });
+    await waitFor(() => sdk._getSite().isArchived);
+    assert.equal(sdk._getSite().domain, "www.example.org");
+
+    sdk.trackApiEvent(createRequest(), { type: "pageView", url: "https://www.example.org/" });
+    await settle();
+    assert.equal(pb.records("sessions").length, 0);
+  });
+
+  it("fails to initialize with unknown tracking IDs or wrong credentials", async () => {
+    await assert.rejects(startSdk({ siteId: "missing" }), /Website with trackingId "missing" not found/);
+    await assert.rejects(startSdk({ adminPassword: "wrong" }), /Could not authenticate with PocketBase/);
+  });
+});
@@ -0,0 +1,183 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { validateAndSanitizeApiPayload, validateAndSanitizeRevenue } = require("../modules/utils");
+const { MemoryStorage } = require("../modules/storage");
+const SkoposSDK = require("../index");
+const { startSdk, createRequest, waitFor, settle } = require("./helpers");
+
+const ORDER = { orderId: "A-1001", amount: 49.9, currency: "eur", items: [{ id: "sku-1", name: "Shoes", price: 49.9, quantity: 1 }] };
+
+describe("validateAndSanitizeRevenue", () => {
+  it("normalizes valid orders", () => {
+    assert.deepEqual(validateAndSanitizeRevenue(ORDER), { orderId: "A-1001", amount: 49.9, currency: "EUR", items: [{ id: "sku-1", name: "Shoes", price: 49.9, quantity: 1 }] });
+    assert.deepEqual(validateAndSanitizeRevenue({ orderId: " B-7 ", amount: 0, currency: "JPY" }), { orderId: "B-7", amount: 0, currency: "JPY" });
+  });
+
+  it("rejects invalid amounts, currencies and items", () => {
+    assert.equal(validateAndSanitizeRevenue({ ...ORDER, amount: -1 }), null);
+    assert.equal(validateAndSanitizeRevenue({ ...ORDER, amount: Infinity }), null);
+    assert.equal(validateAndSanitizeRevenue({ ...ORDER, amount: "49.90" }), null);
+    assert.equal(validateAndSanitizeRevenue({ ...ORDER, currency: "EURO" }), null);
+    assert.equal(validateAndSanitizeRevenue({ ...ORDER, currency: "XYZ" }), null);
+    assert.equal(validateAndSanitizeRevenue({ ...ORDER, orderId: "" }), null);
+    assert.equal(validateAndSanitizeRevenue({ ...ORDER, items: [{ id: "sku-1", price: 10, quantity: 1.5 }] }), null);
+    assert.equal(validateAndSanitizeRevenue({ ...ORDER, items: Array.from({ length: 101 }, (_, i) => ({ id: `sku-${i}`, price: 1, quantity: 1 })) }), null);
+  });
+
+  it("requires revenue data on revenue payloads", () => {
+    assert.equal(validateAndSanitizeApiPayload({ type: "revenue", url: "https://example.com/thanks" }), null);
+    const payload = validateAndSanitizeApiPayload({ type: "revenue", url: "https://example.com/thanks", revenue: ORDER });
+    assert.equal(payload.name, "purchase");
+    assert.equal(payload.revenue.currency, "EUR");
+  });
+});
+
+describe("MemoryStorage orders", () => {
+  it("rejects a second event with the same order ID", async () => {
+    const storage = new MemoryStorage({ websites: [{ trackingId: "site" }] });
+    const visitor = await storage.createVisitor({ website: "site", visitorId: "v" });
+    const session = await storage.createSession({ website: "site", visitor: visitor.id });
+    const [first, second, otherSite] = await storage.createEvents([
+      { session: session.id, website: "site", type: "revenue", orderId: "A-1" },
+      { session: session.id, website: "site", type: "revenue", orderId: "A-1" },
+      { session: session.id, website: "other-site", type: "revenue", orderId: "A-1" },
+    ]);
+    assert.equal(first, null);
+    assert.equal(second.status, 400);
+    assert.equal(second.field, "orderId");
+    assert.equal(otherSite, null);
+    assert.equal(await storage.hasOrder("site", "A-1"), true);
+    assert.equal(await storage.hasOrder("site", "A-2"), false);
+    assert.equal(await storage.hasOrder("missing-site", "A-1"), false);
+  });
+});
+
+describe("revenue events in the SDK", () => {
+  let env;
+
+  afterEach(async () => {
+    await env?.stop();
+  });
+
+  it("records browser revenue events once per order", async () => {
+    env = await startSdk();
+    const { pb, sdk } = env;
+    sdk.trackApiEvent(createRequest(), { type: "revenue", url: "https://example.com/thanks", revenue: ORDER });
+    await waitFor(() => pb.records("events").length === 1);
+    sdk.trackApiEvent(createRequest(), { type: "revenue", url: "https://example.com/thanks", revenue: ORDER });
+    await settle(100);
+
+    const events = pb.records("events");
+    assert.equal(events.length, 1);
+    assert.equal(events[0].type, "revenue");
+    assert.equal(events[0].eventName, "purchase");
+    assert.equal(events[0].orderId, "A-1001");
+    assert.equal(events[0].amount, 49.9);
+    assert.equal(events[0].currency, "EUR");
+    assert.equal(events[0].items.length, 1);
+  });
+
+  it("leaves the session untouched by a duplicate order", async () => {
+    env = await startSdk();
+    const { pb, sdk } = env;
+    sdk.trackApiEvent(createRequest(), { type: "pageView", url: "https://example.com/" });
+    await waitFor(() => pb.records("events").length === 1);
+    sdk.trackServerEvent({ ...createRequest(), url: "/webhooks/payment" }, "purchase", undefined, {}, { revenue: ORDER });
+    await waitFor(() => pb.records("events").length === 2);
+    const [session] = sdk._getSite().sessionCache.values();
+    const updates = pb.requests.filter((request) => request.method === "PATCH").length;
+
+    sdk.trackServerEvent({ ...createRequest(), url: "/webhooks/payment-retry" }, "purchase", undefined, {}, { revenue: ORDER });
+    await settle(100);
+
+    assert.equal(session.eventCount, 2);
+    assert.equal(pb.requests.filter((request) => request.method === "PATCH").length, updates);
+    assert.equal(pb.records("sessions")[0].exitPath, "/webhooks/payment");
+  });
+
+  it("skips orders that already exist in storage", async () => {
+    env = await startSdk();
+    const { pb, sdk } = env;
+    sdk.trackApiEvent(createRequest(), { type: "pageView", url: "https://example.com/" });
+    await waitFor(() => pb.records("events").length === 1);
+    pb.seed("events", { session: pb.records("sessions")[0].id, website: env.website.id, type: "revenue", orderId: "A-1001" });
+
+    sdk.trackServerEvent(createRequest(), "purchase", undefined, {}, { revenue: ORDER });
+    await settle(100);
+    assert.equal(pb.records("events").length, 2);
+  });
+
+  it("drops an order another process wrote first when the batch rejects it", async () => {
+    env = await startSdk({ batch: true, batchInterval: 60000 });
+    const { pb, sdk } = env;
+    sdk.trackApiEvent(createRequest(), { type: "pageView", url: "https://example.com/checkout" });
+    sdk.trackServerEvent(createRequest(), "purchase", undefined, {}, { revenue: ORDER });
+    await waitFor(() => sdk.eventQueue.length === 2);
+    pb.seed("events", { session: pb.records("sessions")[0].id, website: env.website.id, type: "revenue", orderId: ORDER.orderId });
+
+    await sdk.flushEvents();
+
+    assert.ok(pb.requests.some((request) => request.path === "/api/batch"));
+    assert.deepEqual(
+      pb.records("events").map((event) => event.type),
+      ["revenue", "pageView"],
+    );
+    assert.deepEqual(sdk.getDeadLetters(), []);
+  });
+
+  it("de-duplicates orders per website", async () => {
+    const storage = new MemoryStorage({
+      websites: [
+        { trackingId: "shop-a", domain: "a.example.com" },
+        { trackingId: "shop-b", domain: "b.example.com" },
+      ],
+    });
+    const sdk = await SkoposSDK.init({ siteId: "shop-a", siteIds: ["shop-b"], storage });
+    try {
+      sdk.trackServerEvent(createRequest(), "purchase", "shop-a", {}, { revenue: ORDER });
+      await waitFor(() => storage.list("events").length === 1);
+      sdk.trackServerEvent(createRequest(), "purchase", "shop-b", {}, { revenue: ORDER });
+      sdk.trackServerEvent(createRequest(), "purchase", "shop-a", {}, { revenue: ORDER });
+      await settle(100);
+    } finally {
+      await sdk.shutdown();
+    }
+
+    assert.deepEqual(
+      storage.list("events").map((event) => [event.website, event.orderId]),
+      [
+        ["shop-a", "A-1001"],
+        ["shop-b", "A-1001"],
+      ],
+    );
+  });
+
+  it("ties webhook revenue to the visitor's session with a visitor reference", async () => {
+    env = await startSdk();
+    const { pb, sdk } = env;
+    const browser = createRequest("203.0.113.10");
+    sdk.trackApiEvent(browser, { type: "pageView", url: "https://example.com/checkout" });
+    await waitFor(() => pb.records("events").length === 1);
+    const visitorRef = await sdk.getVisitorRef(browser);
+    assert.match(visitorRef, /^hash\.[0-9a-f]{64}$/);
+
+    const webhook = { ...createRequest("198.51.100.99", { "user-agent": "PaymentProvider/1.0" }), url: "/webhooks/payments" };
+    sdk.trackServerEvent(webhook, "purchase", undefined, {}, { revenue: ORDER, visitorRef });
+    await waitFor(() => pb.records("events").length === 2);
+
+    const [pageView, purchase] = pb.records("events");
+    assert.equal(purchase.type, "revenue");
+    assert.equal(purchase.session, pageView.session);
+    assert.equal(pb.records("sessions").length, 1);
+    assert.equal(pb.records("visitors").length, 1);
+  });
+
+  it("rejects invalid revenue data and visitor references", async () => {
+    env = await startSdk();
+    const { pb, sdk } = env;
+    sdk.trackServerEvent(createRequest(), "purchase", undefined, {}, { revenue: { ...ORDER, currency: "???" } });
+    sdk.trackServerEvent(createRequest(), "purchase", undefined, {}, { revenue: ORDER, visitorRef: "hash.not-a-visitor" });
+    await settle(100);
+    assert.equal(pb.records("events").length, 0);
+  });
+});
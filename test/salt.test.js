@@ -0,0 +1,99 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { RotatingSalt, resolveSaltOptions } = require("../modules/salt");
+const { MemoryStorage } = require("../modules/storage");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const AT = Date.parse("2026-01-01T10:00:00Z");
+
+/**
+ * Creates a salt store backed by a memory storage adapter, like the SDK's.
+ * @param {MemoryStorage} storage The adapter.
+ * @returns {import('../modules/salt').SaltStore}
+ */
+function createStore(storage) {
+  return {
+    get: (period) => storage.getSalt(period),
+    create: (period, salt) => storage.createSalt(period, salt),
+    prune: (beforePeriod) => storage.pruneSalts(beforePeriod),
+  };
+}
+
+describe("resolveSaltOptions", () => {
+  it("resolves defaults and rejects short periods", () => {
+    assert.equal(resolveSaltOptions(undefined), null);
+    assert.deepEqual(resolveSaltOptions(true), { periodMs: DAY_MS, collection: "visitor_salts" });
+    assert.throws(() => resolveSaltOptions({ periodMs: 1000 }), /'rotatingSalt.periodMs' must be at least one minute/);
+  });
+});
+
+describe("RotatingSalt", () => {
+  it("rolls over to a new salt and keeps the previous one", async () => {
+    const salt = new RotatingSalt({ periodMs: DAY_MS }, createStore(new MemoryStorage()));
+    assert.equal(salt.needsRefresh(AT), true);
+    await salt.refresh(AT);
+    const first = salt.current;
+    assert.match(first, /^[0-9a-f]{64}$/);
+    assert.equal(salt.period, Math.floor(AT / DAY_MS));
+    assert.equal(salt.previous, null);
+    assert.equal(salt.needsRefresh(AT + 13 * 60 * 60 * 1000), false);
+
+    const nextDay = Date.parse("2026-01-02T00:00:00Z");
+    assert.equal(salt.needsRefresh(nextDay), true);
+    await salt.refresh(nextDay);
+    assert.equal(salt.period, Math.floor(AT / DAY_MS) + 1);
+    assert.equal(salt.previous, first);
+    assert.notEqual(salt.current, first);
+  });
+
+  it("reuses the salt another process stored for the period", async () => {
+    const storage = new MemoryStorage();
+    const period = Math.floor(AT / DAY_MS);
+    await storage.createSalt(period, "stored");
+    const loaded = new RotatingSalt({ periodMs: DAY_MS }, createStore(storage));
+    await loaded.refresh(AT);
+    assert.equal(loaded.current, "stored");
+
+    const racing = new RotatingSalt({ periodMs: DAY_MS }, { ...createStore(storage), get: async () => null });
+    await racing.refresh(AT);
+    assert.equal(racing.current, "stored");
+    assert.equal(storage.list("visitor_salts").length, 1);
+  });
+
+  it("shares one load between concurrent refreshes", async () => {
+    const storage = new MemoryStorage();
+    let created = 0;
+    const store = createStore(storage);
+    const salt = new RotatingSalt(
+      { periodMs: DAY_MS },
+      {
+        ...store,
+        create: (period, value) => {
+          created++;
+          return store.create(period, value);
+        },
+      },
+    );
+    await Promise.all([salt.refresh(AT), salt.refresh(AT)]);
+    assert.equal(created, 1);
+  });
+
+  it("prunes salts older than the previous period", async () => {
+    const storage = new MemoryStorage();
+    const period = Math.floor(AT / DAY_MS);
+    for (const offset of [3, 2, 1]) {
+      await storage.createSalt(period - offset, `salt-${offset}`);
+    }
+    const salt = new RotatingSalt({ periodMs: DAY_MS }, createStore(storage));
+    await salt.prune();
+    assert.equal(storage.list("visitor_salts").length, 3);
+
+    await salt.refresh(AT);
+    await salt.prune();
+    assert.deepEqual(
+      storage.list("visitor_salts").map((record) => record.period),
+      [period - 1, period],
+    );
+    assert.equal(salt.previous, "salt-1");
+  });
+});
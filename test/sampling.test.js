@@ -0,0 +1,95 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { resolveSamplingOptions, getSampleRate, isSampledIn } = require("../modules/sampling");
+const { startSdk, createRequest, waitFor, settle } = require("./helpers");
+
+const VISITOR_IDS = Array.from({ length: 200 }, (_, i) => `visitor-${i}`);
+
+describe("sampling", () => {
+  it("picks the most specific rate", () => {
+    const settings = resolveSamplingOptions({ rate: 0.5, types: { pageView: 0.1, custom: 0.2 }, events: { signup: 1 } });
+    assert.equal(getSampleRate(settings, "pageView"), 0.1);
+    assert.equal(getSampleRate(settings, "custom", "scroll"), 0.2);
+    assert.equal(getSampleRate(settings, "custom", "signup"), 1);
+    assert.equal(getSampleRate(settings, "jsError", "jsError"), 1);
+    assert.equal(getSampleRate(settings, "revenue", "purchase"), 1);
+    assert.equal(getSampleRate(settings, "heartbeat", "heartbeat"), 0.1);
+    assert.equal(getSampleRate(settings, "engagement", "engagement"), 0.1);
+    assert.equal(getSampleRate(resolveSamplingOptions({ rate: 0.5, bypassJsErrors: false }), "jsError", "jsError"), 0.5);
+  });
+
+  it("keeps a stable, nested share of visitors", () => {
+    const keptAtTenth = VISITOR_IDS.filter((id) => isSampledIn(0.1, id));
+    const keptAtHalf = VISITOR_IDS.filter((id) => isSampledIn(0.5, id));
+    assert.ok(keptAtTenth.length > 5 && keptAtTenth.length < 40, `kept ${keptAtTenth.length} of 200 at 0.1`);
+    assert.ok(keptAtHalf.length > 70 && keptAtHalf.length < 130, `kept ${keptAtHalf.length} of 200 at 0.5`);
+    assert.ok(keptAtTenth.every((id) => keptAtHalf.includes(id)));
+    assert.deepEqual(
+      VISITOR_IDS.filter((id) => isSampledIn(0.5, id)),
+      keptAtHalf,
+    );
+    assert.equal(isSampledIn(0, "visitor-1"), false);
+    assert.equal(isSampledIn(1, "visitor-1"), true);
+  });
+
+  it("rejects invalid rates and types", () => {
+    assert.throws(() => resolveSamplingOptions({ rate: 1.5 }), /'sampling.rate' must be a number from 0 to 1/);
+    assert.throws(() => resolveSamplingOptions({ events: { signup: "all" } }), /'sampling.events.signup' must be a number/);
+    assert.throws(() => resolveSamplingOptions({ types: { revenue: 0.5 } }), /Events of type "revenue" cannot be sampled/);
+  });
+});
+
+describe("sampling in the SDK", () => {
+  let env;
+
+  afterEach(async () => {
+    await env?.stop();
+  });
+
+  it("keeps or drops all events of a visitor and records the rate", async () => {
+    env = await startSdk({ sampling: { rate: 0.5 } });
+    const { pb, sdk } = env;
+    const ips = Array.from({ length: 12 }, (_, i) => `203.0.113.${i + 1}`);
+    for (const ip of ips) {
+      sdk.trackApiEvent(createRequest(ip), { type: "pageView", url: "https://example.com/" });
+    }
+    await settle(300);
+    for (const ip of ips) {
+      sdk.trackApiEvent(createRequest(ip), { type: "pageView", url: "https://example.com/pricing" });
+    }
+    await settle(300);
+
+    const sessions = pb.records("sessions");
+    const events = pb.records("events");
+    assert.ok(sessions.length > 0 && sessions.length < ips.length, `kept ${sessions.length} of ${ips.length} visitors`);
+    assert.equal(events.length, sessions.length * 2);
+    assert.ok(sessions.every((session) => session.sampleRate === 0.5));
+    assert.ok(events.every((event) => event.sampleRate === 0.5));
+  });
+
+  it("keeps the engagement of every kept page view", async () => {
+    env = await startSdk({ sampling: { rate: 0, types: { pageView: 1 } } });
+    const { pb, sdk } = env;
+    sdk.trackApiEvent(createRequest(), { type: "pageView", url: "https://example.com/" });
+    await waitFor(() => pb.records("events").length === 1);
+    sdk.trackApiEvent(createRequest(), { type: "heartbeat", url: "https://example.com/", visibleTime: 15000, maxScroll: 40 });
+    await settle();
+    await env.stop();
+
+    assert.deepEqual({ visibleTime: pb.records("events")[0].visibleTime, maxScroll: pb.records("events")[0].maxScroll }, { visibleTime: 15000, maxScroll: 40 });
+  });
+
+  it("never samples revenue events", async () => {
+    env = await startSdk({ sampling: { rate: 0 } });
+    const { pb, sdk } = env;
+    sdk.trackApiEvent(createRequest(), { type: "pageView", url: "https://example.com/" });
+    sdk.trackServerEvent(createRequest(), "purchase", undefined, {}, { revenue: { orderId: "A-1", amount: 10, currency: "USD" } });
+    await waitFor(() => pb.records("events").length === 1);
+    await settle();
+
+    const [event] = pb.records("events");
+    assert.equal(event.type, "revenue");
+    assert.equal(event.sampleRate, undefined);
+    assert.equal(pb.records("sessions")[0].sampleRate, 1);
+  });
+});
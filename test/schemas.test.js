@@ -0,0 +1,92 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { resolveEventSchemaOptions, validateCustomEvent } = require("../modules/schemas");
+const { startSdk, createRequest, waitFor, settle } = require("./helpers");
+
+const REGISTRY = {
+  events: {
+    signup: { type: "object", properties: { plan: { enum: ["free", "pro"] } }, required: ["plan"], additionalProperties: false },
+    "add-to-cart": {
+      type: "object",
+      properties: {
+        sku: { type: "string", pattern: "^SKU-\\d+$" },
+        quantity: { type: "integer", minimum: 1, maximum: 99 },
+        tags: { type: "array", items: { type: "string" }, maxItems: 2 },
+      },
+    },
+    "newsletter-open": true,
+  },
+};
+
+describe("validateCustomEvent", () => {
+  const settings = resolveEventSchemaOptions({ registry: REGISTRY });
+
+  it("accepts registered events with valid customData", () => {
+    assert.deepEqual(validateCustomEvent(settings, "signup", { plan: "pro" }), []);
+    assert.deepEqual(validateCustomEvent(settings, "add-to-cart", { sku: "SKU-12", quantity: 2, tags: ["sale"] }), []);
+    assert.deepEqual(validateCustomEvent(settings, "add-to-cart", undefined), []);
+    assert.deepEqual(validateCustomEvent(settings, "newsletter-open", { anything: [1, 2] }), []);
+  });
+
+  it("reports unknown events and every violation", () => {
+    assert.deepEqual(validateCustomEvent(settings, "add_to_cart", {}), ['"add_to_cart" is not a registered event']);
+    assert.deepEqual(validateCustomEvent(settings, "signup", { plan: "gold", coupon: "X" }), ['customData.plan must be one of "free", "pro"', "customData.coupon is not allowed"]);
+    assert.deepEqual(validateCustomEvent(settings, "signup", undefined), ["customData.plan is required"]);
+    assert.deepEqual(validateCustomEvent(settings, "add-to-cart", { sku: "12", quantity: 1.5, tags: ["a", "b", 3] }), ["customData.sku must match ^SKU-\\d+$", "customData.quantity must be of type integer", "customData.tags must have at most 2 items", "customData.tags[2] must be of type string"]);
+  });
+
+  it("rejects invalid registries and modes", () => {
+    assert.throws(() => resolveEventSchemaOptions({ registry: {} }), /must have an 'events' object/);
+    assert.throws(() => resolveEventSchemaOptions({ registry: { events: { signup: { type: "text" } } } }), /Invalid schema for event "signup": customData has the unknown type "text"/);
+    assert.throws(() => resolveEventSchemaOptions({ registry: { events: { signup: { properties: { plan: { oneOf: [] } } } } } }), /customData.properties.plan uses the unsupported keyword "oneOf"/);
+    assert.throws(() => resolveEventSchemaOptions({ registry: REGISTRY, mode: "strict" }), /Unknown eventSchemas mode "strict"/);
+  });
+
+  it("loads the registry from a JSON file", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "skopos-schemas-"));
+    try {
+      const file = path.join(dir, "events.json");
+      fs.writeFileSync(file, JSON.stringify(REGISTRY));
+      assert.deepEqual([...resolveEventSchemaOptions({ registry: file }).events.keys()], ["signup", "add-to-cart", "newsletter-open"]);
+      assert.throws(() => resolveEventSchemaOptions({ registry: path.join(dir, "missing.json") }), /Could not load the event registry/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe("event schemas in the SDK", () => {
+  let env;
+
+  afterEach(async () => {
+    await env?.stop();
+  });
+
+  it("drops unknown and invalid custom events in reject mode", async () => {
+    env = await startSdk({ eventSchemas: { registry: REGISTRY } });
+    const { pb, sdk } = env;
+    sdk.trackApiEvent(createRequest(), { type: "custom", name: "add_to_cart", url: "https://example.com/" });
+    sdk.trackServerEvent(createRequest(), "signup", undefined, { plan: "gold" });
+    sdk.trackApiEvent(createRequest(), { type: "pageView", url: "https://example.com/" });
+    await waitFor(() => pb.records("events").length === 1);
+    sdk.trackServerEvent(createRequest(), "signup", undefined, { plan: "pro" });
+    await waitFor(() => pb.records("events").length === 2);
+    await settle();
+
+    assert.deepEqual(
+      pb.records("events").map((event) => event.eventName ?? event.type),
+      ["pageView", "signup"],
+    );
+  });
+
+  it("tracks invalid events in warn mode", async () => {
+    env = await startSdk({ eventSchemas: { registry: REGISTRY, mode: "warn" } });
+    const { pb, sdk } = env;
+    sdk.trackApiEvent(createRequest(), { type: "custom", name: "add_to_cart", url: "https://example.com/" });
+    await waitFor(() => pb.records("events").length === 1);
+    assert.equal(pb.records("events")[0].eventName, "add_to_cart");
+  });
+});
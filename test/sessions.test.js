@@ -0,0 +1,115 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startSdk, createRequest, waitFor, settle } = require("./helpers");
+
+describe("sessions", () => {
+  let env;
+
+  beforeEach(async () => {
+    env = await startSdk({ sessionTimeoutMs: 200 });
+  });
+
+  afterEach(async () => {
+    await env.stop();
+  });
+
+  it("reuses the active session and records the exit path", async () => {
+    const { pb, sdk } = env;
+    sdk.trackApiEvent(createRequest(), { type: "pageView", url: "https://example.com/" });
+    await waitFor(() => pb.records("events").length === 1);
+    sdk.trackApiEvent(createRequest(), { type: "pageView", url: "https://example.com/pricing" });
+    await waitFor(() => pb.records("events").length === 2);
+
+    const sessions = pb.records("sessions");
+    assert.equal(sessions.length, 1);
+    assert.equal(sessions[0].entryPath, "/");
+    assert.equal(sessions[0].exitPath, "/pricing");
+    assert.equal(sessions[0].isNewVisitor, true);
+    assert.deepEqual(
+      pb.records("events").map((event) => event.session),
+      [sessions[0].id, sessions[0].id],
+    );
+  });
+
+  it("starts a new session for a returning visitor once the session timed out", async () => {
+    const { pb, sdk } = env;
+    sdk.trackApiEvent(createRequest(), { type: "pageView", url: "https://example.com/" });
+    await waitFor(() => pb.records("events").length === 1);
+    await settle(250);
+    sdk.trackApiEvent(createRequest(), { type: "pageView", url: "https://example.com/again" });
+    await waitFor(() => pb.records("events").length === 2);
+
+    const sessions = pb.records("sessions");
+    assert.equal(sessions.length, 2);
+    assert.equal(pb.records("visitors").length, 1);
+    assert.deepEqual(
+      sessions.map((session) => session.isNewVisitor),
+      [true, false],
+    );
+  });
+
+  it("removes expired sessions from the cache", async () => {
+    const { pb, sdk } = env;
+    sdk.trackApiEvent(createRequest("203.0.113.1"), { type: "pageView", url: "https://example.com/" });
+    sdk.trackApiEvent(createRequest("203.0.113.2"), { type: "pageView", url: "https://example.com/" });
+    await waitFor(() => pb.records("events").length === 2);
+    const site = sdk._getSite();
+    assert.equal(site.sessionCache.size, 2);
+
+    await settle(250);
+    sdk._cleanSessionCache();
+    assert.equal(site.sessionCache.size, 0);
+  });
+
+  it("writes the summary of expired sessions", async () => {
+    const { pb, sdk } = env;
+    sdk.trackApiEvent(createRequest("203.0.113.1"), { type: "pageView", url: "https://example.com/" });
+    await waitFor(() => pb.records("events").length === 1);
+    await settle(60);
+    sdk.trackApiEvent(createRequest("203.0.113.1"), { type: "pageView", url: "https://example.com/pricing" });
+    sdk.trackApiEvent(createRequest("203.0.113.2"), { type: "pageView", url: "https://example.com/" });
+    await waitFor(() => pb.records("events").length === 3);
+    sdk.trackServerEvent(createRequest("203.0.113.1"), "signup");
+    await waitFor(() => pb.records("events").length === 4);
+
+    await settle(250);
+    sdk._cleanSessionCache();
+    await waitFor(() => pb.records("sessions").every((session) => session.endedAt));
+
+    const [engaged, bounced] = pb.records("sessions");
+    assert.deepEqual({ eventCount: engaged.eventCount, pageViewCount: engaged.pageViewCount, isBounce: engaged.isBounce, isEngaged: engaged.isEngaged }, { eventCount: 3, pageViewCount: 2, isBounce: false, isEngaged: true });
+    assert.ok(engaged.duration >= 0 && engaged.duration < 5);
+    assert.deepEqual({ eventCount: bounced.eventCount, pageViewCount: bounced.pageViewCount, duration: bounced.duration, isBounce: bounced.isBounce, isEngaged: bounced.isEngaged }, { eventCount: 1, pageViewCount: 1, duration: 0, isBounce: true, isEngaged: false });
+    assert.ok(Date.parse(bounced.endedAt) <= Date.now());
+  });
+
+  it("ends the expired session it replaces and the sessions left on shutdown", async () => {
+    const { pb, sdk } = env;
+    sdk.trackApiEvent(createRequest(), { type: "pageView", url: "https://example.com/" });
+    await waitFor(() => pb.records("events").length === 1);
+    await settle(250);
+    sdk.trackApiEvent(createRequest(), { type: "pageView", url: "https://example.com/again" });
+    await waitFor(() => pb.records("events").length === 2);
+    assert.equal(sdk.endedSessionQueue.length, 1);
+
+    await sdk.shutdown();
+    const sessions = pb.records("sessions");
+    assert.equal(sessions.length, 2);
+    assert.ok(sessions.every((session) => session.isBounce === true && session.eventCount === 1));
+    assert.ok(pb.requests.some((request) => request.path === "/api/batch" && request.body.requests.every((write) => write.method === "PATCH" && write.url.includes("/collections/sessions/"))));
+  });
+
+  it("creates a new session when the cached one was deleted", async () => {
+    const { pb, sdk } = env;
+    sdk.trackApiEvent(createRequest(), { type: "pageView", url: "https://example.com/" });
+    await waitFor(() => pb.records("events").length === 1);
+    pb.collection("sessions").clear();
+
+    sdk.trackApiEvent(createRequest(), { type: "pageView", url: "https://example.com/next" });
+    await waitFor(() => pb.records("events").length === 2);
+    const sessions = pb.records("sessions");
+    assert.equal(sessions.length, 1);
+    assert.equal(sessions[0].entryPath, "/next");
+    assert.equal(pb.records("events")[1].session, sessions[0].id);
+  });
+});
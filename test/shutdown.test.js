@@ -0,0 +1,103 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startSdk, createRequest, waitFor, settle } = require("./helpers");
+
+const JS_ERROR = { type: "jsError", url: "https://example.com/app", errorMessage: "TypeError: x is undefined", stackTrace: "TypeError: x is undefined\n    at render (app.js:10:5)" };
+
+describe("shutdown", () => {
+  let env;
+
+  afterEach(async () => {
+    await env?.stop();
+  });
+
+  it("flushes queued events in one batch", async () => {
+    env = await startSdk({ batch: true, batchInterval: 60000 });
+    const { pb, sdk } = env;
+    sdk.trackApiEvent(createRequest(), { type: "pageView", url: "https://example.com/" });
+    sdk.trackServerEvent(createRequest(), "checkout", undefined, { total: 42 });
+    await waitFor(() => sdk.eventQueue.length === 2);
+    assert.equal(pb.records("events").length, 0);
+
+    await sdk.shutdown();
+
+    assert.deepEqual(
+      pb.records("events").map((event) => [event.type, event.eventName, event.eventData]),
+      [
+        ["pageView", undefined, undefined],
+        ["custom", "checkout", { total: 42 }],
+      ],
+    );
+    assert.equal(pb.requests.filter((request) => request.path === "/api/batch" && request.body.requests.some((write) => write.url.includes("/collections/events/"))).length, 1);
+    assert.equal(sdk.eventQueue.length, 0);
+  });
+
+  it("flushes queued JS errors, merging them into existing records", async () => {
+    env = await startSdk({ jsErrorBatchInterval: 60000 });
+    const { pb, sdk } = env;
+    sdk.trackApiEvent(createRequest(), JS_ERROR);
+    await waitFor(() => sdk.jsErrorQueue.size === 1);
+    await sdk._flushJsErrors();
+    assert.equal(pb.records("js_errors")[0].count, 1);
+
+    sdk.trackApiEvent(createRequest(), JS_ERROR);
+    sdk.trackApiEvent(createRequest(), JS_ERROR);
+    await settle();
+    await sdk.shutdown();
+
+    const errors = pb.records("js_errors");
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].count, 3);
+    assert.equal(errors[0].errorMessage, JS_ERROR.errorMessage);
+    assert.equal(errors[0].website, env.website.id);
+  });
+
+  it("keeps events that could not be written as dead letters", async () => {
+    env = await startSdk({ batch: true, batchInterval: 60000, useBatchApi: false });
+    const { pb, sdk } = env;
+    sdk.trackApiEvent(createRequest(), { type: "pageView", url: "https://example.com/" });
+    await waitFor(() => sdk.eventQueue.length === 1);
+    pb.failNext("/collections/events", 400);
+
+    await sdk.shutdown();
+
+    assert.equal(pb.records("events").length, 0);
+    const deadLetters = sdk.getDeadLetters();
+    assert.equal(deadLetters.length, 1);
+    assert.equal(deadLetters[0].kind, "event");
+    assert.equal(deadLetters[0].status, 400);
+  });
+
+  it("keeps events as dead letters when the whole flush fails", async () => {
+    env = await startSdk({ batch: true, batchInterval: 60000 });
+    const { sdk } = env;
+    sdk.trackApiEvent(createRequest(), { type: "pageView", url: "https://example.com/" });
+    sdk.trackServerEvent(createRequest(), "checkout");
+    await waitFor(() => sdk.eventQueue.length === 2);
+    const createEvents = sdk.storage.createEvents;
+    sdk.storage.createEvents = async () => {
+      throw Object.assign(new Error("Authentication failed."), { status: 401 });
+    };
+
+    await sdk.flushEvents();
+    sdk.storage.createEvents = createEvents;
+
+    assert.equal(sdk.eventQueue.length, 0);
+    assert.deepEqual(
+      sdk.getDeadLetters().map(({ kind, error, status }) => ({ kind, error, status })),
+      [
+        { kind: "event", error: "Authentication failed.", status: 401 },
+        { kind: "event", error: "Authentication failed.", status: 401 },
+      ],
+    );
+  });
+
+  it("unsubscribes from website updates", async () => {
+    env = await startSdk();
+    const { pb, sdk } = env;
+    assert.equal(pb.subscriberCount(), 1);
+
+    await sdk.shutdown();
+    await waitFor(() => pb.subscriberCount() === 0);
+  });
+});
@@ -0,0 +1,62 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const SkoposSDK = require("../index");
+const { MemoryStorage } = require("../modules/storage");
+const { createRequest, waitFor, settle } = require("./helpers");
+
+describe("multiple websites", () => {
+  let sdk;
+  let storage;
+
+  afterEach(async () => {
+    await sdk?.shutdown();
+    sdk = undefined;
+  });
+
+  /**
+   * Initializes the SDK with a default and a second website.
+   * @returns {Promise<void>}
+   */
+  async function start() {
+    storage = new MemoryStorage({
+      websites: [
+        { trackingId: "main-site", domain: "example.com" },
+        { trackingId: "docs-site", domain: "docs.example.org" },
+      ],
+    });
+    sdk = await SkoposSDK.init({ siteId: "main-site", siteIds: ["docs-site"], storage });
+  }
+
+  it("tracks server events for the selected site and rejects unknown sites", async () => {
+    await start();
+    sdk.trackServerEvent(createRequest(), "signup");
+    sdk.trackServerEvent(createRequest(), "signup", "docs-site");
+    await waitFor(() => storage.list("events").length === 2);
+
+    sdk.trackServerEvent(createRequest(), "signup", "unknown-site");
+    await settle(100);
+    assert.equal(storage.list("events").length, 2);
+    assert.deepEqual(
+      storage
+        .list("sessions")
+        .map((session) => session.website)
+        .sort(),
+      ["docs-site", "main-site"],
+    );
+  });
+
+  it("keeps a browser's visitors apart per site", async () => {
+    await start();
+    const browser = createRequest("203.0.113.10");
+    sdk.trackApiEvent(browser, { type: "pageView", url: "https://example.com/" });
+    sdk.trackApiEvent(browser, { type: "pageView", url: "https://docs.example.org/" });
+    await waitFor(() => storage.list("events").length === 2);
+
+    const visitors = storage.list("visitors");
+    assert.deepEqual(visitors.map((visitor) => visitor.website).sort(), ["docs-site", "main-site"]);
+    assert.notEqual(visitors[0].visitorId, visitors[1].visitorId);
+    assert.equal(sdk._getSite("main-site").sessionCache.size, 1);
+    assert.equal(sdk._getSite("docs-site").sessionCache.size, 1);
+    assert.notEqual(await sdk.getVisitorRef(browser, "main-site"), await sdk.getVisitorRef(browser, "docs-site"));
+  });
+});
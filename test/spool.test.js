@@ -0,0 +1,44 @@
+const { describe, it, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { EventSpool } = require("../modules/spool");
+const { settle } = require("./helpers");
+
+describe("EventSpool", () => {
+  let dir;
+
+  afterEach(() => {
+    mock.restoreAll();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("syncs appends in groups and replays unacknowledged entries", async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "skopos-spool-"));
+    const spool = new EventSpool(dir);
+    spool.open();
+    const fsync = mock.method(fs, "fsyncSync");
+
+    const first = spool.add("event", { path: "/" });
+    spool.add("event", { path: "/pricing" });
+    spool.ack(first);
+    assert.equal(fsync.mock.callCount(), 0);
+    await settle(150);
+    assert.equal(fsync.mock.callCount(), 1);
+
+    spool.add("jsError", { errorHash: "abc" });
+    spool.close();
+    assert.equal(fsync.mock.callCount(), 2);
+
+    const reopened = new EventSpool(dir);
+    assert.deepEqual(
+      reopened.open().map(({ kind, payload }) => ({ kind, payload })),
+      [
+        { kind: "event", payload: { path: "/pricing" } },
+        { kind: "jsError", payload: { errorHash: "abc" } },
+      ],
+    );
+    reopened.close();
+  });
+});
@@ -0,0 +1,120 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { MemoryStorage, JsonlStorage } = require("../modules/storage");
+
+const WEBSITES = [{ trackingId: "site", domain: "example.com" }];
+const CONTEXT = { call: (operation) => operation(), log: () => {} };
+
+describe("MemoryStorage", () => {
+  it("keeps visitors unique and rejects writes to missing records", async () => {
+    const storage = new MemoryStorage({ websites: WEBSITES });
+    assert.equal((await storage.getWebsite("site")).domain, "example.com");
+    const visitor = await storage.createVisitor({ website: "site", visitorId: "v" });
+    assert.equal((await storage.findVisitor("v")).id, visitor.id);
+    await assert.rejects(storage.createVisitor({ website: "site", visitorId: "v" }), { status: 400, field: "visitorId" });
+
+    const session = await storage.createSession({ website: "site", visitor: visitor.id });
+    const [created, orphan] = await storage.createEvents([
+      { session: session.id, website: "site", type: "pageView" },
+      { session: "missing", website: "site", type: "pageView" },
+    ]);
+    assert.equal(created, null);
+    assert.equal(orphan.field, "session");
+    const [updated, missing] = await storage.updateSessions([
+      { id: session.id, changes: { exitPath: "/docs" } },
+      { id: "missing", changes: { exitPath: "/docs" } },
+    ]);
+    assert.equal(updated, null);
+    assert.equal(missing.status, 404);
+    assert.equal(storage.list("sessions")[0].exitPath, "/docs");
+  });
+
+  it("merges JS errors and bot hits by hash", async () => {
+    const storage = new MemoryStorage({ websites: WEBSITES });
+    await storage.saveJsErrors("site", [{ errorHash: "e", message: "boom", count: 2, lastSeen: "2026-01-01T00:00:00.000Z" }]);
+    await storage.saveJsErrors("site", [{ errorHash: "e", message: "boom", count: 3, lastSeen: "2026-01-02T00:00:00.000Z" }]);
+    await storage.saveBotHits("site", [{ hitHash: "b", count: 1, lastSeen: "2026-01-01T00:00:00.000Z" }]);
+    await storage.saveBotHits("site", [{ hitHash: "b", count: 4, lastSeen: "2026-01-02T00:00:00.000Z" }]);
+
+    const [error] = storage.list("js_errors");
+    assert.deepEqual({ count: error.count, lastSeen: error.lastSeen }, { count: 5, lastSeen: "2026-01-02T00:00:00.000Z" });
+    assert.equal(storage.list("bot_hits")[0].count, 5);
+  });
+});
+
+describe("JsonlStorage", () => {
+  let dir;
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Connects a fresh adapter to the test directory.
+   * @returns {Promise<JsonlStorage>}
+   */
+  async function connect() {
+    const storage = new JsonlStorage({ dir, websites: WEBSITES });
+    await storage.connect(CONTEXT);
+    return storage;
+  }
+
+  it("rebuilds records from the files on connect", async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "skopos-storage-"));
+    const storage = await connect();
+    const visitor = await storage.createVisitor({ website: "site", visitorId: "v" });
+    await storage.updateVisitor(visitor.id, { userId: "user_1" });
+    const session = await storage.createSession({ website: "site", visitor: visitor.id, entryPath: "/" });
+    await storage.updateSessions([{ id: session.id, changes: { exitPath: "/docs", eventCount: 2 } }]);
+    await storage.saveJsErrors("site", [{ errorHash: "e", message: "boom", count: 1, lastSeen: "2026-01-01T00:00:00.000Z" }]);
+    await storage.createSalt(10, "old");
+    await storage.createSalt(11, "current");
+    await storage.pruneSalts(11);
+    await storage.close();
+
+    const reopened = await connect();
+    assert.deepEqual(await reopened.findVisitor("v"), { ...storage.list("visitors")[0] });
+    assert.equal((await reopened.findVisitor("v")).userId, "user_1");
+    assert.deepEqual(
+      reopened.list("sessions").map(({ entryPath, exitPath, eventCount }) => ({ entryPath, exitPath, eventCount })),
+      [{ entryPath: "/", exitPath: "/docs", eventCount: 2 }],
+    );
+    assert.equal(reopened.list("js_errors")[0].count, 1);
+    assert.equal(await reopened.getSalt(10), null);
+    assert.equal(await reopened.getSalt(11), "current");
+    assert.equal(reopened.list("events").length, 0);
+    assert.equal(fs.existsSync(path.join(dir, "websites.jsonl")), false);
+    await assert.rejects(reopened.createVisitor({ website: "site", visitorId: "v" }), { status: 400, field: "visitorId" });
+    await reopened.close();
+  });
+
+  it("reloads order IDs and skips a truncated trailing line", async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "skopos-storage-"));
+    const storage = await connect();
+    const visitor = await storage.createVisitor({ website: "site", visitorId: "v" });
+    const session = await storage.createSession({ website: "site", visitor: visitor.id });
+    await storage.createEvents([
+      { session: session.id, website: "site", type: "pageView", path: "/" },
+      { session: session.id, website: "site", type: "revenue", orderId: "A-1" },
+    ]);
+    await storage.close();
+    fs.appendFileSync(path.join(dir, "events.jsonl"), '{"op":"create","record":{"orderId":');
+    fs.appendFileSync(path.join(dir, "sessions.jsonl"), '{"op":"update","id":');
+
+    const reopened = await connect();
+    assert.equal(reopened.list("sessions").length, 1);
+    await reopened.updateSession(session.id, { exitPath: "/after-crash" });
+    assert.equal(await reopened.hasOrder("site", "A-1"), true);
+    assert.equal(await reopened.hasOrder("other-site", "A-1"), false);
+    const [duplicate] = await reopened.createEvents([{ session: session.id, website: "site", type: "revenue", orderId: "A-1" }]);
+    assert.deepEqual({ status: duplicate.status, field: duplicate.field }, { status: 400, field: "orderId" });
+    await reopened.close();
+
+    const recovered = await connect();
+    assert.equal(recovered.list("sessions")[0].exitPath, "/after-crash");
+    await recovered.close();
+  });
+});
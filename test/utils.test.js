@@ -0,0 +1,95 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { validateAndSanitizeApiPayload, calculateBotScore } = require("../modules/utils");
+const { BROWSER_UA } = require("./helpers");
+
+const BROWSER_HEADERS = { accept: "text/html", "accept-language": "en-US", "accept-encoding": "gzip", "sec-fetch-site": "same-origin" };
+
+describe("validateAndSanitizeApiPayload", () => {
+  it("accepts a page view and normalizes its URL", () => {
+    const result = validateAndSanitizeApiPayload({ type: "pageView", url: "https://Example.com/a b", referrer: "https://google.com", screenWidth: 1920.7, screenHeight: 1080, language: "en-US" });
+    assert.deepEqual(result, { type: "pageView", url: "https://example.com/a%20b", name: undefined, referrer: "https://google.com/", screenWidth: 1920, screenHeight: 1080, language: "en-US" });
+  });
+
+  it("rejects payloads that are not objects or have an unknown type", () => {
+    assert.equal(validateAndSanitizeApiPayload(null), null);
+    assert.equal(validateAndSanitizeApiPayload([]), null);
+    assert.equal(validateAndSanitizeApiPayload({ type: "click", url: "https://example.com/" }), null);
+  });
+
+  it("rejects missing, malformed and non-http URLs", () => {
+    assert.equal(validateAndSanitizeApiPayload({ type: "pageView" }), null);
+    assert.equal(validateAndSanitizeApiPayload({ type: "pageView", url: "not a url" }), null);
+    assert.equal(validateAndSanitizeApiPayload({ type: "pageView", url: "javascript:alert(1)" }), null);
+    assert.equal(validateAndSanitizeApiPayload({ type: "pageView", url: `https://example.com/${"a".repeat(5000)}` }), null);
+  });
+
+  it("requires a name for custom events and strips control characters from it", () => {
+    assert.equal(validateAndSanitizeApiPayload({ type: "custom", url: "https://example.com/" }), null);
+    assert.equal(validateAndSanitizeApiPayload({ type: "custom", url: "https://example.com/", name: "\u0000\u0001" }), null);
+    assert.equal(validateAndSanitizeApiPayload({ type: "custom", url: "https://example.com/", name: " sign\u0007up " }).name, "signup");
+  });
+
+  it("requires an error message for JS errors and truncates stack traces", () => {
+    assert.equal(validateAndSanitizeApiPayload({ type: "jsError", url: "https://example.com/" }), null);
+    const result = validateAndSanitizeApiPayload({ type: "jsError", url: "https://example.com/", errorMessage: "boom", stackTrace: "x".repeat(5000) });
+    assert.equal(result.name, "jsError");
+    assert.equal(result.stackTrace.length, 4096);
+  });
+
+  it("clamps screen sizes and rejects non-numeric ones", () => {
+    assert.equal(validateAndSanitizeApiPayload({ type: "pageView", url: "https://example.com/", screenWidth: 99999, screenHeight: -5 }).screenWidth, 10000);
+    assert.equal(validateAndSanitizeApiPayload({ type: "pageView", url: "https://example.com/", screenHeight: -5 }).screenHeight, 0);
+    assert.equal(validateAndSanitizeApiPayload({ type: "pageView", url: "https://example.com/", screenWidth: "1920" }), null);
+    assert.equal(validateAndSanitizeApiPayload({ type: "pageView", url: "https://example.com/", screenWidth: Number.NaN }), null);
+  });
+
+  it("rejects referrers with unsafe protocols", () => {
+    assert.equal(validateAndSanitizeApiPayload({ type: "pageView", url: "https://example.com/", referrer: "data:text/html,x" }), null);
+    assert.equal(validateAndSanitizeApiPayload({ type: "pageView", url: "https://example.com/", referrer: "" }).referrer, "");
+  });
+
+  it("rejects custom data that is too large, not an object or contains prototype keys", () => {
+    const url = "https://example.com/";
+    assert.equal(validateAndSanitizeApiPayload({ type: "custom", url, name: "x", customData: [1] }), null);
+    assert.equal(validateAndSanitizeApiPayload({ type: "custom", url, name: "x", customData: { big: "x".repeat(9000) } }), null);
+    assert.equal(validateAndSanitizeApiPayload({ type: "custom", url, name: "x", customData: JSON.parse('{"nested":{"__proto__":{"polluted":true}}}') }), null);
+    assert.deepEqual(validateAndSanitizeApiPayload({ type: "custom", url, name: "x", customData: { plan: "pro", seats: 3 } }).customData, { plan: "pro", seats: 3 });
+  });
+
+  it("accepts well-formed anonymous IDs only", () => {
+    const url = "https://example.com/";
+    assert.equal(validateAndSanitizeApiPayload({ type: "pageView", url, anonymousId: "abc" }), null);
+    assert.equal(validateAndSanitizeApiPayload({ type: "pageView", url, anonymousId: "abc def ghi" }), null);
+    assert.equal(validateAndSanitizeApiPayload({ type: "pageView", url, anonymousId: "3f0b2c1e-7a4d-4b7e-9a51-2d7c0e4b8f11" }).anonymousId, "3f0b2c1e-7a4d-4b7e-9a51-2d7c0e4b8f11");
+  });
+});
+
+describe("calculateBotScore", () => {
+  it("scores a regular browser request as human", () => {
+    assert.equal(calculateBotScore(BROWSER_UA, BROWSER_HEADERS), 0);
+  });
+
+  it("treats known bots, tools and missing user agents as bots", () => {
+    assert.equal(calculateBotScore("Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)", BROWSER_HEADERS), 100);
+    assert.equal(calculateBotScore("curl/8.4.0", BROWSER_HEADERS), 100);
+    assert.equal(calculateBotScore(undefined, BROWSER_HEADERS), 80);
+  });
+
+  it("returns 100 for automation headers and headless platforms", () => {
+    assert.equal(calculateBotScore(BROWSER_UA, { ...BROWSER_HEADERS, "x-puppeteer": "1" }), 100);
+    assert.equal(calculateBotScore(BROWSER_UA, { ...BROWSER_HEADERS, "sec-ch-ua-platform": '"Headless"' }), 100);
+  });
+
+  it("adds up missing browser headers", () => {
+    const { "accept-language": _, ...withoutLanguage } = BROWSER_HEADERS;
+    assert.equal(calculateBotScore(BROWSER_UA, withoutLanguage), 35);
+    assert.equal(calculateBotScore(BROWSER_UA, { ...withoutLanguage, accept: "*/*" }), 60);
+    assert.equal(calculateBotScore(BROWSER_UA, {}), 80);
+  });
+
+  it("penalizes outdated browser versions", () => {
+    const oldChrome = BROWSER_UA.replace("Chrome/120.0.0.0", "Chrome/70.0.0.0");
+    assert.equal(calculateBotScore(oldChrome, BROWSER_HEADERS), 25);
+  });
+});
@@ -0,0 +1,95 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startSdk, createRequest, waitFor, settle } = require("./helpers");
+
+describe("visitors", () => {
+  let env;
+
+  afterEach(async () => {
+    await env?.stop();
+  });
+
+  it("creates a single visitor for concurrent events of the same visitor", async () => {
+    env = await startSdk();
+    const { pb, sdk } = env;
+    for (let i = 0; i < 5; i++) {
+      sdk.trackApiEvent(createRequest(), { type: "pageView", url: `https://example.com/${i}` });
+    }
+    await waitFor(() => pb.records("events").length === 5);
+    assert.equal(pb.records("visitors").length, 1);
+  });
+
+  it("uses the record created by another process when visitor creation races", async () => {
+    env = await startSdk();
+    const { pb, sdk } = env;
+    let competitor = null;
+    pb.onRequest((request) => {
+      if (!competitor && request.method === "POST" && request.path === "/api/collections/visitors/records") {
+        competitor = pb.seed("visitors", { website: env.website.id, visitorId: request.body.visitorId, identitySource: "hash" });
+      }
+    });
+
+    sdk.trackApiEvent(createRequest(), { type: "pageView", url: "https://example.com/" });
+    await waitFor(() => pb.records("events").length === 1);
+
+    assert.ok(competitor);
+    assert.deepEqual(
+      pb.records("visitors").map((visitor) => visitor.id),
+      [competitor.id],
+    );
+    const [session] = pb.records("sessions");
+    assert.equal(session.visitor, competitor.id);
+    assert.equal(session.isNewVisitor, false);
+  });
+
+  it("recreates a cached visitor that no longer exists when starting a session", async () => {
+    env = await startSdk({ sessionTimeoutMs: 100 });
+    const { pb, sdk } = env;
+    sdk.trackApiEvent(createRequest(), { type: "pageView", url: "https://example.com/" });
+    await waitFor(() => pb.records("events").length === 1);
+    const [original] = pb.records("visitors");
+    pb.collection("visitors").delete(original.id);
+
+    await settle(150);
+    sdk.trackApiEvent(createRequest(), { type: "pageView", url: "https://example.com/back" });
+    await waitFor(() => pb.records("events").length === 2);
+
+    const visitors = pb.records("visitors");
+    assert.equal(visitors.length, 1);
+    assert.notEqual(visitors[0].id, original.id);
+    assert.equal(visitors[0].visitorId, original.visitorId);
+    assert.equal(pb.records("sessions")[1].visitor, visitors[0].id);
+  });
+
+  it("links the visitor to a user on identify", async () => {
+    env = await startSdk();
+    const { pb, sdk } = env;
+    await sdk.identify(createRequest(), "user_42", { name: " Ada ", email: "ADA@example.com", metadata: { plan: "pro" } });
+
+    const [visitor] = pb.records("visitors");
+    assert.equal(visitor.userId, "user_42");
+    assert.equal(visitor.name, "Ada");
+    assert.equal(visitor.email, "ada@example.com");
+    assert.deepEqual(visitor.metadata, { plan: "pro" });
+  });
+
+  it("identifies the visitor of the tracked events with the client strategy", async () => {
+    env = await startSdk({ identity: { strategies: ["client"] } });
+    const { pb, sdk } = env;
+    const anonymousId = "a1b2c3d4e5f6";
+    sdk.trackApiEvent(createRequest("203.0.113.10"), { type: "pageView", url: "https://example.com/", anonymousId });
+    await waitFor(() => pb.records("events").length === 1);
+
+    await sdk.identify(createRequest("198.51.100.7"), "user_42", { anonymousId });
+    const visitors = pb.records("visitors");
+    assert.equal(visitors.length, 1);
+    assert.equal(visitors[0].userId, "user_42");
+    assert.equal(visitors[0].identitySource, "client");
+
+    const visitorRef = await sdk.getVisitorRef(createRequest("198.51.100.7"), undefined, anonymousId);
+    sdk.trackServerEvent(createRequest("192.0.2.1"), "checkout_completed", undefined, undefined, { visitorRef });
+    await waitFor(() => pb.records("events").length === 2);
+    assert.equal(pb.records("sessions").length, 1);
+    assert.equal(await sdk.getVisitorRef(createRequest(), undefined, "bad id"), null);
+  });
+});